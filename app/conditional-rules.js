@@ -12,77 +12,112 @@ import { updateSelectOptions,
          updateMultiSelectDisplay,
          detectCurrentControlType,
          rebuildControlWithType} from './input-control.js'
-import { collectFormData } from './data-builder.js';
-import { removeInvalidWarning, addInvalidMultiSelectWarning } from './form-population.js';
+import { collectFormData, setNestedValue, convertToSchemaType } from './data-builder.js';
+import { removeInvalidWarning, addInvalidMultiSelectWarning, populateFields } from './form-population.js';
+import { refreshConditionalFields, updateRequiredMarker } from './form-renderer.js';
+import { getPrimaryType, getDataAtPath } from './schema-manager.js';
+import { isFieldRequired } from './input-validation.js';
+import { compileExpression, evaluateExpression } from './expression-evaluator.js';
+
+/**
+ * NEW: Actions a conditional rule can take on its fields, with the indicator
+ * text shown on a field while the action is active
+ */
+const RULE_ACTIONS = {
+  disable_fields: 'Auto-disabled',
+  enable_fields: 'Auto-enabled',
+  hide_fields: 'Hidden',
+  require_fields: 'Required',
+  optional_fields: 'Optional',
+  set_values: 'Set automatically'
+};
 
 function applyConditionalRules() {
   if (!state.conditionalRules || Object.keys(state.conditionalRules).length === 0) {
+    // Drop the overrides of rules from a previous options file
+    if (Object.keys(state.conditionalRequired).length || Object.keys(state.conditionalHidden).length) {
+      updateState({ conditionalRequired: {}, conditionalHidden: {} });
+    }
     return;
   }
 
   console.log('Applying conditional rules...');
 
-  // ── PASS 1: Collect every field that ANY matching condition wants disabled ──
+  // ── PASS 1: Collect, per action, every field that ANY matching condition targets ──
   // Using a Set prevents a field from being re-enabled by a second, non-matching
   // condition for the same trigger — which was the root cause of the bug where
   // mbr_cig_end_year (listed in both CK9902 and CK9901 conditions) was
   // immediately re-enabled when CK9902 was selected, because the CK9901
   // condition was evaluated afterward with conditionMet=false.
-  const fieldsToDisable = new Set();
-
-  // Also track which trigger field is responsible (for the indicator label).
-  const disableReasons = {};  // fieldKey → triggerField
+  // UPDATED: One map per action; the value is the reason shown in the
+  // indicator (the fields the condition uses).
+  /** @type {Object<string, Map<string, string>>} action → fieldKey → reason */
+  const activeFields = {};
+  /** @type {Object<string, Set<string>>} action → every field the action mentions */
+  const allAffectedFields = {};
+  Object.keys(RULE_ACTIONS).forEach(action => {
+    activeFields[action] = new Map();
+    allAffectedFields[action] = new Set();
+  });
+  const valuesToSet = {};  // fieldKey → set_values entry of the matching rule
 
   for (const [triggerField, conditions] of Object.entries(state.conditionalRules)) {
     const currentValue = getFieldValue(triggerField);
 
     conditions.forEach(condition => {
-      const conditionMet = String(currentValue ?? '').trim() === String(condition.value).trim();
+      // UPDATED: Compound conditions (all / any / not, operators, other fields)
+      const conditionMet = evaluateCondition(condition, triggerField);
 
       console.log('Rule:', {
         triggerField,
         currentValue,
         triggerValue: condition.value,
         conditionMet,
-        affectedFields: condition.disable_fields || []
+        actions: Object.keys(RULE_ACTIONS).filter(action => action in condition)
       });
 
       if (conditionMet) {
-        (condition.disable_fields || []).forEach(fieldKey => {
-          fieldsToDisable.add(fieldKey);
-          disableReasons[fieldKey] = triggerField;  // Last writer wins for label, fine in practice.
+        const reason = [...getConditionFields(condition, triggerField)].join(', ');
+        Object.keys(RULE_ACTIONS).forEach(action => {
+          getActionFields(condition, action).forEach(fieldKey => {
+            activeFields[action].set(fieldKey, reason);  // Last writer wins for label, fine in practice.
+            if (action === 'set_values') {
+              valuesToSet[fieldKey] = condition.set_values[fieldKey];
+            }
+          });
         });
       }
     });
   }
 
   // ── PASS 2: Collect every field mentioned in any condition (the full candidate set) ──
-  const allAffectedFields = new Set();
   for (const conditions of Object.values(state.conditionalRules)) {
     conditions.forEach(condition => {
-      (condition.disable_fields || []).forEach(f => allAffectedFields.add(f));
+      Object.keys(RULE_ACTIONS).forEach(action => {
+        getActionFields(condition, action).forEach(f => allAffectedFields[action].add(f));
+      });
     });
   }
 
   // ── PASS 3: Apply disable / enable atomically based on the complete picture ──
-  allAffectedFields.forEach(fieldKey => {
-    const fieldGroup = document.querySelector(`[data-field-path="${fieldKey}"]`);
+  const toggledFields = new Set([...allAffectedFields.disable_fields, ...allAffectedFields.enable_fields]);
+  toggledFields.forEach(fieldKey => {
+    const fieldGroup = document.querySelector(`[data-field-path="${CSS.escape(fieldKey)}"]`);
     if (!fieldGroup) {
       console.log('Field group not found:', fieldKey);
       return;
     }
 
-    if (fieldsToDisable.has(fieldKey)) {
+    // NEW: enable_fields wins over disable_fields and unlocks readOnly fields
+    const enableReason = activeFields.enable_fields.get(fieldKey);
+    unlockReadOnlyField(fieldGroup, enableReason !== undefined);
+    setRuleIndicator(fieldGroup, 'enable_fields', enableReason);
+
+    if (activeFields.disable_fields.has(fieldKey) && enableReason === undefined) {
       // At least one condition wants this field disabled.
       console.log('Disabling field:', fieldKey);
       fieldGroup.classList.add('disabled');
-
-      if (!fieldGroup.querySelector('.disabled-indicator')) {
-        const indicator = document.createElement('div');
-        indicator.className = 'disabled-indicator';
-        indicator.textContent = `Auto-disabled (based on ${disableReasons[fieldKey] || 'conditional rule'})`;
-        fieldGroup.appendChild(indicator);
-      }
+      setRuleIndicator(fieldGroup, 'disable_fields', activeFields.disable_fields.get(fieldKey));
 
       setDisabledFieldValue(fieldKey, fieldGroup);
     } else {
@@ -95,11 +130,7 @@ function applyConditionalRules() {
 
       console.log('Enabling field:', fieldKey);
       fieldGroup.classList.remove('disabled');
-
-      const indicator = fieldGroup.querySelector('.disabled-indicator');
-      if (indicator) {
-        indicator.remove();
-      }
+      setRuleIndicator(fieldGroup, 'disable_fields', undefined);
 
       // Only reset + re-lock disable_values when genuinely transitioning disabled → enabled.
       if (wasDisabled) {
@@ -107,6 +138,404 @@ function applyConditionalRules() {
       }
     }
   });
+
+  // ── PASS 4 (NEW): Visibility, required-ness and computed values ──
+  applyHideRules(activeFields.hide_fields, allAffectedFields.hide_fields);
+  applyRequiredRules(activeFields, new Set([...allAffectedFields.require_fields, ...allAffectedFields.optional_fields]));
+  applySetValueRules(activeFields.set_values, allAffectedFields.set_values, valuesToSet);
+}
+
+/**
+ * NEW: Fields an action of a rule applies to ("set_values" maps field → value)
+ * @param {Object} condition - Rule entry
+ * @param {string} action - Key of RULE_ACTIONS
+ * @returns {string[]}
+ */
+function getActionFields(condition, action) {
+  const target = condition?.[action];
+  if (action === 'set_values') {
+    return target && typeof target === 'object' && !Array.isArray(target) ? Object.keys(target) : [];
+  }
+  return Array.isArray(target) ? target.filter(field => typeof field === 'string') : [];
+}
+
+/**
+ * NEW: Shows, updates or removes the indicator of one action under a field
+ * ("Required (based on lifestyle.mbr_smoke_cigarette)")
+ * @param {Element} fieldGroup - .form-group of the field
+ * @param {string} action - Key of RULE_ACTIONS
+ * @param {string|undefined} reason - Fields of the matching condition; undefined removes the indicator
+ */
+function setRuleIndicator(fieldGroup, action, reason) {
+  let indicator = fieldGroup.querySelector(`:scope > .rule-indicator[data-rule-action="${action}"]`);
+
+  if (reason === undefined) {
+    if (indicator) indicator.remove();
+    return;
+  }
+
+  if (!indicator) {
+    indicator = document.createElement('div');
+    indicator.className = action === 'disable_fields' ? 'disabled-indicator rule-indicator' : 'rule-indicator';
+    /** @type {HTMLElement} */ (indicator).dataset.ruleAction = action;
+    fieldGroup.appendChild(indicator);
+  }
+  indicator.textContent = `${RULE_ACTIONS[action]} (based on ${reason || 'conditional rule'})`;
+}
+
+/**
+ * NEW: Unlocks (or re-locks) the disabled fieldset of a readOnly field
+ * @param {Element} fieldGroup - .form-group of the field
+ * @param {boolean} unlocked
+ */
+function unlockReadOnlyField(fieldGroup, unlocked) {
+  const fieldset = /** @type {HTMLFieldSetElement|null} */ (fieldGroup.querySelector('.read-only-fieldset'));
+  if (fieldset && fieldset.closest('.form-group') === fieldGroup) {
+    fieldset.disabled = !unlocked;
+  }
+}
+
+/**
+ * NEW: hide_fields - hidden fields are removed from view, left out of
+ * collectFormData() and not checked for required values
+ * @param {Map<string, string>} active - Hidden field → reason
+ * @param {Set<string>} candidates - Every field named in hide_fields
+ */
+function applyHideRules(active, candidates) {
+  const hidden = {};
+
+  candidates.forEach(fieldKey => {
+    const isHidden = active.has(fieldKey);
+    if (isHidden) hidden[fieldKey] = true;
+
+    const fieldGroup = document.querySelector(`[data-field-path="${CSS.escape(fieldKey)}"]`);
+    if (!fieldGroup) return;
+
+    fieldGroup.classList.toggle('conditionally-hidden', isHidden);
+    setRuleIndicator(fieldGroup, 'hide_fields', active.get(fieldKey));
+
+    if (isHidden) {
+      fieldGroup.querySelectorAll('.validation-error-message').forEach(el => el.remove());
+      fieldGroup.querySelectorAll('.validation-error').forEach(el => el.classList.remove('validation-error'));
+    }
+  });
+
+  updateState({ conditionalHidden: hidden });
+}
+
+/**
+ * NEW: require_fields / optional_fields - override the schema "required" of a
+ * field for validation and the label asterisk. require_fields wins when both match.
+ * @param {Object<string, Map<string, string>>} activeFields - action → field → reason
+ * @param {Set<string>} candidates - Every field named in either action
+ */
+function applyRequiredRules(activeFields, candidates) {
+  const required = {};
+  candidates.forEach(fieldKey => {
+    if (activeFields.optional_fields.has(fieldKey)) required[fieldKey] = false;
+    if (activeFields.require_fields.has(fieldKey)) required[fieldKey] = true;
+  });
+  updateState({ conditionalRequired: required });
+
+  candidates.forEach(fieldKey => {
+    const fieldGroup = document.querySelector(`[data-field-path="${CSS.escape(fieldKey)}"]`);
+    if (!fieldGroup) return;
+
+    updateRequiredMarker(fieldKey, isFieldRequired(fieldKey));
+    setRuleIndicator(fieldGroup, 'require_fields',
+      required[fieldKey] === true ? activeFields.require_fields.get(fieldKey) : undefined);
+    setRuleIndicator(fieldGroup, 'optional_fields',
+      required[fieldKey] === false ? activeFields.optional_fields.get(fieldKey) : undefined);
+  });
+}
+
+/**
+ * NEW: set_values - writes a value into each field of a matching rule. A value
+ * is either literal or { "expression": "..." } (see expression-evaluator.js);
+ * an expression without a value (empty inputs) leaves the field alone.
+ * Fields keep their value when the rule stops matching.
+ * @param {Map<string, string>} active - Field → reason
+ * @param {Set<string>} candidates - Every field named in set_values
+ * @param {Object} valuesToSet - Field → set_values entry
+ */
+function applySetValueRules(active, candidates, valuesToSet) {
+  let data = null;
+
+  candidates.forEach(fieldKey => {
+    const fieldGroup = document.querySelector(`[data-field-path="${CSS.escape(fieldKey)}"]`);
+    if (!fieldGroup) return;
+
+    setRuleIndicator(fieldGroup, 'set_values', active.get(fieldKey));
+    if (!active.has(fieldKey)) return;
+
+    data = data || collectFormData();
+    const value = resolveSetValue(valuesToSet[fieldKey], data, fieldKey);
+    if (value === undefined) return;
+
+    // Only write on change: populating fires change events, which re-run the rules
+    const keys = fieldKey.split('.');
+    if (isSameValue(getDataAtPath(data, keys), value)) return;
+
+    console.log(`✏️ set_values: ${fieldKey} =`, value);
+    populateFields({ [keys[keys.length - 1]]: value }, keys.slice(0, -1));
+  });
+}
+
+/**
+ * NEW: Value of a set_values entry
+ * @param {*} entry - Literal value or { expression }
+ * @param {Object} data - Current form data
+ * @param {string} fieldKey - Target field (for messages)
+ * @returns {*} The value, or undefined to leave the field alone
+ */
+function resolveSetValue(entry, data, fieldKey) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry) || typeof entry.expression !== 'string') {
+    return entry;
+  }
+  try {
+    const value = evaluateExpression(compileExpression(entry.expression), data);
+    return value === null ? undefined : value;
+  } catch (error) {
+    console.warn(`⚠️ set_values for ${fieldKey} could not be evaluated: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * NEW: Loose comparison of a collected value with a value to set
+ * (options files may give "5" for an integer field)
+ */
+function isSameValue(current, value) {
+  if (JSON.stringify(current) === JSON.stringify(value)) return true;
+  return current !== null && current !== undefined && typeof current !== 'object' &&
+         typeof value !== 'object' && String(current) === String(value);
+}
+
+// ==================== COMPUTED FIELDS ====================
+
+/** Computed fields already reported as broken (warned once per options file, see buildTriggersToAffected) */
+const reportedComputedErrors = new Set();
+
+/**
+ * NEW: Options entries with a "computed" expression (see expression-evaluator.js):
+ *   "demographic.mbr_bmi": { "computed": "round(demographic.mbr_weight_kg / (demographic.mbr_height_m * demographic.mbr_height_m), 1)" }
+ * Expressions that do not parse are reported once and skipped.
+ * @returns {Array<{ path: string, compiled: Object }>}
+ */
+function getComputedFields() {
+  return Object.entries(state.customOptions || {})
+    .filter(([key, config]) => !key.startsWith('_') && typeof config?.computed === 'string')
+    .flatMap(([path, config]) => {
+      try {
+        return [{ path, compiled: compileExpression(config.computed) }];
+      } catch (error) {
+        if (!reportedComputedErrors.has(path)) {
+          console.warn(`⚠️ computed field ${path} skipped: ${error.message}`);
+          reportedComputedErrors.add(path);
+        }
+        return [];
+      }
+    });
+}
+
+/**
+ * NEW: Evaluates the computed fields over form data and writes their values
+ * into it with the schema type (convertToSchemaType). A computed field may use
+ * other computed fields, so passes repeat until no value changes. An
+ * expression without a value (empty inputs, division by zero) gives null.
+ * @param {Object} data - Collected form data (modified in place)
+ * @returns {Object} The same data
+ */
+function computeFieldValues(data) {
+  const fields = getComputedFields();
+
+  for (let pass = 0; pass <= fields.length; pass++) {
+    let changed = false;
+
+    fields.forEach(({ path, compiled }) => {
+      let value;
+      try {
+        value = evaluateExpression(compiled, data);
+      } catch (error) {
+        if (!reportedComputedErrors.has(path)) {
+          console.warn(`⚠️ computed field ${path} could not be evaluated: ${error.message}`);
+          reportedComputedErrors.add(path);
+        }
+        value = null;
+      }
+      if (typeof value === 'number' && !Number.isFinite(value)) value = null;
+
+      const converted = convertToSchemaType(path, value === null ? null : String(value), false);
+      if (JSON.stringify(getDataAtPath(data, path.split('.'))) !== JSON.stringify(converted)) {
+        setNestedValue(data, path, converted);
+        changed = true;
+      }
+    });
+
+    if (!changed) break;
+  }
+
+  return data;
+}
+
+/**
+ * NEW: Shows the current values of the computed fields in their (locked) inputs
+ * @param {Object} data - Form data from collectFormData() (computed values included)
+ */
+function updateComputedFields(data) {
+  getComputedFields().forEach(({ path }) => {
+    const input = /** @type {HTMLInputElement|null} */ (document.querySelector(
+      `input[data-path="${CSS.escape(path)}"], select[data-path="${CSS.escape(path)}"], textarea[data-path="${CSS.escape(path)}"]`));
+    if (!input) return;
+
+    const value = getDataAtPath(data, path.split('.'));
+    const text = value === null || value === undefined ? '' : String(value);
+    if (input.value !== text) {
+      input.value = text;
+      console.log(`🧮 Computed ${path} = ${text}`);
+    }
+  });
+}
+
+// ==================== CONDITIONS ====================
+
+/**
+ * NEW: Condition operators. A condition object combines any of these keys (all
+ * must hold) with "all": [...], "any": [...], "not": {...} and "field" (the
+ * field the operators test; defaults to the trigger field):
+ *
+ *   { "all": [ { "value": "Yes" }, { "field": "demographic.mbr_age", "lt": 18 } ] }
+ *
+ * "value" keeps its original meaning (exact match, also on an empty field).
+ * Every other operator except is_empty is false while the field is empty.
+ */
+const CONDITION_OPERATORS = {
+  value: (current, expected) => String(current ?? '').trim() === String(expected).trim(),
+  in: (current, list) => !isEmptyValue(current) &&
+    toValueList(current).some(item => toValueList(list).includes(item)),
+  not_in: (current, list) => !isEmptyValue(current) &&
+    !toValueList(current).some(item => toValueList(list).includes(item)),
+  gt: (current, limit) => (compareValues(current, limit) ?? NaN) > 0,
+  gte: (current, limit) => (compareValues(current, limit) ?? NaN) >= 0,
+  lt: (current, limit) => (compareValues(current, limit) ?? NaN) < 0,
+  lte: (current, limit) => (compareValues(current, limit) ?? NaN) <= 0,
+  between: (current, range) => Array.isArray(range) && range.length === 2 &&
+    (compareValues(current, range[0]) ?? NaN) >= 0 && (compareValues(current, range[1]) ?? NaN) <= 0,
+  matches: (current, pattern) => {
+    const regex = getConditionRegex(pattern);
+    return !isEmptyValue(current) && regex !== null && toValueList(current).some(item => regex.test(item));
+  },
+  is_empty: (current, expected) => isEmptyValue(current) === (expected !== false),
+  contains: (current, expected) => !isEmptyValue(current) &&
+    toValueList(expected).every(item => toValueList(current).includes(item))
+};
+
+/** Compiled "matches" patterns (null for patterns that do not compile) */
+const conditionRegexCache = new Map();
+
+/**
+ * NEW: Evaluates a conditional_rules condition against the current form
+ * @param {Object} condition - Condition object (a rule entry, or a nested condition)
+ * @param {string} fieldPath - Field tested by operators without their own "field"
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, fieldPath) {
+  if (!condition || typeof condition !== 'object') return false;
+
+  const path = typeof condition.field === 'string' ? condition.field : fieldPath;
+  const results = [];
+
+  if ('all' in condition) {
+    results.push(Array.isArray(condition.all) && condition.all.every(sub => evaluateCondition(sub, path)));
+  }
+  if ('any' in condition) {
+    results.push(Array.isArray(condition.any) && condition.any.some(sub => evaluateCondition(sub, path)));
+  }
+  if ('not' in condition) {
+    results.push(!evaluateCondition(condition.not, path));
+  }
+
+  const operators = Object.keys(condition).filter(key => Object.prototype.hasOwnProperty.call(CONDITION_OPERATORS, key));
+  if (operators.length > 0) {
+    const current = getFieldValue(path);
+    operators.forEach(operator => results.push(CONDITION_OPERATORS[operator](current, condition[operator])));
+  }
+
+  // A condition without any test never fires
+  return results.length > 0 && results.every(Boolean);
+}
+
+/**
+ * NEW: Fields a condition depends on (for the "Auto-disabled" indicator)
+ * @param {Object} condition
+ * @param {string} fieldPath - Field of operators without their own "field"
+ * @param {Set<string>} [fields] - Accumulator
+ * @returns {Set<string>}
+ */
+function getConditionFields(condition, fieldPath, fields = new Set()) {
+  if (!condition || typeof condition !== 'object') return fields;
+
+  const path = typeof condition.field === 'string' ? condition.field : fieldPath;
+  if (Object.keys(condition).some(key => Object.prototype.hasOwnProperty.call(CONDITION_OPERATORS, key))) {
+    fields.add(path);
+  }
+  [...(Array.isArray(condition.all) ? condition.all : []),
+   ...(Array.isArray(condition.any) ? condition.any : []),
+   ...(condition.not ? [condition.not] : [])].forEach(sub => getConditionFields(sub, path, fields));
+  return fields;
+}
+
+/**
+ * Empty for conditions: null-like values and multi-selects with nothing checked
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+  return Array.isArray(value) ? value.length === 0 : isNullLike(value);
+}
+
+/**
+ * Values as trimmed strings (options store values as strings)
+ * @param {*} value - Single value or array (multi-select / checkbox list)
+ * @returns {string[]}
+ */
+function toValueList(value) {
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim());
+}
+
+/**
+ * Compares a field value with a limit: numerically when both are numbers,
+ * otherwise as text (ISO dates compare correctly as text)
+ * @returns {number|null} <0, 0, >0, or null when the field is empty
+ */
+function compareValues(current, limit) {
+  if (isEmptyValue(current) || Array.isArray(current) || limit === null || limit === undefined) return null;
+
+  const a = Number(current);
+  const b = Number(limit);
+  if (String(current).trim() !== '' && String(limit).trim() !== '' && Number.isFinite(a) && Number.isFinite(b)) {
+    return a - b;
+  }
+  const textA = String(current).trim();
+  const textB = String(limit).trim();
+  return textA === textB ? 0 : (textA < textB ? -1 : 1);
+}
+
+/**
+ * Compiles a "matches" pattern once; invalid patterns are reported and never match
+ * @param {string} pattern
+ * @returns {RegExp|null}
+ */
+function getConditionRegex(pattern) {
+  if (!conditionRegexCache.has(pattern)) {
+    try {
+      conditionRegexCache.set(pattern, new RegExp(pattern));
+    } catch (error) {
+      console.warn(`⚠️ conditional_rules: invalid "matches" pattern ${pattern}: ${error.message}`);
+      conditionRegexCache.set(pattern, null);
+    }
+  }
+  return conditionRegexCache.get(pattern);
 }
 
 /**
@@ -115,37 +544,37 @@ function applyConditionalRules() {
  */
 function getFieldValue(fieldPath) {
   // Select dropdown - returns value attribute
-  let input = document.querySelector(`select[data-path="${fieldPath}"]`);
+  let input = document.querySelector(`select[data-path="${CSS.escape(fieldPath)}"]`);
   if (input) return input.value;
   
   // Text/email - returns value
-  input = document.querySelector(`input[type="text"][data-path="${fieldPath}"], input[type="email"][data-path="${fieldPath}"]`);
+  input = document.querySelector(`input[type="text"][data-path="${CSS.escape(fieldPath)}"], input[type="email"][data-path="${CSS.escape(fieldPath)}"]`);
   if (input) return input.value;
   
   // Number/slider - returns value
-  input = document.querySelector(`input[type="number"][data-path="${fieldPath}"], input[type="range"][data-path="${fieldPath}"]`);
+  input = document.querySelector(`input[type="number"][data-path="${CSS.escape(fieldPath)}"], input[type="range"][data-path="${CSS.escape(fieldPath)}"]`);
   if (input) return input.value ? Number(input.value) : null;
   
   // Date/datetime/time - returns value
-  input = document.querySelector(`input[type="date"][data-path="${fieldPath}"], input[type="datetime-local"][data-path="${fieldPath}"], input[type="time"][data-path="${fieldPath}"]`);
+  input = document.querySelector(`input[type="date"][data-path="${CSS.escape(fieldPath)}"], input[type="datetime-local"][data-path="${CSS.escape(fieldPath)}"], input[type="time"][data-path="${CSS.escape(fieldPath)}"]`);
   if (input) return input.value;
   
   // Radio buttons - returns value attribute
-  input = document.querySelector(`input[type="radio"][data-path="${fieldPath}"]:checked`);
+  input = document.querySelector(`input[type="radio"][data-path="${CSS.escape(fieldPath)}"]:checked`);
   if (input) return input.value;
   
   // Boolean checkbox - returns boolean
-  input = document.querySelector(`input[type="checkbox"][data-path="${fieldPath}"]:not(.multi-select-checkbox):not(.checkbox-input)`);
+  input = document.querySelector(`input[type="checkbox"][data-path="${CSS.escape(fieldPath)}"]:not(.multi-select-checkbox):not(.checkbox-input)`);
   if (input) return input.checked;
   
   // Checkbox list - returns array of values
-  const checkboxInputs = document.querySelectorAll(`[data-path="${fieldPath}"].checkbox-input:checked`);
+  const checkboxInputs = document.querySelectorAll(`[data-path="${CSS.escape(fieldPath)}"].checkbox-input:checked`);
   if (checkboxInputs.length > 0) {
     return Array.from(checkboxInputs).map(cb => cb.value);
   }
   
   // Multi-select dropdown - returns array of values
-  const multiCheckboxes = document.querySelectorAll(`[data-path="${fieldPath}"].multi-select-checkbox:checked`);
+  const multiCheckboxes = document.querySelectorAll(`[data-path="${CSS.escape(fieldPath)}"].multi-select-checkbox:checked`);
   if (multiCheckboxes.length > 0) {
     return Array.from(multiCheckboxes).map(cb => cb.value);
   }
@@ -238,7 +667,7 @@ function setDisabledFieldValue(fieldPath, fieldGroup) {
   const { value: defaultValue, label: defaultLabel } = getDisabledDefault(fieldPath);
 
   // ── Single-select dropdown ──────────────────────────────────────────────────
-  const selectInput = fieldGroup.querySelector(`select[data-path="${fieldPath}"]`);
+  const selectInput = fieldGroup.querySelector(`select[data-path="${CSS.escape(fieldPath)}"]`);
   if (selectInput) {
     // Look for the disable_values <option> by its stored VALUE attribute.
     const disabledOpt = Array.from(selectInput.options)
@@ -265,21 +694,21 @@ function setDisabledFieldValue(fieldPath, fieldGroup) {
   // ── Text input ──────────────────────────────────────────────────────────────
   // Plain text inputs store and display the same string; use the label for
   // human-readable display (falls back to value when they are the same).
-  const textInput = fieldGroup.querySelector(`input[type="text"][data-path="${fieldPath}"], input[type="email"][data-path="${fieldPath}"]`);
+  const textInput = fieldGroup.querySelector(`input[type="text"][data-path="${CSS.escape(fieldPath)}"], input[type="email"][data-path="${CSS.escape(fieldPath)}"]`);
   if (textInput) {
     textInput.value = defaultLabel ?? defaultValue;
     return;
   }
 
   // ── Number input ────────────────────────────────────────────────────────────
-  const numberInput = fieldGroup.querySelector(`input[type="number"][data-path="${fieldPath}"]`);
+  const numberInput = fieldGroup.querySelector(`input[type="number"][data-path="${CSS.escape(fieldPath)}"]`);
   if (numberInput) {
     numberInput.value = defaultValue;
     return;
   }
 
   // ── Date input ──────────────────────────────────────────────────────────────
-  const dateInput = fieldGroup.querySelector(`input[type="date"][data-path="${fieldPath}"]`);
+  const dateInput = fieldGroup.querySelector(`input[type="date"][data-path="${CSS.escape(fieldPath)}"]`);
   if (dateInput) {
     dateInput.value = defaultValue;
     return;
@@ -291,12 +720,12 @@ function setDisabledFieldValue(fieldPath, fieldGroup) {
     const dropdownId = multiSelectContainer.id;
 
     // Deselect all checkboxes.
-    const allCheckboxes = multiSelectContainer.querySelectorAll(`[data-path="${fieldPath}"].multi-select-checkbox`);
+    const allCheckboxes = multiSelectContainer.querySelectorAll(`[data-path="${CSS.escape(fieldPath)}"].multi-select-checkbox`);
     allCheckboxes.forEach(cb => cb.checked = false);
 
     // Find the disable_values checkbox by its stored VALUE attribute.
     let disabledOptCb = multiSelectContainer.querySelector(
-      `[data-path="${fieldPath}"][data-disable-option="true"][value="${defaultValue}"]`
+      `[data-path="${CSS.escape(fieldPath)}"][data-disable-option="true"][value="${defaultValue}"]`
     );
     if (!disabledOptCb) {
       // Fallback: create a temporary checkbox entry.
@@ -331,12 +760,12 @@ function setDisabledFieldValue(fieldPath, fieldGroup) {
   const checkboxContainer = fieldGroup.querySelector('.checkbox-container');
   if (checkboxContainer) {
     // Deselect all checkboxes.
-    const allCheckboxes = checkboxContainer.querySelectorAll(`[data-path="${fieldPath}"].checkbox-input`);
+    const allCheckboxes = checkboxContainer.querySelectorAll(`[data-path="${CSS.escape(fieldPath)}"].checkbox-input`);
     allCheckboxes.forEach(cb => cb.checked = false);
 
     // Find the disable_values checkbox by its stored VALUE attribute.
     let disabledOptCb = checkboxContainer.querySelector(
-      `[data-path="${fieldPath}"][data-disable-option="true"][value="${defaultValue}"]`
+      `[data-path="${CSS.escape(fieldPath)}"][data-disable-option="true"][value="${defaultValue}"]`
     );
     if (!disabledOptCb) {
       // Fallback: create a temporary checkbox entry.
@@ -366,12 +795,12 @@ function setDisabledFieldValue(fieldPath, fieldGroup) {
   const radioContainer = fieldGroup.querySelector('.radio-container');
   if (radioContainer) {
     // Deselect all radio buttons.
-    const allRadios = radioContainer.querySelectorAll(`[data-path="${fieldPath}"].radio-input`);
+    const allRadios = radioContainer.querySelectorAll(`[data-path="${CSS.escape(fieldPath)}"].radio-input`);
     allRadios.forEach(rb => rb.checked = false);
 
     // Find the disable_values radio by its stored VALUE attribute.
     let disabledOptRb = radioContainer.querySelector(
-      `[data-path="${fieldPath}"][data-disable-option="true"][value="${defaultValue}"]`
+      `[data-path="${CSS.escape(fieldPath)}"][data-disable-option="true"][value="${defaultValue}"]`
     );
     if (!disabledOptRb) {
       // Fallback: create a temporary radio entry.
@@ -411,7 +840,7 @@ function setDisabledFieldValue(fieldPath, fieldGroup) {
  */
 function enableFieldValue(fieldPath, fieldGroup) {
   // ── Single-select dropdown ──────────────────────────────────────────────────
-  const selectInput = fieldGroup.querySelector(`select[data-path="${fieldPath}"]`);
+  const selectInput = fieldGroup.querySelector(`select[data-path="${CSS.escape(fieldPath)}"]`);
   if (selectInput) {
     // Reset to blank — schema-defined disable_values stay in DOM but become unselected.
     selectInput.value = '';
@@ -426,7 +855,7 @@ function enableFieldValue(fieldPath, fieldGroup) {
   const multiSelectContainer = fieldGroup.querySelector('.multi-select-container');
   if (multiSelectContainer) {
     const dropdownId = multiSelectContainer.id;
-    const allCheckboxes = multiSelectContainer.querySelectorAll(`[data-path="${fieldPath}"].multi-select-checkbox`);
+    const allCheckboxes = multiSelectContainer.querySelectorAll(`[data-path="${CSS.escape(fieldPath)}"].multi-select-checkbox`);
     allCheckboxes.forEach(cb => {
       cb.checked = false;
       if (cb.dataset.disableOption) cb.disabled = true;  // Re-lock schema disable_values.
@@ -442,7 +871,7 @@ function enableFieldValue(fieldPath, fieldGroup) {
   // ── Checkbox list ───────────────────────────────────────────────────────────
   const checkboxContainer = fieldGroup.querySelector('.checkbox-container');
   if (checkboxContainer) {
-    const allCheckboxes = checkboxContainer.querySelectorAll(`[data-path="${fieldPath}"].checkbox-input`);
+    const allCheckboxes = checkboxContainer.querySelectorAll(`[data-path="${CSS.escape(fieldPath)}"].checkbox-input`);
     allCheckboxes.forEach(cb => {
       cb.checked = false;
       if (cb.dataset.disableOption) cb.disabled = true;  // Re-lock schema disable_values.
@@ -457,7 +886,7 @@ function enableFieldValue(fieldPath, fieldGroup) {
   // ── Radio button list ───────────────────────────────────────────────────────
   const radioContainer = fieldGroup.querySelector('.radio-container');
   if (radioContainer) {
-    const allRadios = radioContainer.querySelectorAll(`[data-path="${fieldPath}"].radio-input`);
+    const allRadios = radioContainer.querySelectorAll(`[data-path="${CSS.escape(fieldPath)}"].radio-input`);
     allRadios.forEach(rb => {
       rb.checked = false;
       if (rb.dataset.disableOption) rb.disabled = true;  // Re-lock schema disable_values.
@@ -472,30 +901,241 @@ function enableFieldValue(fieldPath, fieldGroup) {
   // Text, number, date inputs have no disable_values — nothing to reset.
 }
 
+// ==================== DEPENDENT VALUES ====================
+
+/** NEW: Joins the trigger paths of a combination key ("country|state") and its values ("US|CA") */
+const DEPENDENT_KEY_SEPARATOR = '|';
+
+/** NEW: Part of a combination key that matches any value of its trigger */
+const DEPENDENT_WILDCARD = '*';
+
+/**
+ * NEW: Builds the rule of a field with dependent_values. Every entry of
+ * dependent_values is a group keyed by one trigger path, or by several joined
+ * with "|" whose option lists are keyed by value combinations.
+ *
+ * @param {string} field - Dependent field path
+ * @param {Object} config - Its options file entry
+ * @returns {Object} { affected, groups: [{ triggers, optionsMap }], triggers, defaultValues, ... }
+ */
+function createDependentRule(field, config) {
+  const groups = Object.entries(config.dependent_values)
+    .filter(([key, optionsMap]) => !key.startsWith('_') && optionsMap && typeof optionsMap === 'object')
+    .map(([key, optionsMap]) => ({ triggers: splitDependentKey(key), optionsMap }));
+
+  return {
+    affected: field,
+    groups,
+    triggers: getDependentTriggers(config.dependent_values),
+    defaultValues: config.values || [],
+    responseType: config.response_type || 'single-select',
+    inputControl: config.input_control || 'drop-down',
+    disable_values: config.disable_values || [],
+    exclusive_values: config.exclusive_values || []
+  };
+}
+
+/**
+ * @param {string} key - "a.country|a.state" or "US|CA"
+ * @returns {string[]}
+ */
+function splitDependentKey(key) {
+  return key.split(DEPENDENT_KEY_SEPARATOR).map(part => part.trim());
+}
+
+/**
+ * NEW: Every trigger path of a dependent_values object
+ * @param {Object} dependentValues
+ * @returns {string[]}
+ */
+function getDependentTriggers(dependentValues) {
+  return [...new Set(Object.keys(dependentValues || {})
+    .filter(key => !key.startsWith('_'))
+    .flatMap(splitDependentKey))];
+}
+
+/**
+ * NEW: Builds state.triggersToAffected ({ triggerPath: [rules] }) from an
+ * options file. A field with several triggers shares one rule object that
+ * is listed under each of them.
+ * FIXED: Also forgets the computed fields reported as broken, so a new
+ * options file reports its own errors
+ *
+ * @param {Object} options - Resolved options file
+ * @returns {Object}
+ */
+function buildTriggersToAffected(options) {
+  const triggersToAffected = {};
+  reportedComputedErrors.clear();
+
+  Object.entries(options || {}).forEach(([field, config]) => {
+    if (field.startsWith('_') || !config?.dependent_values || typeof config.dependent_values !== 'object') return;
+
+    const rule = createDependentRule(field, config);
+    rule.triggers.forEach(trigger => {
+      triggersToAffected[trigger] = triggersToAffected[trigger] || [];
+      triggersToAffected[trigger].push(rule);
+    });
+  });
+
+  return triggersToAffected;
+}
+
+/**
+ * NEW: All dependent field rules, ordered so that a field comes after the
+ * dependent fields that trigger it (country → state → city). Rules caught in
+ * a dependency cycle are appended in options file order.
+ *
+ * @returns {Object[]}
+ */
+function getDependentRulesInOrder() {
+  const rules = [...new Set(Object.values(state.triggersToAffected || {}).flat())];
+  const dependentFields = new Set(rules.map(rule => rule.affected));
+  const placed = new Set();
+  const ordered = [];
+  let remaining = rules;
+
+  while (remaining.length) {
+    const ready = remaining.filter(rule => rule.triggers.every(trigger =>
+      trigger === rule.affected || !dependentFields.has(trigger) || placed.has(trigger)));
+
+    if (ready.length === 0) {
+      console.warn(`⚠️ dependent_values form a cycle between: ${remaining.map(rule => rule.affected).join(', ')}`);
+      ordered.push(...remaining);
+      break;
+    }
+
+    ready.forEach(rule => {
+      ordered.push(rule);
+      placed.add(rule.affected);
+    });
+    remaining = remaining.filter(rule => !placed.has(rule.affected));
+  }
+
+  return ordered;
+}
+
+/**
+ * NEW: The dependent field rule of a field, if it has one
+ * @param {string} fieldPath
+ * @returns {Object|undefined}
+ */
+function findDependentRule(fieldPath) {
+  return Object.values(state.triggersToAffected || {}).flat().find(rule => rule.affected === fieldPath);
+}
+
+/**
+ * NEW: Picks the option list for the current trigger values. Within a group
+ * the best matching key wins, exact values on earlier triggers counting more
+ * than on later ones ("US|CA", then "US|*", then "*|CA", then "*|*"). Groups
+ * are tried in order; without any match the field's "values" apply.
+ *
+ * @param {Object} rule - Dependent field rule
+ * @param {function(string): *} getValue - Trigger path → current value
+ * @returns {{ key: string|null, config: * }} config is undefined when nothing matched
+ */
+function resolveDependentOptions(rule, getValue) {
+  for (const group of rule.groups) {
+    const values = group.triggers.map(getValue);
+    let bestKey = null;
+    let bestScore = -1;
+
+    Object.keys(group.optionsMap).forEach(key => {
+      // Single-trigger keys are plain values and may contain "|"
+      const parts = group.triggers.length === 1 ? [key] : splitDependentKey(key);
+      if (parts.length !== values.length) return;
+
+      let score = 0;
+      for (let i = 0; i < parts.length; i++) {
+        if (parts[i] === DEPENDENT_WILDCARD) continue;
+        if (!matchesTriggerValue(values[i], parts[i])) return;
+        score += 2 ** (parts.length - 1 - i);
+      }
+
+      if (score > bestScore) {
+        bestKey = key;
+        bestScore = score;
+      }
+    });
+
+    if (bestKey !== null) return { key: bestKey, config: group.optionsMap[bestKey] };
+  }
+
+  return { key: null, config: undefined };
+}
+
+/**
+ * NEW: True if a trigger value equals a key part (any selected item of a
+ * multi-select trigger counts)
+ * @param {*} value
+ * @param {string} part
+ * @returns {boolean}
+ */
+function matchesTriggerValue(value, part) {
+  if (Array.isArray(value)) return value.some(item => String(item) === part);
+  return !isEmptyValue(value) && String(value) === part;
+}
+
+/**
+ * NEW: Re-resolves the options of every field downstream of a changed trigger,
+ * in dependency order so each level sees the reset of the level above.
+ * Values are cleared on the way unless a data file is being populated.
+ *
+ * @param {string} changedPath - Trigger field that changed
+ */
+function refreshDependentFields(changedPath) {
+  const downstream = new Set();
+  const queue = [changedPath];
+
+  while (queue.length) {
+    (state.triggersToAffected[queue.shift()] || []).forEach(rule => {
+      if (rule.affected === changedPath || downstream.has(rule.affected)) return;
+      downstream.add(rule.affected);
+      queue.push(rule.affected);
+    });
+  }
+
+  getDependentRulesInOrder()
+    .filter(rule => downstream.has(rule.affected))
+    .forEach(rule => {
+      const affectedEl = findDependentFieldElement(rule.affected);
+      if (!affectedEl) return;
+
+      console.log(`    ↳ Updating dependent field: ${rule.affected}`);
+      if (!window.isPopulating) {
+        resetFieldValue(rule.affected);
+      }
+      updateFieldOptions(rule.affected, null, affectedEl, rule, null);
+    });
+}
+
 /**
  * ENHANCED: Update options for a dependent field with input_control override support
  * Now supports overriding both input_control and response_type per dependency value
+ * UPDATED: Resolves the options from all triggers of the rule
  *
  * @param {string} pathStr - Field path
- * @param {string} depValue - Current value of dependency field
+ * @param {Object|null} triggerValues - { triggerPath: value } to resolve with (e.g. from a
+ *                                      data file), or null to read the triggers from the form
  * @param {HTMLElement} element - DOM element (select, container, etc)
- * @param {Object} rule - Rule configuration with optionsMap, defaultValues, etc
+ * @param {Object} rule - Dependent field rule (see createDependentRule)
  * @param {Array} explicitValues - Optional explicit values to use (for initialization)
  */
-function updateFieldOptions(pathStr, depValue, element, rule, explicitValues = null) {
-  console.log(`🔄 Updating ${pathStr} based on dependency value: "${depValue}"`);
-  
+function updateFieldOptions(pathStr, triggerValues, element, rule, explicitValues = null) {
   // ✅ PHASE 2: Extract configuration with potential overrides
   let rawValues, inputControl, responseType;
   
+  const { key, config: depConfig } = explicitValues !== null
+    ? { key: null, config: undefined }
+    : resolveDependentOptions(rule, trigger => (triggerValues ? triggerValues[trigger] : getFieldValue(trigger)));
+  console.log(`🔄 Updating ${pathStr} based on ${rule.triggers.join(', ')}: "${key ?? '(default)'}"`);
+  
   if (explicitValues !== null) {
     // Explicit values provided (initialization case)
     rawValues = explicitValues;
     inputControl = rule.inputControl || 'drop-down';
     responseType = rule.responseType || 'single-select';
-  } else if (depValue && rule.optionsMap[depValue]) {
-    const depConfig = rule.optionsMap[depValue];
-    
+  } else if (depConfig) {
     // ✅ Check if depConfig is an object with overrides or just an array
     if (typeof depConfig === 'object' && !Array.isArray(depConfig) && depConfig.values) {
       // Object format with overrides
@@ -575,7 +1215,7 @@ function updateFieldOptions(pathStr, depValue, element, rule, explicitValues = n
  * Works with values (not labels)
  */
 function resetFieldValue(pathStr) {
-  const el = document.querySelector(`select[data-path="${pathStr}"][data-dependent="true"]`) ||
+  const el = document.querySelector(`select[data-path="${CSS.escape(pathStr)}"][data-dependent="true"]`) ||
     document.querySelector(`.multi-select-container[data-dependent="true"][id^="multiselect_${pathStr.replace(/\./g, '_')}"]`);
   if (!el) return;
 
@@ -691,84 +1331,36 @@ function revalidateAndSetInvalid(el, pathStr) {
 /**
  * UPDATED: Initialize dependent fields with default values on form load
  * Properly handles value/label pairs
+ * UPDATED: Goes through the fields in dependency order, resolving all their triggers
  */
 function initializeDependentFields() {
   console.log('🔄 Initializing dependent fields with default values...');
   
-  Object.entries(state.customOptions).forEach(([fieldPath, config]) => {
-    if (config.dependent_values && typeof config.dependent_values === 'object') {
-      const depField = Object.keys(config.dependent_values)[0];
-      const depFieldValue = getFieldValue(depField); // Gets VALUE (not label)
-      
-      console.log(`  Checking dependent field: ${fieldPath}`);
-      console.log(`    Depends on: ${depField} = ${depFieldValue}`);
-      
-      // Try to find the element (might not exist yet in tab-based forms)
-      const element = findDependentFieldElement(fieldPath);
-      
-      if (!element) {
-        console.log(`    ⏸️ Element not rendered yet (tab-based form) - will initialize on tab switch`);
-        // Store the initialization data for later use when tab is rendered
-        if (!state.pendingDependentInits) {
-          state.pendingDependentInits = {};
-        }
-        state.pendingDependentInits[fieldPath] = {
-          depField,
-          config,
-          depFieldValue
-        };
-        return;
+  getDependentRulesInOrder().forEach(rule => {
+    const fieldPath = rule.affected;
+    console.log(`  Checking dependent field: ${fieldPath}`);
+    console.log(`    Depends on: ${rule.triggers.join(', ')}`);
+    
+    // Try to find the element (might not exist yet in tab-based forms)
+    const element = findDependentFieldElement(fieldPath);
+    
+    if (!element) {
+      console.log(`    ⏸️ Element not rendered yet (tab-based form) - will initialize on tab switch`);
+      // Store the rule for later use when tab is rendered
+      if (!state.pendingDependentInits) {
+        state.pendingDependentInits = {};
       }
-      
-      // Element exists, initialize it now
-      initializeSingleDependentField(fieldPath, depField, depFieldValue, config, element);
+      state.pendingDependentInits[fieldPath] = { rule };
+      return;
     }
+    
+    // Element exists, initialize it now
+    updateFieldOptions(fieldPath, null, element, rule, null);
   });
   
   console.log('✅ Dependent fields initialized');
 }
 
-/**
- * NEW: Initialize a single dependent field
- * Extracted for reuse when tabs are switched
- * UPDATED: Properly handles value/label pairs
- * ENHANCED: Initialize a single dependent field with inputControl support
- */
-function initializeSingleDependentField(fieldPath, depField, depFieldValue, config, element) {
-  let valuesToUse;
-  
-  // Get values based on current dependency value
-  if (depFieldValue && config.dependent_values[depFieldValue]) {
-    const depConfig = config.dependent_values[depFieldValue];
-    
-    // ✅ Handle both object and array formats
-    if (typeof depConfig === 'object' && !Array.isArray(depConfig) && depConfig.values) {
-      valuesToUse = depConfig.values;
-      console.log(`    ✅ Using values with overrides for: "${depFieldValue}"`);
-    } else {
-      valuesToUse = Array.isArray(depConfig) ? depConfig : [depConfig];
-      console.log(`    ✅ Using values for dependency value: "${depFieldValue}"`);
-    }
-  } else {
-    valuesToUse = config.values || [];
-    console.log(`    ℹ️ Using default values (dependency value not matched or empty)`);
-  }
-  
-  // Create rule object with inputControl
-  const rule = {
-    affected: fieldPath,
-    optionsMap: config.dependent_values,
-    defaultValues: config.values || [],
-    responseType: config.response_type || 'single-select',
-    inputControl: config.input_control || 'drop-down', // ✅ ADD THIS LINE
-    disable_values: config.disable_values || [],
-    exclusive_values: config.exclusive_values || []
-  };
-  
-  // Update field options (will handle overrides automatically)
-  updateFieldOptions(fieldPath, depFieldValue || null, element, rule, valuesToUse);
-}
-
 /**
  * NEW: Initialize pending dependent fields after tab content is rendered
  * Call this after rendering tab content
@@ -782,23 +1374,21 @@ function initializePendingDependentFields() {
   
   const stillPending = {};
   
-  Object.entries(state.pendingDependentInits).forEach(([fieldPath, initData]) => {
-    const element = findDependentFieldElement(fieldPath);
-    
-    if (element) {
-      console.log(`  ✓ Initializing ${fieldPath}`);
-      initializeSingleDependentField(
-        fieldPath,
-        initData.depField,
-        initData.depFieldValue,
-        initData.config,
-        element
-      );
-    } else {
-      // Still not rendered, keep it pending
-      stillPending[fieldPath] = initData;
-    }
-  });
+  // Dependency order, so a field sees the options of the field triggering it
+  getDependentRulesInOrder()
+    .filter(rule => state.pendingDependentInits[rule.affected])
+    .forEach(rule => {
+      const fieldPath = rule.affected;
+      const element = findDependentFieldElement(fieldPath);
+      
+      if (element) {
+        console.log(`  ✓ Initializing ${fieldPath}`);
+        updateFieldOptions(fieldPath, null, element, rule, null);
+      } else {
+        // Still not rendered, keep it pending
+        stillPending[fieldPath] = state.pendingDependentInits[fieldPath];
+      }
+    });
   
   // Update pending list
   state.pendingDependentInits = stillPending;
@@ -810,7 +1400,7 @@ function initializePendingDependentFields() {
  * Find the DOM element for a dependent field
  */
 function findDependentFieldElement(fieldPath) {
-  let element = document.querySelector(`select[data-path="${fieldPath}"][data-dependent="true"]`);
+  let element = document.querySelector(`select[data-path="${CSS.escape(fieldPath)}"][data-dependent="true"]`);
   if (element) return element;
   
   const escapedPath = fieldPath.replace(/\./g, '_');
@@ -866,11 +1456,11 @@ function getFieldTypeFromSchema(fieldPath) {
     if (prop.$ref) {
       const resolved = resolveRef(prop.$ref, state.currentSchema);
       if (i === keys.length - 1) {
-        return resolved.type || 'string';
+        return getPrimaryType(resolved, state.currentSchema) || 'string';
       }
       current = resolved.properties;
     } else if (i === keys.length - 1) {
-      return prop.type || 'string';
+      return getPrimaryType(prop, state.currentSchema) || 'string';
     } else {
       current = prop.properties;
     }
@@ -889,30 +1479,20 @@ function attachEventListeners() {
         updateState({
           formData: collectFormData()
         });
+
+        // NEW: Computed fields follow the fields they use
+        updateComputedFields(state.formData);
+
+        // NEW: Re-render fields whose schema if/then/else outcome flipped
+        refreshConditionalFields();
+
         setTimeout(() => applyConditionalRules(), 100);
         
-        // Handle dependency updates on change
+        // Handle dependency updates on change (UPDATED: cascades down multi-level chains)
         const changedPath = e.target.dataset.path;
         if (changedPath && state.triggersToAffected[changedPath]) {  
-          const newValue = getFieldValue(changedPath); // Gets VALUE (not label)
-          console.log(`  🔗 Trigger field changed: ${changedPath} = "${newValue}"`);
-          
-          state.triggersToAffected[changedPath].forEach(rule => { 
-            const affected = rule.affected;
-            const affectedEl = findDependentFieldElement(affected);
-            
-            if (affectedEl) {
-              console.log(`    ↳ Updating dependent field: ${affected}`);
-              
-              if (!window.isPopulating) {
-                resetFieldValue(affected);
-              }
-              
-              // UPDATED: Pass null for explicitValues to use rule logic
-              // updateFieldOptions will call expandRangeValues internally
-              updateFieldOptions(affected, newValue, affectedEl, rule, null);
-            }
-          });
+          console.log(`  🔗 Trigger field changed: ${changedPath} = "${getFieldValue(changedPath)}"`);
+          refreshDependentFields(changedPath);
         }
       });
       input.dataset.listenerAttached = 'true';
@@ -931,13 +1511,21 @@ function attachEventListeners() {
   // Initialize any pending dependent fields that are now rendered
   initializePendingDependentFields();
   
-  setTimeout(() => applyConditionalRules(), 200);
+  setTimeout(() => {
+    updateComputedFields(collectFormData());
+    applyConditionalRules();
+  }, 200);
 }
 
 export {
   applyConditionalRules,
+  computeFieldValues,
   getFieldValue,
   attachEventListeners,
+  buildTriggersToAffected,
+  findDependentRule,
+  getDependentRulesInOrder,
+  getDependentTriggers,
   initializeDependentFields,
   initializePendingDependentFields,
   revalidateAndSetInvalid,
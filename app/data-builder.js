@@ -6,11 +6,17 @@ import { showConfigModal, loadDataFromFile, resolveReferences } from './file-ope
 import { initSchemaPickerBanner } from './showConfigModal-enhanced.js';
 import { saveJsonWithDialog, exportJsonToClipboard, addTooltip, ashAlert, ashConfirm, escapeHtml } from './utils.js';
 import { renderForm, renderAllTabs, updateFileStatusDisplay } from './form-renderer.js';
-import { updateMultiSelectDisplay} from './input-control.js'
-import { validateAndShowSummary, clearAllValidationErrors } from './input-validation.js';
+import { updateMultiSelectDisplay, encodeFileAttachment } from './input-control.js'
+import { validateAndShowSummary, clearAllValidationErrors, getLastValidationResult,
+         buildWarningsReport } from './input-validation.js';
 import { getLastSchemaFile, getLastOptionsFile, createFileFromData } from './storage-manager.js';
 import { getCurrentUser, setCurrentUser } from './schema-registry.js';
+import { getEffectiveSchema, getDataAtPath, mergeAllOf, isMapSchema, getMapValueSchema,
+         isTupleSchema, getTuplePositionSchema, getPrimaryType } from './schema-manager.js';
 import { initProfileManager, attachProfileButton } from './profile-manager.js';
+import { showValidationReportModal } from './validation-report.js';
+import { showOptionsEditor } from './options-editor.js';
+import { computeFieldValues } from './conditional-rules.js';
 
 // Initialize on page load
 console.log('JSON Data Builder Loaded - Version 3.15.1`');
@@ -33,6 +39,19 @@ const viewBtn = document.getElementById('viewBtn');
 viewBtn.addEventListener('click', showViewModal);
 addTooltip(viewBtn, 'View current form data.');
 
+// NEW: Validation report (JSON / CSV / HTML) for QA review
+const reportBtn = document.getElementById('reportBtn');
+reportBtn.addEventListener('click', () => {
+  renderAllTabs(); // Ensure all tabs are rendered before collecting data
+  showValidationReportModal(collectFormData());
+});
+addTooltip(reportBtn, 'Export the validation result as JSON, CSV or HTML.');
+
+// NEW: Visual options file editor, previewed live in the form
+const optionsBtn = document.getElementById('optionsBtn');
+optionsBtn.addEventListener('click', showOptionsEditor);
+addTooltip(optionsBtn, 'Edit the options file for this schema.');
+
 const hamburgerBtn = document.getElementById('hamburgerBtn');
 const headerNav = document.querySelector('.header-nav');
 
@@ -79,8 +98,23 @@ document.getElementById('saveBtn').addEventListener('click', async () => {
       }
     }
     
-    await saveJsonWithDialog(data, state.dataFilename, state.dataFilePath);
+    const saved = await saveJsonWithDialog(data, state.dataFilename, state.dataFilePath);
+    if (!saved) return;
     console.log('✅ Data saved successfully');
+
+    // NEW: Warnings do not block saving; they can go to a sidecar report
+    const validation = getLastValidationResult();
+    if (validation && validation.warningDetails.length > 0) {
+      const saveReport = await ashConfirm(
+        `ℹ️ The saved data has ${Object.keys(validation.warnings).length} field(s) with warnings.\n\n` +
+        'Do you want to save a warnings report next to the data file?'
+      );
+
+      if (saveReport) {
+        const baseName = (state.dataFilename || 'form-data.json').replace(/\.json$/i, '');
+        await saveJsonWithDialog(buildWarningsReport(validation), `${baseName}.warnings.json`, state.dataFilePath);
+      }
+    }
     
   } catch (error) {
     console.error('Error saving data:', error);
@@ -185,6 +219,11 @@ function setNestedValue(obj, path, value) {
     
     if (!isNaN(nextKey)) {
       if (!current[key]) current[key] = [];
+      // Index is the last segment (tuple elements): store the value itself
+      if (i + 1 === keys.length - 1) {
+        current[key][nextKey] = value;
+        return;
+      }
       if (!current[key][nextKey]) current[key][nextKey] = {};
       current = current[key][nextKey];
       i++;
@@ -206,14 +245,14 @@ window.handleMultiSelectChange = function(event, path, dropdownId) {
   const exclusiveOptions = state.exclusiveOptionsMap[path] || [];
   
   if (exclusiveOptions.includes(changedValue) && isChecked) {
-    const allCheckboxes = document.querySelectorAll(`[data-path="${path}"].multi-select-checkbox, #${path}_na`);
+    const allCheckboxes = document.querySelectorAll(`[data-path="${CSS.escape(path)}"].multi-select-checkbox, #${CSS.escape(`${path}_na`)}`);
     allCheckboxes.forEach(cb => {
       if (cb !== changedCheckbox) {
         cb.checked = false;
       }
     });
   } else if (changedCheckbox.checked) {
-    const allCheckboxes = document.querySelectorAll(`[data-path="${path}"].multi-select-checkbox, #${path}_na`);
+    const allCheckboxes = document.querySelectorAll(`[data-path="${CSS.escape(path)}"].multi-select-checkbox, #${CSS.escape(`${path}_na`)}`);
 
     allCheckboxes.forEach(cb => {
       if (exclusiveOptions.includes(cb.value)) {
@@ -228,7 +267,7 @@ window.handleMultiSelectChange = function(event, path, dropdownId) {
 window.handleNAChange = function(path, dropdownId) {
   const naCheckbox = document.getElementById(path + '_na');
   if (naCheckbox && naCheckbox.checked) {
-    const multiSelectCheckboxes = document.querySelectorAll(`[data-path="${path}"].multi-select-checkbox`);
+    const multiSelectCheckboxes = document.querySelectorAll(`[data-path="${CSS.escape(path)}"].multi-select-checkbox`);
     multiSelectCheckboxes.forEach(cb => cb.checked = false);
   }
   updateMultiSelectDisplay(dropdownId, path);
@@ -275,8 +314,8 @@ function collectFormData() {
     // Handle checkbox lists that use checkbox_ container pattern
     if (input.classList && input.classList.contains('checkbox-input')) {
       if (!processedPaths.has(path)) {
-        const checkboxes = document.querySelectorAll(`[data-path="${path}"].checkbox-input:checked`);
-        const naCheckbox = document.querySelector(`[data-path="${path}"].na-checkbox-input:checked`);
+        const checkboxes = document.querySelectorAll(`[data-path="${CSS.escape(path)}"].checkbox-input:checked`);
+        const naCheckbox = document.querySelector(`[data-path="${CSS.escape(path)}"].na-checkbox-input:checked`);
         
         if (naCheckbox) {
           setNestedValue(data, path, convertToSchemaType(path, naCheckbox.value, true));
@@ -302,7 +341,7 @@ function collectFormData() {
         if (naCheckbox && naCheckbox.checked) {
           setNestedValue(data, path, convertToSchemaType(path, naCheckbox.value, true));
         } else {
-          const checkboxes = document.querySelectorAll(`[data-path="${path}"].multi-select-checkbox:checked`);
+          const checkboxes = document.querySelectorAll(`[data-path="${CSS.escape(path)}"].multi-select-checkbox:checked`);
           if (checkboxes.length > 0) {
             const values = Array.from(checkboxes).map(cb => convertToSchemaType(path, cb.value, true));
             setNestedValue(data, path, values);
@@ -315,8 +354,8 @@ function collectFormData() {
     }
     else if (input.classList && input.classList.contains('radio-input')) {
       if (!processedPaths.has(path)) {
-        const selectedRadio = document.querySelector(`[data-path="${path}"].radio-input:checked`);
-        const naRadio = document.querySelector(`[data-path="${path}"].na-radio-input:checked`);
+        const selectedRadio = document.querySelector(`[data-path="${CSS.escape(path)}"].radio-input:checked`);
+        const naRadio = document.querySelector(`[data-path="${CSS.escape(path)}"].na-radio-input:checked`);
         
         if (naRadio) {
           setNestedValue(data, path, convertToSchemaType(path, naRadio.value, false));
@@ -328,6 +367,16 @@ function collectFormData() {
         processedPaths.add(path);
       }
     }
+    else if (input.classList && input.classList.contains('const-input')) {
+      // NEW: const fields always emit the schema value
+      setNestedValue(data, path, JSON.parse(input.dataset.const));
+      processedPaths.add(path);
+    }
+    else if (input.classList && input.classList.contains('file-data-input')) {
+      // NEW: File attachments keep their bytes on the control - encode to base64 here
+      setNestedValue(data, path, encodeFileAttachment(input));
+      processedPaths.add(path);
+    }
     else if (input.type === 'range') {
       const sliderValue = input.value ? Number(input.value) : null;
       setNestedValue(data, path, sliderValue);
@@ -361,9 +410,77 @@ function collectFormData() {
   // ✅ NEW: Handle polymorphic array items (nested structures)
   collectPolymorphicArrayData(data);
   
+  // NEW: Untouched tuples collect as [null, null, ...] — emit [] like other empty arrays
+  collectTupleData(data);
+  
+  // NEW: Deprecated fields are left out unless the loaded data already had them
+  document.querySelectorAll('.form-group[data-deprecated][data-field-path]').forEach(group => {
+    const keys = group.dataset.fieldPath.split('.');
+    if (state.loadedData && getDataAtPath(state.loadedData, keys) !== undefined) return;
+    deleteNestedValue(data, keys);
+  });
+  
+  // FIXED: Locked readOnly fields emit the value they were filled with, never
+  // what their controls hold (a fieldset unlocked by enable_fields is editable)
+  document.querySelectorAll('.form-group[data-read-only][data-field-path]').forEach(group => {
+    const fieldset = group.querySelector('.read-only-fieldset');
+    if (!fieldset || !fieldset.disabled || fieldset.closest('.form-group') !== group) return;
+    if (group.dataset.lockedValue !== undefined) {
+      setNestedValue(data, group.dataset.fieldPath, JSON.parse(group.dataset.lockedValue));
+    } else {
+      deleteNestedValue(data, group.dataset.fieldPath.split('.'));
+    }
+  });
+  
+  // NEW: Nullable fields marked "not applicable" are emitted as real null
+  // UPDATED: Runs after the readOnly values so a null object or array replaces
+  // everything inside it; toggles inside a null field are skipped
+  document.querySelectorAll('.null-toggle-input:checked').forEach(toggle => {
+    if (toggle.closest('.form-group')?.parentElement?.closest('.form-group.null-value')) return;
+    setNestedValue(data, toggle.dataset.nullFor, null);
+  });
+  
+  // NEW: Computed fields (options "computed") are evaluated from the collected values
+  computeFieldValues(data);
+  
+  // NEW: Fields hidden by conditional rules (hide_fields) are left out
+  Object.keys(state.conditionalHidden || {}).forEach(fieldPath => {
+    deleteNestedValue(data, fieldPath.split('.'));
+  });
+  
   return data;
 }
 
+/**
+ * NEW: Removes a property from nested data (no-op if the path does not exist)
+ * @param {Object} obj - Data object
+ * @param {string[]} keys - Path segments
+ */
+function deleteNestedValue(obj, keys) {
+  const parent = getDataAtPath(obj, keys.slice(0, -1));
+  if (parent && typeof parent === 'object' && !Array.isArray(parent)) {
+    delete parent[keys[keys.length - 1]];
+  }
+}
+
+/**
+ * NEW: Normalizes tuple arrays (prefixItems / array-form items). Each position
+ * has its own input (data-path="<tuple>.<index>"), so an empty tuple would
+ * otherwise be collected as an array of nulls.
+ * @param {Object} data - Collected form data (modified in place)
+ */
+function collectTupleData(data) {
+  document.querySelectorAll('.tuple-container[data-tuple-path]').forEach(container => {
+    const path = container.dataset.tuplePath;
+    const value = getDataAtPath(data, path.split('.'));
+    if (value === undefined) {
+      setNestedValue(data, path, []);
+    } else if (Array.isArray(value) && value.every(v => v === null || v === '')) {
+      setNestedValue(data, path, []);
+    }
+  });
+}
+
 // ==================== ABOUT MODAL =======================
 function showAboutModal() {
   const aboutModal = document.getElementById('about-modal');
@@ -793,9 +910,16 @@ function getFieldSchemaForPath(fieldPath) {
   
   console.log('  ✅ Starting point found');
   
+  // Position in the full key list (with indices) — used to read the data at
+  // each level so if/then/else branches are evaluated against live values.
+  // state.formData is used (not collectFormData) because collectFormData
+  // itself calls back into this function via convertToSchemaType.
+  let keyCursor = 0;
+  
   // Navigate through schema keys only
   for (let i = 0; i < schemaKeys.length; i++) {
     const key = schemaKeys[i];
+    keyCursor = keys.indexOf(key, keyCursor) + 1;
     console.log(`  📍 [${i}] Navigating: "${key}"`);
     
     if (!current || typeof current !== 'object') {
@@ -806,6 +930,11 @@ function getFieldSchemaForPath(fieldPath) {
     // Get property
     let prop = current[key];
     
+    // NEW: Undeclared key of a map object (additionalProperties / patternProperties)
+    if (!prop) {
+      prop = getMapValueSchemaForPath(keys.slice(0, keyCursor - 1), key);
+    }
+    
     if (!prop) {
       console.warn(`    ❌ Property "${key}" not found`);
       console.log(`    Available:`, Object.keys(current));
@@ -826,6 +955,23 @@ function getFieldSchemaForPath(fieldPath) {
       console.log(`    ✅ Resolved`);
     }
     
+    // Merge allOf so type/enum/constraints come from the whole composition
+    if (prop.allOf) {
+      prop = mergeAllOf(prop, state.currentSchema);
+    }
+    
+    // NEW: Tuple arrays type each position separately — step into the element
+    const nextKey = keys[keyCursor];
+    if (isTupleSchema(prop) && nextKey !== undefined && /^\d+$/.test(nextKey)) {
+      console.log(`    🧩 Tuple position ${nextKey}`);
+      prop = getTuplePositionSchema(prop, parseInt(nextKey), state.currentSchema);
+      if (!prop) {
+        console.warn(`    ❌ Tuple "${key}" allows no element at ${nextKey}`);
+        return null;
+      }
+      keyCursor++;
+    }
+    
     // Last key? Return the schema
     if (i === schemaKeys.length - 1) {
       console.log(`  ✅ FOUND SCHEMA for "${fieldPath}"`);
@@ -834,7 +980,8 @@ function getFieldSchemaForPath(fieldPath) {
     }
     
     // Continue navigation
-    current = getNextLevel(prop, keys, schemaKeys[i]);
+    const levelData = getDataAtPath(state.formData, keys.slice(0, keyCursor));
+    current = getNextLevel(prop, keys, schemaKeys[i], levelData);
     
     if (!current) {
       console.warn(`    ❌ Cannot navigate deeper from "${key}"`);
@@ -846,6 +993,36 @@ function getFieldSchemaForPath(fieldPath) {
   return null;
 }
 
+/**
+ * NEW: Value schema for an undeclared key, when the owning object is a map
+ * (additionalProperties / patternProperties). The owner is looked up with
+ * getFieldSchemaForPath(); a trailing array index means the owner is the
+ * array's items schema.
+ * @param {string[]} parentKeys - Path of the owning object (with indices)
+ * @param {string} key - Map key
+ * @returns {Object|null}
+ */
+function getMapValueSchemaForPath(parentKeys, key) {
+  let owner;
+  if (parentKeys.length === 0) {
+    owner = getEffectiveSchema(state.currentSchema, state.formData, state.currentSchema);
+  } else {
+    owner = getFieldSchemaForPath(parentKeys.join('.'));
+    if (owner && !isNaN(parseInt(parentKeys[parentKeys.length - 1]))) {
+      owner = owner.items;
+      if (owner?.$ref) owner = resolveRef(owner.$ref);
+      if (owner?.allOf) owner = mergeAllOf(owner, state.currentSchema);
+    }
+    if (owner) {
+      owner = getEffectiveSchema(owner, getDataAtPath(state.formData, parentKeys), state.currentSchema);
+    }
+  }
+  
+  if (!owner || !isMapSchema(owner)) return null;
+  console.log(`    🗺️ "${key}" is a map entry of "${parentKeys.join('.') || '(root)'}"`);
+  return getMapValueSchema(owner, key, state.currentSchema);
+}
+
 /**
  * ✅ Finds the starting point for navigation
  * Handles all schema types
@@ -853,10 +1030,10 @@ function getFieldSchemaForPath(fieldPath) {
 function findStartingPoint() {
   console.log('  🔎 Finding starting point...');
   
-  // Case 1: Standard schema with properties
+  // Case 1: Standard schema with properties (root if/then/else merged in)
   if (state.currentSchema.properties) {
     console.log('    ➡️ Standard schema (has properties)');
-    return state.currentSchema.properties;
+    return getEffectiveSchema(state.currentSchema, state.formData, state.currentSchema).properties;
   }
   
   // Case 2: Polymorphic schema (oneOf/anyOf at root)
@@ -906,15 +1083,19 @@ function findStartingPoint() {
 /**
  * ✅ Gets next level for navigation
  * Handles objects, arrays, and polymorphic items
+ * NEW: levelData (the data at this level) is used to merge active if/then/else branches
  */
-function getNextLevel(prop, allKeys, currentKey) {
+function getNextLevel(prop, allKeys, currentKey, levelData) {
   console.log(`    🔽 Getting next level from "${currentKey}"`);
   console.log(`      Type: ${prop.type}`);
   
   // Object with properties
-  if (prop.type === 'object' && prop.properties) {
-    console.log(`      ✅ Object → properties`);
-    return prop.properties;
+  if (prop.type === 'object') {
+    const effective = getEffectiveSchema(prop, levelData, state.currentSchema);
+    if (effective.properties || isMapSchema(effective)) {
+      console.log(`      ✅ Object → properties`);
+      return effective.properties || {};
+    }
   }
   
   // Array
@@ -965,6 +1146,11 @@ function getNextLevel(prop, allKeys, currentKey) {
       }
     }
     
+    // Data of the indexed item, for if/then/else inside the item schema
+    const itemIndex = allKeys[allKeys.indexOf(currentKey) + 1];
+    const itemData = Array.isArray(levelData) && itemIndex !== undefined ? levelData[itemIndex] : undefined;
+    items = getEffectiveSchema(items, itemData, state.currentSchema);
+    
     if (items.properties) {
       console.log(`      ✅ Array items → properties`);
       return items.properties;
@@ -1039,6 +1225,10 @@ function resolveRef(ref) {
     }
   }
   
+  if (Array.isArray(result.allOf)) {
+    result = mergeAllOf(result, state.currentSchema);
+  }
+  
   console.log(`        ✅ Resolved to: ${result.title || result.type || 'object'}`);
   return result;
 }
@@ -1108,12 +1298,12 @@ function convertToSchemaType(fieldPath, value, isArray) {
   
   console.log(`  Schema type: ${fieldSchema.type}`);
   
-  // Determine target type
-  let targetType = fieldSchema.type;
+  // Determine target type (first non-null type of unions like ["integer", "null"])
+  let targetType = getPrimaryType(fieldSchema, state.currentSchema);
   
   // For array items, use items type
   if (targetType === 'array' && isArray && fieldSchema.items) {
-    targetType = fieldSchema.items.type;
+    targetType = getPrimaryType(fieldSchema.items, state.currentSchema);
     console.log(`  Array item type: ${targetType}`);
   }
   
@@ -1164,6 +1354,7 @@ function resolveRefInCollect(ref) {
 export {
   collectFormData,
   setNestedValue,
+  convertToSchemaType,
   showAboutModal,
   showViewModal,
   getFieldSchemaForPath,
@@ -0,0 +1,470 @@
+// expression-evaluator.js - Safe expression language for options file rules
+// @ts-check
+//
+// Parses and evaluates small expressions over field paths, without eval() or
+// new Function(). Nothing but the listed operators and functions can run.
+//
+//   lifestyle.mbr_cig_end_year >= lifestyle.mbr_cig_start_year
+//   date(encounter.discharge_date) > date(encounter.admit_date)
+//   sum(budget.allocations.*.percent) == 100
+//
+// Operators (lowest precedence first):
+//   a ? b : c    ||  or    &&  and    ==  !=    <  <=  >  >=    +  -    *  /  %    !  not  -x
+//
+// Empty fields ('' / null / missing) evaluate to null, and null propagates:
+// any comparison or arithmetic with null is null. Callers treat a null result
+// as "not enough data" rather than as false.
+
+console.log('🧮 Expression Evaluator Module Loaded');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Built-in functions. Aggregates flatten arrays and skip empty values; with
+ * nothing left to aggregate they return null.
+ */
+const FUNCTIONS = {
+  sum: (...args) => aggregate(args, values => values.reduce((total, v) => total + v, 0)),
+  min: (...args) => aggregate(args, values => Math.min(...values)),
+  max: (...args) => aggregate(args, values => Math.max(...values)),
+  avg: (...args) => aggregate(args, values => values.reduce((total, v) => total + v, 0) / values.length),
+  count: (...args) => flatten(args).filter(v => !isEmpty(v)).length,
+  abs: x => (x === null ? null : Math.abs(toNumber(x))),
+  round: (x, digits = 0) => (x === null ? null : Number(toNumber(x).toFixed(digits))),
+  floor: x => (x === null ? null : Math.floor(toNumber(x))),
+  ceil: x => (x === null ? null : Math.ceil(toNumber(x))),
+  len: x => (x === null ? null : (Array.isArray(x) ? x.length : String(x).length)),
+  empty: x => isEmpty(x),
+  present: x => !isEmpty(x),
+  matches: (x, pattern) => (x === null ? null : new RegExp(pattern).test(String(x))),
+  date: x => toTime(x),
+  today: () => toTime(new Date().toISOString().slice(0, 10)),
+  days_between: (from, to) => {
+    const start = toTime(from);
+    const end = toTime(to);
+    return start === null || end === null ? null : Math.round((end - start) / DAY_MS);
+  },
+  years_between: (from, to) => {
+    const start = toTime(from);
+    const end = toTime(to);
+    if (start === null || end === null) return null;
+    const a = new Date(start);
+    const b = new Date(end);
+    let years = b.getUTCFullYear() - a.getUTCFullYear();
+    if (b.getUTCMonth() < a.getUTCMonth() ||
+        (b.getUTCMonth() === a.getUTCMonth() && b.getUTCDate() < a.getUTCDate())) {
+      years--;
+    }
+    return years;
+  }
+};
+
+const compiledCache = new Map();
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Parses an expression (cached)
+ * @param {string} source - Expression text
+ * @returns {{ source: string, ast: Object, fields: string[] }} Syntax tree and the field paths it uses
+ * @throws {Error} When the expression is not valid
+ */
+function compileExpression(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('Expression is empty');
+  }
+  if (!compiledCache.has(source)) {
+    const ast = parseTokens(tokenize(source), source);
+    const fields = [];
+    collectFields(ast, fields);
+    compiledCache.set(source, { source, ast, fields: [...new Set(fields)] });
+  }
+  return compiledCache.get(source);
+}
+
+/**
+ * Evaluates an expression against data
+ * @param {string|Object} expression - Expression text or compileExpression() result
+ * @param {Object|function(string): *} data - Form data, or a function returning the value of a path
+ * @returns {*} Result (null when a field it needs is empty)
+ * @throws {Error} When the expression is not valid
+ */
+function evaluateExpression(expression, data) {
+  const compiled = typeof expression === 'string' ? compileExpression(expression) : expression;
+  const resolve = typeof data === 'function' ? data : path => getPathValue(data, path);
+  return evaluateNode(compiled.ast, resolve);
+}
+
+/**
+ * Field paths used by an expression
+ * @param {string} source - Expression text
+ * @returns {string[]}
+ */
+function getExpressionFields(source) {
+  return compileExpression(source).fields;
+}
+
+/**
+ * Value at a dot path. A "*" segment expands every item of an array (or value
+ * of an object) and the result is then a flat list.
+ * @param {*} data
+ * @param {string} path - e.g. "budget.allocations.*.percent"
+ * @returns {*}
+ */
+function getPathValue(data, path) {
+  const segments = path.split('.');
+  const hasWildcard = segments.includes('*');
+
+  let current = [data];
+  for (const segment of segments) {
+    const next = [];
+    current.forEach(value => {
+      if (value === null || typeof value !== 'object') return;
+      if (segment === '*') {
+        next.push(...(Array.isArray(value) ? value : Object.values(value)));
+      } else if (Object.prototype.hasOwnProperty.call(value, segment)) {
+        next.push(value[segment]);
+      }
+    });
+    current = next;
+  }
+
+  if (hasWildcard) return current.map(normalizeValue);
+  return current.length > 0 ? normalizeValue(current[0]) : null;
+}
+
+/**
+ * Whether a concrete field path ("a.items.2.pct") is covered by an expression
+ * field path, which may use "*" ("a.items.*.pct")
+ * @param {string} pattern
+ * @param {string} fieldPath
+ * @returns {boolean}
+ */
+function matchesFieldPath(pattern, fieldPath) {
+  if (!pattern.includes('*')) return pattern === fieldPath;
+  const regex = new RegExp('^' + pattern.split('.')
+    .map(segment => (segment === '*' ? '[^.]+' : segment.replace(/[$^()[\]{}|\\+?]/g, '\\$&')))
+    .join('\\.') + '$');
+  return regex.test(fieldPath);
+}
+
+// ==================== TOKENIZER ====================
+
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', ',', '?', ':'];
+const WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+/**
+ * Splits an expression into tokens
+ * @returns {Array<{ type: string, value: *, pos: number }>}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const char = source[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    // Numbers: 12, 3.5, .5
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(pos));
+    if (number && !/[A-Za-z_]/.test(source[pos + number[0].length] || '')) {
+      tokens.push({ type: 'number', value: Number(number[0]), pos });
+      pos += number[0].length;
+      continue;
+    }
+
+    // Strings: 'text' or "text" with backslash escapes
+    if (char === '"' || char === "'") {
+      let value = '';
+      let end = pos + 1;
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === '\\' && end + 1 < source.length) end++;
+        value += source[end++];
+      }
+      if (end >= source.length) throw syntaxError(source, pos, 'Unterminated string');
+      tokens.push({ type: 'string', value, pos });
+      pos = end + 1;
+      continue;
+    }
+
+    // Names and field paths: demographic.age, items.*.percent, items.0.dose
+    const name = /^[A-Za-z_$][\w$]*(\.([A-Za-z_$][\w$]*|\d+|\*))*/.exec(source.slice(pos));
+    if (name) {
+      const word = name[0];
+      if (WORD_OPERATORS[word]) {
+        tokens.push({ type: 'operator', value: WORD_OPERATORS[word], pos });
+      } else if (word === 'true' || word === 'false') {
+        tokens.push({ type: 'literal', value: word === 'true', pos });
+      } else if (word === 'null') {
+        tokens.push({ type: 'literal', value: null, pos });
+      } else {
+        tokens.push({ type: 'name', value: word, pos });
+      }
+      pos += word.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, pos));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, pos });
+      pos += operator.length;
+      continue;
+    }
+
+    throw syntaxError(source, pos, `Unexpected character "${char}"`);
+  }
+
+  tokens.push({ type: 'end', value: null, pos });
+  return tokens;
+}
+
+function syntaxError(source, pos, message) {
+  return new Error(`${message} at position ${pos + 1} in "${source}"`);
+}
+
+// ==================== PARSER ====================
+
+const BINARY_LEVELS = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+/**
+ * Recursive-descent parser producing a small syntax tree:
+ *   { type: 'literal', value } | { type: 'field', path } | { type: 'call', name, args }
+ *   { type: 'unary', op, arg } | { type: 'binary', op, left, right }
+ *   { type: 'conditional', test, then, else }
+ * @throws {Error} On a syntax error
+ */
+function parseTokens(tokens, source) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = value => peek().type === 'operator' && peek().value === value;
+  const expect = value => {
+    if (!isOperator(value)) throw syntaxError(source, peek().pos, `Expected "${value}"`);
+    next();
+  };
+
+  const parseConditional = () => {
+    const test = parseBinary(0);
+    if (!isOperator('?')) return test;
+    next();
+    const whenTrue = parseConditional();
+    expect(':');
+    const whenFalse = parseConditional();
+    return { type: 'conditional', test, then: whenTrue, else: whenFalse };
+  };
+
+  const parseBinary = level => {
+    if (level >= BINARY_LEVELS.length) return parseUnary();
+
+    let left = parseBinary(level + 1);
+    while (peek().type === 'operator' && BINARY_LEVELS[level].includes(peek().value)) {
+      const op = next().value;
+      const right = parseBinary(level + 1);
+      left = { type: 'binary', op, left, right };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOperator('!') || isOperator('-')) {
+      const op = next().value;
+      return { type: 'unary', op, arg: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        return { type: 'literal', value: token.value };
+
+      case 'name': {
+        if (!isOperator('(')) return { type: 'field', path: token.value };
+
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw syntaxError(source, token.pos, `Unknown function "${token.value}"`);
+        }
+        next();
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(parseConditional());
+          while (isOperator(',')) {
+            next();
+            args.push(parseConditional());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+
+      case 'operator':
+        if (token.value === '(') {
+          const inner = parseConditional();
+          expect(')');
+          return inner;
+        }
+        throw syntaxError(source, token.pos, `Unexpected "${token.value}"`);
+
+      default:
+        throw syntaxError(source, token.pos, 'Unexpected end of expression');
+    }
+  };
+
+  const ast = parseConditional();
+  if (peek().type !== 'end') {
+    throw syntaxError(source, peek().pos, `Unexpected "${peek().value}"`);
+  }
+  return ast;
+}
+
+function collectFields(node, fields) {
+  switch (node.type) {
+    case 'field': fields.push(node.path); break;
+    case 'call': node.args.forEach(arg => collectFields(arg, fields)); break;
+    case 'unary': collectFields(node.arg, fields); break;
+    case 'binary': collectFields(node.left, fields); collectFields(node.right, fields); break;
+    case 'conditional':
+      collectFields(node.test, fields);
+      collectFields(node.then, fields);
+      collectFields(node.else, fields);
+      break;
+  }
+}
+
+// ==================== EVALUATION ====================
+
+function evaluateNode(node, resolve) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'field':
+      return normalizeValue(resolve(node.path));
+
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, resolve)));
+
+    case 'unary': {
+      const value = evaluateNode(node.arg, resolve);
+      if (value === null) return null;
+      return node.op === '!' ? !value : -toNumber(value);
+    }
+
+    case 'conditional': {
+      const test = evaluateNode(node.test, resolve);
+      if (test === null) return null;
+      return evaluateNode(test ? node.then : node.else, resolve);
+    }
+
+    case 'binary':
+      return evaluateBinary(node.op, node.left, node.right, resolve);
+
+    default:
+      return null;
+  }
+}
+
+function evaluateBinary(op, leftNode, rightNode, resolve) {
+  const left = evaluateNode(leftNode, resolve);
+
+  // Three-valued logic: false wins for &&, true wins for ||, otherwise null is unknown
+  if (op === '&&' || op === '||') {
+    const decisive = op === '||';
+    if (left !== null && Boolean(left) === decisive) return decisive;
+    const right = evaluateNode(rightNode, resolve);
+    if (right !== null && Boolean(right) === decisive) return decisive;
+    return left === null || right === null ? null : !decisive;
+  }
+
+  const right = evaluateNode(rightNode, resolve);
+  if (left === null || right === null) return null;
+
+  if (op === '+' && (typeof left === 'string' || typeof right === 'string') &&
+      (!isNumeric(left) || !isNumeric(right))) {
+    return `${left}${right}`;
+  }
+
+  const [a, b] = isNumeric(left) && isNumeric(right) ? [toNumber(left), toNumber(right)] : [left, right];
+  switch (op) {
+    case '==': return looseEqual(a, b);
+    case '!=': return !looseEqual(a, b);
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '+': return toNumber(a) + toNumber(b);
+    case '-': return toNumber(a) - toNumber(b);
+    case '*': return toNumber(a) * toNumber(b);
+    case '/': return toNumber(b) === 0 ? null : toNumber(a) / toNumber(b);
+    case '%': return toNumber(b) === 0 ? null : toNumber(a) % toNumber(b);
+    default: return null;
+  }
+}
+
+// ==================== VALUE HELPERS ====================
+
+function normalizeValue(value) {
+  if (value === undefined || value === '') return null;
+  return value;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function isNumeric(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+}
+
+function toNumber(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return Number(value);
+}
+
+function looseEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
+
+function flatten(args) {
+  return args.flat(Infinity);
+}
+
+function aggregate(args, reducer) {
+  const values = flatten(args).filter(v => !isEmpty(v)).map(toNumber).filter(Number.isFinite);
+  return values.length > 0 ? reducer(values) : null;
+}
+
+/** Milliseconds for a date / date-time value ("2024-01-31" is midnight UTC); null if not a date */
+function toTime(value) {
+  if (isEmpty(value)) return null;
+  if (typeof value === 'number') return value;
+  const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? `${value}T00:00:00Z` : String(value));
+  return Number.isNaN(time) ? null : time;
+}
+
+export { compileExpression,
+         evaluateExpression,
+         getExpressionFields,
+         getPathValue,
+         matchesFieldPath
+};
+
+// ==== END OF FILE ====/
@@ -5,8 +5,11 @@ import { state, updateState } from './state.js';
 import { validateOptionsAgainstSchema, showValidationErrorsDialog, displayValidationResults } from './file-validation.js';
 import { ashAlert, ashConfirm} from './utils.js'
 import { renderForm, renderAllTabs, updateFileStatusDisplay } from './form-renderer.js';
-import { revalidateAndSetInvalid, getFieldValue, updateFieldOptions } from './conditional-rules.js'
-import { populateFormWithData } from './form-population.js'
+import { revalidateAndSetInvalid, updateFieldOptions, buildTriggersToAffected, findDependentRule } from './conditional-rules.js'
+import { populateFormWithData, omitWriteOnlyValues } from './form-population.js'
+import { bundleSchema } from './schema-bundler.js';
+import { composeOptions } from './options-composer.js';
+import { registerFormatsFromOptions } from './format-registry.js';
 import { 
   saveLastSchemaFile, 
   saveLastOptionsFile, 
@@ -45,7 +48,8 @@ function loadSchemaFromFile() {
 
     try {
       const text = await file.text();
-      const schema = JSON.parse(text);
+      // External $refs are resolved against the server's schemas/ folder
+      const schema = await bundleSchema(JSON.parse(text), { filename: schemaFilename });
 
       updateState({
         currentSchema: schema
@@ -82,13 +86,13 @@ function loadOptionsFromFile() {
 
     try {
       const text = await file.text();
-      const options = JSON.parse(text);
+      // Pull in "imports" before references are resolved
+      const options = await composeOptions(JSON.parse(text), { filename: optionsFilename });
 
-      
       const resolvedOptions = resolveReferences(options, options);
       // Validate options file ie the corect file for the loaded schema
       if (state.currentSchema) {
-        const validationResults = validateOptionsAgainstSchema(resolvedOptions, state.currentSchema);
+        const validationResults = validateOptionsAgainstSchema(resolvedOptions, state.currentSchema, options);
         
         if (!displayValidationResults(validationResults)) {
           // Validation failed - ask user if they want to proceed anyway
@@ -105,26 +109,9 @@ function loadOptionsFromFile() {
       updateState({
         customOptions: resolvedOptions,
         conditionalRules: resolvedOptions.conditional_rules || {},
-        triggersToAffected: {}
-      });
-
-      Object.entries(state.customOptions).forEach(([field, config]) => {
-        if (config.dependent_values) {
-          const depField = Object.keys(config.dependent_values)[0];
-          if (depField) {
-            state.triggersToAffected[depField] = state.triggersToAffected[depField] || [];
-            state.triggersToAffected[depField].push({
-              affected: field,
-              optionsMap: config.dependent_values[depField],
-              defaultValues: config.values || [],
-              responseType: config.response_type,
-              inputControl: config.input_control || 'drop-down',
-              disable_values: config.disable_values || [],
-              exclusive_values: config.exclusive_values || []              
-            });
-          }
-        }
+        triggersToAffected: buildTriggersToAffected(resolvedOptions)
       });
+      registerFormatsFromOptions(resolvedOptions);
 
       if (state.currentSchema) {
         renderForm(state.currentSchema);
@@ -137,7 +124,7 @@ function loadOptionsFromFile() {
           
       console.log('✓ Options loaded with', Object.keys(state.customOptions).length, 'entries');
     } catch (error) {
-        ashAlert('Invalid JSON options file: ' + error.message);
+        ashAlert((error instanceof SyntaxError ? 'Invalid JSON options file: ' : 'Could not load options file: ') + error.message);
         console.error('Options load error:', error);
     }
   };
@@ -166,9 +153,15 @@ function loadDataFromFile() {
     });
     try {
       const text = await file.text();
-      const data = JSON.parse(text);
+      // FIXED: writeOnly values are not read back from data files
+      const data = omitWriteOnlyValues(JSON.parse(text), state.currentSchema, state.currentSchema);
       console.log('Loading data:', data);
       
+      // FIXED: Start from a fresh form marked as loaded, so schema defaults and
+      // earlier entries do not end up in the loaded data
+      renderForm(state.currentSchema);
+      updateState({ loadedData: data });
+      
       // CRITICAL FIX: Render all tabs before populating data
       renderAllTabs();
       
@@ -182,12 +175,9 @@ function loadDataFromFile() {
         document.querySelectorAll('[data-dependent="true"].invalid-data').forEach(el => {
           const pathStr = el.dataset.path || el.querySelector('input[data-path]')?.dataset.path;
           if (pathStr) {
-            const depField = el.dataset.depField;
-            const currentDepValue = getFieldValue(depField);
-            const triggerRules = state.triggersToAffected[depField] || [];
-            const rule = triggerRules.find(r => r.affected === pathStr);
+            const rule = findDependentRule(pathStr);
             if (rule) {
-              updateFieldOptions(pathStr, currentDepValue, el, rule);
+              updateFieldOptions(pathStr, null, el, rule);
               revalidateAndSetInvalid(el, pathStr);
             }
           }
@@ -314,19 +304,19 @@ async function processOptionsFile(schema) {
   
   try {
     const optionsText = await state.selectedOptionsFile.text();
-    const options = JSON.parse(optionsText);
+    const options = await composeOptions(JSON.parse(optionsText), { filename: state.selectedOptionsFile.name });
     
     const resolvedOptions = resolveReferences(options, options);
 
     // Validate options against schema
-    const validationResults = validateOptionsAgainstSchema(resolvedOptions, schema);
+    const validationResults = validateOptionsAgainstSchema(resolvedOptions, schema, options);
     
     updateState({
       optionsFileStatus: validationResults.isValid ? 'loaded' : 'loaded-warning'
     });
 
     if (!validationResults.isValid) {
-      const shouldProceed = await showValidationErrorsDialog(validationResults.missingKeys);
+      const shouldProceed = await showValidationErrorsDialog(validationResults.missingKeys, validationResults.structureErrors, validationResults.lintIssues);
       
       if (!shouldProceed) {
         // ENHANCED: User rejected - clear ALL options state
@@ -338,6 +328,7 @@ async function processOptionsFile(schema) {
           pendingDependentInits: {},
           exclusiveOptionsMap: {}
         });
+        registerFormatsFromOptions({});
         
         // Clear UI elements
         optionsFileName.textContent = '';
@@ -357,27 +348,9 @@ async function processOptionsFile(schema) {
     updateState({
       customOptions: resolvedOptions,
       conditionalRules: resolvedOptions.conditional_rules || {},
-      triggersToAffected: {}
-    });
-
-    // Build triggers map
-    Object.entries(state.customOptions).forEach(([field, config]) => {
-      if (config.dependent_values) {
-        const depField = Object.keys(config.dependent_values)[0];
-        if (depField) {
-          state.triggersToAffected[depField] = state.triggersToAffected[depField] || [];
-          state.triggersToAffected[depField].push({
-            affected: field,
-            optionsMap: config.dependent_values[depField],
-            defaultValues: config.values || [],
-            responseType: config.response_type,
-            inputControl: config.input_control || 'drop-down',
-            disable_values: config.disable_values || [],
-            exclusive_values: config.exclusive_values || []
-          });
-        }
-      }
+      triggersToAffected: buildTriggersToAffected(resolvedOptions)
     });
+    registerFormatsFromOptions(resolvedOptions);
     
     // NEW: Save options to localStorage
     saveLastOptionsFile(state.selectedOptionsFile.name, resolvedOptions);
@@ -393,7 +366,7 @@ async function processOptionsFile(schema) {
       validationStatus.className = 'validation-status validation-warning';
       validationStatus.innerHTML = `
         <div class="status-icon">⚠️</div>
-        <div class="status-text">Loaded with ${validationResults.missingKeys.length} validation warning(s)</div>
+        <div class="status-text">Loaded with ${validationResults.missingKeys.length + validationResults.structureErrors.length + validationResults.lintIssues.length} validation warning(s)</div>
       `;
     }
     
@@ -405,6 +378,7 @@ async function processOptionsFile(schema) {
       conditionalRules: {},
       triggersToAffected: {}
     });
+    registerFormatsFromOptions({});
     optionsFileName.textContent = '';
     optionsFileInput.value = '';
     
@@ -1,11 +1,21 @@
 // @ts-check
 import {ashAlert, ashConfirm} from './utils.js'
+import { mergeAllOf } from './schema-manager.js';
+import { getExpressionFields } from './expression-evaluator.js';
+import { getDependentTriggers } from './conditional-rules.js';
+import { validateOptionsStructure } from './options-schema.js';
+import { lintOptions } from './options-lint.js';
 
 /**
  * Extracts ALL referenced field keys from an options configuration object.
  * - Collects keys that represent actual questions/fields (those with a "values" property)
  * - Collects keys used as conditions in "conditional_rules"
- * - Collects all keys listed in "disable_fields" arrays
+ * - Collects all keys listed in "disable_fields" arrays (and the other rule
+ *   actions: hide / enable / require / optional fields, set_values keys)
+ * - Collects the "field" keys of compound conditions (all / any / not)
+ * - Collects the field paths used by "validation_rules" expressions
+ * - Collects computed fields and the field paths of their expressions
+ * - Collects the trigger fields of "dependent_values" (one or several per entry)
  *
  * Fully generic — no hardcoding of prefixes or structure.
  *
@@ -15,6 +25,18 @@ import {ashAlert, ashConfirm} from './utils.js'
 function extractAllReferencedKeys(options) {
   const referencedKeys = new Set();
 
+  // Helper: Collect the "field" keys of a (compound) condition
+  function collectConditionFields(condition) {
+    if (!condition || typeof condition !== 'object') return;
+
+    if (typeof condition.field === 'string' && condition.field.trim()) {
+      referencedKeys.add(condition.field.trim());
+    }
+    [...(Array.isArray(condition.all) ? condition.all : []),
+     ...(Array.isArray(condition.any) ? condition.any : []),
+     ...(condition.not ? [condition.not] : [])].forEach(collectConditionFields);
+  }
+
   // Helper: Recursively collect actual field keys (those with "values")
   function collectFieldKeys(obj) {
     if (!obj || typeof obj !== 'object') return;
@@ -56,22 +78,86 @@ function extractAllReferencedKeys(options) {
       // Process each rule
       if (Array.isArray(rules)) {
         for (const rule of rules) {
-          if (rule && typeof rule === 'object' && Array.isArray(rule.disable_fields)) {
-            rule.disable_fields.forEach(field => {
-              if (typeof field === 'string' && field.trim()) {
-                referencedKeys.add(field.trim());
+          if (!rule || typeof rule !== 'object') continue;
+
+          const actionFields = ['disable_fields', 'enable_fields', 'hide_fields', 'require_fields', 'optional_fields']
+            .flatMap(action => (Array.isArray(rule[action]) ? rule[action] : []));
+          if (rule.set_values && typeof rule.set_values === 'object') {
+            actionFields.push(...Object.keys(rule.set_values));
+            Object.values(rule.set_values).forEach(entry => {
+              try {
+                if (typeof entry?.expression === 'string') {
+                  actionFields.push(...getExpressionFields(entry.expression).filter(field => !field.includes('*')));
+                }
+              } catch (e) {
+                // Broken expressions are reported when the rules run
               }
             });
           }
+          actionFields.forEach(field => {
+            if (typeof field === 'string' && field.trim()) {
+              referencedKeys.add(field.trim());
+            }
+          });
+          collectConditionFields(rule);
         }
       }
     }
   }
 
+  // Step 2b: Computed fields and the fields their expressions use
+  for (const key in options) {
+    if (key.startsWith('_') || typeof options[key]?.computed !== 'string') continue;
+    referencedKeys.add(key);
+    try {
+      getExpressionFields(options[key].computed).forEach(field => {
+        if (!field.includes('*')) referencedKeys.add(field);
+      });
+    } catch (e) {
+      // Broken expressions are reported when the fields are computed
+    }
+  }
+
+  // Step 2c: Trigger fields of dependent_values ("a.country|a.state" names two)
+  for (const key in options) {
+    const dependentValues = options[key]?.dependent_values;
+    if (key.startsWith('_') || !dependentValues || typeof dependentValues !== 'object') continue;
+    getDependentTriggers(dependentValues).forEach(trigger => referencedKeys.add(trigger));
+  }
+
+  // Step 3: Collect field paths used by validation_rules (wildcard paths such as
+  // "items.*.percent" point inside arrays and are not schema paths)
+  if (Array.isArray(options.validation_rules)) {
+    options.validation_rules.forEach(rule => {
+      try {
+        getExpressionFields(rule?.rule).forEach(field => {
+          if (!field.includes('*')) referencedKeys.add(field);
+        });
+      } catch (e) {
+        // Broken expressions are reported when the rules run
+      }
+    });
+  }
+
   return referencedKeys;
 }
 
-function validateOptionsAgainstSchema(options, schema) {
+/**
+ * Checks an options file against the data schema (every referenced field path
+ * must exist) and against the options file meta-schema (options-schema.js).
+ * UPDATED: Also reports structural errors (unknown keys, wrong types, broken
+ * "##list" / "$ref" references)
+ * UPDATED: Also lints the options against the schema (see options-lint.js)
+ *
+ * @param {Object} options - Resolved options file
+ * @param {Object} schema - Data schema
+ * @param {Object} [rawOptions] - The options file as written (before resolveReferences)
+ * @returns {{ isValid: boolean, missingKeys: string[], structureErrors: Array<{path: string, message: string}>,
+ *            lintIssues: Array<{path: string, message: string, severity: string}> }}
+ */
+function validateOptionsAgainstSchema(options, schema, rawOptions = options) {
+  const structureErrors = validateOptionsStructure(rawOptions);
+  const lintIssues = lintOptions(options, schema);
   const allReferencedKeys = extractAllReferencedKeys(options);
   const validSchemaPaths = extractAllSchemaPaths(schema); // from previous improved version
 
@@ -94,8 +180,10 @@ function validateOptionsAgainstSchema(options, schema) {
   }
 
   return {
-    isValid: missingKeys.length === 0,
-    missingKeys: missingKeys.sort()
+    isValid: missingKeys.length === 0 && structureErrors.length === 0 && lintIssues.length === 0,
+    missingKeys: missingKeys.sort(),
+    structureErrors,
+    lintIssues
   };
 }
 
@@ -147,8 +235,16 @@ function displayValidationResults(results) {
     console.error('Errors:', results.errors);
     
     // Show errors to user
-    const errorMsg = 'options file missing keys in schema:\n\n' + 
-                     results.missingKeys.join('\n');
+    const structureLines = (results.structureErrors || []).map(error => `${error.path}: ${error.message}`);
+    const lintLines = severity => (results.lintIssues || [])
+      .filter(issue => (issue.severity === 'error') === (severity === 'error'))
+      .map(issue => `${issue.path}: ${issue.message}`);
+    const errorMsg = [
+      results.missingKeys.length ? 'options file missing keys in schema:\n\n' + results.missingKeys.join('\n') : '',
+      structureLines.length ? 'options file structure errors:\n\n' + structureLines.join('\n') : '',
+      lintLines('error').length ? 'options file errors:\n\n' + lintLines('error').join('\n') : '',
+      lintLines('warning').length ? 'options file warnings:\n\n' + lintLines('warning').join('\n') : ''
+    ].filter(Boolean).join('\n\n');
     if (ashConfirm(errorMsg)) return true;
     return false;
   }
@@ -159,7 +255,8 @@ function displayValidationResults(results) {
  *
  * Handles three cases to stay in sync with resolveReferences() in file-operations.js:
  *  1. ##listName  — resolves from root._lists (options-style shared lists)
- *  2. #/path/…   — navigates the object by path segments, with definitions/$defs aliasing
+ *  2. #/path/…   — navigates the object by path segments, with definitions/$defs aliasing.
+ *                   A resolved schema that uses allOf is returned merged (see mergeAllOf).
  *  3. Anything else — returns null
  *
  * @param {string} ref - The reference string (e.g. "#/$defs/MyType" or "##myList")
@@ -199,15 +296,23 @@ function resolveRef(ref, schema, root = null) {
       if (result == null) return null;
     }
 
+    if (result && typeof result === 'object' && Array.isArray(result.allOf)) {
+      return mergeAllOf(result, schema);
+    }
+
     return result;
   }
   
 /**
  * Shows a dialog with scrollable list of validation errors (missing keys)
+ * UPDATED: Structural errors of the options file are listed below the missing keys
+ * UPDATED: Lint issues are listed too, grouped into Errors and Warnings
  * @param {Array} missingKeys - Array of missing key strings
+ * @param {Array<{path: string, message: string}>} [structureErrors] - From validateOptionsStructure()
+ * @param {Array<{path: string, message: string, severity: string}>} [lintIssues] - From lintOptions()
  * @returns {Promise<boolean>} - true if user chooses to proceed, false if they cancel
  */
-async function showValidationErrorsDialog(missingKeys) {
+async function showValidationErrorsDialog(missingKeys, structureErrors = [], lintIssues = []) {
   return new Promise((resolve) => {
     const modal = document.createElement('div');
     modal.style.position = 'fixed';
@@ -246,8 +351,14 @@ async function showValidationErrorsDialog(missingKeys) {
     title.style.fontSize = '22px';
     title.style.fontWeight = '600';
     
+    const lintErrorCount = lintIssues.filter(issue => issue.severity === 'error').length;
     const subtitle = document.createElement('p');
-    subtitle.textContent = `${missingKeys.length} field(s) in options file not found in schema`;
+    subtitle.textContent = [
+      missingKeys.length ? `${missingKeys.length} field(s) in options file not found in schema` : '',
+      structureErrors.length ? `${structureErrors.length} structural error(s) in options file` : '',
+      lintErrorCount ? `${lintErrorCount} error(s)` : '',
+      lintIssues.length > lintErrorCount ? `${lintIssues.length - lintErrorCount} warning(s)` : ''
+    ].filter(Boolean).join(' · ');
     subtitle.style.margin = '0';
     subtitle.style.opacity = '0.9';
     subtitle.style.fontSize = '14px';
@@ -301,8 +412,69 @@ async function showValidationErrorsDialog(missingKeys) {
     });
     
     listContainer.appendChild(keyList);
-    content.appendChild(warningText);
-    content.appendChild(listContainer);
+    if (missingKeys.length > 0) {
+      content.appendChild(warningText);
+      content.appendChild(listContainer);
+    }
+    
+    // UPDATED: Options file problems grouped by severity, each with its path.
+    // Structural errors (options file meta-schema) and lint errors come first.
+    const errors = [...structureErrors, ...lintIssues.filter(issue => issue.severity === 'error')];
+    const warnings = lintIssues.filter(issue => issue.severity !== 'error');
+    const issueGroups = [
+      {
+        items: errors,
+        color: '#ee5a52',
+        intro: `<strong>❌ Errors</strong> - the options file does not follow the options file format or contradicts the schema:<br><br>
+        <strong>Note:</strong> Misspelt or misplaced keys are ignored, and invalid values cannot be picked or saved.`
+      },
+      {
+        items: warnings,
+        color: '#f0ad4e',
+        intro: `<strong>⚠️ Warnings</strong> - these entries load, but will probably not behave as intended:`
+      }
+    ];
+    
+    issueGroups.filter(group => group.items.length > 0).forEach(group => {
+      const groupText = document.createElement('p');
+      groupText.innerHTML = group.intro;
+      groupText.style.margin = content.childElementCount > 0 ? '24px 0 16px 0' : '0 0 16px 0';
+      groupText.style.color = '#555';
+      groupText.style.fontSize = '14px';
+      groupText.style.lineHeight = '1.5';
+      
+      const groupContainer = /** @type {HTMLElement} */ (listContainer.cloneNode(false));
+      const groupList = /** @type {HTMLElement} */ (keyList.cloneNode(false));
+      
+      group.items.forEach(issue => {
+        const listItem = document.createElement('li');
+        listItem.style.marginBottom = '8px';
+        listItem.style.padding = '8px 12px';
+        listItem.style.background = 'white';
+        listItem.style.borderRadius = '4px';
+        listItem.style.borderLeft = `4px solid ${group.color}`;
+        listItem.style.fontSize = '13px';
+        listItem.style.color = '#495057';
+        listItem.style.wordBreak = 'break-word';
+        
+        const pathEl = document.createElement('div');
+        pathEl.textContent = issue.path;
+        pathEl.style.fontFamily = 'monospace';
+        pathEl.style.fontWeight = '600';
+        
+        const messageEl = document.createElement('div');
+        messageEl.textContent = issue.message;
+        messageEl.style.marginTop = '2px';
+        
+        listItem.appendChild(pathEl);
+        listItem.appendChild(messageEl);
+        groupList.appendChild(listItem);
+      });
+      
+      groupContainer.appendChild(groupList);
+      content.appendChild(groupText);
+      content.appendChild(groupContainer);
+    });
     
     // Footer with buttons
     const footer = document.createElement('div');
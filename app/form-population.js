@@ -1,18 +1,32 @@
 // form-population.js - Functions for populating form fields with data
 // UPDATED: Added polymorphic form detection and handling
 // @ts-check
-import { state } from './state.js';
+import { state, updateState } from './state.js';
 import { populateCheckboxList,
          populateRadioButton,
          populateSlider,
+         populateFileAttachment,
          updateMultiSelectDisplay} from './input-control.js'
 import { resolveRef} from './file-validation.js'
-import { applyConditionalRules, updateFieldOptions } from './conditional-rules.js';
+import { applyConditionalRules, updateFieldOptions, getDependentRulesInOrder } from './conditional-rules.js';
+import { getDataAtPath, getEffectiveSchema, getNonNullSchema, isMapSchema, getMapValueSchema } from './schema-manager.js';
+import { findUnknownKeys, validateFormData } from './input-validation.js';
 
 
-function populateFormWithData(data) {
+/**
+ * Fills the rendered form with data, then applies the conditional rules and
+ * lists the fields whose values did not fit
+ * UPDATED: showSummary false skips the invalid fields summary (the options
+ * editor re-fills the form after every edit)
+ * @param {Object} data - Data to populate
+ * @param {{ showSummary?: boolean }} [settings]
+ */
+function populateFormWithData(data, { showSummary = true } = {}) {
   console.log('=== Starting data population ===');
   
+  // NEW: Deprecated fields present in this data are kept by collectFormData()
+  updateState({ loadedData: data });
+  
   // Check if this is a polymorphic form
   const polymorphicSelector = document.getElementById('polymorphic-type-selector');
   
@@ -31,7 +45,7 @@ function populateFormWithData(data) {
       
       setTimeout(() => {
         applyConditionalRules();
-        showInvalidFieldsSummary();
+        if (showSummary) showInvalidFieldsSummary();
         console.log('✓ Form populated and rules applied');
       }, 300);
     }, 500); // Give time for dependent options to render
@@ -266,34 +280,84 @@ function isDataMatchingSchema(data, schema) {
 
 function showInvalidFieldsSummary() {
   const invalidFields = document.querySelectorAll('.invalid-data');
-  if (invalidFields.length === 0) {
+  
+  // NEW: Schema errors in the loaded data (missing values aside - the form is
+  // still being filled in) and keys the form has no field for
+  // UPDATED: Same validation as the Save / Validate buttons
+  const hasLoadedData = !!(state.loadedData && state.currentSchema);
+  const schemaErrors = hasLoadedData
+    ? validateFormData(state.loadedData, state.currentSchema, { ignoreNull: true }).errors
+    : {};
+  const unknownKeys = hasLoadedData ? findUnknownKeys(state.loadedData, state.currentSchema) : [];
+  const schemaErrorPaths = Object.keys(schemaErrors);
+  
+  if (invalidFields.length === 0 && schemaErrorPaths.length === 0 && unknownKeys.length === 0) {
     console.log('No invalid fields found');
     return;
   }
   
-  let summary = `Found ${invalidFields.length} invalid field(s):\n\n`;
+  let summary = '';
   
-  invalidFields.forEach(field => {
-    const path = field.dataset.path || 'Unknown path';
-    const invalidValue = field.dataset.invalidValue || field.dataset.invalidValues || 'Unknown value';
-    summary += `- Field: ${path}\n  Invalid: ${invalidValue}\n\n`;
-  });
+  if (invalidFields.length > 0) {
+    summary += `Found ${invalidFields.length} invalid field(s):\n\n`;
+    
+    invalidFields.forEach(field => {
+      const path = field.dataset.path || 'Unknown path';
+      const invalidValue = field.dataset.invalidValue || field.dataset.invalidValues || 'Unknown value';
+      summary += `- Field: ${path}\n  Invalid: ${invalidValue}\n\n`;
+    });
+  }
+  
+  if (schemaErrorPaths.length > 0) {
+    summary += `Found ${schemaErrorPaths.length} value(s) breaking schema constraints:\n\n`;
+    schemaErrorPaths.forEach(path => {
+      summary += `- ${path}\n  ${schemaErrors[path].join('\n  ')}\n\n`;
+    });
+  }
+  
+  if (unknownKeys.length > 0) {
+    summary += `Found ${unknownKeys.length} key(s) not defined in the schema.\n`;
+    summary += `They have no field in the form and will NOT be saved:\n\n`;
+    unknownKeys.forEach(path => {
+      summary += `- ${path}\n`;
+    });
+  }
   
   alert(summary);
   console.log(summary);
 }
 
 
+/** FIXED: Nesting depth of populateFields() - items it adds get no schema defaults */
+let populateDepth = 0;
+
 function populateFields(data, parentPath) {
+  populateDepth++;
+  try {
+    populateFieldEntries(data, parentPath);
+  } finally {
+    populateDepth--;
+  }
+}
+
+function populateFieldEntries(data, parentPath) {
   for (const [key, value] of Object.entries(data)) {
     const currentPath = [...parentPath, key];
     const pathStr = currentPath.join('.');
     
     console.log(`Processing field: ${pathStr}`, value);
     
+    rememberReadOnlyValue(pathStr, value);
+    if (populateConstField(pathStr, value)) continue;
+    
+    // FIXED: Nullable objects and arrays have a toggle too - a value clears it
+    if (value !== null && typeof value === 'object') populateNullToggle(pathStr, value);
+    
     if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      populateMapEntries(pathStr, value);
       populateFields(value, currentPath);
     } else if (Array.isArray(value)) {
+      if (populateTupleField(pathStr, value)) continue;
       if (value.length > 0 && typeof value[0] === 'object' && value[0] !== null) {
         // Array of objects - could be top-level or nested
         console.log(`📦 Processing array of objects at ${pathStr}`);
@@ -308,7 +372,187 @@ function populateFields(data, parentPath) {
   }
 }
 
+/**
+ * NEW: Creates map editor entries (additionalProperties / patternProperties)
+ * for the undeclared keys of an object, so that populateFields() finds inputs
+ * for them. Existing entries are cleared first.
+ * @param {string} pathStr - Path of the object
+ * @param {Object} value - Object data
+ */
+function populateMapEntries(pathStr, value) {
+  const mapContainer = document.getElementById(`map_${pathStr.replace(/\./g, '_')}`);
+  if (!mapContainer) return;
+
+  let declared = [];
+  try {
+    declared = JSON.parse(mapContainer.dataset.mapSchema || '{}').declared || [];
+  } catch (e) {
+    console.error('❌ Failed to parse map schema:', e);
+  }
+
+  mapContainer.querySelectorAll(':scope > .map-entries > .map-entry').forEach(entry => entry.remove());
+
+  const mapKeys = Object.keys(value).filter(k => !declared.includes(k));
+  console.log(`🗺️ Creating ${mapKeys.length} map entries for ${pathStr}`);
+  mapKeys.forEach(k => window.addMapEntry(pathStr, k));
+}
+
+/**
+ * NEW: Populates a tuple array (prefixItems / array-form items): creates the
+ * trailing elements beyond the fixed positions, then fills every position
+ * through populateFields() so each element keeps its own type.
+ * @param {string} pathStr - Path of the tuple
+ * @param {Array} values - Tuple data
+ * @returns {boolean} True if pathStr is a tuple and was handled
+ */
+function populateTupleField(pathStr, values) {
+  const container = document.getElementById(`tuple_${pathStr.replace(/\./g, '_')}`);
+  if (!container || !Array.isArray(values)) return false;
+
+  console.log(`🧩 Populating tuple: ${pathStr}`, values);
+  const positionCount = parseInt(container.dataset.positionCount || '0');
+  const restContainer = container.querySelector(':scope > .tuple-rest');
+  if (restContainer) restContainer.innerHTML = '';
+
+  for (let i = positionCount; i < values.length; i++) {
+    if (!window.addTupleItem(pathStr)) break;
+  }
+
+  const indexed = Object.fromEntries(values.map((v, i) => [String(i), v]));
+  populateFields(indexed, pathStr.split('.'));
+  return true;
+}
+
+/**
+ * NEW: const fields are hidden and always export the schema value; a different
+ * value in the data is reported and replaced.
+ * @param {string} pathStr - Field path
+ * @param {*} value - Value from the data
+ * @returns {boolean} True if pathStr is a const field
+ */
+function populateConstField(pathStr, value) {
+  const input = document.querySelector(`input.const-input[data-path="${CSS.escape(pathStr)}"]`);
+  if (!input) return false;
+
+  if (value !== undefined && JSON.stringify(value) !== input.dataset.const) {
+    console.warn(`⚠ ${pathStr} is fixed to ${input.dataset.const} by the schema - ignoring ${JSON.stringify(value)}`);
+  }
+  return true;
+}
+
+/**
+ * NEW: Sets the "not applicable" toggle of a nullable field from a value
+ * @param {string} pathStr - Field path
+ * @param {*} value - Value being populated
+ * @returns {boolean} True if the value is null and the toggle was checked
+ */
+function populateNullToggle(pathStr, value) {
+  const nullToggle = /** @type {HTMLInputElement|null} */ (
+    document.querySelector(`.null-toggle-input[data-null-for="${CSS.escape(pathStr)}"]`));
+  if (!nullToggle || value === undefined) return false;
+
+  nullToggle.checked = value === null;
+  window.toggleNullValue(nullToggle);
+  return value === null;
+}
+
+/**
+ * FIXED: readOnly fields are locked, so collectFormData() exports the value
+ * they were filled with (loaded data, default or rule), not what the control holds
+ * @param {string} pathStr - Field path
+ * @param {*} value - Value being populated
+ */
+function rememberReadOnlyValue(pathStr, value) {
+  if (value === undefined) return;
+  const group = /** @type {HTMLElement|null} */ (
+    document.querySelector(`.form-group[data-read-only][data-field-path="${CSS.escape(pathStr)}"]`));
+  if (group) group.dataset.lockedValue = JSON.stringify(value);
+}
+
+/**
+ * FIXED: Drops writeOnly values from loaded data. They are never shown again,
+ * so a data file round-trip only saves them when they are entered anew.
+ * @param {*} value - Data (not modified)
+ * @param {Object} schema - Schema of the data
+ * @param {Object} rootSchema - Root schema for $ref resolution
+ * @returns {*} Copy without writeOnly values
+ */
+function omitWriteOnlyValues(value, schema, rootSchema) {
+  if (schema?.$ref) schema = resolveRef(schema.$ref, rootSchema);
+  if (!schema || value === null || typeof value !== 'object') return value;
+  schema = getNonNullSchema(schema, rootSchema);
+
+  if (Array.isArray(value)) {
+    return value.map((item, i) => omitWriteOnlyValues(item,
+      schema.prefixItems?.[i] ?? (Array.isArray(schema.items) ? schema.items[i] : schema.items), rootSchema));
+  }
+
+  const effective = getEffectiveSchema(schema, value, rootSchema);
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    const propSchema = effective.properties?.[key] ??
+      (isMapSchema(effective) ? getMapValueSchema(effective, key, rootSchema) : undefined);
+    const resolved = propSchema?.$ref ? resolveRef(propSchema.$ref, rootSchema) : propSchema;
+    if (propSchema?.writeOnly || resolved?.writeOnly) {
+      console.log(`✎ Write-only value ${key} not loaded`);
+      return;
+    }
+    result[key] = omitWriteOnlyValues(item, propSchema, rootSchema);
+  });
+  return result;
+}
+
+/**
+ * NEW: Prefills fields that have a schema "default" (data-default on their
+ * .form-group). Each field is filled once, when it first appears on the page;
+ * data loaded afterwards replaces the default.
+ * FIXED: Only fresh forms get defaults - a loaded data file is not topped up.
+ * Items the user adds afterwards do get them (added), items created while
+ * populating do not.
+ * @param {ParentNode} [root] - Part of the page that was just rendered
+ * @param {{ added?: boolean }} [settings] - added: root is an item the user just added
+ */
+function applySchemaDefaults(root = document, { added = false } = {}) {
+  const groups = Array.from(root.querySelectorAll('.form-group[data-default]:not([data-default-applied])'));
+
+  // Skipped fields are marked too, so adding an item later does not fill them
+  if (populateDepth > 0 || (state.loadedData && !added)) {
+    groups.forEach(group => { group.dataset.defaultApplied = 'true'; });
+    return;
+  }
+
+  // Inner fields first, so a default on an object wins over its properties' defaults
+  groups.reverse().forEach(group => {
+    group.dataset.defaultApplied = 'true';
+    let value;
+    try {
+      value = JSON.parse(group.dataset.default);
+    } catch (e) {
+      console.error(`❌ Invalid default for ${group.dataset.fieldPath}:`, e);
+      return;
+    }
+    const parentPath = group.dataset.fieldPath.split('.');
+    const key = parentPath.pop();
+    populateFields({ [key]: value }, parentPath);
+  });
+
+  if (groups.length > 0) {
+    console.log(`✓ Applied ${groups.length} schema default(s)`);
+  }
+}
+
 function populateSingleField(pathStr, value) {
+  // NEW: Tuple elements inside array items arrive here as plain arrays
+  if (populateTupleField(pathStr, value)) return;
+
+  // NEW: const fields keep the schema value
+  if (populateConstField(pathStr, value)) return;
+
+  rememberReadOnlyValue(pathStr, value);
+
+  // NEW: Nullable fields — null checks the "not applicable" toggle, a value clears it
+  if (populateNullToggle(pathStr, value)) return;
+
   // Skip actual null/undefined values — field simply has no data.
   if (value === null || value === undefined) {
     console.log(`Skipping null/undefined for ${pathStr}`);
@@ -352,8 +596,15 @@ function populateSingleField(pathStr, value) {
     return;
   }
   
+  // ===== NEW: Check for file attachment (base64) =====
+  const fileContainer = document.getElementById(`file_${escapedPath}`);
+  if (fileContainer) {
+    populateFileAttachment(pathStr, value);
+    return;
+  }
+  
   // Try select dropdown
-  let input = document.querySelector(`select[data-path="${pathStr}"]`);
+  let input = document.querySelector(`select[data-path="${CSS.escape(pathStr)}"]`);
   if (input) {
     const stringValue = String(value);
     const optionExists = Array.from(input.options).some(option => option.value === stringValue);
@@ -392,7 +643,7 @@ function populateSingleField(pathStr, value) {
   }
   
   // Try text/email input
-  input = document.querySelector(`input[type="text"][data-path="${pathStr}"], input[type="email"][data-path="${pathStr}"]`);
+  input = document.querySelector(`input[type="text"][data-path="${CSS.escape(pathStr)}"], input[type="email"][data-path="${CSS.escape(pathStr)}"]`);
   if (input) {
     input.value = String(value);
     input.classList.remove('invalid-data');
@@ -402,7 +653,7 @@ function populateSingleField(pathStr, value) {
   }
   
   // Try number input
-  input = document.querySelector(`input[type="number"][data-path="${pathStr}"]`);
+  input = document.querySelector(`input[type="number"][data-path="${CSS.escape(pathStr)}"]`);
   if (input) {
     input.value = value;
     input.classList.remove('invalid-data');
@@ -412,14 +663,14 @@ function populateSingleField(pathStr, value) {
   }
   
   // ===== Try slider =====
-  input = document.querySelector(`input[type="range"][data-path="${pathStr}"]`);
+  input = document.querySelector(`input[type="range"][data-path="${CSS.escape(pathStr)}"]`);
   if (input) {
     populateSlider(pathStr, value);
     return;
   }
   
   // Try date input
-  input = document.querySelector(`input[type="date"][data-path="${pathStr}"]`);
+  input = document.querySelector(`input[type="date"][data-path="${CSS.escape(pathStr)}"]`);
   if (input) {
     input.value = value;
     input.classList.remove('invalid-data');
@@ -429,7 +680,7 @@ function populateSingleField(pathStr, value) {
   }
   
   // Try boolean checkbox
-  input = document.querySelector(`input[type="checkbox"][data-path="${pathStr}"]:not(.multi-select-checkbox):not(.checkbox-input)`);
+  input = document.querySelector(`input[type="checkbox"][data-path="${CSS.escape(pathStr)}"]:not(.multi-select-checkbox):not(.checkbox-input)`);
   if (input) {
     input.checked = value === true;
     input.classList.remove('invalid-data');
@@ -439,7 +690,7 @@ function populateSingleField(pathStr, value) {
   }
   
   // Try textarea
-  input = document.querySelector(`textarea[data-path="${pathStr}"]`);
+  input = document.querySelector(`textarea[data-path="${CSS.escape(pathStr)}"]`);
   if (input) {
     if (Array.isArray(value)) {
       input.value = value.join(', ');
@@ -474,7 +725,7 @@ function populateArrayField(pathStr, values) {
   }
   
   if (container) {
-    const allCheckboxes = document.querySelectorAll(`[data-path="${pathStr}"].multi-select-checkbox`);
+    const allCheckboxes = document.querySelectorAll(`[data-path="${CSS.escape(pathStr)}"].multi-select-checkbox`);
     if (allCheckboxes.length === 0) {
       console.warn(`No checkboxes found for ${pathStr}`);
       return;
@@ -561,7 +812,7 @@ function populateArrayField(pathStr, values) {
     }
     
     // Fallback to regular select, with added validity check
-    const selectInput = document.querySelector(`select[data-path="${pathStr}"]`);
+    const selectInput = document.querySelector(`select[data-path="${CSS.escape(pathStr)}"]`);
     if (selectInput) {
       // For single-select, take the first value if array; warn if multiple values
       let valueToSet = Array.isArray(values) ? values[0] : values;
@@ -607,6 +858,8 @@ function populateArrayField(pathStr, values) {
 }
 
 function populateArrayOfObjects(pathStr, items) {
+  if (populateTupleField(pathStr, items)) return;
+
   console.log(`📋 Populating array of objects: ${pathStr}`, items);
   console.log(`   Data structure:`, JSON.stringify(items).substring(0, 200));
   
@@ -621,7 +874,7 @@ function populateArrayOfObjects(pathStr, items) {
   
   // Strategy 3: Find by data-path attribute
   if (!container) {
-    container = document.querySelector(`.array-container[data-path="${pathStr}"]`);
+    container = document.querySelector(`.array-container[data-path="${CSS.escape(pathStr)}"]`);
     if (container) {
       console.log(`✓ Found container by data-path attribute: ${container.id}`);
     }
@@ -639,7 +892,7 @@ function populateArrayOfObjects(pathStr, items) {
     
     // Try again after a delay
     setTimeout(() => {
-      const delayedContainer = document.querySelector(`.array-container[data-path="${pathStr}"]`) ||
+      const delayedContainer = document.querySelector(`.array-container[data-path="${CSS.escape(pathStr)}"]`) ||
                                document.getElementById('array_' + escapedPath);
       
       if (delayedContainer) {
@@ -762,6 +1015,9 @@ function populateArrayOfObjectsDelayed(pathStr, items, container) {
               // This is a nested array of objects - populate it recursively
               console.log(`        📦 Nested array detected at ${itemPath}`);
               populateArrayOfObjects(itemPath, subValue);
+            } else if (subValue !== null && typeof subValue === 'object' && !Array.isArray(subValue)) {
+              // Nested object (may hold map entries) - recurse
+              populateFields({ [subKey]: subValue }, [...pathStr.split('.'), String(index)]);
             } else {
               // Regular field population
               populateSingleField(itemPath, subValue);
@@ -940,37 +1196,35 @@ function enforceValidMultiSelection(container, fieldPath) {
 /**
  * ⭐ NEW: Pre-initializes dependent field options based on loaded data
  * This ensures dependent fields have the correct options BEFORE we try to populate values
+ * UPDATED: Resolves every trigger of a field (nested paths included), in
+ * dependency order so multi-level cascades (country → state → city) preload
  * 
- * @param {Object} data - The loaded data
+ * @param {Object} [data] - The loaded data (omitted: use the values in the form)
  */
 function preInitializeDependentFields(data) {
-  if (!state.triggersToAffected || Object.keys(state.triggersToAffected).length === 0) {
+  const rules = getDependentRulesInOrder();
+  if (rules.length === 0) {
     console.log('  ℹ️ No dependent fields configured');
     return;
   }
   
   console.log('  🔗 Processing dependent field triggers...');
   
-  // Find all trigger fields that have values in the data
-  Object.entries(state.triggersToAffected).forEach(([triggerField, rules]) => {
-    const triggerValue = data[triggerField];
+  rules.forEach(rule => {
+    const affectedField = rule.affected;
+    const affectedElement = findDependentFieldElement(affectedField);
     
-    if (triggerValue !== undefined && triggerValue !== null && triggerValue !== '') {
-      console.log(`  ✓ Trigger field "${triggerField}" has value: "${triggerValue}"`);
-      
-      // Update all affected fields for this trigger
-      rules.forEach(rule => {
-        const affectedField = rule.affected;
-        const affectedElement = findDependentFieldElement(affectedField);
-        
-        if (affectedElement) {
-          console.log(`    → Initializing dependent field: ${affectedField}`);
-          updateFieldOptions(affectedField, triggerValue, affectedElement, rule, null);
-        } else {
-          console.log(`    ⚠️ Element not found for: ${affectedField}`);
-        }
-      });
+    if (!affectedElement) {
+      console.log(`    ⚠️ Element not found for: ${affectedField}`);
+      return;
     }
+    
+    const triggerValues = data
+      ? Object.fromEntries(rule.triggers.map(trigger => [trigger, getDataAtPath(data, trigger.split('.'))]))
+      : null;
+    
+    console.log(`    → Initializing dependent field: ${affectedField}`);
+    updateFieldOptions(affectedField, triggerValues, affectedElement, rule, null);
   });
   
   console.log('  ✅ Dependent fields pre-initialized');
@@ -981,7 +1235,7 @@ function preInitializeDependentFields(data) {
  * (This function already exists in conditional-rules.js, but we need it here too)
  */
 function findDependentFieldElement(fieldPath) {
-  let element = document.querySelector(`select[data-path="${fieldPath}"][data-dependent="true"]`);
+  let element = document.querySelector(`select[data-path="${CSS.escape(fieldPath)}"][data-dependent="true"]`);
   if (element) return element;
   
   const escapedPath = fieldPath.replace(/\./g, '_');
@@ -1000,6 +1254,9 @@ function findDependentFieldElement(fieldPath) {
 export {
   populateFormWithData,
   populateSingleField,
+  populateFields,
+  applySchemaDefaults,
+  omitWriteOnlyValues,
   addInvalidDataWarning,
   removeInvalidWarning,
   handleNestedPolymorphicData,
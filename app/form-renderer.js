@@ -4,9 +4,16 @@
 import { state, updateState } from './state.js';
 import { createInputControl, createDefaultInput } from './input-control.js';
 import { resolveRef } from './file-validation.js';
-import { analyzeSchemaStructure, normalizeSchema, detectSchemaPattern } from './schema-manager.js';
-import { attachEventListeners, initializeDependentFields, initializePendingDependentFields } from './conditional-rules.js'
+import { analyzeSchemaStructure, normalizeSchema, detectSchemaPattern,
+         getEffectiveSchema, hasConditionalSubschemas, getDataAtPath, mergeAllOf,
+         isMapSchema, getMapValueSchema, getMapKeyError,
+         isTupleSchema, getTupleLayout, getTuplePositionSchema,
+         isNullableSchema, getNonNullSchema, getPrimaryType } from './schema-manager.js';
+import { attachEventListeners, initializeDependentFields, initializePendingDependentFields, getDependentTriggers } from './conditional-rules.js'
 import { attachRealtimeValidation } from './input-validation.js';
+import { populateFields, applySchemaDefaults } from './form-population.js';
+import { collectFormData } from './data-builder.js';
+import { ashAlert, escapeHtml } from './utils.js';
 
 console.log('📋 Form Renderer Module Loaded');
 
@@ -58,7 +65,8 @@ function renderForm(schema) {
   // Step 1: Normalize schema structure
   const normalizedSchema = normalizeSchema(schema);
   updateState({
-    currentSchema: normalizedSchema
+    currentSchema: normalizedSchema,
+    loadedData: null
   });
   
   console.log('📋 Normalized schema structure:', {
@@ -89,6 +97,8 @@ function renderForm(schema) {
   document.getElementById('saveBtn').style.display = 'inline-block';
   document.getElementById('loadDataBtn').style.display = 'inline-block';
   document.getElementById('exportBtn').style.display = 'inline-block';
+  document.getElementById('reportBtn').style.display = 'inline-block';
+  document.getElementById('optionsBtn').style.display = 'inline-block';
   
   // Step 6: Route to appropriate renderer
   switch(analysis.renderingStrategy) {
@@ -134,9 +144,15 @@ function renderForm(schema) {
       // NEW: Attach real-time validation
       attachRealtimeValidation(normalizedSchema);      
       
+      // NEW: Prefill schema "default" values (before dependent fields read their triggers)
+      applySchemaDefaults();
+      
       // Initialize dependent fields with default values
       initializeDependentFields();
 
+      // NEW: Sync if/then/else outcomes with the freshly collected (empty) form data
+      refreshConditionalFields();
+
       console.log('✅ Form rendered, listeners attached, validation enabled');
       
     }, 100);
@@ -268,6 +284,7 @@ function createPolymorphicTypeSelector(schema) {
       // Attach event listeners after rendering
       setTimeout(() => {
         attachEventListeners();
+        applySchemaDefaults(contentArea);
         initializePendingDependentFields();
       }, 100);
     }
@@ -631,9 +648,10 @@ function renderSingleForm(schema, analysis) {
   title.textContent = schema.title || 'Form';
   container.appendChild(title);
   
-  // Render all properties
-  const properties = schema.properties || {};
-  const required = schema.required || [];
+  // Render all properties (root-level if/then/else merged in)
+  const effectiveSchema = resolveConditionalSchema(schema, []);
+  const properties = effectiveSchema.properties || {};
+  const required = effectiveSchema.required || [];
   
   for (const [key, prop] of Object.entries(properties)) {
     const isRequired = required.includes(key);
@@ -656,8 +674,9 @@ function renderSingleForm(schema, analysis) {
  */
 function renderMultiSectionForm(schema, analysis) {
   // Existing implementation from current code
-  const properties = schema.properties || {};
-  const required = schema.required || [];
+  const effectiveSchema = resolveConditionalSchema(schema, []);
+  const properties = effectiveSchema.properties || {};
+  const required = effectiveSchema.required || [];
   
   // IMPORTANT: Create tabs BEFORE creating content
   createTabs(properties);
@@ -704,23 +723,7 @@ function createTabs(properties) {
   });
   
   Object.keys(properties).forEach((key) => {
-    const prop = properties[key];
-    const title = prop.title || key;
-    
-    const tabButton = document.createElement('button');
-    tabButton.className = 'tab';
-    tabButton.id = `tab-${key}`;
-    tabButton.textContent = title;
-    tabButton.addEventListener('click', () => switchTab(key));
-    
-    const tabContent = document.createElement('div');
-    tabContent.className = 'tab-content';
-    tabContent.id = `content-${key}`;
-    
-    const titleElement = document.createElement('h2');
-    titleElement.textContent = title;
-    tabContent.appendChild(titleElement);
-    
+    const { tabButton, tabContent } = createTabElements(key, properties[key]);
     tabsContainer.appendChild(tabButton);
     tabContentsContainer.appendChild(tabContent);
   });
@@ -728,6 +731,33 @@ function createTabs(properties) {
   console.log(`✅ Created ${Object.keys(properties).length} tabs`);
 }
 
+/**
+ * Tab button and (empty) content panel of a root property
+ * UPDATED: Split out of createTabs() for tabs added by if/then/else
+ * @param {string} key - Root property key
+ * @param {Object} prop - Property schema
+ * @returns {{ tabButton: HTMLButtonElement, tabContent: HTMLDivElement }}
+ */
+function createTabElements(key, prop) {
+  const title = prop.title || key;
+  
+  const tabButton = document.createElement('button');
+  tabButton.className = 'tab';
+  tabButton.id = `tab-${key}`;
+  tabButton.textContent = title;
+  tabButton.addEventListener('click', () => switchTab(key));
+  
+  const tabContent = document.createElement('div');
+  tabContent.className = 'tab-content';
+  tabContent.id = `content-${key}`;
+  
+  const titleElement = document.createElement('h2');
+  titleElement.textContent = title;
+  tabContent.appendChild(titleElement);
+  
+  return { tabButton, tabContent };
+}
+
 function createTabContent(key, prop, isRequired, path) {
   return createField(key, prop, isRequired, path);
 }
@@ -755,6 +785,7 @@ function switchTab(tabKey) {
       
       setTimeout(() => {
         attachEventListeners();
+        applySchemaDefaults(newTabContent);
         // NEW: Initialize any dependent fields in this newly rendered tab
         initializePendingDependentFields();
         attachRealtimeValidation(state.currentSchema);
@@ -793,6 +824,7 @@ function renderAllTabs() {
   // Attach event listeners to all newly rendered elements
   attachEventListeners();
   attachRealtimeValidation(state.currentSchema);
+  applySchemaDefaults();
   
   console.log('✓ All tabs rendered');
 }
@@ -803,32 +835,63 @@ function createField(key, prop, isRequired, path) {
     if (!prop) return '';
   }
 
+  // allOf not merged by normalizeSchema (e.g. schemas coming from data-item-schema)
+  if (prop.allOf) {
+    prop = mergeAllOf(prop, state.currentSchema);
+  }
+
+  // NEW: const - the value is fixed by the schema, so it is filled in and hidden
+  if ('const' in prop) {
+    return createConstField(path.join('.'), prop);
+  }
+
+  // NEW: Nullable unions (type: [X, "null"] / anyOf: [X, {type: "null"}]) render
+  // the primary type's control plus a "not applicable" toggle
+  const isNullable = isNullableSchema(prop);
+  if (isNullable) {
+    prop = getNonNullSchema(prop, state.currentSchema);
+  }
+  if (Array.isArray(prop.type)) {
+    prop = { ...prop, type: getPrimaryType(prop) };
+  }
+
   const type = prop.type;
   const title = prop.title || key;
   const description = prop.description || '';
   const pathStr = path.join('.');
   
-  if (type === 'object' && prop.properties) {
-    return createNestedObject(key, prop, isRequired, path);
+  if (type === 'object' && (prop.properties || hasConditionalSubschemas(prop) || isMapSchema(prop))) {
+    return createNestedObject(key, prop, isRequired, path, isNullable);
+  }
+  
+  // NEW: Tuples (prefixItems / array-form items) get one typed input per position
+  if (type === 'array' && isTupleSchema(prop)) {
+    return createTupleField(key, prop, isRequired, path, isNullable);
   }
   
   if (type === 'array') {
     const items = prop.items;
     if (items && (items.type === 'object' || items.$ref)) {
-      return createArrayOfObjects(key, prop, isRequired, path);
+      return createArrayOfObjects(key, prop, isRequired, path, isNullable);
     }
   }
 
   const choiceConfig = state.customOptions[key] || state.customOptions[pathStr];
+  // NEW: Computed fields (options "computed") show their value in a locked input
+  const computed = typeof choiceConfig?.computed === 'string' ? choiceConfig.computed : null;
   
   let inputHtml = '';
   let isDependent = false;
   let depField = null;
 
-  if (choiceConfig && typeof choiceConfig === 'object' && !Array.isArray(choiceConfig)) {
+  if (computed) {
+    inputHtml = createDefaultInput(pathStr, prop, isRequired);
+
+  } else if (choiceConfig && typeof choiceConfig === 'object' && !Array.isArray(choiceConfig)) {
     isDependent = !!choiceConfig.dependent_values;
     if (isDependent) {
-      depField = Object.keys(choiceConfig.dependent_values)[0];
+      // UPDATED: All trigger paths, comma-separated (a field may depend on several)
+      depField = getDependentTriggers(choiceConfig.dependent_values).join(',');
     }
     inputHtml = createInputControl(key, prop, pathStr, choiceConfig, isRequired, isDependent, depField);
     
@@ -853,15 +916,162 @@ function createField(key, prop, isRequired, path) {
   }
 
   return `
-    <div class="form-group" data-field-path="${pathStr}">
-      <label class="${isRequired ? 'required' : ''}">${title}</label>
+    <div class="form-group${prop.writeOnly ? ' write-only' : ''}" data-field-path="${pathStr}"${getAnnotationAttributes(prop)}>
+      <label class="${isRequired ? 'required' : ''}">${title}${createAnnotationBadges(prop)}${computed ? createComputedBadge(computed) : ''}</label>
       ${description ? `<div class="description">${description}</div>` : ''}
-      ${inputHtml}
+      ${computed
+        ? `<fieldset class="computed-fieldset" disabled>${inputHtml}</fieldset>`
+        : lockIfReadOnly(prop, inputHtml + (isNullable ? createNullToggle(pathStr) : ''))}
     </div>`;
 }
 
+/**
+ * NEW: Label badge of a computed field; the tooltip shows its expression
+ * @param {string} expression - Options file "computed" expression
+ * @returns {string} HTML string
+ */
+function createComputedBadge(expression) {
+  return `<span class="field-badge computed-badge" title="Computed: ${escapeHtml(expression)}">ƒ Computed</span>`;
+}
+
+// ==================== SCHEMA ANNOTATIONS ====================
+
+/**
+ * NEW: Hidden field for a const property. collectFormData() always emits the
+ * schema value (data-const); the value attribute carries it as text for the
+ * collectors that read input.value directly.
+ * @param {string} pathStr - Field path
+ * @param {Object} prop - Property schema with const
+ * @returns {string} HTML string
+ */
+function createConstField(pathStr, prop) {
+  const constValue = prop.const;
+  const text = typeof constValue === 'string' ? constValue : JSON.stringify(constValue);
+  return `
+    <div class="form-group const-field" data-field-path="${pathStr}" style="display: none;">
+      <input type="hidden" class="const-input" name="${pathStr}" id="${pathStr}" data-path="${pathStr}"
+             value="${escapeHtml(text)}" data-const="${escapeHtml(JSON.stringify(constValue))}">
+    </div>`;
+}
 
-function createNestedObject(key, prop, isRequired, path) {
+/**
+ * NEW: data-* attributes for deprecated, readOnly and default. Deprecated
+ * fields are left out of new data by collectFormData(), defaults are filled
+ * in by applySchemaDefaults() once the field is on the page.
+ * @param {Object} prop - Property schema
+ * @returns {string} Attribute string (with leading space) or ''
+ */
+function getAnnotationAttributes(prop) {
+  let attrs = '';
+  if (prop.readOnly) attrs += ' data-read-only="true"';
+  if (prop.deprecated) attrs += ' data-deprecated="true"';
+  if (prop.default !== undefined) attrs += ` data-default="${escapeHtml(JSON.stringify(prop.default))}"`;
+  return attrs;
+}
+
+/**
+ * NEW: Label badges for readOnly / writeOnly / deprecated fields
+ * @param {Object} prop - Property schema
+ * @returns {string} HTML string
+ */
+function createAnnotationBadges(prop) {
+  let badges = '';
+  if (prop.readOnly) {
+    badges += '<span class="field-badge read-only-badge" title="This value is set by the system and cannot be edited">🔒 Read-only</span>';
+  }
+  if (prop.writeOnly) {
+    badges += '<span class="field-badge write-only-badge" title="Hidden while you type and not read back from loaded data">✎ Write-only</span>';
+  }
+  if (prop.deprecated) {
+    badges += '<span class="field-badge deprecated-badge" title="Only saved if the loaded data already contains it">⚠️ Deprecated</span>';
+  }
+  return badges;
+}
+
+/**
+ * NEW: Locks the controls of a readOnly field. A disabled fieldset disables
+ * every control inside it without touching the controls themselves, so the
+ * value is still populated and exported.
+ * @param {Object} prop - Property schema
+ * @param {string} html - Control HTML
+ * @returns {string} HTML string
+ */
+function lockIfReadOnly(prop, html) {
+  return prop.readOnly ? `<fieldset class="read-only-fieldset" disabled>${html}</fieldset>` : html;
+}
+
+/**
+ * NEW: "Not applicable" toggle for nullable fields. While checked the field's
+ * inputs are cleared and disabled, and collectFormData() emits null.
+ * UPDATED: Objects, arrays and tuples (composite) keep their entries while
+ * locked, so unticking the toggle brings them back
+ * @param {string} pathStr - Field path
+ * @param {boolean} [composite] - The field is an object, array or tuple
+ * @returns {string} HTML string
+ */
+function createNullToggle(pathStr, composite = false) {
+  return `
+      <label class="null-toggle">
+        <input type="checkbox" class="null-toggle-input" data-null-for="${pathStr}"${composite ? ' data-null-composite="true"' : ''}
+               onchange="toggleNullValue(this)">
+        Not applicable (null)
+      </label>`;
+}
+
+/**
+ * NEW: Applies the state of a null toggle to its field's inputs.
+ * Only inputs disabled by the toggle are re-enabled, so fields disabled by
+ * conditional rules stay disabled.
+ * @param {HTMLInputElement} toggle - .null-toggle-input checkbox
+ */
+window.toggleNullValue = function(toggle) {
+  const formGroup = toggle.closest('.form-group');
+  const path = toggle.dataset.nullFor;
+  if (!formGroup || !path) return;
+
+  // UPDATED: Composite fields lock every control inside them, keeping their values
+  const composite = toggle.dataset.nullComposite === 'true';
+  const controls = composite
+    ? Array.from(formGroup.querySelectorAll('input, select, textarea, button')).filter(control => control !== toggle)
+    : Array.from(formGroup.querySelectorAll(`[data-path="${CSS.escape(path)}"]`));
+
+  controls.forEach(input => {
+    if (toggle.checked) {
+      if (!composite && (input.type === 'checkbox' || input.type === 'radio')) {
+        input.checked = false;
+      } else if (!composite) {
+        input.value = '';
+      }
+      if (!input.disabled) {
+        input.disabled = true;
+        input.dataset.nullDisabled = 'true';
+      }
+      input.classList.remove('validation-error');
+    } else if (input.dataset.nullDisabled === 'true') {
+      input.disabled = false;
+      delete input.dataset.nullDisabled;
+    }
+  });
+
+  formGroup.classList.toggle('null-value', toggle.checked);
+  formGroup.querySelectorAll('.validation-error-message').forEach(msg => {
+    if (toggle.checked) msg.remove();
+  });
+};
+
+
+/**
+ * Renders an object property as a collapsible group of its fields
+ * UPDATED: nullable objects get a "not applicable" toggle
+ * @param {string} key - Property name
+ * @param {Object} prop - Object schema
+ * @param {boolean} isRequired
+ * @param {Array<string|number>} path - Path segments
+ * @param {boolean} [nullable] - The schema also allows null
+ * @returns {string} HTML string
+ */
+function createNestedObject(key, prop, isRequired, path, nullable = false) {
+  prop = resolveConditionalSchema(prop, path);
   const title = prop.title || key;
   const description = prop.description || '';
   const pathStr = path.join('.');
@@ -875,22 +1085,33 @@ function createNestedObject(key, prop, isRequired, path) {
   }
 
   return `
-    <div class="form-group" data-field-path="${pathStr}">
+    <div class="form-group" data-field-path="${pathStr}"${getAnnotationAttributes(prop)}>
       <div class="nested-object">
         <div class="nested-object-header" onclick="toggleNested(this)">
           <span>${title}</span>
-          ${isRequired ? '<span style="color: var(--vscode-errorForeground)">*</span>' : ''}
+          ${isRequired ? '<span class="required-marker" style="color: var(--vscode-errorForeground)">*</span>' : ''}
+          ${createAnnotationBadges(prop)}
         </div>
         ${description ? `<div class="description">${description}</div>` : ''}
         <div class="nested-object-content">
-          ${fieldsHtml}
+          ${lockIfReadOnly(prop, (nullable ? createNullToggle(pathStr, true) : '') + fieldsHtml + (isMapSchema(prop) ? createMapEditor(prop, path) : ''))}
         </div>
       </div>
     </div>
   `;
 }
 
-function createArrayOfObjects(key, prop, isRequired, path) {
+/**
+ * Renders an array of objects with add / remove controls
+ * UPDATED: nullable arrays get a "not applicable" toggle
+ * @param {string} key - Property name
+ * @param {Object} prop - Array schema
+ * @param {boolean} isRequired
+ * @param {Array<string|number>} path - Path segments
+ * @param {boolean} [nullable] - The schema also allows null
+ * @returns {string} HTML string
+ */
+function createArrayOfObjects(key, prop, isRequired, path, nullable = false) {
   const title = prop.title || key;
   const description = prop.description || '';
   const pathStr = path.join('.');
@@ -922,9 +1143,10 @@ function createArrayOfObjects(key, prop, isRequired, path) {
   });
   
   return `
-    <div class="form-group" data-field-path="${pathStr}">
-      <label class="${isRequired ? 'required' : ''}">${title}</label>
+    <div class="form-group" data-field-path="${pathStr}"${getAnnotationAttributes(prop)}>
+      <label class="${isRequired ? 'required' : ''}">${title}${createAnnotationBadges(prop)}</label>
       ${description ? `<div class="description">${description}</div>` : ''}
+      ${lockIfReadOnly(prop, `${nullable ? createNullToggle(pathStr, true) : ''}
       <div class="array-container ${isRecursive ? 'recursive-array' : ''}" 
            id="array_${pathStr.replace(/\./g, '_')}" 
            data-path="${pathStr}"
@@ -933,11 +1155,631 @@ function createArrayOfObjects(key, prop, isRequired, path) {
         <div class="array-controls">
           <button type="button" class="add-array-item-btn" onclick="addArrayItem('${pathStr}')">Add Item</button>
         </div>
+      </div>`)}
+    </div>
+  `;
+}
+
+
+
+// ==================== CONDITIONAL SUBSCHEMAS (if/then/else) ====================
+
+/**
+ * NEW: Returns the effective schema for an object at `path`, merging the
+ * active then/else branch for the current form data. Objects that carry
+ * if/then/else are registered in state.conditionalSchemas so that
+ * refreshConditionalFields() can re-render them when the outcome flips.
+ *
+ * @param {Object} schema - Object schema (already $ref-resolved)
+ * @param {Array<string|number>} path - Path segments of the object ([] = root)
+ * @returns {Object} Effective schema (the input schema when it has no conditionals)
+ */
+function resolveConditionalSchema(schema, path) {
+  if (!hasConditionalSubschemas(schema)) return schema;
+
+  const objectPath = path.join('.');
+  const data = path.length ? getDataAtPath(state.formData, path) : state.formData;
+  const effective = getEffectiveSchema(schema, data, state.currentSchema);
+
+  updateState({
+    conditionalSchemas: {
+      ...state.conditionalSchemas,
+      [objectPath]: { schema, effective }
+    }
+  });
+
+  return effective;
+}
+
+/**
+ * NEW: Re-evaluates every registered if/then/else against state.formData and
+ * re-renders only the fields whose effective schema or required flag changed.
+ * Called from the change handler in conditional-rules.js after formData is refreshed.
+ */
+function refreshConditionalFields() {
+  const objectPaths = Object.keys(state.conditionalSchemas || {});
+  if (objectPaths.length === 0) return;
+
+  const data = state.formData || {};
+  let rerendered = 0;
+
+  objectPaths.forEach(objectPath => {
+    // Read live: a re-render above may already have re-registered this entry
+    const entry = state.conditionalSchemas[objectPath];
+    if (!entry) return;
+
+    const pathKeys = objectPath ? objectPath.split('.') : [];
+    const objData = pathKeys.length ? getDataAtPath(data, pathKeys) : data;
+    const effective = getEffectiveSchema(entry.schema, objData, state.currentSchema);
+    const previous = entry.effective;
+
+    if (JSON.stringify(effective) === JSON.stringify(previous)) return;
+
+    // Store the new outcome BEFORE re-rendering so change events fired while
+    // restoring values do not trigger the same re-render again
+    updateState({
+      conditionalSchemas: {
+        ...state.conditionalSchemas,
+        [objectPath]: { schema: entry.schema, effective }
+      }
+    });
+
+    const oldProps = previous.properties || {};
+    const newProps = effective.properties || {};
+    const oldRequired = previous.required || [];
+    const newRequired = effective.required || [];
+    const keys = new Set([...Object.keys(oldProps), ...Object.keys(newProps)]);
+
+    keys.forEach(key => {
+      const wasRequired = oldRequired.includes(key);
+      const isRequired = newRequired.includes(key);
+      const sameSchema = JSON.stringify(oldProps[key]) === JSON.stringify(newProps[key]);
+      if (wasRequired === isRequired && sameSchema) {
+        return;
+      }
+      // Only the required flag flipped (dependentRequired, then: {required}) —
+      // update the asterisk in place instead of re-rendering the input
+      if (sameSchema && newProps[key] && updateRequiredMarker([...pathKeys, key].join('.'), isRequired)) {
+        return;
+      }
+      console.log(`🔀 if/then/else outcome changed: re-rendering ${[...pathKeys, key].join('.')}`);
+      replaceConditionalField(key, newProps[key], isRequired, [...pathKeys, key], objectPath);
+      rerendered++;
+    });
+  });
+
+  if (rerendered > 0) {
+    setTimeout(() => {
+      attachEventListeners();
+      attachRealtimeValidation(state.currentSchema);
+    }, 50);
+  }
+}
+
+/**
+ * NEW: Swaps a single field's form-group for a freshly rendered one and
+ * restores its current value. Removes the group when the property only
+ * existed in the branch that just became inactive.
+ *
+ * @param {string} key - Property key
+ * @param {Object|undefined} prop - New effective property schema (undefined = remove)
+ * @param {boolean} isRequired - New required flag
+ * @param {Array<string|number>} fieldPath - Full path segments of the field
+ * @param {string} objectPath - Path of the parent object ('' = root)
+ */
+function replaceConditionalField(key, prop, isRequired, fieldPath, objectPath) {
+  const fieldPathStr = fieldPath.join('.');
+  const html = prop ? createField(key, prop, isRequired, fieldPath) : '';
+
+  const group = document.querySelector(`.form-group[data-field-path="${CSS.escape(fieldPathStr)}"]`);
+
+  // Tab forms: keep lazily rendered tab HTML in sync for tabs not yet opened
+  // FIXED: Root properties that come or go add or remove their tab
+  if (!objectPath && Object.keys(state.tabContents || {}).length > 0) {
+    if (syncConditionalTab(key, prop, html) || !group) return;
+  }
+
+  if (!prop) {
+    if (group) group.remove();
+    return;
+  }
+
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  const newGroup = div.firstElementChild;
+  if (!newGroup) return;
+
+  if (group) {
+    group.replaceWith(newGroup);
+  } else {
+    const container = findConditionalContainer(objectPath);
+    if (!container) {
+      console.warn(`⚠️ No container found to insert conditional field ${fieldPathStr}`);
+      return;
+    }
+    container.appendChild(newGroup);
+  }
+
+  const value = getDataAtPath(state.formData, fieldPath);
+  if (value !== undefined && value !== null) {
+    populateFields({ [key]: value }, fieldPath.slice(0, -1));
+  }
+}
+
+/**
+ * FIXED: Keeps the tabs of a tabbed form in step with its root properties.
+ * A property brought in by a then/else branch gets a tab at its place in the
+ * effective schema (rendered when opened, like the others); one that went
+ * away loses its tab. A property that stays only has its tab HTML updated.
+ * @param {string} key - Root property key
+ * @param {Object|undefined} prop - New effective property schema (undefined = remove)
+ * @param {string} html - Rendered field ('' when removed)
+ * @returns {boolean} True if a tab was added or removed (nothing left to replace)
+ */
+function syncConditionalTab(key, prop, html) {
+  const tabButton = document.getElementById(`tab-${key}`);
+
+  if (!prop) {
+    if (!(key in state.tabContents)) return false;
+    const { [key]: _removed, ...tabContents } = state.tabContents;
+    tabButton?.remove();
+    document.getElementById(`content-${key}`)?.remove();
+    updateState({ tabContents });
+    if (state.currentTab === key) {
+      updateState({ currentTab: null });
+      const firstTab = Object.keys(tabContents)[0];
+      if (firstTab) switchTab(firstTab);
+    }
+    initializeTabNavigation();
+    console.log(`🔀 Removed tab ${key}`);
+    return true;
+  }
+
+  if (tabButton) {
+    tabButton.textContent = prop.title || key;
+    updateState({ tabContents: { ...state.tabContents, [key]: html } });
+    return false;
+  }
+
+  // Tab order follows the effective root schema
+  const order = Object.keys(state.conditionalSchemas['']?.effective?.properties || {});
+  const tabContents = {};
+  [...order, ...Object.keys(state.tabContents)].forEach(tabKey => {
+    if (tabKey === key) tabContents[tabKey] = html;
+    else if (tabKey in state.tabContents) tabContents[tabKey] = state.tabContents[tabKey];
+  });
+  updateState({ tabContents });
+
+  const tabKeys = Object.keys(tabContents);
+  const nextKey = tabKeys.slice(tabKeys.indexOf(key) + 1).find(tabKey => document.getElementById(`tab-${tabKey}`));
+  const elements = createTabElements(key, prop);
+  document.getElementById('form-tabs')
+    .insertBefore(elements.tabButton, nextKey ? document.getElementById(`tab-${nextKey}`) : null);
+  document.getElementById('tab-contents')
+    .insertBefore(elements.tabContent, nextKey ? document.getElementById(`content-${nextKey}`) : null);
+
+  initializeTabNavigation();
+  console.log(`🔀 Added tab ${key}`);
+  return true;
+}
+
+/**
+ * NEW: Toggles the required asterisk (label.required / header *) and the
+ * `required` attribute of a rendered field without re-rendering it
+ * @param {string} fieldPathStr - Dot path of the field
+ * @param {boolean} isRequired - New required flag
+ * @returns {boolean} False if the field is not rendered yet (caller should re-render)
+ */
+function updateRequiredMarker(fieldPathStr, isRequired) {
+  const group = document.querySelector(`.form-group[data-field-path="${CSS.escape(fieldPathStr)}"]`);
+  if (!group) return false;
+
+  const label = group.querySelector(':scope > label');
+  if (label) {
+    label.classList.toggle('required', isRequired);
+    group.querySelectorAll(':scope > input, :scope > select, :scope > textarea').forEach(el => {
+      el.toggleAttribute('required', isRequired);
+    });
+    return true;
+  }
+
+  // Nested objects show a separate * span in the header
+  const header = group.querySelector(':scope > .nested-object > .nested-object-header');
+  if (header) {
+    const marker = header.querySelector('.required-marker');
+    if (isRequired && !marker) {
+      header.insertAdjacentHTML('beforeend', '<span class="required-marker" style="color: var(--vscode-errorForeground)">*</span>');
+    } else if (!isRequired && marker) {
+      marker.remove();
+    }
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * NEW: Finds the element that holds the child form-groups of an object path
+ * @param {string} objectPath - '' for root, "a.b" for nested objects, "arr.0" for array items
+ * @returns {HTMLElement|null}
+ */
+function findConditionalContainer(objectPath) {
+  if (!objectPath) {
+    return document.querySelector('.single-form-container');
+  }
+
+  const group = document.querySelector(`.form-group[data-field-path="${CSS.escape(objectPath)}"]`);
+  if (group) {
+    return group.querySelector('.nested-object-content');
+  }
+
+  const arrayItemMatch = objectPath.match(/^(.*)\.(\d+)$/);
+  if (arrayItemMatch) {
+    return document.getElementById(`array-item-content-${arrayItemMatch[1].replace(/\./g, '_')}-${arrayItemMatch[2]}`);
+  }
+
+  return null;
+}
+
+
+// ==================== TUPLE ARRAYS (prefixItems / array-form items) ====================
+
+/**
+ * NEW: Renders a tuple as a fixed row of typed inputs, one per position.
+ * Each position goes through createField() with path "<tuple>.<index>", so
+ * collectFormData() rebuilds the array with each element converted to its
+ * own type. Trailing elements (items / additionalItems) can be added below
+ * the row unless the schema forbids them.
+ * UPDATED: nullable tuples get a "not applicable" toggle
+ *
+ * @param {string} key - Property key
+ * @param {Object} prop - Tuple array schema
+ * @param {boolean} isRequired - Whether the tuple itself is required
+ * @param {Array<string|number>} path - Path segments
+ * @param {boolean} [nullable] - The schema also allows null
+ * @returns {string} HTML string
+ */
+function createTupleField(key, prop, isRequired, path, nullable = false) {
+  const title = prop.title || key;
+  const description = prop.description || '';
+  const pathStr = path.join('.');
+  const { positions, rest } = getTupleLayout(prop);
+  const minItems = prop.minItems || 0;
+  const tupleSchemaData = JSON.stringify(prop).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+  const positionsHtml = positions.map((_, index) => {
+    const positionSchema = getTuplePositionSchema(prop, index, state.currentSchema);
+    const isPositionRequired = isRequired && index < minItems;
+    return `
+      <div class="tuple-position">
+        ${createField(positionSchema.title || `#${index + 1}`, positionSchema, isPositionRequired, [...path, String(index)])}
+      </div>`;
+  }).join('');
+
+  const canAddTrailing = rest !== false &&
+    (prop.maxItems === undefined || prop.maxItems > positions.length);
+
+  return `
+    <div class="form-group" data-field-path="${pathStr}"${getAnnotationAttributes(prop)}>
+      <label class="${isRequired ? 'required' : ''}">${title}${createAnnotationBadges(prop)}</label>
+      ${description ? `<div class="description">${description}</div>` : ''}
+      ${lockIfReadOnly(prop, `${nullable ? createNullToggle(pathStr, true) : ''}
+      <div class="tuple-container" id="tuple_${pathStr.replace(/\./g, '_')}"
+           data-tuple-path="${pathStr}"
+           data-position-count="${positions.length}"
+           data-tuple-schema="${tupleSchemaData}">
+        <div class="tuple-row">${positionsHtml}</div>
+        <div class="tuple-rest"></div>
+        ${canAddTrailing ? `
+        <div class="array-controls">
+          <button type="button" class="add-array-item-btn" onclick="addTupleItem('${pathStr}')">Add Item</button>
+        </div>` : ''}
+      </div>`)}
+    </div>
+  `;
+}
+
+/**
+ * NEW: Appends a trailing tuple element (beyond prefixItems / array-form items)
+ * @param {string} tuplePath - Path of the tuple array
+ * @returns {HTMLElement|null} The new element
+ */
+window.addTupleItem = function(tuplePath) {
+  const container = document.getElementById('tuple_' + tuplePath.replace(/\./g, '_'));
+  if (!container) {
+    console.error('❌ Tuple container not found for:', tuplePath);
+    return null;
+  }
+
+  let tupleSchema;
+  try {
+    tupleSchema = JSON.parse(container.dataset.tupleSchema || '{}');
+  } catch (e) {
+    console.error('❌ Failed to parse tuple schema:', e);
+    return null;
+  }
+
+  const restContainer = container.querySelector(':scope > .tuple-rest');
+  const index = parseInt(container.dataset.positionCount || '0') + restContainer.children.length;
+
+  if (tupleSchema.maxItems !== undefined && index >= tupleSchema.maxItems) {
+    ashAlert(`Maximum ${tupleSchema.maxItems} items allowed`);
+    return null;
+  }
+
+  const itemSchema = getTuplePositionSchema(tupleSchema, index, state.currentSchema);
+  if (!itemSchema) {
+    ashAlert('This list does not allow additional items');
+    return null;
+  }
+
+  console.log(`➕ Adding tuple item ${index} to ${tuplePath}`);
+  const item = document.createElement('div');
+  item.className = 'tuple-rest-item';
+  item.dataset.index = String(index);
+  item.innerHTML = `
+    <div class="tuple-position">
+      ${createField(itemSchema.title || `#${index + 1}`, itemSchema, false, [...tuplePath.split('.'), String(index)])}
+    </div>
+    <button type="button" class="remove-item-btn" onclick="removeTupleItem(this)">Remove</button>
+  `;
+  restContainer.appendChild(item);
+  applySchemaDefaults(item, { added: true });
+
+  setTimeout(() => {
+    attachEventListeners();
+    attachRealtimeValidation(state.currentSchema);
+  }, 100);
+  return item;
+};
+
+/**
+ * NEW: Removes a trailing tuple element. Later elements shift down one index,
+ * so the trailing part is rebuilt from the collected values.
+ */
+window.removeTupleItem = function(btn) {
+  const item = btn.closest('.tuple-rest-item');
+  const container = item?.closest('.tuple-container');
+  if (!item || !container) return;
+
+  const tuplePath = container.dataset.tuplePath;
+  const pathKeys = tuplePath.split('.');
+  const index = parseInt(item.dataset.index);
+  const values = getDataAtPath(collectFormData(), pathKeys);
+  const remaining = Array.isArray(values) ? values.filter((_, i) => i !== index) : [];
+
+  console.log(`🗑️ Removing tuple item ${index} from ${tuplePath}`);
+  populateFields({ [pathKeys[pathKeys.length - 1]]: remaining }, pathKeys.slice(0, -1));
+};
+
+// ==================== MAP EDITOR (additionalProperties / patternProperties) ====================
+
+/**
+ * NEW: Creates the key/value editor for free-form object keys.
+ * Values are rendered by createField() with the value schema for each key, so
+ * their inputs carry data-path="<mapPath>.<key>" and collectFormData() picks
+ * them up like any other field.
+ *
+ * @param {Object} prop - Object schema with additionalProperties / patternProperties
+ * @param {Array<string|number>} path - Path segments of the object
+ * @returns {string} HTML string
+ */
+function createMapEditor(prop, path) {
+  const pathStr = path.join('.');
+  const mapSchema = {
+    declared: Object.keys(prop.properties || {}),
+    additionalProperties: prop.additionalProperties,
+    patternProperties: prop.patternProperties,
+    propertyNames: prop.propertyNames
+  };
+  const mapSchemaData = JSON.stringify(mapSchema).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  const hints = [
+    ...Object.keys(prop.patternProperties || {}).map(p => `pattern ${p}`),
+    prop.propertyNames?.pattern ? `names ${prop.propertyNames.pattern}` : ''
+  ].filter(Boolean);
+
+  return `
+    <div class="map-container" id="map_${pathStr.replace(/\./g, '_')}"
+         data-map-path="${pathStr}"
+         data-map-schema="${mapSchemaData}">
+      ${hints.length ? `<div class="description">Keys: ${escapeHtml(hints.join('; '))}</div>` : ''}
+      <div class="map-entries"></div>
+      <div class="map-controls">
+        <button type="button" class="add-array-item-btn" onclick="addMapEntry('${pathStr}')">Add Entry</button>
       </div>
     </div>
   `;
 }
 
+/**
+ * NEW: Reads the map schema stored on a map container
+ * @param {HTMLElement} container - .map-container element
+ * @returns {Object|null}
+ */
+function readMapSchema(container) {
+  try {
+    return JSON.parse(container.dataset.mapSchema || '{}');
+  } catch (e) {
+    console.error('❌ Failed to parse map schema:', e);
+    return null;
+  }
+}
+
+/** FIXED: Characters that would break the markup and inline handlers keys are written into */
+const UNSAFE_MAP_KEY_CHARS = /['"`<>&\\]/;
+
+/**
+ * NEW: Form-level key checks on top of propertyNames / patternProperties.
+ * Keys become path segments, so dots and purely numeric keys (which
+ * setNestedValue() treats as array indices) cannot be used.
+ * FIXED: Neither can quotes, angle brackets, "&" or "\\" (paths end up in
+ * data-path attributes and onclick handlers)
+ *
+ * @param {string} key - Proposed key
+ * @param {Object} mapSchema - Map schema from the container
+ * @param {HTMLElement} container - .map-container element
+ * @param {HTMLElement|null} ownEntry - Entry being renamed (excluded from duplicate check)
+ * @returns {string|null} Error message or null
+ */
+function getMapEntryKeyError(key, mapSchema, container, ownEntry = null) {
+  if (!key) return 'Key cannot be empty';
+  if (key.includes('.')) return `Key "${key}" cannot contain "."`;
+  if (UNSAFE_MAP_KEY_CHARS.test(key)) return `Key "${key}" cannot contain quotes, <, >, & or \\`;
+  if (/^\d+$/.test(key)) return `Key "${key}" cannot be purely numeric`;
+  if ((mapSchema.declared || []).includes(key)) return `Key "${key}" is already a regular field of this object`;
+
+  const duplicate = Array.from(container.querySelectorAll(':scope > .map-entries > .map-entry'))
+    .some(entry => entry !== ownEntry && entry.dataset.key === key);
+  if (duplicate) return `Key "${key}" already exists`;
+
+  return getMapKeyError(key, mapSchema, state.currentSchema);
+}
+
+/**
+ * NEW: Builds a map entry element (key input + value field)
+ */
+function createMapEntryElement(mapPath, key, mapSchema) {
+  const valueSchema = getMapValueSchema(mapSchema, key, state.currentSchema);
+  const fieldHtml = createField(key, valueSchema, false, [...mapPath.split('.'), key]);
+
+  const entry = document.createElement('div');
+  entry.className = 'map-entry';
+  entry.dataset.key = key;
+  entry.dataset.mapPath = mapPath;
+  entry.innerHTML = `
+    <div class="map-entry-header">
+      <input type="text" class="map-key-input" value="${escapeHtml(key)}"
+             placeholder="Key" onchange="renameMapEntry(this)">
+      <button type="button" class="remove-item-btn" onclick="removeMapEntry(this)">Remove</button>
+    </div>
+    <div class="map-entry-error" style="display: none;"></div>
+    <div class="map-entry-value">${fieldHtml}</div>
+  `;
+  return entry;
+}
+
+/**
+ * NEW: Shows or clears the inline key error of a map entry
+ */
+function setMapEntryKeyError(entry, message) {
+  const errorDiv = entry.querySelector(':scope > .map-entry-error');
+  const keyInput = entry.querySelector(':scope > .map-entry-header > .map-key-input');
+  if (errorDiv) {
+    errorDiv.textContent = message ? `⚠️ ${message}` : '';
+    errorDiv.style.display = message ? 'block' : 'none';
+  }
+  if (keyInput) keyInput.classList.toggle('validation-error', !!message);
+}
+
+/**
+ * NEW: Adds a map entry. Called by the "Add Entry" button (no key → a
+ * placeholder key is generated) and by form-population.js with the keys
+ * found in loaded data.
+ *
+ * @param {string} mapPath - Path of the map object
+ * @param {string} [key] - Key to add
+ * @returns {HTMLElement|null} The new entry
+ */
+window.addMapEntry = function(mapPath, key) {
+  const container = document.getElementById('map_' + mapPath.replace(/\./g, '_'));
+  if (!container) {
+    console.error('❌ Map container not found for:', mapPath);
+    return null;
+  }
+  const mapSchema = readMapSchema(container);
+  if (!mapSchema) return null;
+
+  const entries = container.querySelector(':scope > .map-entries');
+  const existingKeys = Array.from(entries.querySelectorAll(':scope > .map-entry')).map(e => e.dataset.key);
+
+  let entryKey = key;
+  if (entryKey === undefined || entryKey === null) {
+    let n = existingKeys.length + 1;
+    while (existingKeys.includes(`key_${n}`) || (mapSchema.declared || []).includes(`key_${n}`)) n++;
+    entryKey = `key_${n}`;
+  } else if (existingKeys.includes(entryKey)) {
+    return entries.querySelector(`:scope > .map-entry[data-key="${CSS.escape(entryKey)}"]`);
+  } else if (UNSAFE_MAP_KEY_CHARS.test(entryKey)) {
+    // FIXED: Loaded keys are not rendered into markup when they cannot be escaped in paths
+    console.warn(`⚠️ Map entry "${entryKey}" in ${mapPath} skipped: keys cannot contain quotes, <, >, & or \\`);
+    return null;
+  }
+
+  console.log(`➕ Adding map entry "${entryKey}" to ${mapPath}`);
+  const entry = createMapEntryElement(mapPath, entryKey, mapSchema);
+  entries.appendChild(entry);
+
+  // Placeholder / loaded keys may still break propertyNames — flag them inline
+  setMapEntryKeyError(entry, getMapEntryKeyError(entryKey, mapSchema, container, entry));
+  applySchemaDefaults(entry, { added: true });
+  syncMapFormData();
+
+  setTimeout(() => {
+    attachEventListeners();
+    attachRealtimeValidation(state.currentSchema);
+  }, 100);
+  return entry;
+};
+
+/**
+ * NEW: Renames a map entry. The value field is re-rendered under the new key
+ * (its data-path and possibly its pattern-matched schema change) and the
+ * current value is carried over.
+ */
+window.renameMapEntry = async function(keyInput) {
+  const entry = keyInput.closest('.map-entry');
+  const container = entry?.closest('.map-container');
+  if (!entry || !container) return;
+
+  const mapPath = entry.dataset.mapPath;
+  const oldKey = entry.dataset.key;
+  const newKey = keyInput.value.trim();
+  if (newKey === oldKey) return;
+
+  const mapSchema = readMapSchema(container);
+  const error = getMapEntryKeyError(newKey, mapSchema, container, entry);
+  if (error) {
+    await ashAlert(error);
+    keyInput.value = oldKey;
+    return;
+  }
+
+  const mapKeys = mapPath.split('.');
+  const value = getDataAtPath(collectFormData(), [...mapKeys, oldKey]);
+
+  const newEntry = createMapEntryElement(mapPath, newKey, mapSchema);
+  entry.replaceWith(newEntry);
+  if (value !== undefined && value !== null) {
+    populateFields({ [newKey]: value }, mapKeys);
+  }
+  syncMapFormData();
+  console.log(`✏️ Renamed map key ${mapPath}: "${oldKey}" → "${newKey}"`);
+
+  setTimeout(() => {
+    attachEventListeners();
+    attachRealtimeValidation(state.currentSchema);
+  }, 100);
+};
+
+/**
+ * NEW: Removes a map entry
+ */
+window.removeMapEntry = function(btn) {
+  const entry = btn.closest('.map-entry');
+  if (!entry) return;
+  console.log(`🗑️ Removing map entry "${entry.dataset.key}" from ${entry.dataset.mapPath}`);
+  entry.remove();
+  syncMapFormData();
+};
+
+/**
+ * FIXED: Refreshes state.formData after a map entry is added, renamed or
+ * removed, so rules and validation that read state see the current keys
+ */
+function syncMapFormData() {
+  if (window.isPopulating) return; // Skip partial snapshots while loaded data is filled in
+  updateState({ formData: collectFormData() });
+}
 
 
 /**
@@ -1050,8 +1892,9 @@ function createComplexArrayItem(arrayPath, itemSchema, index, container) {
     // Object with properties - this will handle nested arrays automatically
     // because createField will create array fields for any array properties
     console.log('🎨 Creating object array item with properties:', Object.keys(itemSchema.properties));
-    const properties = itemSchema.properties || {};
-    const required = itemSchema.required || [];
+    const effectiveItemSchema = resolveConditionalSchema(itemSchema, [...arrayPath.split('.'), String(index)]);
+    const properties = effectiveItemSchema.properties || {};
+    const required = effectiveItemSchema.required || [];
     
     for (const [subKey, subProp] of Object.entries(properties)) {
       const isSubRequired = required.includes(subKey);
@@ -1262,10 +2105,11 @@ function renderPolymorphicArrayItem(schema, container, arrayPath, index) {
  * Helper: Gets input type from schema
  */
 function getInputTypeFromSchema(schema) {
-  if (schema.type === 'number' || schema.type === 'integer') {
+  const type = getPrimaryType(schema, state.currentSchema);
+  if (type === 'number' || type === 'integer') {
     return 'number';
   }
-  if (schema.type === 'boolean') {
+  if (type === 'boolean') {
     return 'checkbox';
   }
   if (schema.format === 'date') {
@@ -1308,7 +2152,8 @@ function resetFormUI() {
   updateState({
     currentTab: null,
     tabContents: {},
-    pendingDependentInits: {}
+    pendingDependentInits: {},
+    conditionalSchemas: {}
   });
   
   // Remove any event listeners from old form elements
@@ -1424,6 +2269,7 @@ window.addArrayItem = function(arrayPath) {
   }
   
   console.log('✅ Array item created successfully');
+  applySchemaDefaults(container, { added: true });
   
   // Reattach event listeners
   setTimeout(() => attachEventListeners(), 100);
@@ -1443,6 +2289,7 @@ window.removeArrayItem = function(btn) {
   
   const container = item.closest('.array-container');
   const arrayPath = container?.dataset.path;
+  const removedIndex = Number(item.dataset.index);
   
   console.log('🗑️  Removing item from:', arrayPath);
   
@@ -1485,12 +2332,54 @@ window.removeArrayItem = function(btn) {
         if (input.name) input.name = newPath;
       }
     });
+
+    // FIXED: Field groups move too - collectFormData() reads readOnly and
+    // deprecated values by their data-field-path
+    if (arrayPath) {
+      const indexPosition = arrayPath.split('.').length;
+      item.querySelectorAll('[data-field-path]').forEach(group => {
+        const pathParts = group.dataset.fieldPath.split('.');
+        pathParts[indexPosition] = idx.toString();
+        group.dataset.fieldPath = pathParts.join('.');
+      });
+
+      // FIXED: ...and so does the content id findConditionalContainer() looks up
+      const content = item.querySelector(':scope > .array-item-content');
+      if (content) content.id = `array-item-content-${arrayPath.replace(/\./g, '_')}-${idx}`;
+    }
   });
+
+  if (arrayPath && !Number.isNaN(removedIndex)) {
+    removeConditionalSchemasOfItem(arrayPath, removedIndex);
+  }
   
   console.log('✅ Array item removed and indices updated');
 };
 
 
+/**
+ * FIXED: Drops the if/then/else entries (state.conditionalSchemas) of a removed
+ * array item and moves those of the items after it down one index
+ * @param {string} arrayPath - Path of the array
+ * @param {number} removedIndex - Index the removed item had
+ */
+function removeConditionalSchemasOfItem(arrayPath, removedIndex) {
+  const prefix = `${arrayPath}.`;
+  const conditionalSchemas = {};
+
+  Object.entries(state.conditionalSchemas || {}).forEach(([objectPath, entry]) => {
+    const [index, ...rest] = objectPath.startsWith(prefix) ? objectPath.slice(prefix.length).split('.') : [];
+    if (!index || !/^\d+$/.test(index)) {
+      conditionalSchemas[objectPath] = entry;
+    } else if (Number(index) !== removedIndex) {
+      const newIndex = Number(index) > removedIndex ? Number(index) - 1 : Number(index);
+      conditionalSchemas[[arrayPath, String(newIndex), ...rest].join('.')] = entry;
+    }
+  });
+
+  updateState({ conditionalSchemas });
+}
+
 /**
  * Toggle array item collapse/expand
  */
@@ -1657,6 +2546,8 @@ export {
     renderAllTabs,
     createField,
     switchTab,
-    updateFileStatusDisplay
+    updateFileStatusDisplay,
+    refreshConditionalFields,
+    updateRequiredMarker
 };
 // ==== END OF FILE ====/
\ No newline at end of file
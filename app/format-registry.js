@@ -0,0 +1,344 @@
+// format-registry.js - JSON Schema "format" validators
+// @ts-check
+//
+// Holds a validator for every draft 2020-12 format plus any custom formats
+// registered by an options file ("_formats") or by the host page:
+//
+//   window.registerFormat('npi', { validate: v => luhnCheck('80840' + v), message: 'Invalid NPI' });
+//
+// A validator returns true / false, or a string to use as the error message.
+// Unknown formats are not validated (as the specification requires).
+
+console.log('🔤 Format Registry Module Loaded');
+
+/**
+ * name → { validate: function(string): boolean|string, message: string, source: string }
+ * @type {Map<string, {validate: Function, message: string, source: string}>}
+ */
+const formats = new Map();
+
+// ==================== REGISTRATION ====================
+
+/**
+ * Registers (or replaces) a format validator.
+ *
+ * @param {string} name - Format name as used in the schema ("us-zip")
+ * @param {Object} definition
+ * @param {Function} [definition.validate] - (value) => boolean | error string
+ * @param {string|RegExp} [definition.pattern] - Alternative to validate: value must match
+ * @param {string} [definition.message] - Error message when the value does not match
+ * @param {string} [source] - Who registered it ('builtin', 'options', 'page')
+ */
+function registerFormat(name, definition, source = 'page') {
+  if (!name || typeof name !== 'string') {
+    throw new Error('registerFormat: a format name is required');
+  }
+
+  let validate = definition?.validate;
+  if (typeof validate !== 'function' && definition?.pattern !== undefined) {
+    const regex = definition.pattern instanceof RegExp
+      ? definition.pattern
+      : new RegExp(definition.pattern, 'u');
+    validate = value => regex.test(value);
+  }
+  if (typeof validate !== 'function') {
+    throw new Error(`registerFormat: "${name}" needs a validate function or a pattern`);
+  }
+
+  formats.set(name, {
+    validate,
+    message: definition.message || `Invalid ${name} format`,
+    source
+  });
+}
+
+/**
+ * Replaces the formats that came from the previous options file with the
+ * "_formats" section of a new one. Each entry is { pattern, message }.
+ *
+ * @param {Object} options - Resolved options file (or {} to just clear)
+ * @returns {string[]} Problems found in the "_formats" section
+ */
+function registerFormatsFromOptions(options) {
+  for (const [name, entry] of Array.from(formats.entries())) {
+    if (entry.source === 'options') formats.delete(name);
+  }
+
+  const problems = [];
+  const section = options?._formats;
+  if (!section || typeof section !== 'object') return problems;
+
+  for (const [name, definition] of Object.entries(section)) {
+    if (BUILTIN_FORMATS[name]) {
+      problems.push(`_formats.${name}: cannot override the standard "${name}" format`);
+      continue;
+    }
+    try {
+      registerFormat(name, { pattern: definition?.pattern, message: definition?.message }, 'options');
+    } catch (e) {
+      problems.push(`_formats.${name}: ${e.message}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    console.warn('⚠️ Problems in options "_formats":', problems);
+  } else {
+    console.log(`🔤 Registered ${Object.keys(section).length} custom format(s) from options`);
+  }
+  return problems;
+}
+
+/**
+ * Checks whether a format has a validator
+ * @param {string} name - Format name
+ * @returns {boolean}
+ */
+function hasFormat(name) {
+  return formats.has(name);
+}
+
+/**
+ * Validates a string against a format
+ * @param {string} value - Value to check
+ * @param {string} format - Format name
+ * @returns {string|null} Error message, or null if valid / format unknown
+ */
+function validateFormat(value, format) {
+  const entry = formats.get(format);
+  if (!entry) return null;
+
+  let result;
+  try {
+    result = entry.validate(value);
+  } catch (e) {
+    console.error(`❌ Format validator "${format}" threw:`, e);
+    return entry.message;
+  }
+
+  if (typeof result === 'string') return result || null;
+  return result ? null : entry.message;
+}
+
+// ==================== DATES AND TIMES (RFC 3339) ====================
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+function isLeapYear(year) {
+  return year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+}
+
+function isDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  if (month < 1 || month > 12 || day < 1) return false;
+  const maxDay = month === 2 && isLeapYear(year) ? 29 : DAYS_IN_MONTH[month - 1];
+  return day <= maxDay;
+}
+
+function isTime(value) {
+  const match = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?(z|([+-])(\d{2}):(\d{2}))$/i.exec(value);
+  if (!match) return false;
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  const second = Number(match[3]);
+  const offsetHour = match[7] !== undefined ? Number(match[7]) : 0;
+  const offsetMinute = match[8] !== undefined ? Number(match[8]) : 0;
+  if (hour > 23 || minute > 59 || second > 60 || offsetHour > 23 || offsetMinute > 59) return false;
+
+  // Leap seconds only exist at 23:59:60 UTC
+  if (second === 60) {
+    const sign = match[6] === '-' ? -1 : 1;
+    const utcMinutes = ((hour * 60 + minute - sign * (offsetHour * 60 + offsetMinute)) % 1440 + 1440) % 1440;
+    return utcMinutes === 23 * 60 + 59;
+  }
+  return true;
+}
+
+function isDateTime(value) {
+  const parts = value.split(/t/i);
+  return parts.length === 2 && isDate(parts[0]) && isTime(parts[1]);
+}
+
+// ISO 8601 duration as profiled by RFC 3339 appendix A
+const DURATION = /^P(?!$)(?:(?:\d+Y)?(?:\d+M)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+S)?)?|\d+W)$/;
+
+// ==================== HOSTS AND ADDRESSES ====================
+
+const IPV4_PART = '(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+const IPV4 = new RegExp(`^${IPV4_PART}(?:\\.${IPV4_PART}){3}$`);
+
+function isIPv6(value) {
+  if (!/^[0-9a-f:.]+$/i.test(value)) return false;
+  const halves = value.split('::');
+  if (halves.length > 2) return false;
+
+  const split = part => (part === '' ? [] : part.split(':'));
+  const groups = halves.length === 2 ? [...split(halves[0]), ...split(halves[1])] : split(value);
+
+  // An embedded IPv4 address may only end the address and counts as two groups
+  let groupCount = groups.length;
+  const last = groups[groups.length - 1];
+  if (last !== undefined && last.includes('.')) {
+    if (!value.endsWith(last) || !IPV4.test(last)) return false;
+    groups.pop();
+    groupCount++;
+  }
+
+  if (groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) return false;
+  return halves.length === 2 ? groupCount < 8 : groupCount === 8;
+}
+
+function isHostname(value) {
+  if (value.length === 0 || value.length > 253) return false;
+  return value.split('.').every(label =>
+    /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i.test(label)
+  );
+}
+
+/**
+ * Internationalized host names are checked in their punycode (A-label) form,
+ * which the URL parser produces
+ */
+function isIdnHostname(value) {
+  if (!/[^\x00-\x7F]/.test(value)) return isHostname(value);
+  if (/[\s/:@%?#\\[\]]/.test(value)) return false;
+  try {
+    const ascii = new URL(`http://${value}/`).hostname;
+    return ascii !== '' && isHostname(ascii);
+  } catch (e) {
+    return false;
+  }
+}
+
+const EMAIL_LOCAL = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+
+function isEmail(value) {
+  const at = value.lastIndexOf('@');
+  if (at <= 0) return false;
+  const local = value.slice(0, at);
+  const domain = value.slice(at + 1);
+  if (local.length > 64) return false;
+  if (!EMAIL_LOCAL.test(local)) return false;
+  const literal = /^\[(.+)\]$/.exec(domain);
+  if (literal) {
+    return IPV4.test(literal[1]) || (literal[1].startsWith('IPv6:') && isIPv6(literal[1].slice(5)));
+  }
+  return isHostname(domain);
+}
+
+function isIdnEmail(value) {
+  const at = value.lastIndexOf('@');
+  if (at <= 0) return false;
+  const local = value.slice(0, at);
+  const domain = value.slice(at + 1);
+  // Local part: dot-separated atoms, non-ASCII letters allowed (RFC 6531)
+  if (!/^[^\s@."(),:;<>[\]\\]+(?:\.[^\s@."(),:;<>[\]\\]+)*$/u.test(local)) return false;
+  return isIdnHostname(domain);
+}
+
+// ==================== URIS AND IRIS (RFC 3986 / 3987) ====================
+
+const SCHEME = /^[a-z][a-z0-9+.-]*$/i;
+
+/**
+ * Shared URI / IRI checks
+ * @param {string} value - Candidate
+ * @param {boolean} requireScheme - Absolute form (uri / iri)
+ * @param {boolean} allowUnicode - IRI (non-ASCII characters permitted)
+ */
+function isUriLike(value, requireScheme, allowUnicode) {
+  if (/[\s<>"{}|\\^`\x00-\x1F\x7F]/.test(value)) return false;
+  if (!allowUnicode && /[^\x00-\x7F]/.test(value)) return false;
+  if (/%(?![0-9a-f]{2})/i.test(value)) return false;
+
+  const schemeMatch = /^([^:/?#]+):/.exec(value);
+  if (schemeMatch) {
+    if (!SCHEME.test(schemeMatch[1])) return false;
+  } else if (requireScheme) {
+    return false;
+  }
+
+  // Authority: a bracketed host must be a valid IPv6 literal
+  const authority = /^(?:[^:/?#]+:)?\/\/([^/?#]*)/.exec(value);
+  if (authority) {
+    const host = authority[1].replace(/^[^@]*@/, '');
+    const bracketed = /^\[([^\]]*)\](?::\d*)?$/.exec(host);
+    if (host.includes('[') && (!bracketed || !(isIPv6(bracketed[1]) || /^v[0-9a-f]+\./i.test(bracketed[1])))) {
+      return false;
+    }
+    // Otherwise anything after the host's colon is a port number
+    if (!bracketed && !/^[^:]*(?::\d*)?$/.test(host)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// RFC 6570 level 4
+const URI_TEMPLATE = /^(?:(?:[^\x00-\x20"'<>%\\^`{|}]|%[0-9a-f]{2})|\{[+#./;?&=,!@|]?(?:[a-z0-9_]|%[0-9a-f]{2})+(?:\.(?:[a-z0-9_]|%[0-9a-f]{2})+)*(?::[1-9][0-9]{0,3}|\*)?(?:,(?:[a-z0-9_]|%[0-9a-f]{2})+(?:\.(?:[a-z0-9_]|%[0-9a-f]{2})+)*(?::[1-9][0-9]{0,3}|\*)?)*\})*$/iu;
+
+// ==================== JSON POINTERS AND REGEX ====================
+
+const JSON_POINTER = /^(?:\/(?:[^~/]|~0|~1)*)*$/;
+const RELATIVE_JSON_POINTER = /^(?:0|[1-9][0-9]*)(?:#|(?:\/(?:[^~/]|~0|~1)*)*)$/;
+
+function isRegex(value) {
+  try {
+    new RegExp(value, 'u');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// ==================== BUILT-IN FORMATS ====================
+
+const BUILTIN_FORMATS = {
+  'date-time':             { validate: isDateTime, message: 'Invalid date-time format (expected RFC 3339, e.g. 2024-01-31T13:45:00Z)' },
+  'date':                  { validate: value => /^\d{4}-\d{2}-\d{2}$/.test(value)
+                                                  ? (isDate(value) || 'Invalid date value')
+                                                  : false,
+                             message: 'Invalid date format (expected YYYY-MM-DD)' },
+  'time':                  { validate: isTime, message: 'Invalid time format (expected HH:MM:SS with offset, e.g. 13:45:00Z)' },
+  'duration':              { validate: value => DURATION.test(value), message: 'Invalid duration (expected ISO 8601, e.g. P3DT4H)' },
+  'email':                 { validate: isEmail, message: 'Invalid email format' },
+  'idn-email':             { validate: isIdnEmail, message: 'Invalid email format' },
+  'hostname':              { validate: isHostname, message: 'Invalid hostname' },
+  'idn-hostname':          { validate: isIdnHostname, message: 'Invalid hostname' },
+  'ipv4':                  { validate: value => IPV4.test(value), message: 'Invalid IPv4 address' },
+  'ipv6':                  { validate: isIPv6, message: 'Invalid IPv6 address' },
+  'uri':                   { validate: value => isUriLike(value, true, false), message: 'Invalid URI (expected an absolute URI such as https://example.com)' },
+  'uri-reference':         { validate: value => isUriLike(value, false, false), message: 'Invalid URI reference' },
+  'iri':                   { validate: value => isUriLike(value, true, true), message: 'Invalid IRI' },
+  'iri-reference':         { validate: value => isUriLike(value, false, true), message: 'Invalid IRI reference' },
+  'uri-template':          { validate: value => URI_TEMPLATE.test(value), message: 'Invalid URI template' },
+  'uuid':                  { validate: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value), message: 'Invalid UUID format' },
+  'json-pointer':          { validate: value => JSON_POINTER.test(value), message: 'Invalid JSON pointer' },
+  'relative-json-pointer': { validate: value => RELATIVE_JSON_POINTER.test(value), message: 'Invalid relative JSON pointer' },
+  'regex':                 { validate: isRegex, message: 'Invalid regular expression' }
+};
+
+// Aliases kept from the original validateFormat()
+BUILTIN_FORMATS['datetime'] = BUILTIN_FORMATS['date-time'];
+BUILTIN_FORMATS['url'] = BUILTIN_FORMATS['uri'];
+
+for (const [name, definition] of Object.entries(BUILTIN_FORMATS)) {
+  registerFormat(name, definition, 'builtin');
+}
+
+// Host pages register their own formats through the global (guarded so that
+// Node scripts can pass validateFormat to validation-core.js)
+if (typeof window !== 'undefined') {
+  window.registerFormat = (name, definition) => registerFormat(name, definition, 'page');
+}
+
+export { registerFormat,
+         registerFormatsFromOptions,
+         hasFormat,
+         validateFormat
+};
+
+// ==== END OF FILE ====/
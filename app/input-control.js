@@ -5,6 +5,8 @@ import { state, updateState, getState } from './state.js';
 import { attachEventListeners } from './conditional-rules.js';
 import { collectFormData } from './data-builder.js';
 import {addInvalidMultiSelectWarning, removeInvalidWarning} from './form-population.js';
+import { getPrimaryType } from './schema-manager.js';
+import { ashAlert, escapeHtml } from './utils.js';
 
 // ==================== INPUT CONTROL FACTORY ====================
 /**
@@ -15,7 +17,7 @@ import {addInvalidMultiSelectWarning, removeInvalidWarning} from './form-populat
  * @param {Object} choiceConfig - Custom options configuration
  * @param {boolean} isRequired - Whether field is required
  * @param {boolean} isDependent - Whether field has dependent values
- * @param {string} depField - Dependency field name
+ * @param {string} depField - Trigger field path(s) of a dependent field, comma-separated
  * @returns {string} HTML string for the input control
  */
 function createInputControl(key, prop, pathStr, choiceConfig, isRequired, isDependent, depField) {
@@ -40,6 +42,9 @@ function createInputControl(key, prop, pathStr, choiceConfig, isRequired, isDepe
     case 'slider':
       return createSliderControl(pathStr, choiceConfig, isRequired);
     
+    case 'file':
+      return createFileControl(pathStr, prop, choiceConfig, isRequired);
+    
     default:
       console.warn(`Unknown input_control: ${inputControl}, falling back to default`);
       return createDefaultInput(pathStr, prop, isRequired);
@@ -460,12 +465,309 @@ function createSliderControl(pathStr, choiceConfig, isRequired) {
     </div>`;
 }
 
+// ==================== FILE ATTACHMENT CONTROL ====================
+/**
+ * NEW: Base64 file attachments. Used for string properties with
+ * contentEncoding: "base64" (optionally contentMediaType) or input_control: "file".
+ *
+ * The picked file's bytes are kept on the control (see fileAttachments) and only
+ * encoded to base64 by collectFormData(); the hidden input carries the file name
+ * so clearing it (reset, null toggle, disabled rules) also clears the attachment.
+ *
+ * Options file settings:
+ *   accept       - media types allowed ("image/*", ["image/png", "application/pdf"])
+ *   max_size_kb  - size limit in KB (default DEFAULT_MAX_FILE_KB)
+ */
+const DEFAULT_MAX_FILE_KB = 1024;
+
+/** hidden .file-data-input → { bytes, mediaType, name } */
+const fileAttachments = new WeakMap();
+
+/** Leading bytes of the media types we can recognise without the file name */
+const MEDIA_SIGNATURES = [
+  { type: 'image/png',       bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { type: 'image/jpeg',      bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'image/gif',       bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+  { type: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] }
+];
+
+/**
+ * Creates the file picker control
+ * NOTE: response_type is IGNORED for file control
+ */
+function createFileControl(pathStr, prop, choiceConfig, isRequired) {
+  const fileId = 'file_' + pathStr.replace(/\./g, '_');
+  const accept = getAcceptedMediaTypes(prop, choiceConfig);
+  const maxBytes = getFileSizeLimit(prop, choiceConfig);
+  
+  return `
+    <div class="file-container" id="${fileId}" data-file-path="${pathStr}"
+         data-accept="${escapeHtml(accept)}" data-max-bytes="${maxBytes}">
+      <input type="hidden" class="file-data-input" name="${pathStr}" id="${pathStr}" data-path="${pathStr}"
+             ${isRequired ? 'required' : ''}>
+      <div class="file-controls">
+        <input type="file" class="file-picker" ${accept ? `accept="${escapeHtml(accept)}"` : ''}
+               onchange="handleFileSelect(this, '${pathStr}')">
+        <button type="button" class="file-clear-btn" style="display: none;"
+                onclick="clearFileAttachment('${pathStr}')">✕ Remove</button>
+      </div>
+      <div class="file-preview" id="${fileId}_preview">
+        <span class="file-empty">No file attached</span>
+      </div>
+      <div class="file-hint">${accept ? `${escapeHtml(accept)}, ` : ''}max ${formatFileSize(maxBytes)}</div>
+    </div>`;
+}
+
+/**
+ * Media types accepted by a file field ("" = any)
+ * @param {Object} prop - Property schema
+ * @param {Object} [choiceConfig] - Options file entry
+ * @returns {string} Comma-separated list, as used by <input accept>
+ */
+function getAcceptedMediaTypes(prop, choiceConfig) {
+  const accept = choiceConfig?.accept ?? prop?.contentMediaType ?? '';
+  return Array.isArray(accept) ? accept.join(',') : String(accept);
+}
+
+/**
+ * Size limit of a file field in bytes. A schema maxLength on the base64 string
+ * also limits the decoded size.
+ * @param {Object} prop - Property schema
+ * @param {Object} [choiceConfig] - Options file entry
+ * @returns {number}
+ */
+function getFileSizeLimit(prop, choiceConfig) {
+  let maxBytes = (Number(choiceConfig?.max_size_kb) || DEFAULT_MAX_FILE_KB) * 1024;
+  if (typeof prop?.maxLength === 'number') {
+    maxBytes = Math.min(maxBytes, Math.floor(prop.maxLength / 4) * 3);
+  }
+  return maxBytes;
+}
+
+/**
+ * Checks a media type against an accept list ("image/*,application/pdf")
+ * @param {string} mediaType - e.g. "image/png"
+ * @param {string} accept - Accept list ("" accepts everything)
+ * @returns {boolean}
+ */
+function matchesMediaType(mediaType, accept) {
+  if (!accept) return true;
+  const type = String(mediaType || '').toLowerCase().split(';')[0].trim();
+  return accept.split(',').map(a => a.trim().toLowerCase()).filter(Boolean).some(allowed => {
+    if (allowed === '*/*' || allowed === '*') return true;
+    if (allowed.endsWith('/*')) return type.startsWith(allowed.slice(0, -1));
+    return allowed.split(';')[0].trim() === type;
+  });
+}
+
+/**
+ * Recognises common media types from their leading bytes
+ * @param {Uint8Array} bytes
+ * @returns {string|null} Media type, or null if unknown
+ */
+function sniffMediaType(bytes) {
+  for (const signature of MEDIA_SIGNATURES) {
+    if (signature.bytes.every((b, i) => bytes[i] === b)) return signature.type;
+  }
+  // RIFF....WEBP
+  if (bytes.length >= 12 && String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF' &&
+      String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Encodes bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes base64 (whitespace and a "data:...;base64," prefix are tolerated)
+ * @param {string} value
+ * @returns {Uint8Array|null} Bytes, or null if the value is not base64
+ */
+function base64ToBytes(value) {
+  const clean = String(value).replace(/^data:[^,]*;base64,/, '').replace(/\s+/g, '');
+  if (clean.length % 4 !== 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(clean)) return null;
+  try {
+    const binary = atob(clean);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Human readable size ("12.3 KB")
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Stores an attachment on a file control and updates its preview
+ * @param {string} pathStr - Field path
+ * @param {Object|null} attachment - { bytes, mediaType, name } or null to clear
+ */
+function setFileAttachment(pathStr, attachment) {
+  const input = document.querySelector(`input.file-data-input[data-path="${CSS.escape(pathStr)}"]`);
+  const container = input?.closest('.file-container');
+  if (!input || !container) {
+    console.warn(`File control not found for ${pathStr}`);
+    return;
+  }
+  
+  if (attachment) {
+    fileAttachments.set(input, attachment);
+    input.value = attachment.name;
+  } else {
+    fileAttachments.delete(input);
+    input.value = '';
+  }
+  
+  renderFilePreview(container, attachment);
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Shows an image preview or a download link for the attachment
+ */
+function renderFilePreview(container, attachment) {
+  const preview = container.querySelector('.file-preview');
+  const clearBtn = container.querySelector('.file-clear-btn');
+  if (!preview) return;
+  
+  // Release the previous preview's blob
+  if (container.dataset.objectUrl) {
+    URL.revokeObjectURL(container.dataset.objectUrl);
+    delete container.dataset.objectUrl;
+  }
+  
+  if (!attachment) {
+    preview.innerHTML = '<span class="file-empty">No file attached</span>';
+    if (clearBtn) clearBtn.style.display = 'none';
+    return;
+  }
+  
+  const url = URL.createObjectURL(new Blob([attachment.bytes], { type: attachment.mediaType }));
+  container.dataset.objectUrl = url;
+  const name = escapeHtml(attachment.name);
+  const details = `${escapeHtml(attachment.mediaType)}, ${formatFileSize(attachment.bytes.length)}`;
+  
+  preview.innerHTML = attachment.mediaType.startsWith('image/')
+    ? `<img class="file-preview-image" src="${url}" alt="${name}">
+       <span class="file-details">${name} (${details})</span>`
+    : `<a class="file-download-link" href="${url}" download="${name}" target="_blank">📎 ${name}</a>
+       <span class="file-details">(${details})</span>`;
+  if (clearBtn) clearBtn.style.display = '';
+}
+
+/**
+ * Reads the picked file, checking its size and media type
+ */
+window.handleFileSelect = async function(picker, pathStr) {
+  const file = picker.files?.[0];
+  const container = picker.closest('.file-container');
+  if (!file || !container) return;
+  
+  const maxBytes = Number(container.dataset.maxBytes) || DEFAULT_MAX_FILE_KB * 1024;
+  const accept = container.dataset.accept || '';
+  picker.value = '';
+  
+  if (file.size > maxBytes) {
+    ashAlert(`"${file.name}" is ${formatFileSize(file.size)}.\nThe limit for this field is ${formatFileSize(maxBytes)}.`);
+    return;
+  }
+  
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const mediaType = sniffMediaType(bytes) || file.type || 'application/octet-stream';
+  
+  if (!matchesMediaType(mediaType, accept)) {
+    ashAlert(`"${file.name}" is ${mediaType}.\nThis field accepts: ${accept}`);
+    return;
+  }
+  
+  setFileAttachment(pathStr, { bytes, mediaType, name: file.name });
+  console.log(`📎 Attached ${file.name} (${mediaType}, ${formatFileSize(bytes.length)}) to ${pathStr}`);
+};
+
+/**
+ * Removes the attachment from a file control
+ */
+window.clearFileAttachment = function(pathStr) {
+  setFileAttachment(pathStr, null);
+};
+
+/**
+ * Base64 payload of a file control, for collectFormData()
+ * @param {HTMLInputElement} input - The control's hidden .file-data-input
+ * @returns {string|null}
+ */
+function encodeFileAttachment(input) {
+  const attachment = fileAttachments.get(input);
+  if (!input.value || !attachment) return null;
+  return bytesToBase64(attachment.bytes);
+}
+
+/**
+ * Populates a file control from base64 data
+ * @param {string} pathStr - Field path
+ * @param {string} value - Base64 content
+ * @returns {boolean} False if the value could not be decoded
+ */
+function populateFileAttachment(pathStr, value) {
+  const bytes = base64ToBytes(value);
+  const container = document.getElementById('file_' + pathStr.replace(/\./g, '_'));
+  
+  if (!bytes) {
+    console.warn(`⚠ ${pathStr}: attachment is not valid base64`);
+    setFileAttachment(pathStr, null);
+    const preview = container?.querySelector('.file-preview');
+    if (preview) {
+      preview.innerHTML = '<span class="file-error">⚠️ Attachment in the data file is not valid base64 and was dropped</span>';
+    }
+    return false;
+  }
+  
+  const dataUrlType = /^data:([^;,]+)/.exec(String(value))?.[1];
+  const declared = container?.dataset.accept?.split(',')[0].trim() || '';
+  const mediaType = sniffMediaType(bytes) || dataUrlType ||
+    (declared && !declared.includes('*') ? declared : 'application/octet-stream');
+  const extension = mediaType.split('/')[1]?.replace(/[^a-z0-9]/gi, '') || 'bin';
+  
+  setFileAttachment(pathStr, { bytes, mediaType, name: `attachment.${extension}` });
+  console.log(`✓ Set file ${pathStr} (${mediaType}, ${formatFileSize(bytes.length)})`);
+  return true;
+}
+
 // ==================== DEFAULT INPUT ====================
 /**
  * Creates default input based on schema type (fallback)
  */
 function createDefaultInput(pathStr, prop, isRequired) {
-  const type = prop.type;
+  // Union types (["integer", "null"]) use the first non-null type's control
+  const type = getPrimaryType(prop, state.currentSchema);
+  
+  // NEW: Base64 content (contentEncoding: "base64") is captured with a file picker
+  if (type === 'string' && prop.contentEncoding === 'base64') {
+    return createFileControl(pathStr, prop, state.customOptions[pathStr], isRequired);
+  }
   
   switch (type) {
     case 'string':
@@ -510,12 +812,12 @@ window.handleCheckboxChange = function(event, path, containerId) {
   const exclusiveOptions = state.exclusiveOptionsMap[path] || [];
   
   if (exclusiveOptions.includes(changedValue) && isChecked) {
-    const allCheckboxes = document.querySelectorAll(`[data-path="${path}"].checkbox-input`);
+    const allCheckboxes = document.querySelectorAll(`[data-path="${CSS.escape(path)}"].checkbox-input`);
     allCheckboxes.forEach(cb => {
       if (cb !== changedCheckbox) cb.checked = false;
     });
   } else if (isChecked) {
-    const allCheckboxes = document.querySelectorAll(`[data-path="${path}"].checkbox-input`);
+    const allCheckboxes = document.querySelectorAll(`[data-path="${CSS.escape(path)}"].checkbox-input`);
     allCheckboxes.forEach(cb => {
       if (exclusiveOptions.includes(cb.value)) cb.checked = false;
     });
@@ -644,7 +946,7 @@ function populateRadioButton(pathStr, value) {
  * Populate slider with value
  */
 function populateSlider(pathStr, value) {
-  const input = document.querySelector(`input[type="range"][data-path="${pathStr}"]`);
+  const input = document.querySelector(`input[type="range"][data-path="${CSS.escape(pathStr)}"]`);
   
   if (!input) {
     console.warn(`Slider not found for ${pathStr}`);
@@ -774,7 +1076,7 @@ function enableDisabledOptionForUncheck(input, controlType, pathStr) {
  * @param {string|number} value   - The value to display
  */
 function populateSingleSelect(pathStr, value) {
-  const select = document.querySelector(`select[data-path="${pathStr}"]`);
+  const select = document.querySelector(`select[data-path="${CSS.escape(pathStr)}"]`);
   if (!select) {
     console.warn(`Select not found for ${pathStr}`);
     return;
@@ -815,7 +1117,7 @@ function populateMultiSelectDropdown(pathStr, values) {
   }
 
   const dropdownId    = container.id;
-  const allCheckboxes = container.querySelectorAll(`[data-path="${pathStr}"].multi-select-checkbox`);
+  const allCheckboxes = container.querySelectorAll(`[data-path="${CSS.escape(pathStr)}"].multi-select-checkbox`);
 
   // Reset everything to a clean slate first.
   allCheckboxes.forEach(cb => cb.checked = false);
@@ -1137,7 +1439,7 @@ function updateMultiSelectDisplay(dropdownId, path) {
   if (!selectedContainer) return;
   
   // All checked checkboxes — including disable_values ones (same class) — are shown.
-  const selectedCheckboxes = document.querySelectorAll(`[data-path="${path}"].multi-select-checkbox:checked`);
+  const selectedCheckboxes = document.querySelectorAll(`[data-path="${CSS.escape(path)}"].multi-select-checkbox:checked`);
   
   selectedContainer.innerHTML = '';
   
@@ -1234,7 +1536,7 @@ function rebuildControlWithType(pathStr, oldElement, inputControl, responseType,
     if (responseType === 'multi-select') {
       return document.getElementById(`multiselect_${pathStr.replace(/\./g, '_')}`);
     } else {
-      return document.querySelector(`select[data-path="${pathStr}"]`);
+      return document.querySelector(`select[data-path="${CSS.escape(pathStr)}"]`);
     }
   } else if (inputControl === 'check-box') {
     return document.getElementById(`checkbox_${pathStr.replace(/\./g, '_')}`);
@@ -1568,6 +1870,7 @@ if (typeof module !== 'undefined' && module.exports) {
 
 export {
     createInputControl,
+    createFileControl,
     populateCheckboxList,
     populateRadioButton,
     populateSlider,
@@ -1586,7 +1889,15 @@ export {
     detectCurrentControlType,
     rebuildControlWithType,
     getCurrentControlValue,
-    restoreControlValue
+    restoreControlValue,
+    populateFileAttachment,
+    encodeFileAttachment,
+    getAcceptedMediaTypes,
+    getFileSizeLimit,
+    matchesMediaType,
+    sniffMediaType,
+    base64ToBytes,
+    formatFileSize
 };
 
 // ==== END OF FILE ====/
\ No newline at end of file
@@ -1,338 +1,332 @@
 // input-validation.js - Input validation against JSON schema
 // FIXED: Tab-aware validation that works with existing tab switching
+// UPDATED: Schema checks run in validation-core.js; this module adds the
+// form-specific rules (option lists, attachments, empty fields) and the UI
 // @ts-check
 import { state } from './state.js';
 import { resolveRef } from './file-validation.js';
-import { getFieldSchemaForPath, resolveRefInCollect } from './data-builder.js';
+import { getFieldSchemaForPath, resolveRefInCollect, collectFormData } from './data-builder.js';
 import { ashAlert, ashAlertScrollable, ashConfirm, escapeHtml } from './utils.js';
+import { getEffectiveSchema, getDataAtPath, mergeAllOf,
+         isMapSchema, getMapValueSchema,
+         isTupleSchema, getTuplePositionSchema,
+         isNullableSchema, getNonNullSchema, matchesSchema } from './schema-manager.js';
+import { validateFormat as validateFormatValue } from './format-registry.js';
+import { base64ToBytes, getFileSizeLimit, getAcceptedMediaTypes, matchesMediaType,
+         sniffMediaType, formatFileSize } from './input-control.js';
+import { validateSchema, pointerToPath, pathToPointer, escapePointerSegment } from './validation-core.js';
+import { compileExpression, evaluateExpression, matchesFieldPath } from './expression-evaluator.js';
 
 console.log('📋 Input Validation Module Loaded - Version 3.15.1 (TAB-AWARE FIXED)');
 
+/** Error key for constraints on the root object itself */
+const ROOT_ERROR_PATH = '(root)';
+
 /**
  * Validates a single field value against its schema definition
+ * UPDATED: Errors inside array items and object properties are returned in
+ * itemErrors, keyed by their own path ("medications[2].dose")
+ * UPDATED: Runs the validation core; details holds the structured error records
+ * UPDATED: Options file checks are warnings - they are returned in warnings
+ * and warningDetails and do not make the value invalid
  * @param {*} value - The value to validate
  * @param {Object} schema - The schema definition for this field
  * @param {string} fieldPath - The dot-notation path to the field
- * @returns {Object} - { isValid: boolean, errors: string[] }
+ * @returns {Object} - { isValid: boolean, errors: string[], itemErrors: Object<string, string[]>,
+ *                       warnings: string[], details: Object[], warningDetails: Object[] }
  */
 export function validateFieldValue(value, schema, fieldPath) {
-  const errors = [];
-  
   console.log(`🔎 Validating field: ${fieldPath}`, { value, schemaType: schema.type });
 
   // Null / undefined values carry no type information — skip all checks.
   // The caller (validateFormData) decides separately whether a null value on a
   // required field should be flagged; validateFieldValue should never do so.
   if (value === null || value === undefined) {
-    return { isValid: true, errors: [] };
+    return { isValid: true, errors: [], itemErrors: {}, warnings: [], details: [], warningDetails: [] };
   }
-  
-  // Resolve $ref if present
-  if (schema.$ref) {
-    schema = resolveRef(schema.$ref, state.currentSchema);
-    if (!schema) {
-      errors.push(`Could not resolve schema reference`);
-      return { isValid: false, errors };
+
+  const result = validateSchema(value, schema, { ...getCoreOptions(), basePath: pathToPointer(fieldPath) });
+  const { errors: details, warnings: warningDetails } = splitBySeverity([
+    ...applyOptionsFileRules(result.errors, [fieldPath], () => value),
+    ...result.warnings.map(warning => ({ ...warning, severity: 'warning' }))
+  ]);
+
+  const errors = [];
+  const itemErrors = {};
+  Object.entries(groupErrorsByPath(details)).forEach(([path, messages]) => {
+    if (path === fieldPath) {
+      errors.push(...messages);
+    } else {
+      itemErrors[path] = messages;
     }
-  }
+  });
 
-  const type = schema.type;
+  const warnings = Object.values(groupErrorsByPath(warningDetails)).flat();
 
-  // Type validation
-  switch (type) {
-    case 'string':
-      if (typeof value !== 'string') {
-        errors.push(`Expected string, got ${typeof value}`);
-        break;
-      }
-      
-      // String length validation
-      if (schema.minLength !== undefined && value.length < schema.minLength) {
-        errors.push(`Must be at least ${schema.minLength} characters`);
-      }
-      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
-        errors.push(`Must be at most ${schema.maxLength} characters`);
-      }
-      
-      // Pattern validation
-      if (schema.pattern) {
-        const regex = new RegExp(schema.pattern);
-        if (!regex.test(value)) {
-          errors.push(`Does not match required pattern`);
-        }
-      }
-      
-      // Format validation
-      if (schema.format) {
-        const formatError = validateFormat(value, schema.format);
-        if (formatError) {
-          errors.push(formatError);
-        }
-      }
-      
-      // ✅ Check custom options FIRST (they override schema.enum)
-      let customOptionsChecked = false;
-      if (state.customOptions && state.customOptions[fieldPath]) {
-        const customConfig = state.customOptions[fieldPath];
-        
-        if (customConfig.values && Array.isArray(customConfig.values)) {
-          customOptionsChecked = true;
-          
-          // Extract values from value/label pairs or simple values
-          const allowedValues = customConfig.values.map(v => 
-            typeof v === 'object' && v.value !== undefined ? String(v.value) : String(v)
-          );
-          
-          // Add N/A option if present
-          if (customConfig.na) {
-            const naValue = typeof customConfig.na === 'object' ? String(customConfig.na.value) : String(customConfig.na);
-            allowedValues.push(naValue);
-          }
-          
-          // Validate
-          if (!allowedValues.includes(String(value))) {
-            errors.push(`Must be one of the allowed values`);
-          }
-        }
-      }
-      
-      // Enum validation (only if no custom options were checked)
-      if (!customOptionsChecked && schema.enum && !schema.enum.includes(value)) {
-        errors.push(`Must be one of: ${schema.enum.join(', ')}`);
-      }
+  return { isValid: details.length === 0, errors, itemErrors, warnings, details, warningDetails };
+}
 
-      break;
+/**
+ * NEW: Options for the validation core: $ref context, the format registry and
+ * base64 attachment checks
+ * @returns {Object}
+ */
+function getCoreOptions() {
+  return {
+    rootSchema: state.currentSchema || undefined,
+    formats: validateFormat,
+    keywords: {
+      contentEncoding: (encoding, value, { schema, instancePath }) =>
+        (encoding === 'base64' && typeof value === 'string'
+          ? validateAttachment(value, schema, toDotPath(pointerToPath(instancePath)))
+          : null)
+    }
+  };
+}
 
-    case 'number':
-    case 'integer':
-      const numValue = typeof value === 'string' ? parseFloat(value) : value;
-      
-      if (isNaN(numValue)) {
-        errors.push(`Expected ${type}, got invalid number`);
-        break;
-      }
-      
-      if (type === 'integer' && !Number.isInteger(numValue)) {
-        errors.push(`Must be a whole number`);
-      }
-      
-      // Range validation
-      if (schema.minimum !== undefined && numValue < schema.minimum) {
-        errors.push(`Must be at least ${schema.minimum}`);
-      }
-      if (schema.maximum !== undefined && numValue > schema.maximum) {
-        errors.push(`Must be at most ${schema.maximum}`);
-      }
-      if (schema.exclusiveMinimum !== undefined && numValue <= schema.exclusiveMinimum) {
-        errors.push(`Must be greater than ${schema.exclusiveMinimum}`);
-      }
-      if (schema.exclusiveMaximum !== undefined && numValue >= schema.exclusiveMaximum) {
-        errors.push(`Must be less than ${schema.exclusiveMaximum}`);
-      }
-      
-      // Multiple of validation
-      if (schema.multipleOf !== undefined && numValue % schema.multipleOf !== 0) {
-        errors.push(`Must be a multiple of ${schema.multipleOf}`);
-      }
-      break;
+/**
+ * NEW: Field path an error record belongs to. Errors about a property of an
+ * object (required, propertyNames, additionalProperties...) go to that property.
+ * @param {Object} error - Validation core error record
+ * @returns {string} Field path ("medications[2].dose"), or "(root)"
+ */
+export function getErrorFieldPath(error) {
+  const params = error.params || {};
+  const key = params.missingProperty ?? params.propertyName ?? params.additionalProperty ?? params.unevaluatedProperty;
+  const pointer = key !== undefined ? `${error.instancePath}/${escapePointerSegment(key)}` : error.instancePath;
+  return pointerToPath(pointer) || ROOT_ERROR_PATH;
+}
 
-    case 'boolean':
-      if (typeof value !== 'boolean') {
-        errors.push(`Expected boolean, got ${typeof value}`);
-      }
-      break;
+/**
+ * NEW: Groups error records into { fieldPath: [messages] } for display
+ * @param {Object[]} details - Validation core error records
+ * @returns {Object<string, string[]>}
+ */
+export function groupErrorsByPath(details) {
+  const grouped = {};
+  details.forEach(error => {
+    const path = getErrorFieldPath(error);
+    grouped[path] = grouped[path] || [];
+    if (!grouped[path].includes(error.message)) grouped[path].push(error.message);
+  });
+  return grouped;
+}
 
-    case 'array':
-      if (!Array.isArray(value)) {
-        errors.push(`Expected array, got ${typeof value}`);
-        break;
-      }
-      
-      // Array length validation
-      if (schema.minItems !== undefined && value.length < schema.minItems) {
-        errors.push(`Must have at least ${schema.minItems} items`);
-      }
-      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
-        errors.push(`Must have at most ${schema.maxItems} items`);
-      }
-      
-      // Unique items validation
-      if (schema.uniqueItems && !areItemsUnique(value)) {
-        errors.push(`All items must be unique`);
-      }
-      
-      // ✅ Check array items against custom options if they exist
-      if (state.customOptions && state.customOptions[fieldPath]) {
-        const customConfig = state.customOptions[fieldPath];
-        
-        if (customConfig.values && Array.isArray(customConfig.values)) {
-          // Extract allowed values from value/label pairs or simple values
-          const allowedValues = customConfig.values.map(v => 
-            typeof v === 'object' && v.value !== undefined ? String(v.value) : String(v)
-          );
-          
-          // Check if N/A is allowed
-          if (customConfig.na) {
-            const naValue = typeof customConfig.na === 'object' ? String(customConfig.na.value) : String(customConfig.na);
-            allowedValues.push(naValue);
-          }
-          
-          // Validate each item in the array
-          const invalidItems = [];
-          value.forEach((item, index) => {
-            if (!allowedValues.includes(String(item))) {
-              invalidItems.push(`"${item}"`);
-            }
-          });
-          
-          if (invalidItems.length > 0) {
-            errors.push(`Invalid values: ${invalidItems.join(', ')}`);
-          }
+/**
+ * NEW: Splits error records by their severity (records without one are errors)
+ * @param {Object[]} records - Error records
+ * @returns {{ errors: Object[], warnings: Object[] }}
+ */
+function splitBySeverity(records) {
+  const errors = [];
+  const warnings = [];
+  records.forEach(record => (record.severity === 'warning' ? warnings : errors).push(record));
+  return { errors, warnings };
+}
+
+/**
+ * NEW: Options file rules on top of the schema checks:
+ *  - "values" lists restrict the field (or its items) to the listed values;
+ *    values outside the list are errors, like schema enum violations
+ *  - input_control: "file" fields without contentEncoding still get the
+ *    attachment checks
+ * UPDATED: The schema does not require attachment checks, so their records are warnings
+ * @param {Object[]} details - Validation core error records
+ * @param {string[]} paths - Field paths to apply the rules to
+ * @param {function(string): *} getValue - Value of a field path
+ * @returns {Object[]} Updated error records
+ */
+function applyOptionsFileRules(details, paths, getValue) {
+  paths.forEach(fieldPath => {
+    const config = state.customOptions?.[fieldPath];
+    const value = getValue(fieldPath);
+    if (!config || value === null || value === undefined || value === '') return;
+
+    const pointer = pathToPointer(fieldPath);
+    const record = (keyword, params, message, severity = 'error') =>
+      ({ instancePath: pointer, schemaPath: `options#/${fieldPath}`, keyword, params, message, severity });
+
+    if (Array.isArray(config.values)) {
+      const allowedValues = getAllowedOptionValues(config);
+      if (Array.isArray(value)) {
+        const invalidItems = value.filter(item => !allowedValues.includes(String(item))).map(item => `"${item}"`);
+        if (invalidItems.length > 0) {
+          details.push(record('enum', { allowedValues }, `Invalid values: ${invalidItems.join(', ')}`));
         }
+      } else if (!allowedValues.includes(String(value))) {
+        details.push(record('enum', { allowedValues }, 'Must be one of the allowed values'));
       }
-      
-      // Validate each item if items schema is defined (for arrays of objects)
-      if (schema.items && value.length > 0 && schema.items.type === 'object') {
-        value.forEach((item, index) => {
-          const itemValidation = validateFieldValue(item, schema.items, `${fieldPath}[${index}]`);
-          if (!itemValidation.isValid) {
-            errors.push(`Item ${index}: ${itemValidation.errors.join(', ')}`);
-          }
-        });
-      }
-      break;
+    }
 
-    case 'object':
-      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
-        errors.push(`Expected object, got ${typeof value}`);
-        break;
+    if (config.input_control === 'file' && typeof value === 'string') {
+      const schema = getFieldSchemaForPath(fieldPath) || {};
+      if (schema.contentEncoding !== 'base64') {
+        validateAttachment(value, schema, fieldPath)
+          .forEach(message => details.push(record('contentEncoding', {}, message, 'warning')));
       }
-      
-      // Validate required properties
-      if (schema.required) {
-        schema.required.forEach(requiredProp => {
-          if (!(requiredProp in value)) {
-            errors.push(`Missing required property: ${requiredProp}`);
-          }
-        });
-      }
-      
-      // Validate each property
-      if (schema.properties) {
-        Object.entries(value).forEach(([key, val]) => {
-          if (schema.properties[key]) {
-            const propValidation = validateFieldValue(val, schema.properties[key], `${fieldPath}.${key}`);
-            if (!propValidation.isValid) {
-              // Ashok not needed at Object Level
-              // errors.push(`Property ${key}: ${propValidation.errors.join(', ')}`);
-            }
-          } else if (schema.additionalProperties === false) {
-            errors.push(`Property ${key} is not allowed`);
-          }
-        });
-      }
-      break;
+    }
+  });
+  return details;
+}
 
-    default:
-      // No specific validation for unknown types
-      break;
+/**
+ * Allowed values of an options file "values" list (value/label pairs or plain
+ * values), including the N/A option
+ * @param {Object} config - Options file entry
+ * @returns {string[]}
+ */
+function getAllowedOptionValues(config) {
+  const allowedValues = config.values.map(v =>
+    typeof v === 'object' && v.value !== undefined ? String(v.value) : String(v)
+  );
+  if (config.na) {
+    allowedValues.push(typeof config.na === 'object' ? String(config.na.value) : String(config.na));
   }
-
-  return { isValid: errors.length === 0, errors };
+  return allowedValues;
 }
 
 /**
  * Validates format-specific string values
+ * UPDATED: Delegates to the format registry (all draft 2020-12 formats plus
+ * custom formats from the options file or host page)
  * @param {string} value - The string value to validate
  * @param {string} format - The format type (email, date, uri, etc.)
  * @returns {string|null} - Error message or null if valid
  */
 function validateFormat(value, format) {
-  switch (format) {
-    case 'email':
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(value)) {
-        return 'Invalid email format';
-      }
-      break;
+  // The datetime-local / time pickers produce local values without seconds
+  // or offset ("2024-01-31T13:45") - complete them before the RFC 3339 check
+  if ((format === 'date-time' || format === 'datetime') && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value)) {
+    value = (value.length === 16 ? `${value}:00` : value) + 'Z';
+  } else if (format === 'time' && /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value)) {
+    value = (value.length === 5 ? `${value}:00` : value) + 'Z';
+  }
 
-    case 'date':
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-      if (!dateRegex.test(value)) {
-        return 'Invalid date format (expected YYYY-MM-DD)';
-      }
-      const date = new Date(value);
-      if (isNaN(date.getTime())) {
-        return 'Invalid date value';
-      }
-      break;
+  return validateFormatValue(value, format);
+}
 
-    case 'date-time':
-    case 'datetime':
-      const dateTime = new Date(value);
-      if (isNaN(dateTime.getTime())) {
-        return 'Invalid date-time format';
-      }
-      break;
-
-    case 'uri':
-    case 'url':
-      try {
-        new URL(value);
-      } catch (e) {
-        return 'Invalid URL format';
-      }
-      break;
+/**
+ * NEW: Walks loaded data alongside the schema and reports the keys the form
+ * has no field for, which collectFormData() would drop
+ * UPDATED: Schema errors of loaded data come from validateFormData()
+ *
+ * @param {Object} data - Loaded data
+ * @param {Object} schema - Root schema
+ * @returns {string[]} Paths of the unknown keys
+ */
+export function findUnknownKeys(data, schema) {
+  const unknownKeys = [];
+
+  const walk = (value, node, path) => {
+    if (!node || value === null || typeof value !== 'object') return;
+    if (node.$ref) node = resolveRef(node.$ref, schema);
+    if (!node) return;
+    if (node.allOf) node = mergeAllOf(node, schema);
+    if (isNullableSchema(node)) node = getNonNullSchema(node, schema);
+
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        const itemSchema = isTupleSchema(node)
+          ? getTuplePositionSchema(node, index, schema)
+          : (node.items && typeof node.items === 'object' && !Array.isArray(node.items) ? node.items : null);
+        walk(item, itemSchema, path ? `${path}.${index}` : String(index));
+      });
+      return;
+    }
 
-    case 'uuid':
-      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-      if (!uuidRegex.test(value)) {
-        return 'Invalid UUID format';
-      }
-      break;
+    node = getEffectiveSchema(node, value, schema);
 
-    case 'ipv4':
-      const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
-      if (!ipv4Regex.test(value)) {
-        return 'Invalid IPv4 format';
-      }
-      const parts = value.split('.');
-      if (parts.some(part => parseInt(part) > 255)) {
-        return 'Invalid IPv4 address';
-      }
-      break;
+    // Polymorphic objects: compare against the branch the data matches
+    if (!node.properties && !isMapSchema(node)) {
+      const branch = [...(node.oneOf || []), ...(node.anyOf || [])]
+        .map(b => (b?.$ref ? resolveRef(b.$ref, schema) : b))
+        .find(b => b && matchesSchema(value, b, schema));
+      if (!branch) return;
+      node = getEffectiveSchema(branch.allOf ? mergeAllOf(branch, schema) : branch, value, schema);
+      if (!node.properties && !isMapSchema(node)) return;
+    }
 
-    case 'ipv6':
-      // Simplified IPv6 validation
-      const ipv6Regex = /^([0-9a-f]{0,4}:){7}[0-9a-f]{0,4}$/i;
-      if (!ipv6Regex.test(value)) {
-        return 'Invalid IPv6 format';
+    const declared = node.properties || {};
+    const isMap = isMapSchema(node);
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (Object.prototype.hasOwnProperty.call(declared, key)) {
+        walk(child, declared[key], childPath);
+      } else if (isMap) {
+        // Map editor entry (a bad key is reported by validateFormData)
+        walk(child, getMapValueSchema(node, key, schema), childPath);
+      } else {
+        unknownKeys.push(childPath);
       }
-      break;
+    });
+  };
 
-    default:
-      // Unknown format, no validation
-      break;
+  walk(data, schema, '');
+  return unknownKeys;
+}
+
+/**
+ * NEW: Validates base64 attachment content: encoding, size limit and media type
+ * (recognised from the file's leading bytes)
+ * @param {string} value - Base64 string
+ * @param {Object} schema - Field schema
+ * @param {string} fieldPath - Field path (for options file settings)
+ * @returns {string[]} Error messages
+ */
+function validateAttachment(value, schema, fieldPath) {
+  const config = state.customOptions?.[fieldPath];
+  const bytes = base64ToBytes(value);
+  if (!bytes) {
+    return ['Attachment is not valid base64 data'];
   }
 
-  return null;
+  const errors = [];
+  const maxBytes = getFileSizeLimit(schema, config);
+  if (bytes.length > maxBytes) {
+    errors.push(`Attachment is ${formatFileSize(bytes.length)}, the limit is ${formatFileSize(maxBytes)}`);
+  }
+
+  const accept = getAcceptedMediaTypes(schema, config);
+  const mediaType = sniffMediaType(bytes);
+  if (mediaType && !matchesMediaType(mediaType, accept)) {
+    errors.push(`Attachment is ${mediaType}, expected ${accept}`);
+  }
+  return errors;
 }
 
 /**
- * Checks if array items are unique
- * @param {Array} arr - Array to check
- * @returns {boolean} - True if all items are unique
+ * NEW: Checks whether a nullable field was explicitly marked "not applicable"
+ * (its null toggle is checked), as opposed to simply left empty
+ * @param {string} fieldPath - Field path
+ * @returns {boolean}
  */
-function areItemsUnique(arr) {
-  const seen = new Set();
-  for (const item of arr) {
-    const key = typeof item === 'object' ? JSON.stringify(item) : item;
-    if (seen.has(key)) {
-      return false;
-    }
-    seen.add(key);
+function isExplicitNull(fieldPath) {
+  if (typeof document === 'undefined') return false;
+  return !!document.querySelector(`.null-toggle-input[data-null-for="${CSS.escape(fieldPath)}"]:checked`);
+}
+
+/**
+ * NEW: Copy of form data without the fields that were left empty ('' / null),
+ * so the schema sees them as absent - only required fields are then flagged.
+ * An explicit "not applicable" null is kept.
+ * @param {*} value - Form data (or part of it)
+ * @param {string} path - Dot path of value
+ * @returns {*}
+ */
+function omitEmptyValues(value, path = '') {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => omitEmptyValues(item, path ? `${path}.${index}` : String(index)));
   }
-  return true;
+  if (!value || typeof value !== 'object') return value;
+
+  const result = {};
+  Object.entries(value).forEach(([key, child]) => {
+    const childPath = path ? `${path}.${key}` : key;
+    if (child === undefined || child === '') return;
+    if (child === null && !isExplicitNull(childPath)) return;
+    result[key] = omitEmptyValues(child, childPath);
+  });
+  return result;
 }
 
 /**
@@ -346,9 +340,16 @@ function areItemsUnique(arr) {
  * - Checks string length, number ranges, patterns, formats, enums
  * - Returns detailed error messages per field
  * 
+ * UPDATED: The schema is checked by the validation core (draft 7 - 2020-12);
+ * details holds its structured error records, errors / warnings the messages
+ * grouped by field path for display.
+ * UPDATED: Only schema violations (and rules with severity "error") are
+ * errors. Options file checks, cross-field rules and deprecated fields are
+ * warnings - in warnings / warningDetails - and do not make the data invalid.
+ * 
  * @param {Object} data - The form data to validate
  * @param {Object} schema - The JSON schema to validate against
- * @returns {Object} - { isValid: boolean, errors: Object, warnings: Object }
+ * @returns {Object} - { isValid: boolean, errors: Object, warnings: Object, details: Object[], warningDetails: Object[] }
  * 
  * Example usage:
  * ```javascript
@@ -356,103 +357,214 @@ function areItemsUnique(arr) {
  * if (!result.isValid) {
  *   console.log('Validation errors:', result.errors);
  *   // errors format: { "fieldPath": ["error message 1", "error message 2"] }
+ *   // details format: [{ instancePath: "/fieldPath", schemaPath, keyword, params, message }]
+ *   // warningDetails format: same records, with severity: "warning"
  * }
  * ```
  */
 export function validateFormData(data, schema, { ignoreNull = false } = {}) {
-  const errors = {};
-  const warnings = {};
-  let isValid = true;
-
-  /**
-   * Recursively validates an object against its schema
-   * 
-   * @param {Object} obj - The data object to validate
-   * @param {Object} schemaObj - The schema object to validate against
-   * @param {string} path - Current path in dot notation (e.g., "demographic.mbr_address")
-   */
-  function validateObject(obj, schemaObj, path = '') {
-    // Exit if schema has no properties to validate
-    if (!schemaObj.properties) return;
-
-    // ==================== REQUIRED FIELDS VALIDATION ====================
-    if (schemaObj.required) {
-      schemaObj.required.forEach(requiredField => {
-        const fieldPath = path ? `${path}.${requiredField}` : requiredField;
-        const value = obj[requiredField];
-        
-        // When ignoreNull is true (e.g. data loaded from file), null / undefined /
-        // empty values on required fields are intentionally skipped — the field may
-        // simply not have been filled in yet and should not block loading.
-        if (value === null || value === undefined || value === '') {
-          if (!ignoreNull) {
-            errors[fieldPath] = ['This field is required'];
-            isValid = false;
-          }
-        }
+  const result = validateSchema(omitEmptyValues(data), schema, { ...getCoreOptions(), rootSchema: schema });
+
+  let records = applyOptionsFileRules(result.errors, Object.keys(state.customOptions || {}),
+    fieldPath => getDataAtPath(data, fieldPath.split('.')));
+
+  // NEW: Fields made required / optional / hidden by conditional rules
+  records = applyConditionalRequired(records, data);
+
+  // When ignoreNull is true (e.g. data loaded from file), missing values on
+  // required fields are intentionally skipped — the field may simply not have
+  // been filled in yet and should not block loading.
+  if (ignoreNull) {
+    records = records.filter(error => error.params?.missingProperty === undefined);
+  }
+
+  // NEW: Cross-field rules from the options file
+  const rules = checkValidationRules(data);
+  const { errors: details, warnings: warningDetails } = splitBySeverity([
+    ...records,
+    ...rules.errors,
+    ...rules.warnings,
+    ...result.warnings.map(warning => ({ ...warning, severity: 'warning' }))
+  ]);
+
+  return {
+    isValid: details.length === 0,
+    errors: groupErrorsByPath(details),
+    warnings: groupErrorsByPath(warningDetails),
+    details,
+    warningDetails
+  };
+}
+
+/**
+ * NEW: Applies the required-ness set by conditional rules: optional_fields and
+ * hidden fields lose their "required" errors, require_fields get one when empty
+ * @param {Object[]} records - Error records
+ * @param {Object} data - Form data
+ * @returns {Object[]} Updated error records
+ */
+function applyConditionalRequired(records, data) {
+  const overrides = state.conditionalRequired || {};
+  const hidden = state.conditionalHidden || {};
+  const isRequiredError = (error, fieldPath) => error.params?.missingProperty !== undefined &&
+    toDotPath(getErrorFieldPath(error)) === fieldPath;
+
+  records = records.filter(error => {
+    if (error.params?.missingProperty === undefined) return true;
+    const fieldPath = toDotPath(getErrorFieldPath(error));
+    return overrides[fieldPath] !== false && !hidden[fieldPath];
+  });
+
+  Object.entries(overrides).forEach(([fieldPath, required]) => {
+    if (!required || hidden[fieldPath] || isExplicitNull(fieldPath)) return;
+
+    const keys = fieldPath.split('.');
+    const value = getDataAtPath(data, keys);
+    const isEmpty = value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    if (!isEmpty || records.some(error => isRequiredError(error, fieldPath))) return;
+
+    records.push({
+      instancePath: pathToPointer(keys.slice(0, -1).join('.')),
+      schemaPath: 'options#/conditional_rules',
+      keyword: 'required',
+      params: { missingProperty: keys[keys.length - 1] },
+      message: 'This field is required'
+    });
+  });
+
+  return records;
+}
+
+// ==================== CROSS-FIELD RULES (options file "validation_rules") ====================
+
+/** Rule expressions already reported as broken (warned once) */
+const reportedRuleErrors = new Set();
+
+/**
+ * NEW: Reads the "validation_rules" section of the options file:
+ *   [{ "rule": "a.end_year >= a.start_year", "message": "...", "severity": "warning" | "error",
+ *      "fields": ["a.end_year"] }]
+ * Rules are errors unless their severity is "warning"
+ * Rules that do not parse are reported once on the console and skipped.
+ * @returns {Array<Object>} Rules with their compiled expression and involved fields
+ */
+function getValidationRules() {
+  const section = state.customOptions?.validation_rules;
+  if (!Array.isArray(section)) return [];
+
+  const rules = [];
+  section.forEach((entry, index) => {
+    if (!entry || typeof entry.rule !== 'string') return;
+    try {
+      const compiled = compileExpression(entry.rule);
+      rules.push({
+        index,
+        id: entry.id ?? index,
+        compiled,
+        message: entry.message || `Rule failed: ${entry.rule}`,
+        severity: entry.severity === 'warning' ? 'warning' : 'error',
+        // Wildcard paths ("items.*.percent") report on the array itself
+        fields: (Array.isArray(entry.fields) ? entry.fields : compiled.fields)
+          .map(path => path.split('.*')[0])
       });
+    } catch (error) {
+      if (!reportedRuleErrors.has(entry.rule)) {
+        console.warn(`⚠️ validation_rules[${index}] skipped: ${error.message}`);
+        reportedRuleErrors.add(entry.rule);
+      }
     }
+  });
+  return rules;
+}
 
-    // ==================== PROPERTY VALIDATION ====================
-    Object.entries(schemaObj.properties).forEach(([key, propSchema]) => {
-      const fieldPath = path ? `${path}.${key}` : key;
-      const value = obj[key];
+/**
+ * NEW: Evaluates the cross-field rules against form data. A rule fails when
+ * its expression is false; when a field it uses is empty the expression has no
+ * value and the rule is skipped. A failure is reported on every field involved.
+ * @param {Object} data - Form data
+ * @param {string} [fieldPath] - Only the rules that use this field
+ * @returns {{ errors: Object[], warnings: Object[] }} Error records
+ */
+function checkValidationRules(data, fieldPath = null) {
+  const errors = [];
+  const warnings = [];
 
-      // Skip validation if value doesn't exist and field is not required
-      if ((value === null || value === undefined || value === '') && 
-          (!schemaObj.required || !schemaObj.required.includes(key))) {
-        return;
-      }
+  getValidationRules().forEach(rule => {
+    if (fieldPath && !ruleUsesField(rule, fieldPath)) return;
 
-      // When ignoreNull is active, also skip type/constraint validation for null
-      // values on required fields — we only want to surface content errors, not
-      // "missing value" errors that are expected in partially-populated loaded data.
-      if (ignoreNull && (value === null || value === undefined || value === '')) {
-        return;
-      }
+    let outcome;
+    try {
+      outcome = evaluateExpression(rule.compiled, data);
+    } catch (error) {
+      console.warn(`⚠️ validation_rules[${rule.index}] could not be evaluated: ${error.message}`);
+      return;
+    }
+    if (outcome === null || outcome) return;
+
+    rule.fields.forEach(path => {
+      (rule.severity === 'warning' ? warnings : errors).push({
+        instancePath: pathToPointer(path),
+        schemaPath: `options#/validation_rules/${rule.index}`,
+        keyword: 'validation_rules',
+        params: { rule: rule.id, expression: rule.compiled.source, severity: rule.severity },
+        message: rule.message,
+        severity: rule.severity
+      });
+    });
+  });
 
-      // Validate the field value against its schema
-      // validateFieldValue() handles:
-      // - Type checking (string, number, integer, boolean, array, object)
-      // - String constraints (minLength, maxLength, pattern, format, enum)
-      // - Number constraints (minimum, maximum, multipleOf)
-      // - Array constraints (minItems, maxItems, uniqueItems)
-      // - $ref resolution
-      const validation = validateFieldValue(value, propSchema, fieldPath);
-      if (!validation.isValid) {
-        errors[fieldPath] = validation.errors;
-        isValid = false;
-      }
+  return { errors, warnings };
+}
 
-      // ==================== RECURSIVE NESTED OBJECT VALIDATION ====================
-      // ✅ CRITICAL FIX: Resolve $ref before checking type
-      // When propSchema is { "$ref": "#/$defs/SomeObject" }, it has no direct 'type' property
-      // Must resolve the reference first to get the actual schema with type information
-      let resolvedSchema = propSchema;
-      if (propSchema.$ref) {
-        resolvedSchema = resolveRef(propSchema.$ref, schema);
-      }
+/**
+ * NEW: Whether a rule uses a field (array item fields match "*" paths)
+ */
+function ruleUsesField(rule, fieldPath) {
+  const dotPath = toDotPath(fieldPath);
+  return rule.compiled.fields.some(path => matchesFieldPath(path, dotPath)) ||
+         rule.fields.includes(dotPath);
+}
 
-      // Recursively validate nested objects
-      // Only proceed if:
-      // 1. Schema was resolved successfully (not null)
-      // 2. Schema type is 'object'
-      // 3. Value is actually an object (not null, not array)
-      if (resolvedSchema && 
-          resolvedSchema.type === 'object' && 
-          typeof value === 'object' && 
-          value !== null && 
-          !Array.isArray(value)) {
-        validateObject(value, resolvedSchema, fieldPath);
+/**
+ * NEW: Re-checks the rules that use a field (on blur) and shows their messages
+ * on every field involved - errors as ❌, warnings as ⚠️
+ * @param {string} fieldPath - Field that lost focus
+ */
+function validateRulesForField(fieldPath) {
+  const rules = getValidationRules().filter(rule => ruleUsesField(rule, fieldPath));
+  if (rules.length === 0) return;
+
+  // Drop the previous messages of these rules
+  rules.forEach(rule => {
+    document.querySelectorAll(`.rule-message[data-rule-index="${rule.index}"]`).forEach(message => {
+      const input = findInputElement(message.dataset.fieldPath);
+      message.remove();
+      if (input && !input.parentNode?.querySelector('.validation-error-message:not(.validation-warning)')) {
+        input.classList.remove('validation-error');
       }
     });
-  }
-
-  // Start validation from root
-  validateObject(data, schema);
+  });
 
-  // Return validation results
-  return { isValid, errors, warnings };
+  const { errors, warnings } = checkValidationRules(collectFormData(), fieldPath);
+  [...errors, ...warnings].forEach(record => {
+    const path = pointerToPath(record.instancePath);
+    const input = findInputElement(path);
+    if (!input) return;
+
+    const index = record.schemaPath.split('/').pop();
+    const isWarning = record.severity === 'warning';
+    if (!isWarning) input.classList.add('validation-error');
+
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `validation-error-message rule-message${isWarning ? ' validation-warning' : ''}`;
+    messageDiv.dataset.fieldPath = path;
+    messageDiv.dataset.ruleIndex = index;
+    messageDiv.innerHTML = `
+      <span class="error-icon">${isWarning ? '⚠️' : '❌'}</span>
+      <span class="error-text">${escapeHtml(record.message)}</span>
+    `;
+    input.parentNode.insertBefore(messageDiv, input.nextSibling);
+  });
 }
 
 
@@ -461,7 +573,7 @@ export function validateFormData(data, schema, { ignoreNull = false } = {}) {
  * @param {Object} errors - All validation errors
  * @returns {Object} - { tabKey: { fieldPath: errors }, ... }
  */
-function groupErrorsByTab(errors) {
+export function groupErrorsByTab(errors) {
   const errorsByTab = {};
   
   // Check if we have a tab-based form
@@ -478,7 +590,7 @@ function groupErrorsByTab(errors) {
   // Tab-based layout - group by top-level property (tab key)
   Object.entries(errors).forEach(([fieldPath, errorMessages]) => {
     // Extract tab key (first part of path)
-    const tabKey = fieldPath.split('.')[0];
+    const tabKey = toDotPath(fieldPath).split('.')[0];
     
     if (!errorsByTab[tabKey]) {
       errorsByTab[tabKey] = {};
@@ -497,9 +609,11 @@ function groupErrorsByTab(errors) {
 /**
  * 🔧 FIXED: Displays validation errors with tab-aware summaries
  * Uses MutationObserver to update summary when tabs change
+ * UPDATED: Warnings are shown with ⚠️ and do not mark the field as invalid
  * @param {Object} errors - Object with field paths as keys and error arrays as values
+ * @param {Object} [warnings] - Warning messages, same format
  */
-export function displayValidationErrors(errors) {
+export function displayValidationErrors(errors, warnings = {}) {
   // Clear existing validation messages and summaries
   document.querySelectorAll('.validation-error-message').forEach(el => el.remove());
   document.querySelectorAll('.validation-error').forEach(el => el.classList.remove('validation-error'));
@@ -510,6 +624,7 @@ export function displayValidationErrors(errors) {
   
   // Store errors globally for tab switching
   window._validationErrorsByTab = errorsByTab;
+  window._validationWarningsByTab = groupErrorsByTab(warnings);
   
   // 🆕 Create summary for current/active tab only
   updateValidationSummaryForCurrentTab();
@@ -543,6 +658,21 @@ export function displayValidationErrors(errors) {
     
     insertAfter.parentNode.insertBefore(errorDiv, insertAfter.nextSibling);
   });
+
+  // NEW: Field warnings
+  Object.entries(warnings).forEach(([fieldPath, warningMessages]) => {
+    const input = findInputElement(fieldPath);
+    if (!input) return; // Warning still shows in summary
+
+    const warningDiv = document.createElement('div');
+    warningDiv.className = 'validation-error-message validation-warning';
+    warningDiv.dataset.fieldPath = fieldPath;
+    warningDiv.innerHTML = `
+      <span class="error-icon">⚠️</span>
+      <span class="error-text">${warningMessages.map(message => escapeHtml(message)).join(', ')}</span>
+    `;
+    input.parentNode.insertBefore(warningDiv, input.nextSibling);
+  });
   
   // 🔧 FIXED: Use MutationObserver to detect tab changes instead of replacing listeners
   setupTabChangeObserver();
@@ -597,59 +727,67 @@ function setupTabChangeObserver() {
  * 🆕 NEW: Updates validation summary for the currently active tab
  */
 function updateValidationSummaryForCurrentTab() {
-  if (!window._validationErrorsByTab) {
+  if (!window._validationErrorsByTab && !window._validationWarningsByTab) {
     return;
   }
   
-  const errorsByTab = window._validationErrorsByTab;
   const currentTab = state.currentTab || '_single';
-  const currentTabErrors = errorsByTab[currentTab] || {};
+  const currentTabErrors = window._validationErrorsByTab?.[currentTab] || {};
+  const currentTabWarnings = window._validationWarningsByTab?.[currentTab] || {};
   
-  console.log(`📋 Updating summary for tab: ${currentTab}, errors: ${Object.keys(currentTabErrors).length}`);
+  console.log(`📋 Updating summary for tab: ${currentTab}, errors: ${Object.keys(currentTabErrors).length}, warnings: ${Object.keys(currentTabWarnings).length}`);
   
   // Remove old summary
   document.querySelectorAll('.invalid-fields-summary').forEach(el => el.remove());
   
-  // Show summary for this tab's errors
-  if (Object.keys(currentTabErrors).length > 0) {
-    createValidationSummary(currentTabErrors, currentTab);
+  // Show summary for this tab's errors and warnings
+  if (Object.keys(currentTabErrors).length > 0 || Object.keys(currentTabWarnings).length > 0) {
+    createValidationSummary(currentTabErrors, currentTab, currentTabWarnings);
   }
 }
 
 /**
  * 🔧 FIXED: Creates a tab-specific validation summary
+ * UPDATED: Warnings are listed in their own section; a tab with warnings
+ * only gets the amber "warnings-only" panel
  * @param {Object} errors - Validation errors object for current tab
  * @param {string} tabKey - The key of the current tab ('_single' for non-tabbed forms)
+ * @param {Object} [warnings] - Validation warnings object for current tab
  */
-function createValidationSummary(errors, tabKey) {
+function createValidationSummary(errors, tabKey, warnings = {}) {
   const summary = document.createElement('div');
   summary.className = 'invalid-fields-summary';
   summary.dataset.tabKey = tabKey; // Store tab key for clearing
   
   const errorCount = Object.keys(errors).length;
+  const warningCount = Object.keys(warnings).length;
   const tabName = tabKey === '_single' ? 'Form' : 
                   (state.currentSchema?.properties?.[tabKey]?.title || tabKey);
+
+  if (errorCount === 0) {
+    summary.classList.add('warnings-only');
+  }
+
+  const warningsSection = warningCount === 0 ? '' : `
+    <div class="summary-warnings">
+      ${errorCount > 0 ? `<strong>Warnings (${warningCount})</strong>` : ''}
+      <ul>${renderSummaryItems(warnings, 'warnings')}</ul>
+    </div>
+  `;
   
   summary.innerHTML = `
     <strong>
       <span style="font-size: 20px;">⚠️</span>
-      Validation Errors in "${tabName}" (${errorCount})
+      ${errorCount > 0
+        ? `Validation Errors in "${tabName}" (${errorCount})`
+        : `Validation Warnings in "${tabName}" (${warningCount})`}
       <button class="close-summary" onclick="clearValidationSummary('${tabKey}')">×</button>
     </strong>
-    <ul>
-      ${Object.entries(errors).slice(0, 10).map(([field, errs]) => `
-        <li>
-          <strong>${escapeHtml(field)}</strong>: ${errs.map(e => escapeHtml(e)).join(', ')}
-          <button onclick="scrollToField('${escapeHtml(field)}')" style="margin-left: 10px; font-size: 11px; padding: 2px 8px;">
-            Go to field
-          </button>
-        </li>
-      `).join('')}
-      ${Object.keys(errors).length > 10 ? `<li><em>... and ${Object.keys(errors).length - 10} more errors</em></li>` : ''}
-    </ul>
-    <div style="margin-top: 12px; padding-top: 12px; border-top: 1px solid #f5c6cb;">
+    ${errorCount > 0 ? `<ul>${renderSummaryItems(errors, 'errors')}</ul>` : ''}
+    ${warningsSection}
+    <div class="summary-actions">
       <button onclick="clearValidationSummary('${tabKey}')" class="btn-secondary" style="padding: 8px 16px; font-size: 13px;">
-        🗑️ Clear Errors in This Tab
+        🗑️ Clear ${errorCount > 0 ? 'Errors' : 'Warnings'} in This Tab
       </button>
     </div>
   `;
@@ -667,6 +805,27 @@ function createValidationSummary(errors, tabKey) {
   }
 }
 
+/**
+ * NEW: List items of the validation summary, with "Go to field" buttons
+ * @param {Object} messages - { fieldPath: [messages] }
+ * @param {string} noun - "errors" or "warnings", for the overflow line
+ * @returns {string} HTML
+ */
+function renderSummaryItems(messages, noun) {
+  const entries = Object.entries(messages);
+  return `
+    ${entries.slice(0, 10).map(([field, errs]) => `
+      <li>
+        <strong>${escapeHtml(field)}</strong>: ${errs.map(e => escapeHtml(e)).join(', ')}
+        <button onclick="scrollToField('${escapeHtml(field)}')" style="margin-left: 10px; font-size: 11px; padding: 2px 8px;">
+          Go to field
+        </button>
+      </li>
+    `).join('')}
+    ${entries.length > 10 ? `<li><em>... and ${entries.length - 10} more ${noun}</em></li>` : ''}
+  `;
+}
+
 /**
  * 🔧 FIXED: Clears validation errors for a specific tab only
  * @param {string} tabKey - The tab key to clear errors for ('_single' for non-tabbed)
@@ -718,18 +877,23 @@ window.clearValidationSummary = function(tabKey) {
     });
   }
   
-  // Remove this tab from the global errors object
+  // Remove this tab from the global errors and warnings objects
   if (window._validationErrorsByTab && window._validationErrorsByTab[tabKey]) {
     delete window._validationErrorsByTab[tabKey];
-    
-    // If no more errors, disconnect observer
-    if (Object.keys(window._validationErrorsByTab).length === 0) {
-      if (window._tabChangeObserver) {
-        window._tabChangeObserver.disconnect();
-        window._tabChangeObserver = null;
-      }
-      window._validationErrorsByTab = null;
+  }
+  if (window._validationWarningsByTab && window._validationWarningsByTab[tabKey]) {
+    delete window._validationWarningsByTab[tabKey];
+  }
+
+  // If no more errors or warnings, disconnect observer
+  const remaining = { ...window._validationErrorsByTab, ...window._validationWarningsByTab };
+  if ((window._validationErrorsByTab || window._validationWarningsByTab) && Object.keys(remaining).length === 0) {
+    if (window._tabChangeObserver) {
+      window._tabChangeObserver.disconnect();
+      window._tabChangeObserver = null;
     }
+    window._validationErrorsByTab = null;
+    window._validationWarningsByTab = null;
   }
   
   console.log(`✅ Cleared validation errors for tab: ${tabKey}`);
@@ -742,7 +906,7 @@ window.scrollToField = function(fieldPath) {
   const element = findInputElement(fieldPath);
   if (element) {
     // Check if field is in a different tab
-    const fieldTabKey = fieldPath.split('.')[0];
+    const fieldTabKey = toDotPath(fieldPath).split('.')[0];
     const currentTab = state.currentTab;
     
     // If field is in a different tab, switch to that tab first
@@ -775,6 +939,7 @@ function scrollAndHighlightField(fieldPath) {
   const element = findInputElement(fieldPath);
   if (!element) return;
   
+  expandCollapsedAncestors(element);
   element.scrollIntoView({ behavior: 'smooth', block: 'center' });
   
   // Wait for scroll, then focus
@@ -790,16 +955,63 @@ function scrollAndHighlightField(fieldPath) {
   }, 500);
 }
 
+/**
+ * NEW: Opens collapsed array items and nested objects around an element so
+ * it can be scrolled to
+ * @param {HTMLElement} element
+ */
+function expandCollapsedAncestors(element) {
+  let collapsed = element.closest('.array-item.collapsed, .nested-object-content.collapsed');
+  while (collapsed) {
+    collapsed.classList.remove('collapsed');
+    if (collapsed.classList.contains('nested-object-content')) {
+      collapsed.parentElement?.querySelector(':scope > .nested-object-header')?.classList.remove('collapsed');
+    }
+    collapsed = collapsed.parentElement?.closest('.array-item.collapsed, .nested-object-content.collapsed');
+  }
+}
+
+/**
+ * NEW: Converts an item path ("medications[2].dose") to the dot path used by
+ * the rendered inputs ("medications.2.dose")
+ * @param {string} fieldPath
+ * @returns {string}
+ */
+export function toDotPath(fieldPath) {
+  return fieldPath.replace(/\[(\d+)\]/g, '.$1');
+}
+
 /**
  * ✅ ENHANCED: Finds input element by field path with improved logic
+ * UPDATED: Accepts item paths ("medications[2].dose") and falls back to the
+ * closest rendered parent (e.g. the array container of a primitive item)
  * @param {string} fieldPath - Dot-notation path to field
  * @returns {HTMLElement|null} - Input element or null
  */
 function findInputElement(fieldPath) {
+  const element = findInputElementByPath(toDotPath(fieldPath));
+  if (element) return element;
+
+  const parts = toDotPath(fieldPath).split('.');
+  for (let length = parts.length - 1; length > 0; length--) {
+    const parentPath = parts.slice(0, length).join('.');
+    const parent = document.getElementById(`array_${parentPath.replace(/\./g, '_')}`) ||
+                   findInputElementByPath(parentPath);
+    if (parent) return parent;
+  }
+  return null;
+}
+
+/**
+ * Looks up the input element for an exact dot path
+ * @param {string} fieldPath - Dot-notation path to field
+ * @returns {HTMLElement|null} - Input element or null
+ */
+function findInputElementByPath(fieldPath) {
   const escapedPath = fieldPath.replace(/\./g, '_');
   
   // Strategy 1: Try form-group container (most reliable for error display)
-  let formGroup = document.querySelector(`[data-field-path="${fieldPath}"]`);
+  let formGroup = document.querySelector(`[data-field-path="${CSS.escape(fieldPath)}"]`);
   if (formGroup) {
     // Return the first input-like element inside
     const input = formGroup.querySelector('input, select, textarea, .multi-select-container, .checkbox-container, .radio-container, .slider-container');
@@ -809,7 +1021,7 @@ function findInputElement(fieldPath) {
   }
 
   // Strategy 2: Try direct input elements by data-path
-  let input = document.querySelector(`input[data-path="${fieldPath}"], select[data-path="${fieldPath}"], textarea[data-path="${fieldPath}"]`);
+  let input = document.querySelector(`input[data-path="${CSS.escape(fieldPath)}"], select[data-path="${CSS.escape(fieldPath)}"], textarea[data-path="${CSS.escape(fieldPath)}"]`);
   if (input) {
     return input;
   }
@@ -862,6 +1074,11 @@ export function attachRealtimeValidation(schema) {
       return;
     }
 
+    // NEW: Cross-field rules using this field are re-checked when it loses focus
+    if (getValidationRules().some(rule => ruleUsesField(rule, fieldPath))) {
+      input.addEventListener('blur', () => validateRulesForField(fieldPath));
+    }
+
     // Is Required Field
     const isRequired = isFieldRequired(fieldPath);
 
@@ -969,8 +1186,8 @@ function validateAndDisplayFieldError(input, fieldSchema, fieldPath) {
       <span class="error-text">${validation.errors.join(', ')}</span>
     `;
 
-    // Remove existing error message
-    const existingError = input.parentNode.querySelector('.validation-error-message');
+    // Remove existing error message (cross-field rule messages stay)
+    const existingError = input.parentNode.querySelector('.validation-error-message:not(.rule-message)');
     if (existingError) {
       existingError.remove();
     }
@@ -979,6 +1196,18 @@ function validateAndDisplayFieldError(input, fieldSchema, fieldPath) {
   }
   else {
     clearFieldError(input, fieldPath);
+
+    // NEW: Warnings are shown without marking the field as invalid
+    if (validation.warnings.length > 0) {
+      const warningDiv = document.createElement('div');
+      warningDiv.className = 'validation-error-message validation-warning';
+      warningDiv.dataset.fieldPath = fieldPath;
+      warningDiv.innerHTML = `
+        <span class="error-icon">⚠️</span>
+        <span class="error-text">${validation.warnings.map(message => escapeHtml(message)).join(', ')}</span>
+      `;
+      input.parentNode.insertBefore(warningDiv, input.nextSibling);
+    }
   }
 }
 
@@ -990,31 +1219,38 @@ function clearFieldError(input, fieldPath) {
   input.classList.remove('validation-error');
   
   if (fieldPath) {
-    const errorMessage = input.parentNode.querySelector(`.validation-error-message[data-field-path="${fieldPath}"]`);
+    const errorMessage = input.parentNode.querySelector(`.validation-error-message[data-field-path="${CSS.escape(fieldPath)}"]:not(.rule-message)`);
     if (errorMessage) {
       errorMessage.remove();
     }
   } else {
-    const errorMessage = input.parentNode.querySelector('.validation-error-message');
+    const errorMessage = input.parentNode.querySelector('.validation-error-message:not(.rule-message)');
     if (errorMessage) {
       errorMessage.remove();
     }
   }
 }
 
+/** Result of the last validateAndShowSummary run */
+let lastValidationResult = null;
+
 /**
  * 🔧 UPDATED: Validates all form data and shows summary using SCROLLABLE ALERT
+ * UPDATED: Warnings are shown in the summary panels but never fail validation
+ * and never open the alert
  * @param {Object} data - Form data to validate
  * @param {Object} schema - JSON schema
- * @returns {boolean} - True if valid
+ * @returns {boolean} - True if valid (no errors; warnings allowed)
  */
 export async function validateAndShowSummary(data, schema, { ignoreNull = false } = {}) {
   console.log('🔍 Validating form data...');
   
   const validation = validateFormData(data, schema, { ignoreNull });
+  lastValidationResult = validation;
+  const warningCount = Object.keys(validation.warnings).length;
   
   if (!validation.isValid) {
-    displayValidationErrors(validation.errors);
+    displayValidationErrors(validation.errors, validation.warnings);
     
     // Group errors by tab for the alert message
     const errorsByTab = groupErrorsByTab(validation.errors);
@@ -1032,6 +1268,10 @@ export async function validateAndShowSummary(data, schema, { ignoreNull = false
       });
     }
     
+    if (warningCount > 0) {
+      summaryText += `\n\nAlso ${warningCount} field(s) with warnings (shown in amber; they do not block saving).`;
+    }
+    
     summaryText += '\n\nShowing errors for the current tab.\n';
     summaryText += 'Switch tabs to see errors in other sections.\n';
     summaryText += '\nClick "Go to field" buttons to jump to specific errors.\n';
@@ -1054,12 +1294,43 @@ export async function validateAndShowSummary(data, schema, { ignoreNull = false
     }
     
     console.log(`❌ Validation failed: ${totalErrorCount} errors across ${Object.keys(errorsByTab).length} section(s)`);
+  } else if (warningCount > 0) {
+    displayValidationErrors({}, validation.warnings);
+    console.log(`✅ Validation passed with ${warningCount} warning(s)`);
   } else {
     console.log('✅ Validation passed');
   }
   
   return validation.isValid;
 }
+
+/**
+ * NEW: Result of the last validateAndShowSummary run (Save / Copy / View)
+ * @returns {Object|null} - validateFormData result
+ */
+export function getLastValidationResult() {
+  return lastValidationResult;
+}
+
+/**
+ * NEW: Warnings report saved next to the data file ("name.warnings.json")
+ * @param {Object} validation - validateFormData result
+ * @returns {Object} Report with the file names, a timestamp and one entry per warning
+ */
+export function buildWarningsReport(validation) {
+  return {
+    generated: new Date().toISOString(),
+    data_file: state.dataFilename || null,
+    schema_file: state.selectedSchemaFile?.name || null,
+    options_file: state.selectedOptionsFile?.name || null,
+    warnings: validation.warningDetails.map(record => ({
+      path: getErrorFieldPath(record),
+      message: record.message,
+      keyword: record.keyword,
+      schemaPath: record.schemaPath
+    }))
+  };
+}
 /**
  * Determines if a field should have real-time validation
  */
@@ -1172,10 +1443,22 @@ export function clearAllValidationErrors() {
     window._fieldDisabledObserver = null;
   }
   window._validationErrorsByTab = null;
+  window._validationWarningsByTab = null;
   
   console.log('🧹 Cleared all validation errors');
 }
 
+/**
+ * NEW: Whether a field is required, including the overrides of the
+ * require_fields / optional_fields conditional rules
+ * @param {string} fieldPath - Dot-notation path to the field
+ * @returns {boolean}
+ */
+export function isFieldRequired(fieldPath) {
+  const override = state.conditionalRequired?.[fieldPath];
+  return override !== undefined ? override : isSchemaRequired(fieldPath);
+}
+
 /**
  * Checks if the final key in a field path is a required field
  * Handles nested objects and $ref resolution
@@ -1184,10 +1467,10 @@ export function clearAllValidationErrors() {
  * @returns {boolean} - True if the final key is required, false otherwise
  * 
  * @example
- * isFieldRequired('demographic.mbr_first_name') // true if mbr_first_name is in demographic's required array
- * isFieldRequired('demographic.mbr_address.mbr_country') // true if mbr_country is in mbr_address's required array
+ * isSchemaRequired('demographic.mbr_first_name') // true if mbr_first_name is in demographic's required array
+ * isSchemaRequired('demographic.mbr_address.mbr_country') // true if mbr_country is in mbr_address's required array
  */
-function isFieldRequired(fieldPath) {
+function isSchemaRequired(fieldPath) {
   if (!state.currentSchema?.properties) {
     console.warn('No schema properties found');
     return false;
@@ -1199,8 +1482,8 @@ function isFieldRequired(fieldPath) {
   }
   
   const keys = fieldPath.split('.');
-  let current = state.currentSchema.properties;
-  let currentSchema = state.currentSchema;
+  let currentSchema = getEffectiveSchema(state.currentSchema, state.formData, state.currentSchema);
+  let current = currentSchema.properties;
   
   // Navigate through the path
   for (let i = 0; i < keys.length; i++) {
@@ -1231,13 +1514,13 @@ function isFieldRequired(fieldPath) {
         return false;
       }
       
-      // Update current context to resolved schema
-      current = resolved.properties;
-      currentSchema = resolved;
+      // Update current context to resolved schema (with active if/then/else branch)
+      currentSchema = getEffectiveSchema(resolved, getDataAtPath(state.formData, keys.slice(0, i + 1)), state.currentSchema);
+      current = currentSchema.properties;
     } else if (prop.type === 'object' && prop.properties) {
-      // Navigate into nested object
-      current = prop.properties;
-      currentSchema = prop;
+      // Navigate into nested object (with active if/then/else branch)
+      currentSchema = getEffectiveSchema(prop, getDataAtPath(state.formData, keys.slice(0, i + 1)), state.currentSchema);
+      current = currentSchema.properties;
     } else {
       // Property exists but is not an object - path is invalid
       console.warn(`Property "${key}" is not an object, cannot navigate further`);
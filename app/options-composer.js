@@ -0,0 +1,189 @@
+// options-composer.js - "imports" section of options files
+// @ts-check
+//
+// An options file can pull shared _lists, _formats and field entries from
+// other options files in the registry or the schemas/ folder:
+//
+//   "imports": [
+//     "common/lists.options.json",
+//     { "file": "person.options.json", "lists": ["yes_no"], "fields": ["demographic.ethnicity"] }
+//   ]
+//
+// A plain path takes everything; the object form takes only the named lists
+// and fields (_formats always come along). Imports are applied in order, so a
+// later import overrides an earlier one, and the file's own keys override
+// them all - per field entry and per list name, not merged inside an entry.
+// conditional_rules and validation_rules are never imported.
+//
+// Imported files may have imports of their own. Their field entries are
+// resolved against their own file first, so they keep the lists they were
+// written for. Composition runs before resolveReferences() and drops the
+// "imports" key:
+//
+//   const composed = await composeOptions(raw, { filename: 'person.options.json' });
+//   const resolved = resolveReferences(composed, composed);
+
+import { loadRelativeDocument, readUploads } from './schema-bundler.js';
+import { resolveReferences } from './file-operations.js';
+
+console.log('🧬 Options Composer Module Loaded');
+
+/** Sections shared by name and merged per entry */
+const SHARED_SECTIONS = ['_lists', '_formats'];
+
+/** Top-level keys that are not field entries and never imported */
+const NON_FIELD_KEYS = ['imports', 'conditional_rules', 'validation_rules'];
+
+/**
+ * Applies the "imports" section of an options file
+ * @param {Object} options - Options file as written (not modified)
+ * @param {Object} [settings]
+ * @param {string} [settings.filename] - Options file name, the base for relative imports
+ * @param {File[]|FileList} [settings.files] - Extra uploaded files to import from
+ * @returns {Promise<Object>} Composed options (the same object when there is nothing to import)
+ * @throws {Error} On missing or circular imports, or imports that cannot be resolved
+ */
+async function composeOptions(options, { filename = 'options.json', files = [] } = {}) {
+  if (!hasImports(options)) return options;
+
+  const uploads = await readUploads(files);
+  const context = { uploads, count: 0 };
+  const composed = await composeDocument(options, filename, [filename], context);
+
+  console.log(`🧬 Composed ${filename} from ${context.count} imported options file(s)`);
+  return composed;
+}
+
+/**
+ * Checks whether an options file has a non-empty "imports" section
+ * @param {*} options
+ * @returns {boolean}
+ */
+function hasImports(options) {
+  return !!options && Array.isArray(options.imports) && options.imports.length > 0;
+}
+
+/**
+ * Overlays an options file on imported content: field entries, lists and
+ * formats of `local` replace those of `base` with the same name
+ * @param {Object} base - Imported content
+ * @param {Object} local - Options file
+ * @returns {Object} Merged options, without "imports"
+ */
+function mergeOptions(base, local) {
+  const merged = { ...base, ...local };
+
+  SHARED_SECTIONS.forEach(section => {
+    if (base[section] || local[section]) {
+      merged[section] = { ...(base[section] || {}), ...(local[section] || {}) };
+    }
+  });
+
+  delete merged.imports;
+  return merged;
+}
+
+// ==================== COMPOSITION ====================
+
+/**
+ * Composes one options file from its imports
+ * @param {Object} options - Options file with an "imports" section
+ * @param {string} path - Its path (base for its relative imports)
+ * @param {string[]} chain - Paths of the files importing it, itself last
+ * @param {Object} context - { uploads, count }
+ * @returns {Promise<Object>}
+ */
+async function composeDocument(options, path, chain, context) {
+  if (!Array.isArray(options.imports)) {
+    throw new Error(`"imports" in ${path} must be an array`);
+  }
+
+  let base = {};
+
+  for (const entry of options.imports) {
+    const { file, lists, fields } = parseImport(entry, path);
+    const loaded = await loadRelativeDocument(file, path, context.uploads);
+
+    if (chain.includes(loaded.path)) {
+      throw new Error(`Circular options import: ${[...chain, loaded.path].join(' → ')}`);
+    }
+    if (!loaded.document) {
+      throw new Error(`Options import "${file}" not found (imported by ${path})`);
+    }
+    context.count++;
+
+    const imported = hasImports(loaded.document)
+      ? await composeDocument(loaded.document, loaded.path, [...chain, loaded.path], context)
+      : loaded.document;
+
+    base = mergeOptions(base, pickImported(imported, loaded.path, lists, fields));
+  }
+
+  return mergeOptions(base, options);
+}
+
+/**
+ * Normalizes an import entry ("file" or { file, lists, fields })
+ * @param {string|Object} entry
+ * @param {string} path - Importing file, for error messages
+ * @returns {{file: string, lists: string[]|null, fields: string[]|null}} null = everything
+ */
+function parseImport(entry, path) {
+  if (typeof entry === 'string' && entry) {
+    return { file: entry, lists: null, fields: null };
+  }
+  if (entry && typeof entry === 'object' && typeof entry.file === 'string' && entry.file) {
+    const selective = Array.isArray(entry.lists) || Array.isArray(entry.fields);
+    return {
+      file: entry.file,
+      lists: selective ? entry.lists || [] : null,
+      fields: selective ? entry.fields || [] : null
+    };
+  }
+  throw new Error(`Invalid import in ${path}: ${JSON.stringify(entry)} (expected a file path or { "file": ... })`);
+}
+
+/**
+ * The part of an imported options file that is taken over
+ * @param {Object} imported - Composed imported file
+ * @param {string} path - Its path, for error messages
+ * @param {string[]|null} lists - List names to take (null = all)
+ * @param {string[]|null} fields - Field paths to take (null = all)
+ * @returns {Object}
+ */
+function pickImported(imported, path, lists, fields) {
+  let resolved;
+  try {
+    resolved = resolveReferences(imported, imported);
+  } catch (error) {
+    throw new Error(`Options import ${path}: ${error.message}`);
+  }
+
+  const fieldKeys = Object.keys(resolved).filter(key => !key.startsWith('_') && !NON_FIELD_KEYS.includes(key));
+  const result = {};
+
+  (fields || fieldKeys).forEach(key => {
+    if (!fieldKeys.includes(key)) {
+      throw new Error(`Field "${key}" not found in options import ${path}`);
+    }
+    result[key] = resolved[key];
+  });
+
+  const importedLists = resolved._lists || {};
+  (lists || Object.keys(importedLists)).forEach(name => {
+    if (importedLists[name] === undefined) {
+      throw new Error(`List "${name}" not found in _lists of options import ${path}`);
+    }
+    result._lists = { ...(result._lists || {}), [name]: importedLists[name] };
+  });
+
+  if (resolved._formats) {
+    result._formats = resolved._formats;
+  }
+
+  return result;
+}
+
+export { composeOptions, hasImports, mergeOptions };
+
+// ==== END OF FILE ====/
@@ -0,0 +1,1142 @@
+// options-editor.js - Visual editor for the options file
+// @ts-check
+//
+// A panel docked next to the form that edits a draft of the options file,
+// one schema field at a time. Every leaf path of the schema
+// (extractNonObjectProperties) is listed. For the selected field:
+//
+//   - input_control and response_type
+//   - values as value / label rows, each marked exclusive, N/A or disabled
+//   - dependent_values: trigger field(s) → trigger value → option list
+//   - conditional_rules the field triggers: value → fields to disable, enable,
+//     hide, require or make optional
+//
+// The draft is the options file as written ("##list" and "$ref" references
+// stay as they are). After every edit it is resolved and applied to the form,
+// and the data already entered is filled back in. Export drops empty entries
+// and saves the file as a download or into the schema library.
+//
+// Entries pulled in by the file's "imports" (options-composer.js) are shown
+// and previewed but not part of the draft; editing one creates a local copy
+// that overrides it.
+
+import { state, updateState } from './state.js';
+import { ashAlert, ashConfirm, saveJsonWithDialog, escapeHtml } from './utils.js';
+import { extractNonObjectProperties } from './property_extractor.js';
+import { resolveReferences } from './file-operations.js';
+import { composeOptions, hasImports, mergeOptions } from './options-composer.js';
+import { renderForm, renderAllTabs, switchTab, updateFileStatusDisplay } from './form-renderer.js';
+import { populateFormWithData } from './form-population.js';
+import { collectFormData } from './data-builder.js';
+import { buildTriggersToAffected } from './conditional-rules.js';
+import { registerFormatsFromOptions } from './format-registry.js';
+import { validateOptionsAgainstSchema, showValidationErrorsDialog } from './file-validation.js';
+import { OPTIONS_FILE_SCHEMA } from './options-schema.js';
+import { getAllSchemas, saveToRegistry } from './schema-registry.js';
+
+console.log('🛠️ Options Editor Module Loaded');
+
+const FIELD_OPTIONS_SCHEMA = OPTIONS_FILE_SCHEMA.$defs.fieldOptions.properties;
+
+/** Choices of the control pickers (from the options file meta-schema) */
+const INPUT_CONTROLS = FIELD_OPTIONS_SCHEMA.input_control.enum;
+const RESPONSE_TYPES = FIELD_OPTIONS_SCHEMA.response_type.enum;
+
+/** Conditional rule actions that take a list of fields, with their labels */
+const FIELD_ACTIONS = {
+  disable_fields: 'Disable',
+  enable_fields: 'Enable',
+  hide_fields: 'Hide',
+  require_fields: 'Require',
+  optional_fields: 'Make optional'
+};
+
+/** Condition keys of a rule; rules using any but "value" are shown read-only */
+const CONDITION_KEYS = Object.keys(OPTIONS_FILE_SCHEMA.$defs.condition.properties);
+
+/** Delay between the last edit and the form preview */
+const PREVIEW_DELAY_MS = 600;
+
+/** Editor session: the draft lives until another schema or options file is loaded */
+const editor = {
+  draft: null,
+  imported: {},
+  schemaFile: null,
+  optionsFile: null,
+  fields: [],
+  selected: null,
+  filter: '',
+  previewTimer: null,
+  listenersAttached: false
+};
+
+// ==================== OPEN / CLOSE ====================
+
+/**
+ * Opens the options editor panel (options-editor in index.html) for the
+ * loaded schema, starting from the loaded options file
+ * @returns {Promise<void>}
+ */
+async function showOptionsEditor() {
+  if (!state.currentSchema) {
+    await ashAlert('Load a schema before editing its options.');
+    return;
+  }
+
+  if (!editor.draft || editor.schemaFile !== state.selectedSchemaFile || editor.optionsFile !== state.selectedOptionsFile) {
+    editor.draft = await readOptionsDraft();
+    editor.imported = await readImports(editor.draft);
+    editor.schemaFile = state.selectedSchemaFile;
+    editor.optionsFile = state.selectedOptionsFile;
+  }
+
+  editor.fields = extractNonObjectProperties(state.currentSchema);
+  if (!editor.fields.includes(editor.selected)) {
+    editor.selected = editor.fields[0] || null;
+  }
+
+  const panel = document.getElementById('options-editor');
+  if (!editor.listenersAttached) {
+    attachEditorListeners(panel);
+    editor.listenersAttached = true;
+  }
+
+  renderFieldList();
+  renderFieldEditor();
+  updateEditorStatus();
+
+  panel.style.display = 'flex';
+  document.body.classList.add('options-editor-open');
+}
+
+/**
+ * Hides the panel. Edits stay applied to the form; export them to keep them.
+ */
+function closeOptionsEditor() {
+  if (editor.previewTimer) {
+    clearTimeout(editor.previewTimer);
+    previewDraft();
+  }
+  document.getElementById('options-editor').style.display = 'none';
+  document.body.classList.remove('options-editor-open');
+}
+
+/**
+ * The loaded options file as written, or a copy of the applied options
+ * @returns {Promise<Object>}
+ */
+async function readOptionsDraft() {
+  if (state.selectedOptionsFile) {
+    try {
+      return JSON.parse(await state.selectedOptionsFile.text());
+    } catch (error) {
+      console.warn('⚠️ Could not read the options file, editing the applied options:', error.message);
+    }
+  }
+  return JSON.parse(JSON.stringify(state.customOptions || {}));
+}
+
+/**
+ * What the draft's imports contribute (field entries, _lists, _formats)
+ * @param {Object} draft
+ * @returns {Promise<Object>} Empty when there are no imports or they fail to load
+ */
+async function readImports(draft) {
+  if (!hasImports(draft)) return {};
+  try {
+    return await composeOptions({ imports: draft.imports }, { filename: getOptionsFilename() });
+  } catch (error) {
+    await ashAlert(`Could not load the options file's imports: ${error.message}. Imported entries are left out.`);
+    return {};
+  }
+}
+
+// ==================== RENDERING ====================
+
+/** Field list (left column), filtered by the search box */
+function renderFieldList() {
+  const filter = editor.filter.trim().toLowerCase();
+  const list = document.getElementById('options-editor-field-list');
+
+  list.innerHTML = editor.fields
+    .filter(path => !filter || path.toLowerCase().includes(filter))
+    .map(path => {
+      const classes = ['options-editor-item'];
+      if (path === editor.selected) classes.push('selected');
+      if (isConfigured(path)) classes.push('configured');
+      else if (editor.imported[path] !== undefined) classes.push('imported');
+      return `<li class="${classes.join(' ')}" data-action="select-field" data-path="${escapeHtml(path)}"
+                  title="${escapeHtml(path)}">${escapeHtml(path)}</li>`;
+    })
+    .join('') || '<li class="options-editor-empty">No matching fields</li>';
+}
+
+/** Editor of the selected field (right column) */
+function renderFieldEditor() {
+  const container = document.getElementById('options-editor-field');
+  const path = editor.selected;
+
+  if (!path) {
+    container.innerHTML = '<p class="options-editor-empty">The schema has no fields.</p>';
+    return;
+  }
+
+  const config = peekFieldConfig(path);
+  const resolved = resolveDraft();
+  const otherFields = editor.fields.filter(field => field !== path);
+
+  container.innerHTML = `
+    <div class="options-editor-title">
+      <code>${escapeHtml(path)}</code>
+      <button type="button" class="btn-secondary" data-action="clear-field"
+              ${isConfigured(path) ? '' : 'disabled'}>Clear</button>
+    </div>
+    ${renderImportHint(path)}
+
+    <section class="options-editor-section">
+      <h3>Control</h3>
+      <div class="options-editor-controls">
+        <label>Input control
+          ${renderSelect('set-config', INPUT_CONTROLS, config.input_control, 'data-key="input_control"')}
+        </label>
+        <label>Response type
+          ${renderSelect('set-config', RESPONSE_TYPES, config.response_type, 'data-key="response_type"')}
+        </label>
+      </div>
+    </section>
+
+    <section class="options-editor-section">
+      <h3>Values</h3>
+      ${renderValues(config)}
+    </section>
+
+    <section class="options-editor-section">
+      <h3>Dependent values</h3>
+      ${renderDependentValues(config, otherFields, resolved)}
+    </section>
+
+    <section class="options-editor-section">
+      <h3>Rules when this field changes</h3>
+      ${renderRules(path, otherFields, getOptionValues(resolved?.[path]))}
+    </section>
+  `;
+}
+
+/**
+ * Notice for fields that have an imported entry
+ * @param {string} path
+ * @returns {string}
+ */
+function renderImportHint(path) {
+  if (editor.imported[path] === undefined) return '';
+  return editor.draft[path] === undefined
+    ? '<p class="options-editor-hint">Imported from another options file. Editing it creates a local copy that overrides the import.</p>'
+    : '<p class="options-editor-hint">Overrides an imported entry. Clear it to use the imported one again.</p>';
+}
+
+/**
+ * @param {string} action - data-action of the select
+ * @param {string[]} choices
+ * @param {string|undefined} current
+ * @param {string} [attributes] - Extra data attributes
+ * @param {string|null} [emptyLabel] - Label of the "" choice (null: no "" choice)
+ * @returns {string}
+ */
+function renderSelect(action, choices, current, attributes = '', emptyLabel = '(default)') {
+  const options = [emptyLabel === null ? '' : `<option value="">${escapeHtml(emptyLabel)}</option>`,
+    ...choices.map(choice =>
+      `<option value="${escapeHtml(choice)}" ${choice === current ? 'selected' : ''}>${escapeHtml(choice)}</option>`)];
+  return `<select data-action="${action}" ${attributes}>${options.join('')}</select>`;
+}
+
+/**
+ * Value / label rows with their exclusive, N/A and disabled marks
+ * @param {Object} config - Field entry
+ * @returns {string}
+ */
+function renderValues(config) {
+  const listReference = getListReference(config);
+  if (listReference) {
+    return `
+      <p class="options-editor-hint">The values come from <code>${escapeHtml(listReference)}</code>, shared with other fields.</p>
+      <button type="button" class="btn-secondary" data-action="copy-list">Copy into this field to edit</button>`;
+  }
+
+  const disableEditable = config.disable_values === undefined || Array.isArray(config.disable_values);
+  const rows = getValueRows(config).map(row => `
+    <tr>
+      <td><input type="text" value="${escapeHtml(row.value)}" data-action="edit-row" data-row="${row.index}" data-prop="value"></td>
+      <td><input type="text" value="${escapeHtml(row.label)}" placeholder="${escapeHtml(row.value)}"
+                 data-action="edit-row" data-row="${row.index}" data-prop="label"></td>
+      <td><input type="checkbox" ${row.exclusive ? 'checked' : ''} data-action="toggle-row" data-row="${row.index}" data-prop="exclusive"></td>
+      <td><input type="checkbox" ${row.na ? 'checked' : ''} data-action="toggle-row" data-row="${row.index}" data-prop="na"></td>
+      <td><input type="checkbox" ${row.disabled ? 'checked' : ''} ${disableEditable ? '' : 'disabled'}
+                 data-action="toggle-row" data-row="${row.index}" data-prop="disabled"></td>
+      <td><button type="button" class="options-editor-remove" title="Remove value"
+                  data-action="remove-row" data-row="${row.index}">&times;</button></td>
+    </tr>`).join('');
+
+  return `
+    <table class="options-editor-table">
+      <thead><tr><th>Value</th><th>Label</th><th>Exclusive</th><th>N/A</th><th>Disabled</th><th></th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="6" class="options-editor-empty">No values - the schema decides the control</td></tr>'}</tbody>
+    </table>
+    <p class="options-editor-hint">Ranges such as <code>1-50</code> are expanded.</p>
+    <button type="button" class="btn-secondary" data-action="add-row">+ Add value</button>`;
+}
+
+/**
+ * One card per dependent_values entry: trigger pickers and value → options rows
+ * @param {Object} config - Field entry
+ * @param {string[]} otherFields - Possible trigger fields
+ * @param {Object|null} resolved - Resolved draft (for the trigger values)
+ * @returns {string}
+ */
+function renderDependentValues(config, otherFields, resolved) {
+  const groups = Object.entries(config.dependent_values || {}).filter(([key]) => !key.startsWith('_'));
+
+  const cards = groups.map(([groupKey, optionsMap], groupIndex) => {
+    const triggers = groupKey.split('|').map(part => part.trim());
+    const datalistId = `options-editor-trigger-values-${groupIndex}`;
+    const suggestions = triggers.length === 1 ? getOptionValues(resolved?.[triggers[0]]) : [];
+
+    const triggerPickers = triggers.map((trigger, index) => `
+      <span class="options-editor-trigger">
+        ${renderSelect('set-trigger', otherFields.includes(trigger) ? otherFields : [trigger, ...otherFields], trigger,
+          `data-group="${escapeHtml(groupKey)}" data-index="${index}"`, null)}
+        ${triggers.length > 1 ? `<button type="button" class="options-editor-remove" title="Remove trigger"
+              data-action="remove-trigger" data-group="${escapeHtml(groupKey)}" data-index="${index}">&times;</button>` : ''}
+      </span>`).join(' and ');
+
+    const rows = Object.entries(optionsMap && typeof optionsMap === 'object' ? optionsMap : {})
+      .filter(([valueKey]) => !valueKey.startsWith('_'))
+      .map(([valueKey, list]) => `
+        <tr>
+          <td><input type="text" value="${escapeHtml(valueKey)}" list="${datalistId}"
+                     data-action="rename-dependent" data-group="${escapeHtml(groupKey)}" data-value="${escapeHtml(valueKey)}"></td>
+          <td><textarea rows="3" data-action="edit-dependent" data-group="${escapeHtml(groupKey)}"
+                        data-value="${escapeHtml(valueKey)}">${escapeHtml(listToText(list))}</textarea></td>
+          <td><button type="button" class="options-editor-remove" title="Remove"
+                      data-action="remove-dependent" data-group="${escapeHtml(groupKey)}"
+                      data-value="${escapeHtml(valueKey)}">&times;</button></td>
+        </tr>`).join('');
+
+    return `
+      <div class="options-editor-card">
+        <div class="options-editor-card-header">
+          <span>When ${triggerPickers}</span>
+          <button type="button" class="btn-secondary" data-action="add-trigger" data-group="${escapeHtml(groupKey)}">+ Trigger</button>
+          <button type="button" class="options-editor-remove" title="Remove dependent values"
+                  data-action="remove-group" data-group="${escapeHtml(groupKey)}">&times;</button>
+        </div>
+        <datalist id="${datalistId}">
+          ${['*', ...suggestions].map(value => `<option value="${escapeHtml(value)}">`).join('')}
+        </datalist>
+        <table class="options-editor-table">
+          <thead><tr><th>${triggers.length > 1 ? 'Values (a|b)' : 'Value'}</th><th>Options (one per line, value = label)</th><th></th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <button type="button" class="btn-secondary" data-action="add-dependent" data-group="${escapeHtml(groupKey)}">+ Add trigger value</button>
+      </div>`;
+  }).join('');
+
+  return `${cards}
+    <p class="options-editor-hint"><code>*</code> matches any value; a line <code>##name</code> uses a shared list.</p>
+    <button type="button" class="btn-secondary" data-action="add-group" ${otherFields.length ? '' : 'disabled'}>+ Add dependent values</button>`;
+}
+
+/**
+ * One card per conditional rule triggered by the field
+ * @param {string} path - Trigger field
+ * @param {string[]} otherFields - Possible target fields
+ * @param {string[]} suggestions - Values of the trigger field
+ * @returns {string}
+ */
+function renderRules(path, otherFields, suggestions) {
+  const rules = editor.draft.conditional_rules?.[path];
+
+  const cards = (Array.isArray(rules) ? rules : []).map((rule, ruleIndex) => {
+    const conditionKeys = Object.keys(rule).filter(key => CONDITION_KEYS.includes(key));
+    const condition = conditionKeys.some(key => key !== 'value')
+      ? `<code class="options-editor-readonly">${escapeHtml(JSON.stringify(pick(rule, conditionKeys)))}</code>`
+      : `<input type="text" value="${escapeHtml(rule.value ?? '')}" list="options-editor-rule-values"
+                data-action="set-rule-value" data-rule="${ruleIndex}">`;
+
+    const actions = Object.keys(FIELD_ACTIONS).filter(action => Array.isArray(rule[action])).map(action => `
+      <div class="options-editor-action">
+        <span class="options-editor-action-name">${FIELD_ACTIONS[action]}</span>
+        ${rule[action].map(field => `
+          <span class="options-editor-chip">${escapeHtml(field)}
+            <button type="button" title="Remove" data-action="remove-rule-field" data-rule="${ruleIndex}"
+                    data-key="${action}" data-field="${escapeHtml(field)}">&times;</button>
+          </span>`).join('')}
+        ${renderSelect('add-rule-field', otherFields.filter(field => !rule[action].includes(field)), undefined,
+          `data-rule="${ruleIndex}" data-key="${action}"`, '+ field…')}
+        <button type="button" class="options-editor-remove" title="Remove action"
+                data-action="remove-rule-action" data-rule="${ruleIndex}" data-key="${action}">&times;</button>
+      </div>`).join('');
+
+    const unusedActions = Object.keys(FIELD_ACTIONS).filter(action => !Array.isArray(rule[action]));
+    const addAction = unusedActions.length
+      ? `<select data-action="add-rule-action" data-rule="${ruleIndex}">
+           <option value="">+ action…</option>
+           ${unusedActions.map(action => `<option value="${action}">${FIELD_ACTIONS[action]}</option>`).join('')}
+         </select>`
+      : '';
+    const setValues = rule.set_values
+      ? `<p class="options-editor-hint">Also sets values: <code>${escapeHtml(JSON.stringify(rule.set_values))}</code></p>`
+      : '';
+
+    return `
+      <div class="options-editor-card">
+        <div class="options-editor-card-header">
+          <span>When the value is ${condition}</span>
+          <button type="button" class="options-editor-remove" title="Remove rule"
+                  data-action="remove-rule" data-rule="${ruleIndex}">&times;</button>
+        </div>
+        ${actions}
+        ${addAction}
+        ${setValues}
+      </div>`;
+  }).join('');
+
+  return `${cards}
+    <datalist id="options-editor-rule-values">
+      ${suggestions.map(value => `<option value="${escapeHtml(value)}">`).join('')}
+    </datalist>
+    <button type="button" class="btn-secondary" data-action="add-rule" ${otherFields.length ? '' : 'disabled'}>+ Add rule</button>`;
+}
+
+/**
+ * Footer summary: configured fields and the problems of the draft
+ * @param {Object|null} [resolved] - Resolved draft
+ */
+function updateEditorStatus(resolved = resolveDraft()) {
+  const status = document.getElementById('options-editor-status');
+  const configured = editor.fields.filter(isConfigured).length;
+
+  if (!resolved) {
+    status.textContent = `${configured} field(s) configured · a "$ref" points to nothing`;
+    status.className = 'options-editor-status err';
+    return;
+  }
+
+  const { missingKeys, structureErrors, lintIssues } = validateOptionsAgainstSchema(resolved, state.currentSchema, composeDraft());
+  const errors = missingKeys.length + structureErrors.length + lintIssues.filter(issue => issue.severity === 'error').length;
+  const warnings = lintIssues.length - lintIssues.filter(issue => issue.severity === 'error').length;
+
+  status.textContent = `${configured} field(s) configured · ${errors} error(s), ${warnings} warning(s)`;
+  status.className = `options-editor-status ${errors ? 'err' : warnings ? 'warn' : 'ok'}`;
+}
+
+// ==================== EVENTS ====================
+
+/**
+ * Delegated listeners: every control carries a data-action
+ * @param {HTMLElement} panel
+ */
+function attachEditorListeners(panel) {
+  panel.addEventListener('click', event => {
+    const target = /** @type {HTMLElement} */ (event.target).closest('[data-action]');
+    if (!target || target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA') return;
+    handleEditorAction(/** @type {HTMLElement} */ (target), 'click');
+  });
+  panel.addEventListener('change', event => {
+    const target = /** @type {HTMLElement} */ (event.target);
+    if (target.dataset?.action) handleEditorAction(target, 'change');
+  });
+  panel.addEventListener('input', event => {
+    const target = /** @type {HTMLElement} */ (event.target);
+    if (target.id === 'options-editor-filter') {
+      editor.filter = /** @type {HTMLInputElement} */ (target).value;
+      renderFieldList();
+    } else if (target.dataset?.action) {
+      handleEditorAction(target, 'input');
+    }
+  });
+
+  document.getElementById('closeOptionsEditorBtn').addEventListener('click', closeOptionsEditor);
+  document.getElementById('optionsEditorDownloadBtn').addEventListener('click', downloadOptions);
+  document.getElementById('optionsEditorSaveBtn').addEventListener('click', saveOptionsToLibrary);
+}
+
+/**
+ * Applies one edit to the draft. Typing ("input") only updates the draft;
+ * structural changes re-render the field editor.
+ * @param {HTMLElement} target - Control with data-action
+ * @param {'click'|'change'|'input'} eventType
+ */
+async function handleEditorAction(target, eventType) {
+  const { action, row, prop, group, value, rule, key, field, index } = target.dataset;
+  const element = /** @type {HTMLInputElement} */ (target);
+  const path = editor.selected;
+
+  // Text is applied while typing; the matching "change" has nothing left to do
+  const typed = ['edit-row', 'edit-dependent', 'set-rule-value'];
+  if (typed.includes(action) && eventType !== 'input') return;
+  if (!typed.includes(action) && eventType === 'input') return;
+
+  switch (action) {
+    case 'select-field':
+      editor.selected = target.dataset.path;
+      renderFieldList();
+      renderFieldEditor();
+      return;
+
+    case 'clear-field':
+      if (!await ashConfirm(`Remove all options of ${path}, including the rules it triggers?`)) return;
+      delete editor.draft[path];
+      removeRules(path);
+      break;
+
+    case 'set-config':
+      setOrDelete(getFieldConfig(path), key, element.value);
+      break;
+
+    case 'edit-row':
+      editValueRow(getFieldConfig(path), Number(row), prop, element.value);
+      schedulePreview();
+      return;
+
+    case 'toggle-row':
+      toggleValueRow(getFieldConfig(path), Number(row), prop, element.checked);
+      break;
+
+    case 'remove-row':
+      removeValueRow(getFieldConfig(path), Number(row));
+      break;
+
+    case 'add-row': {
+      const config = getFieldConfig(path);
+      config.values = [...(Array.isArray(config.values) ? config.values : []), ''];
+      renderFieldEditor();
+      const inputs = document.querySelectorAll('#options-editor-field [data-prop="value"]');
+      /** @type {HTMLInputElement} */ (inputs[config.values.length - 1])?.focus();
+      return;
+    }
+
+    case 'copy-list': {
+      const values = resolveDraft()?.[path]?.values;
+      if (!Array.isArray(values)) {
+        await ashAlert('The shared list could not be resolved.');
+        return;
+      }
+      const config = getFieldConfig(path);
+      delete config.$ref;
+      config.values = JSON.parse(JSON.stringify(values));
+      break;
+    }
+
+    case 'add-group': {
+      const config = getFieldConfig(path);
+      const dependentValues = config.dependent_values || {};
+      const trigger = editor.fields.find(candidate => candidate !== path && !(candidate in dependentValues));
+      if (!trigger) return;
+      config.dependent_values = { ...dependentValues, [trigger]: {} };
+      break;
+    }
+
+    case 'remove-group': {
+      const config = getFieldConfig(path);
+      delete config.dependent_values[group];
+      if (Object.keys(config.dependent_values).length === 0) delete config.dependent_values;
+      break;
+    }
+
+    case 'set-trigger':
+    case 'add-trigger':
+    case 'remove-trigger': {
+      const triggers = group.split('|').map(part => part.trim());
+      if (action === 'set-trigger') triggers[Number(index)] = element.value;
+      if (action === 'remove-trigger') triggers.splice(Number(index), 1);
+      if (action === 'add-trigger') {
+        const next = editor.fields.find(candidate => candidate !== path && !triggers.includes(candidate));
+        if (!next) return;
+        triggers.push(next);
+      }
+      await renameKey(getFieldConfig(path).dependent_values, group, triggers.join('|'));
+      break;
+    }
+
+    case 'add-dependent': {
+      const optionsMap = getFieldConfig(path).dependent_values[group];
+      const triggers = group.split('|');
+      const suggestions = triggers.length === 1 ? getOptionValues(resolveDraft()?.[triggers[0]]) : [];
+      let valueKey = suggestions.find(candidate => !(candidate in optionsMap));
+      for (let n = 1; valueKey === undefined; n++) {
+        const candidate = triggers.map(() => `value${n}`).join('|');
+        if (!(candidate in optionsMap)) valueKey = candidate;
+      }
+      optionsMap[valueKey] = [];
+      break;
+    }
+
+    case 'rename-dependent':
+      if (!element.value.trim()) {
+        element.value = value;
+        return;
+      }
+      await renameKey(getFieldConfig(path).dependent_values[group], value, element.value.trim());
+      break;
+
+    case 'edit-dependent': {
+      const optionsMap = getFieldConfig(path).dependent_values[group];
+      optionsMap[value] = textToList(element.value, optionsMap[value]);
+      schedulePreview();
+      return;
+    }
+
+    case 'remove-dependent':
+      delete getFieldConfig(path).dependent_values[group][value];
+      break;
+
+    case 'add-rule':
+      getRules(path).push({ value: '', disable_fields: [] });
+      break;
+
+    case 'remove-rule': {
+      getRules(path).splice(Number(rule), 1);
+      if (getRules(path).length === 0) removeRules(path);
+      break;
+    }
+
+    case 'set-rule-value': {
+      const ruleEntry = getRules(path)[Number(rule)];
+      ruleEntry.value = restoreType(element.value, ruleEntry.value);
+      schedulePreview();
+      return;
+    }
+
+    case 'add-rule-action':
+      if (!element.value) return;
+      getRules(path)[Number(rule)][element.value] = [];
+      break;
+
+    case 'remove-rule-action':
+      delete getRules(path)[Number(rule)][key];
+      break;
+
+    case 'add-rule-field':
+      if (!element.value) return;
+      getRules(path)[Number(rule)][key].push(element.value);
+      break;
+
+    case 'remove-rule-field': {
+      const ruleEntry = getRules(path)[Number(rule)];
+      ruleEntry[key] = ruleEntry[key].filter(target => target !== field);
+      break;
+    }
+
+    default:
+      return;
+  }
+
+  renderFieldList();
+  renderFieldEditor();
+  schedulePreview();
+}
+
+// ==================== VALUES ====================
+
+/**
+ * Rows of the values table; the N/A option (config.na) is row -1
+ * @param {Object} config - Field entry
+ * @returns {Array<{index: number, value: string, label: string, exclusive: boolean, na: boolean, disabled: boolean}>}
+ */
+function getValueRows(config) {
+  const rows = (Array.isArray(config.values) ? config.values : []).map((entry, index) => ({ ...toOption(entry), index, na: false }));
+  if (config.na !== undefined) {
+    rows.push({ ...toOption(config.na), index: -1, na: true });
+  }
+  return rows.map(row => ({
+    ...row,
+    exclusive: listIncludes(config.exclusive_values, row),
+    disabled: listIncludes(config.disable_values, row)
+  }));
+}
+
+/**
+ * Updates a row's value or label; exclusive / disabled entries follow a renamed value
+ * @param {Object} config
+ * @param {number} index - Row index (-1 = N/A)
+ * @param {string} prop - 'value' | 'label'
+ * @param {string} text
+ */
+function editValueRow(config, index, prop, text) {
+  const previous = index === -1 ? config.na : config.values[index];
+  const option = toOption(previous);
+  const value = prop === 'value' ? restoreType(text, option.rawValue) : option.rawValue;
+  const label = prop === 'label' ? text : option.label;
+
+  if (prop === 'value') {
+    ['exclusive_values', 'disable_values'].forEach(listKey => {
+      if (Array.isArray(config[listKey])) {
+        config[listKey] = config[listKey].map(item => (String(toOption(item).value) === option.value ? text : item));
+      }
+    });
+  }
+
+  const entry = label ? { value, label } : value;
+  if (index === -1) {
+    config.na = entry;
+  } else {
+    config.values[index] = entry;
+  }
+}
+
+/**
+ * Marks a row exclusive, N/A (moves it to config.na) or disabled
+ * @param {Object} config
+ * @param {number} index - Row index (-1 = N/A)
+ * @param {string} prop - 'exclusive' | 'na' | 'disabled'
+ * @param {boolean} checked
+ */
+function toggleValueRow(config, index, prop, checked) {
+  const entry = index === -1 ? config.na : config.values[index];
+
+  if (prop === 'na') {
+    if (checked) {
+      config.values.splice(index, 1);
+      if (config.na !== undefined) config.values.push(config.na);
+      config.na = entry;
+    } else {
+      config.values = [...(Array.isArray(config.values) ? config.values : []), config.na];
+      delete config.na;
+    }
+    return;
+  }
+
+  const listKey = prop === 'exclusive' ? 'exclusive_values' : 'disable_values';
+  const text = toOption(entry).value;
+  const list = (Array.isArray(config[listKey]) ? config[listKey] : [])
+    .filter(item => String(toOption(item).value) !== text && toOption(item).label !== text);
+  if (checked) list.push(text);
+  setOrDelete(config, listKey, list);
+}
+
+/**
+ * @param {Object} config
+ * @param {number} index - Row index (-1 = N/A)
+ */
+function removeValueRow(config, index) {
+  const text = toOption(index === -1 ? config.na : config.values[index]).value;
+  if (index === -1) {
+    delete config.na;
+  } else {
+    config.values.splice(index, 1);
+  }
+  ['exclusive_values', 'disable_values'].forEach(listKey => {
+    if (Array.isArray(config[listKey])) {
+      setOrDelete(config, listKey, config[listKey].filter(item => String(toOption(item).value) !== text));
+    }
+  });
+}
+
+/**
+ * @param {*} entry - "value", 12 or { value, label }
+ * @returns {{ value: string, label: string, rawValue: * }}
+ */
+function toOption(entry) {
+  const rawValue = entry && typeof entry === 'object' ? entry.value : entry;
+  return {
+    value: rawValue === undefined || rawValue === null ? '' : String(rawValue),
+    label: entry && typeof entry === 'object' && entry.label !== undefined ? String(entry.label) : '',
+    rawValue
+  };
+}
+
+/**
+ * Whether an exclusive_values / disable_values list names the row (by value or label)
+ * @param {*} list
+ * @param {{ value: string, label: string }} row
+ * @returns {boolean}
+ */
+function listIncludes(list, row) {
+  return Array.isArray(list) && list.some(item => {
+    const text = toOption(item).value;
+    return text === row.value || (row.label !== '' && text === row.label);
+  });
+}
+
+/**
+ * Edited text keeps the type of the value it replaces (12 stays a number)
+ * @param {string} text
+ * @param {*} previous
+ * @returns {*}
+ */
+function restoreType(text, previous) {
+  if (typeof previous === 'number' && text.trim() !== '' && Number.isFinite(Number(text))) return Number(text);
+  if (typeof previous === 'boolean' && (text === 'true' || text === 'false')) return text === 'true';
+  return text;
+}
+
+/**
+ * Option list → textarea text ("value" or "value = label" per line)
+ * @param {*} list - Array, "##name", { $ref } or { values, response_type, ... }
+ * @returns {string}
+ */
+function listToText(list) {
+  if (typeof list === 'string') return list;
+  if (list && !Array.isArray(list) && typeof list === 'object') {
+    return list.$ref ? JSON.stringify(list) : listToText(list.values);
+  }
+  return (Array.isArray(list) ? list : []).map(entry => {
+    const { value, label } = toOption(entry);
+    return label ? `${value} = ${label}` : value;
+  }).join('\n');
+}
+
+/**
+ * Textarea text → option list, keeping the form of the previous list
+ * @param {string} text
+ * @param {*} previous - List it replaces
+ * @returns {*}
+ */
+function textToList(text, previous) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+  if (lines.length === 1 && lines[0].startsWith('##')) return lines[0];
+  if (lines.length === 1 && lines[0].startsWith('{')) {
+    try {
+      return JSON.parse(lines[0]);
+    } catch (e) {
+      // Not a reference yet - keep it as a value while it is being typed
+    }
+  }
+
+  const values = lines.map(line => {
+    const separator = line.indexOf(' = ');
+    return separator === -1 ? line : { value: line.slice(0, separator).trim(), label: line.slice(separator + 3).trim() };
+  });
+
+  // { values, response_type, input_control } keeps its other settings
+  if (previous && typeof previous === 'object' && !Array.isArray(previous) && !previous.$ref) {
+    return { ...previous, values };
+  }
+  return values;
+}
+
+/**
+ * Values (as text) a field offers: its values and N/A option
+ * @param {*} config - Resolved field entry
+ * @returns {string[]}
+ */
+function getOptionValues(config) {
+  const entries = Array.isArray(config) ? config : [
+    ...(Array.isArray(config?.values) ? config.values : []),
+    ...(config?.na !== undefined ? [config.na] : [])
+  ];
+  return [...new Set(entries.map(entry => toOption(entry).value))];
+}
+
+// ==================== DRAFT ACCESS ====================
+
+/**
+ * A field's entry for reading (a bare array is the legacy form of { values })
+ * @param {string} path
+ * @returns {Object}
+ */
+function peekFieldConfig(path) {
+  const config = editor.draft[path] !== undefined ? editor.draft[path] : editor.imported[path];
+  if (Array.isArray(config)) return { values: config };
+  return config && typeof config === 'object' ? config : {};
+}
+
+/**
+ * A field's entry for editing, created (or converted from a bare array) on demand.
+ * An imported entry is copied into the draft first.
+ * @param {string} path
+ * @returns {Object}
+ */
+function getFieldConfig(path) {
+  if (editor.draft[path] === undefined && editor.imported[path] !== undefined) {
+    editor.draft[path] = JSON.parse(JSON.stringify(editor.imported[path]));
+  }
+  const config = editor.draft[path];
+  if (Array.isArray(config) || !config || typeof config !== 'object') {
+    editor.draft[path] = Array.isArray(config) ? { values: config } : {};
+  }
+  return editor.draft[path];
+}
+
+/**
+ * conditional_rules of a trigger field, created on demand
+ * @param {string} path
+ * @returns {Array<Object>}
+ */
+function getRules(path) {
+  editor.draft.conditional_rules = editor.draft.conditional_rules || {};
+  if (!Array.isArray(editor.draft.conditional_rules[path])) {
+    editor.draft.conditional_rules[path] = [];
+  }
+  return editor.draft.conditional_rules[path];
+}
+
+/** @param {string} path */
+function removeRules(path) {
+  if (!editor.draft.conditional_rules) return;
+  delete editor.draft.conditional_rules[path];
+  if (Object.keys(editor.draft.conditional_rules).length === 0) delete editor.draft.conditional_rules;
+}
+
+/**
+ * @param {string} path
+ * @returns {boolean} Whether the draft has an entry or rules for the field
+ */
+function isConfigured(path) {
+  return editor.draft[path] !== undefined || Array.isArray(editor.draft.conditional_rules?.[path]);
+}
+
+/**
+ * Sets a key, or removes it when the value is "" or an empty list
+ * @param {Object} target
+ * @param {string} key
+ * @param {*} value
+ */
+function setOrDelete(target, key, value) {
+  if (value === '' || value === undefined || (Array.isArray(value) && value.length === 0)) {
+    delete target[key];
+  } else {
+    target[key] = value;
+  }
+}
+
+/**
+ * Renames an object key in place, keeping the key order
+ * @param {Object} target
+ * @param {string} oldKey
+ * @param {string} newKey
+ * @returns {Promise<boolean>} false when newKey is already used
+ */
+async function renameKey(target, oldKey, newKey) {
+  if (oldKey === newKey) return true;
+  if (newKey in target) {
+    await ashAlert(`"${newKey}" is already listed.`);
+    return false;
+  }
+  const entries = Object.entries(target);
+  Object.keys(target).forEach(existing => delete target[existing]);
+  entries.forEach(([entryKey, entryValue]) => {
+    target[entryKey === oldKey ? newKey : entryKey] = entryValue;
+  });
+  return true;
+}
+
+/**
+ * @param {Object} source
+ * @param {string[]} keys
+ * @returns {Object}
+ */
+function pick(source, keys) {
+  return Object.fromEntries(keys.map(key => [key, source[key]]));
+}
+
+/**
+ * The draft over its imported entries
+ * @param {Object} [draft]
+ * @returns {Object}
+ */
+function composeDraft(draft = editor.draft) {
+  return hasImports(draft) ? mergeOptions(editor.imported, draft) : draft;
+}
+
+/**
+ * The draft with its imports applied and references resolved (null when a
+ * "$ref" points to nothing)
+ * @returns {Object|null}
+ */
+function resolveDraft() {
+  try {
+    const composed = composeDraft();
+    return resolveReferences(composed, composed);
+  } catch (error) {
+    console.warn('⚠️ Options draft could not be resolved:', error.message);
+    return null;
+  }
+}
+
+// ==================== PREVIEW ====================
+
+function schedulePreview() {
+  clearTimeout(editor.previewTimer);
+  editor.previewTimer = setTimeout(previewDraft, PREVIEW_DELAY_MS);
+}
+
+/**
+ * Applies the draft to the form: re-renders it with the resolved options and
+ * fills the entered data back in, on the same tab
+ */
+function previewDraft() {
+  editor.previewTimer = null;
+
+  const resolved = resolveDraft();
+  updateEditorStatus(resolved);
+  if (!resolved) return;
+
+  renderAllTabs(); // Collect from every tab, not only the visited ones
+  const data = collectFormData();
+  const currentTab = state.currentTab;
+
+  updateState({
+    customOptions:       resolved,
+    conditionalRules:    resolved.conditional_rules || {},
+    triggersToAffected:  buildTriggersToAffected(resolved),
+    exclusiveOptionsMap: {}
+  });
+  registerFormatsFromOptions(resolved);
+
+  const loadedData = state.loadedData;
+  renderForm(state.currentSchema);
+  updateState({ loadedData }); // FIXED: Keeps a loaded form from being topped up with defaults
+  renderAllTabs();
+  if (currentTab && document.getElementById(`tab-${currentTab}`)) {
+    switchTab(currentTab);
+  }
+
+  window.isPopulating = true;
+  populateFormWithData(data, { showSummary: false });
+  window.isPopulating = false;
+
+  console.log('🛠️ Options draft applied to the form');
+}
+
+// ==================== EXPORT ====================
+
+/**
+ * The draft without empty entries: empty lists, unset keys, fields with
+ * nothing left, rules without actions
+ * @returns {Object}
+ */
+function getCleanOptions() {
+  const options = JSON.parse(JSON.stringify(editor.draft));
+
+  Object.keys(options).forEach(key => {
+    const config = options[key];
+    if (key.startsWith('_') || key === 'validation_rules' || !config || typeof config !== 'object' || Array.isArray(config)) return;
+
+    if (key === 'conditional_rules') {
+      Object.keys(config).forEach(trigger => {
+        if (!Array.isArray(config[trigger])) return;
+        config[trigger] = config[trigger]
+          .map(rule => removeEmptyEntries(rule))
+          .filter(rule => Object.keys(rule).some(ruleKey => !CONDITION_KEYS.includes(ruleKey) && !ruleKey.startsWith('_')));
+        if (config[trigger].length === 0) delete config[trigger];
+      });
+    } else {
+      removeEmptyEntries(config);
+      if (config.dependent_values) {
+        Object.keys(config.dependent_values).forEach(group => {
+          const optionsMap = config.dependent_values[group];
+          if (optionsMap && typeof optionsMap === 'object' && Object.keys(optionsMap).length === 0) {
+            delete config.dependent_values[group];
+          }
+        });
+        removeEmptyEntries(config);
+      }
+    }
+
+    if (Object.keys(config).length === 0) delete options[key];
+  });
+
+  return options;
+}
+
+/**
+ * Removes "", empty lists and empty objects (one level deep)
+ * @param {Object} target
+ * @returns {Object} target
+ */
+function removeEmptyEntries(target) {
+  Object.keys(target).forEach(key => {
+    const value = target[key];
+    if (Array.isArray(value)) {
+      if (value.length === 0) delete target[key];
+    } else if (value && typeof value === 'object') {
+      if (Object.keys(value).length === 0) delete target[key];
+    } else if (value === '' && key !== 'value') {
+      delete target[key];
+    }
+  });
+  return target;
+}
+
+/**
+ * Runs the load-time checks on the exported options; lets the user go back
+ * @param {Object} options - Clean options
+ * @returns {Promise<boolean>} true to go on exporting
+ */
+async function confirmExport(options) {
+  const composed = composeDraft(options);
+  let resolved;
+  try {
+    resolved = resolveReferences(composed, composed);
+  } catch (error) {
+    await ashAlert('A "$ref" in the options points to nothing. Fix it before exporting.');
+    return false;
+  }
+  const validation = validateOptionsAgainstSchema(resolved, state.currentSchema, composed);
+  return validation.isValid ||
+    showValidationErrorsDialog(validation.missingKeys, validation.structureErrors, validation.lintIssues);
+}
+
+/**
+ * Name of the exported file: the loaded options file, else "<schema>.options.json"
+ * @returns {string}
+ */
+function getOptionsFilename() {
+  if (state.selectedOptionsFile?.name) return state.selectedOptionsFile.name;
+  const schemaName = (state.selectedSchemaFile?.name || 'schema.json').replace(/\.json$/i, '');
+  return `${schemaName}.options.json`;
+}
+
+/** Saves the clean options as a JSON file */
+async function downloadOptions() {
+  try {
+    const options = getCleanOptions();
+    if (!await confirmExport(options)) return;
+    if (await saveJsonWithDialog(options, getOptionsFilename(), '')) {
+      console.log('✅ Options file saved');
+    }
+  } catch (error) {
+    console.error('Error saving options file:', error);
+    await ashAlert('Error saving options file: ' + error.message);
+  }
+}
+
+/**
+ * Saves the clean options into the schema library, next to the loaded schema
+ * (keeping the library entry's description); they become the loaded options file
+ */
+async function saveOptionsToLibrary() {
+  if (!state.selectedSchemaFile) {
+    await ashAlert('The schema was not loaded from a file - download the options file instead.');
+    return;
+  }
+
+  try {
+    const options = getCleanOptions();
+    if (!await confirmExport(options)) return;
+
+    const optionsFile = new File([JSON.stringify(options, null, 2)], getOptionsFilename(), { type: 'application/json' });
+    const entries = await getAllSchemas().catch(() => []);
+    const entry = entries.find(candidate => candidate.schema === state.selectedSchemaFile.name);
+
+    await saveToRegistry(state.selectedSchemaFile, optionsFile, entry?.description);
+
+    updateState({ selectedOptionsFile: optionsFile });
+    editor.optionsFile = optionsFile;
+    updateFileStatusDisplay();
+
+    await ashAlert(`✅ ${optionsFile.name} saved to the library with ${state.selectedSchemaFile.name}.`);
+  } catch (error) {
+    console.error('Error saving options to the library:', error);
+    await ashAlert('Error saving options to the library: ' + error.message);
+  }
+}
+
+export { showOptionsEditor,
+         closeOptionsEditor,
+         getCleanOptions
+};
+
+// ==== END OF FILE ====/
@@ -0,0 +1,134 @@
+// options-generator.js - Skeleton options file from a schema
+// @ts-check
+//
+// One entry per leaf field of the schema (extractNonObjectProperties), filled
+// in from the field's schema:
+//
+//   - enum, or oneOf / anyOf of const        → values (const titles become labels)
+//   - format date / date-time / time         → "date-time-picker"
+//   - integer with minimum and maximum at most SLIDER_MAX_STEPS apart → "slider"
+//   - boolean                                → "radio-button" with true / false
+//   - array                                  → "multi-select" (check boxes for choices)
+//   - default                                → default_value
+//
+// Fields with nothing to infer get an empty entry, ready to be filled in.
+//
+//   const options = generateOptionsFile(schema);
+//   // { "demographic.mbr_state": { "values": ["NY", "CA"], "input_control": "drop-down", "response_type": "single-select" }, ... }
+
+import { extractNonObjectProperties } from './property_extractor.js';
+import { getSchemaAtPath, getItemSchema, resolveSchemaNode } from './options-lint.js';
+import { getNonNullSchema, getPrimaryType } from './schema-manager.js';
+
+console.log('🧩 Options Generator Module Loaded');
+
+/** Formats shown with the date / time picker */
+const DATE_FORMATS = ['date', 'date-time', 'time'];
+
+/** Widest integer range (maximum - minimum) still shown as a slider */
+const SLIDER_MAX_STEPS = 100;
+
+/**
+ * Builds a skeleton options file for a (bundled) schema
+ * @param {Object} schema - Data schema
+ * @returns {Object} Options file: field path → field entry
+ */
+function generateOptionsFile(schema) {
+  const options = {};
+
+  extractNonObjectProperties(schema).forEach(path => {
+    const fieldSchema = getSchemaAtPath(schema, path);
+    options[path] = fieldSchema ? generateFieldOptions(fieldSchema, schema) : {};
+  });
+
+  return options;
+}
+
+/**
+ * Options entry of one field
+ * @param {Object} fieldSchema - Resolved field schema
+ * @param {Object} rootSchema
+ * @returns {Object}
+ */
+function generateFieldOptions(fieldSchema, rootSchema) {
+  const schema = resolveSchemaNode(getNonNullSchema(fieldSchema, rootSchema), rootSchema) || fieldSchema;
+  const isArray = getPrimaryType(schema, rootSchema) === 'array';
+  const valueSchema = isArray ? resolveSchemaNode(getItemSchema(schema, rootSchema), rootSchema) || {} : schema;
+  const valueType = getPrimaryType(valueSchema, rootSchema);
+  const choices = getChoices(valueSchema, rootSchema);
+  const config = {};
+
+  if (choices.length > 0) {
+    config.values = choices;
+    config.input_control = isArray ? 'check-box' : 'drop-down';
+  } else if (!isArray && valueType === 'boolean') {
+    config.values = ['true', 'false'];
+    config.input_control = 'radio-button';
+  } else if (!isArray && DATE_FORMATS.includes(valueSchema.format)) {
+    config.input_control = 'date-time-picker';
+  } else if (!isArray && valueType === 'integer') {
+    const range = getSliderRange(valueSchema);
+    if (range) {
+      config.values = [range];
+      config.input_control = 'slider';
+    }
+  }
+
+  if (isArray) {
+    config.response_type = 'multi-select';
+  } else if (config.values && config.input_control !== 'slider') {
+    config.response_type = 'single-select';
+  }
+
+  const defaultValue = fieldSchema.default !== undefined ? fieldSchema.default : schema.default;
+  if (defaultValue !== undefined) {
+    config.default_value = defaultValue;
+  }
+
+  return config;
+}
+
+/**
+ * Choices of a value schema: its enum, or the consts of a oneOf / anyOf
+ * (a const with a title becomes { value, label })
+ * @param {Object} schema
+ * @param {Object} rootSchema
+ * @returns {Array}
+ */
+function getChoices(schema, rootSchema) {
+  const isOption = value => ['string', 'number', 'boolean'].includes(typeof value);
+
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.filter(isOption);
+  }
+
+  const branches = (schema.oneOf || schema.anyOf || []).map(branch => resolveSchemaNode(branch, rootSchema) || {});
+  const constBranches = branches.filter(branch => 'const' in branch);
+  if (constBranches.length === 0 || constBranches.length + branches.filter(branch => branch.type === 'null').length !== branches.length) {
+    return [];
+  }
+
+  return constBranches
+    .filter(branch => isOption(branch.const))
+    .map(branch => (branch.title ? { value: branch.const, label: branch.title } : branch.const));
+}
+
+/**
+ * "min-max" range of a small integer field (ranges cannot start below 0)
+ * @param {Object} schema - Integer schema
+ * @returns {string|null}
+ */
+function getSliderRange(schema) {
+  const min = typeof schema.minimum === 'number' ? schema.minimum
+    : typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum + 1 : undefined;
+  const max = typeof schema.maximum === 'number' ? schema.maximum
+    : typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum - 1 : undefined;
+
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max <= min || max - min > SLIDER_MAX_STEPS) return null;
+  if (schema.multipleOf !== undefined && schema.multipleOf !== 1) return null;
+  return `${min}-${max}`;
+}
+
+export { generateOptionsFile };
+
+// ==== END OF FILE ====/
@@ -0,0 +1,507 @@
+// options-lint.js - Semantic checks of an options file against the data schema
+// @ts-check
+//
+// options-schema.js checks that an options file is well-formed; this module
+// checks that it makes sense for the schema it is loaded with:
+//
+//   - option values that the field's schema (type, enum, minimum, ...) rejects
+//   - reversed ranges ("50-1" is not expanded and becomes a single odd value)
+//   - slider controls on fields that are not numbers
+//   - exclusive_values / default_value entries missing from values
+//   - dependent_values trigger values the trigger field can never produce
+//   - conditional_rules that disable their own trigger, or form cycles
+//
+// "##list" references missing from _lists are structural errors and are
+// reported by validateOptionsStructure(). Every issue here is
+// { path, message, severity: 'error' | 'warning' }.
+
+import { validateSchema } from './validation-core.js';
+import { resolveRef } from './file-validation.js';
+import { mergeAllOf, getNonNullSchema, getPrimaryType } from './schema-manager.js';
+import { expandRangeValues } from './input-control.js';
+import { getDependentTriggers } from './conditional-rules.js';
+
+console.log('🔎 Options Lint Module Loaded');
+
+/** Rule actions that change a field's value (and so can feed back into triggers) */
+const VALUE_CHANGING_ACTIONS = ['disable_fields', 'hide_fields'];
+
+/** A "start-end" range as written in values */
+const RANGE_PATTERN = /^(\d+)-(\d+)$/;
+
+/** Values listed per message, at most */
+const MAX_LISTED_VALUES = 5;
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Lints a resolved options file against the data schema
+ * @param {Object} options - Resolved options file (after resolveReferences)
+ * @param {Object} schema - Data schema
+ * @returns {Array<{path: string, message: string, severity: 'error'|'warning'}>}
+ */
+function lintOptions(options, schema) {
+  const issues = [];
+  if (!options || typeof options !== 'object' || !schema) return issues;
+
+  const fieldEntries = Object.entries(options).filter(([key, config]) =>
+    !key.startsWith('_') && !['conditional_rules', 'validation_rules', 'imports'].includes(key) &&
+    config && typeof config === 'object');
+
+  fieldEntries.forEach(([fieldPath, entry]) => {
+    const config = Array.isArray(entry) ? { values: entry } : entry;
+    const fieldSchema = getSchemaAtPath(schema, fieldPath);
+
+    lintRanges(config.values, `${fieldPath}.values`, issues);
+    if (fieldSchema && Array.isArray(config.values)) {
+      lintOptionValues(config.values, fieldSchema, schema, `${fieldPath}.values`, issues);
+    }
+    if (fieldSchema) lintSlider(config, fieldSchema, schema, fieldPath, issues);
+    lintMembership(config, fieldPath, issues);
+
+    if (config.dependent_values && typeof config.dependent_values === 'object') {
+      lintDependentValues(config.dependent_values, options, schema, fieldSchema, fieldPath, issues);
+    }
+  });
+
+  Object.entries(options._lists || {}).forEach(([name, list]) => lintRanges(list, `_lists.${name}`, issues));
+
+  if (options.conditional_rules && typeof options.conditional_rules === 'object') {
+    lintConditionalRules(options.conditional_rules, issues);
+  }
+
+  return issues;
+}
+
+// ==================== VALUES ====================
+
+/**
+ * Reversed "start-end" ranges
+ * @param {*} values - Option list
+ * @param {string} path
+ * @param {Array} issues
+ */
+function lintRanges(values, path, issues) {
+  if (!Array.isArray(values)) return;
+  values.forEach((value, index) => {
+    if (isReversedRange(value)) {
+      const match = value.match(RANGE_PATTERN);
+      issues.push({
+        path: `${path}[${index}]`,
+        message: `Range "${value}" runs backwards and is used as a single value - write "${match[2]}-${match[1]}"`,
+        severity: 'error'
+      });
+    }
+  });
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for "50-1"
+ */
+function isReversedRange(value) {
+  const match = typeof value === 'string' ? value.match(RANGE_PATTERN) : null;
+  return !!match && Number(match[1]) > Number(match[2]);
+}
+
+/**
+ * Option values the field's schema rejects, one issue per distinct reason
+ * @param {Array} values - Option list
+ * @param {Object} fieldSchema
+ * @param {Object} rootSchema
+ * @param {string} path
+ * @param {Array} issues
+ */
+function lintOptionValues(values, fieldSchema, rootSchema, path, issues) {
+  const itemSchema = getItemSchema(fieldSchema, rootSchema);
+  if (!itemSchema) return;
+
+  /** @type {Map<string, string[]>} message → offending values */
+  const failures = new Map();
+  expandRangeValues(values).forEach(({ value }) => {
+    if (isReversedRange(value)) return;  // Reported by lintRanges
+    const { errors } = validateSchema(toSchemaValue(value, itemSchema, rootSchema), itemSchema, { rootSchema });
+    if (errors.length === 0) return;
+    const message = errors[0].message;
+    failures.set(message, [...(failures.get(message) || []), value]);
+  });
+
+  failures.forEach((offending, message) => {
+    issues.push({
+      path,
+      message: `${formatValueList(offending)} ${offending.length === 1 ? 'does' : 'do'} not fit the schema: ${message}`,
+      severity: 'error'
+    });
+  });
+}
+
+/**
+ * Sliders need a numeric field
+ * @param {Object} config
+ * @param {Object} fieldSchema
+ * @param {Object} rootSchema
+ * @param {string} fieldPath
+ * @param {Array} issues
+ */
+function lintSlider(config, fieldSchema, rootSchema, fieldPath, issues) {
+  if (config.input_control !== 'slider') return;
+
+  const type = getPrimaryType(fieldSchema, rootSchema);
+  if (type && type !== 'integer' && type !== 'number') {
+    issues.push({
+      path: `${fieldPath}.input_control`,
+      message: `A slider needs a number or integer field, but the schema type is ${type}`,
+      severity: 'error'
+    });
+  }
+}
+
+/**
+ * exclusive_values and default_value entries that are not options of the field
+ * @param {Object} config
+ * @param {string} fieldPath
+ * @param {Array} issues
+ */
+function lintMembership(config, fieldPath, issues) {
+  if (!Array.isArray(config.values)) return;
+
+  const known = getOptionTexts(config);
+
+  (Array.isArray(config.exclusive_values) ? config.exclusive_values : []).forEach((entry, index) => {
+    const text = typeof entry === 'object' && entry !== null ? String(entry.value) : String(entry);
+    if (!known.has(text)) {
+      issues.push({
+        path: `${fieldPath}.exclusive_values[${index}]`,
+        message: `Exclusive value "${text}" is not one of the field's values`,
+        severity: 'warning'
+      });
+    }
+  });
+
+  if (config.default_value !== undefined && config.default_value !== null) {
+    const defaults = Array.isArray(config.default_value) ? config.default_value : [config.default_value];
+    const missing = defaults.map(String).filter(text => !known.has(text));
+    if (missing.length > 0) {
+      issues.push({
+        path: `${fieldPath}.default_value`,
+        message: `Default ${formatValueList(missing)} ${missing.length === 1 ? 'is' : 'are'} not one of the field's values`,
+        severity: 'warning'
+      });
+    }
+  }
+}
+
+// ==================== DEPENDENT VALUES ====================
+
+/**
+ * Trigger values a trigger can never produce, combination keys with the wrong
+ * number of parts, and dependent option lists the field's schema rejects
+ * @param {Object} dependentValues
+ * @param {Object} options - Whole options file (trigger option lists)
+ * @param {Object} rootSchema
+ * @param {Object|null} fieldSchema - Schema of the dependent field
+ * @param {string} fieldPath
+ * @param {Array} issues
+ */
+function lintDependentValues(dependentValues, options, rootSchema, fieldSchema, fieldPath, issues) {
+  Object.entries(dependentValues).forEach(([groupKey, optionsMap]) => {
+    if (groupKey.startsWith('_') || !optionsMap || typeof optionsMap !== 'object') return;
+
+    const triggers = getDependentTriggers({ [groupKey]: optionsMap });
+    const producible = triggers.map(trigger => getProducibleValues(trigger, options, rootSchema));
+    const groupPath = `${fieldPath}.dependent_values.${groupKey}`;
+
+    Object.entries(optionsMap).forEach(([valueKey, depConfig]) => {
+      const parts = triggers.length === 1 ? [valueKey] : valueKey.split('|').map(part => part.trim());
+      const keyPath = `${groupPath}.${valueKey}`;
+
+      if (parts.length !== triggers.length) {
+        issues.push({
+          path: keyPath,
+          message: `Key has ${parts.length} value(s) but the entry has ${triggers.length} trigger(s) (${triggers.join(', ')})`,
+          severity: 'error'
+        });
+        return;
+      }
+
+      parts.forEach((part, index) => {
+        const values = producible[index];
+        if (part === '*' || !values || values.has(part)) return;
+        issues.push({
+          path: keyPath,
+          message: `${triggers[index]} never has the value "${part}" (possible: ${formatValueList([...values])})`,
+          severity: 'warning'
+        });
+      });
+
+      const list = Array.isArray(depConfig) ? depConfig : depConfig?.values;
+      lintRanges(list, keyPath, issues);
+      if (fieldSchema && Array.isArray(list)) {
+        lintOptionValues(list, fieldSchema, rootSchema, keyPath, issues);
+      }
+    });
+  });
+}
+
+/**
+ * Every value a trigger field can hold, when that is a closed set: its option
+ * lists (values, na, dependent lists) or its schema enum / const / boolean
+ * @param {string} trigger - Trigger field path
+ * @param {Object} options
+ * @param {Object} rootSchema
+ * @returns {Set<string>|null} null when any value is possible
+ */
+function getProducibleValues(trigger, options, rootSchema) {
+  const entry = options[trigger];
+  const config = Array.isArray(entry) ? { values: entry } : entry;
+
+  if (config && Array.isArray(config.values)) {
+    const texts = getOptionTexts(config, false);
+    Object.entries(config.dependent_values || {}).forEach(([key, optionsMap]) => {
+      if (key.startsWith('_') || !optionsMap || typeof optionsMap !== 'object') return;
+      Object.values(optionsMap).forEach(depConfig => {
+        const list = Array.isArray(depConfig) ? depConfig : depConfig?.values;
+        if (Array.isArray(list)) expandRangeValues(list).forEach(({ value }) => texts.add(value));
+      });
+    });
+    return texts;
+  }
+
+  const fieldSchema = getSchemaAtPath(rootSchema, trigger);
+  if (!fieldSchema) return null;
+  const itemSchema = getNonNullSchema(getItemSchema(fieldSchema, rootSchema) || fieldSchema, rootSchema) || {};
+
+  if (Array.isArray(itemSchema.enum)) return new Set(itemSchema.enum.map(String));
+  if ('const' in itemSchema) return new Set([String(itemSchema.const)]);
+  if (itemSchema.type === 'boolean') return new Set(['true', 'false']);
+  return null;
+}
+
+// ==================== CONDITIONAL RULES ====================
+
+/**
+ * Rules that disable, hide or set the fields their own condition tests, and
+ * cycles of triggers that switch each other (a → b → a)
+ * @param {Object} conditionalRules
+ * @param {Array} issues
+ */
+function lintConditionalRules(conditionalRules, issues) {
+  /** @type {Map<string, Set<string>>} field → fields its rules change */
+  const graph = new Map();
+
+  Object.entries(conditionalRules).forEach(([trigger, rules]) => {
+    if (!Array.isArray(rules)) return;
+
+    rules.forEach((rule, index) => {
+      if (!rule || typeof rule !== 'object') return;
+      const rulePath = `conditional_rules.${trigger}[${index}]`;
+      const tested = collectConditionFields(rule, trigger);
+
+      const changed = [
+        ...VALUE_CHANGING_ACTIONS.flatMap(action => (Array.isArray(rule[action]) ? rule[action] : [])),
+        ...Object.keys(rule.set_values && typeof rule.set_values === 'object' ? rule.set_values : {})
+      ];
+
+      ['disable_fields', 'hide_fields'].forEach(action => {
+        (Array.isArray(rule[action]) ? rule[action] : []).filter(field => tested.has(field)).forEach(field => {
+          issues.push({
+            path: `${rulePath}.${action}`,
+            message: `The rule ${action === 'disable_fields' ? 'disables' : 'hides'} "${field}", which its own condition tests - the field can never be changed back`,
+            severity: 'error'
+          });
+        });
+      });
+      Object.keys(rule.set_values && typeof rule.set_values === 'object' ? rule.set_values : {})
+        .filter(field => tested.has(field))
+        .forEach(field => {
+          issues.push({
+            path: `${rulePath}.set_values`,
+            message: `The rule sets "${field}", which its own condition tests`,
+            severity: 'error'
+          });
+        });
+
+      tested.forEach(source => {
+        if (!graph.has(source)) graph.set(source, new Set());
+        changed.filter(field => field !== source).forEach(field => graph.get(source).add(field));
+      });
+    });
+  });
+
+  findCycles(graph).forEach(cycle => {
+    issues.push({
+      path: `conditional_rules.${cycle[0]}`,
+      message: `Rules form a cycle - these fields switch each other: ${cycle.join(', ')}`,
+      severity: 'error'
+    });
+  });
+}
+
+/**
+ * Fields a rule's condition tests: the trigger and every nested "field"
+ * @param {Object} condition
+ * @param {string} fieldPath - Field of operators without their own "field"
+ * @param {Set<string>} [fields] - Accumulator
+ * @returns {Set<string>}
+ */
+function collectConditionFields(condition, fieldPath, fields = new Set()) {
+  if (!condition || typeof condition !== 'object') return fields;
+
+  const path = typeof condition.field === 'string' ? condition.field : fieldPath;
+  fields.add(path);
+  [...(Array.isArray(condition.all) ? condition.all : []),
+   ...(Array.isArray(condition.any) ? condition.any : []),
+   ...(condition.not ? [condition.not] : [])].forEach(sub => collectConditionFields(sub, path, fields));
+  return fields;
+}
+
+/**
+ * Groups of fields that reach each other through rules (strongly connected
+ * components with more than one field, Tarjan's algorithm)
+ * @param {Map<string, Set<string>>} graph
+ * @returns {string[][]}
+ */
+function findCycles(graph) {
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+
+  const connect = node => {
+    index.set(node, index.size);
+    lowLink.set(node, index.get(node));
+    stack.push(node);
+    onStack.add(node);
+
+    (graph.get(node) || new Set()).forEach(next => {
+      if (!index.has(next)) {
+        connect(next);
+        lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(node, Math.min(lowLink.get(node), index.get(next)));
+      }
+    });
+
+    if (lowLink.get(node) === index.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      if (component.length > 1) cycles.push(component.reverse());
+    }
+  };
+
+  graph.forEach((_, node) => {
+    if (!index.has(node)) connect(node);
+  });
+  return cycles;
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Schema of an options key (dot path through properties, $refs, allOf and
+ * array items)
+ * @param {Object} rootSchema
+ * @param {string} fieldPath
+ * @returns {Object|null}
+ */
+function getSchemaAtPath(rootSchema, fieldPath) {
+  let current = rootSchema;
+
+  for (const key of fieldPath.split('.')) {
+    current = resolveSchemaNode(current, rootSchema);
+    if (current && !current.properties && current.items && typeof current.items === 'object') {
+      current = resolveSchemaNode(current.items, rootSchema);
+    }
+    current = current?.properties?.[key];
+    if (!current) return null;
+  }
+
+  return resolveSchemaNode(current, rootSchema);
+}
+
+/**
+ * @param {*} node - Schema node
+ * @param {Object} rootSchema
+ * @returns {Object|null} The node with its $ref followed and allOf merged
+ */
+function resolveSchemaNode(node, rootSchema) {
+  if (!node || typeof node !== 'object') return null;
+  const resolved = node.$ref ? resolveRef(node.$ref, rootSchema) : node;
+  return resolved && resolved.allOf ? mergeAllOf(resolved, rootSchema) : resolved;
+}
+
+/**
+ * Schema an option value must match: the items of an array field, else the field
+ * @param {Object} fieldSchema
+ * @param {Object} rootSchema
+ * @returns {Object|null}
+ */
+function getItemSchema(fieldSchema, rootSchema) {
+  if (getPrimaryType(fieldSchema, rootSchema) !== 'array') return fieldSchema;
+  const items = getNonNullSchema(fieldSchema, rootSchema)?.items;
+  return items && typeof items === 'object' && !Array.isArray(items) ? items : null;
+}
+
+/**
+ * An option value (always text) as the field stores it: the matching enum /
+ * const entry, or a number / boolean for numeric / boolean fields
+ * @param {string} value
+ * @param {Object} schema
+ * @param {Object} rootSchema
+ * @returns {*}
+ */
+function toSchemaValue(value, schema, rootSchema) {
+  const target = resolveSchemaNode(getNonNullSchema(schema, rootSchema) || schema, rootSchema) || {};
+  const listed = [...(Array.isArray(target.enum) ? target.enum : []), ...('const' in target ? [target.const] : [])];
+  const match = listed.find(entry => String(entry) === value);
+  if (match !== undefined) return match;
+
+  const type = getPrimaryType(schema, rootSchema);
+  if ((type === 'integer' || type === 'number') && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+/**
+ * Values and labels of a field's options (plus its N/A option)
+ * @param {Object} config - Field options entry
+ * @param {boolean} [withLabels] - Include labels (exclusive / default entries may name either)
+ * @returns {Set<string>}
+ */
+function getOptionTexts(config, withLabels = true) {
+  const texts = new Set();
+  expandRangeValues(config.values).forEach(({ value, label }) => {
+    texts.add(value);
+    if (withLabels) texts.add(label);
+  });
+  if (config.na !== undefined && config.na !== null) {
+    texts.add(typeof config.na === 'object' ? String(config.na.value) : String(config.na));
+  }
+  return texts;
+}
+
+/**
+ * "a", "b", "c" and 2 more
+ * @param {string[]} values
+ * @returns {string}
+ */
+function formatValueList(values) {
+  const listed = values.slice(0, MAX_LISTED_VALUES).map(value => `"${value}"`).join(', ');
+  return values.length > MAX_LISTED_VALUES ? `${listed} and ${values.length - MAX_LISTED_VALUES} more` : listed;
+}
+
+export { lintOptions,
+         getSchemaAtPath,
+         getItemSchema,
+         resolveSchemaNode
+};
+
+// ==== END OF FILE ====/
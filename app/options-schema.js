@@ -0,0 +1,365 @@
+// options-schema.js - Meta-schema of the options file format
+// @ts-check
+//
+// OPTIONS_FILE_SCHEMA is the JSON Schema (2020-12) of an options file as it is
+// written - before "##list" and "$ref" references are resolved - so it can also
+// be saved as options-file.schema.json and used by editors. Field entries and
+// rules reject unknown keys: a typo such as "respose_type" or "disable_field"
+// is reported instead of being ignored. Keys starting with "_" are free
+// everywhere (shared data, comments).
+//
+//   const problems = validateOptionsStructure(JSON.parse(text));
+//   // [{ path: 'demographic.mbr_state', message: 'Unknown key "respose_type" (did you mean "response_type"?)' }]
+
+import { validateSchema, pointerToPath } from './validation-core.js';
+
+console.log('📐 Options Schema Module Loaded');
+
+/** Keys starting with "_" are never checked */
+const PRIVATE_KEYS = { '^_': true };
+
+/** Condition tests of a conditional rule (see CONDITION_OPERATORS in conditional-rules.js) */
+const CONDITION_PROPERTIES = {
+  field: { type: 'string', minLength: 1 },
+  value: true,
+  in: true,
+  not_in: true,
+  gt: { type: ['number', 'string'] },
+  gte: { type: ['number', 'string'] },
+  lt: { type: ['number', 'string'] },
+  lte: { type: ['number', 'string'] },
+  between: { type: 'array', minItems: 2, maxItems: 2 },
+  matches: { type: 'string' },
+  is_empty: { type: 'boolean' },
+  contains: true,
+  all: { type: 'array', items: { $ref: '#/$defs/condition' } },
+  any: { type: 'array', items: { $ref: '#/$defs/condition' } },
+  not: { $ref: '#/$defs/condition' }
+};
+
+const OPTIONS_FILE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'JSON Data Builder options file',
+  description: 'Field options keyed by schema field path (dot notation), plus conditional_rules, ' +
+    'validation_rules, imports and the shared _lists / _formats sections.',
+  type: 'object',
+  properties: {
+    conditional_rules: {
+      description: 'Trigger field path → rules evaluated when it changes',
+      type: 'object',
+      additionalProperties: { type: 'array', items: { $ref: '#/$defs/conditionalRule' } }
+    },
+    validation_rules: {
+      type: 'array',
+      items: { $ref: '#/$defs/validationRule' }
+    },
+    imports: {
+      description: 'Options files to take _lists, _formats and field entries from (local keys win)',
+      type: 'array',
+      items: {
+        anyOf: [
+          { type: 'string', minLength: 1 },
+          {
+            type: 'object',
+            required: ['file'],
+            properties: {
+              file: { type: 'string', minLength: 1 },
+              lists: { type: 'array', items: { type: 'string' } },
+              fields: { type: 'array', items: { type: 'string' } }
+            },
+            additionalProperties: false
+          }
+        ]
+      }
+    },
+    _lists: {
+      description: 'Shared value lists, used as "##name" or { "$ref": "#/_lists/name" }',
+      type: 'object',
+      additionalProperties: { $ref: '#/$defs/optionArray' }
+    },
+    _formats: {
+      description: 'Custom string formats: name → { pattern, message }',
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['pattern'],
+        properties: {
+          pattern: { type: 'string', minLength: 1 },
+          message: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  patternProperties: PRIVATE_KEYS,
+  additionalProperties: { $ref: '#/$defs/fieldEntry' },
+
+  $defs: {
+    // A bare array is the legacy form of { "values": [...] }
+    fieldEntry: {
+      if: { type: 'array' },
+      then: { $ref: '#/$defs/optionArray' },
+      else: { $ref: '#/$defs/fieldOptions' }
+    },
+
+    fieldOptions: {
+      type: 'object',
+      properties: {
+        $ref: { type: 'string', pattern: '^#/' },
+        values: { $ref: '#/$defs/valueList' },
+        response_type: { enum: ['single-select', 'multi-select'] },
+        input_control: { enum: ['text', 'drop-down', 'check-box', 'radio-button', 'date-time-picker', 'slider', 'file'] },
+        exclusive_values: { type: 'array', items: { $ref: '#/$defs/option' } },
+        disable_values: { $ref: '#/$defs/valueList' },
+        na: { $ref: '#/$defs/option' },
+        default_value: true,
+        dependent_values: {
+          description: 'Trigger path(s), joined with "|" → trigger value(s) → option list',
+          type: 'object',
+          patternProperties: PRIVATE_KEYS,
+          additionalProperties: {
+            type: 'object',
+            additionalProperties: { $ref: '#/$defs/dependentOptions' }
+          }
+        },
+        computed: { type: 'string', minLength: 1 },
+        accept: {
+          anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }]
+        },
+        max_size_kb: { type: 'number', exclusiveMinimum: 0 }
+      },
+      patternProperties: PRIVATE_KEYS,
+      additionalProperties: false
+    },
+
+    dependentOptions: {
+      if: { type: 'object', not: { required: ['$ref'] } },
+      then: {
+        type: 'object',
+        required: ['values'],
+        properties: {
+          values: { $ref: '#/$defs/valueList' },
+          response_type: { $ref: '#/$defs/fieldOptions/properties/response_type' },
+          input_control: { $ref: '#/$defs/fieldOptions/properties/input_control' }
+        },
+        additionalProperties: false
+      },
+      else: { $ref: '#/$defs/valueList' }
+    },
+
+    valueList: {
+      anyOf: [
+        { $ref: '#/$defs/optionArray' },
+        { type: 'string', pattern: '^##.+' },
+        {
+          type: 'object',
+          required: ['$ref'],
+          properties: { $ref: { type: 'string', pattern: '^#/' } },
+          additionalProperties: false
+        }
+      ]
+    },
+
+    optionArray: {
+      type: 'array',
+      items: { $ref: '#/$defs/option' }
+    },
+
+    option: {
+      if: { type: 'object' },
+      then: {
+        required: ['value'],
+        properties: {
+          value: { type: ['string', 'number', 'boolean'] },
+          label: { type: 'string' }
+        },
+        additionalProperties: false
+      },
+      else: { type: ['string', 'number', 'boolean'] }
+    },
+
+    condition: {
+      type: 'object',
+      properties: CONDITION_PROPERTIES,
+      patternProperties: PRIVATE_KEYS,
+      additionalProperties: false
+    },
+
+    conditionalRule: {
+      type: 'object',
+      properties: {
+        ...CONDITION_PROPERTIES,
+        disable_fields: { $ref: '#/$defs/fieldList' },
+        enable_fields: { $ref: '#/$defs/fieldList' },
+        hide_fields: { $ref: '#/$defs/fieldList' },
+        require_fields: { $ref: '#/$defs/fieldList' },
+        optional_fields: { $ref: '#/$defs/fieldList' },
+        set_values: {
+          description: 'Field path → literal value or { "expression": "..." }',
+          type: 'object'
+        }
+      },
+      patternProperties: PRIVATE_KEYS,
+      additionalProperties: false
+    },
+
+    fieldList: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 }
+    },
+
+    validationRule: {
+      type: 'object',
+      required: ['rule'],
+      properties: {
+        id: { type: ['string', 'number'] },
+        rule: { type: 'string', minLength: 1 },
+        message: { type: 'string' },
+        severity: { enum: ['error', 'warning'] },
+        fields: { $ref: '#/$defs/fieldList' }
+      },
+      patternProperties: PRIVATE_KEYS,
+      additionalProperties: false
+    }
+  }
+};
+
+/** Every key the format knows, for "did you mean" hints */
+const KNOWN_KEYS = collectKnownKeys(OPTIONS_FILE_SCHEMA);
+
+// ==================== VALIDATION ====================
+
+/**
+ * Checks an options file (as written, before references are resolved)
+ * against OPTIONS_FILE_SCHEMA, and checks that its "##name" and "$ref"
+ * references point at something.
+ *
+ * @param {Object} options - Parsed options file
+ * @returns {Array<{path: string, message: string}>} Structural errors (empty when valid)
+ */
+function validateOptionsStructure(options) {
+  const { errors } = validateSchema(options, OPTIONS_FILE_SCHEMA);
+
+  const problems = errors.map(error => {
+    const path = pointerToPath(error.instancePath);
+    const unknownKey = error.params?.additionalProperty ?? error.params?.unevaluatedProperty;
+
+    if (unknownKey !== undefined) {
+      const suggestion = suggestKey(unknownKey);
+      return {
+        path: path || '(root)',
+        message: `Unknown key "${unknownKey}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+      };
+    }
+    if (error.keyword === 'required' && error.params?.missingProperty) {
+      return { path: path || '(root)', message: `Missing key "${error.params.missingProperty}"` };
+    }
+    return { path: path || '(root)', message: error.message };
+  });
+
+  if (options && typeof options === 'object') {
+    findBrokenReferences(options, options, '').forEach(problem => problems.push(problem));
+  }
+
+  return problems;
+}
+
+/**
+ * "##name" strings missing from _lists and "$ref" pointers that resolve to nothing
+ * @param {*} node - Current value
+ * @param {Object} root - Options file
+ * @param {string} path - Path of node
+ * @returns {Array<{path: string, message: string}>}
+ */
+function findBrokenReferences(node, root, path) {
+  if (typeof node === 'string') {
+    if (node.startsWith('##') && root._lists?.[node.slice(2)] === undefined) {
+      return [{ path, message: `List "${node.slice(2)}" is not defined in _lists` }];
+    }
+    return [];
+  }
+  if (!node || typeof node !== 'object') return [];
+
+  if (Array.isArray(node)) {
+    return node.flatMap((item, index) => findBrokenReferences(item, root, `${path}[${index}]`));
+  }
+
+  const problems = [];
+  if (typeof node.$ref === 'string' && node.$ref.startsWith('#/') && resolveOptionsPointer(root, node.$ref) === undefined) {
+    problems.push({ path, message: `Reference "${node.$ref}" points to nothing` });
+  }
+  Object.entries(node).forEach(([key, value]) => {
+    if (key !== '$ref') problems.push(...findBrokenReferences(value, root, path ? `${path}.${key}` : key));
+  });
+  return problems;
+}
+
+/**
+ * Follows a "#/a/b" pointer (segments are plain keys, as in resolveReferences)
+ * @param {Object} root
+ * @param {string} ref
+ * @returns {*} undefined when a segment is missing
+ */
+function resolveOptionsPointer(root, ref) {
+  return ref.slice(2).split('/').reduce((current, key) =>
+    (current !== null && typeof current === 'object' ? current[key] : undefined), root);
+}
+
+// ==================== KEY SUGGESTIONS ====================
+
+/**
+ * Property names declared anywhere in a schema
+ * @param {*} schema
+ * @param {Set<string>} [keys] - Accumulator
+ * @returns {Set<string>}
+ */
+function collectKnownKeys(schema, keys = new Set()) {
+  if (!schema || typeof schema !== 'object') return keys;
+  if (schema.properties && typeof schema.properties === 'object') {
+    Object.keys(schema.properties).forEach(key => keys.add(key));
+  }
+  Object.values(schema).forEach(value => collectKnownKeys(value, keys));
+  return keys;
+}
+
+/**
+ * Closest known key to a misspelt one (at most 2 edits apart)
+ * @param {string} key
+ * @returns {string|null}
+ */
+function suggestKey(key) {
+  let best = null;
+  let bestDistance = 3;
+  KNOWN_KEYS.forEach(known => {
+    const distance = editDistance(key.toLowerCase(), known);
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Levenshtein distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export { OPTIONS_FILE_SCHEMA,
+         validateOptionsStructure
+};
+
+// ==== END OF FILE ====/
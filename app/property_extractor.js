@@ -1,6 +1,9 @@
-// Note: This function uses resolveRef() from data-builder.js
-// If using standalone, you'll need to import or copy that function
-//import { resolveRef } from "./file-validation";
+// property_extractor.js - Leaf field paths of a schema
+// @ts-check
+// UPDATED: Loaded as an ES module (the options editor lists these paths)
+import { resolveRef } from './file-validation.js';
+
+console.log('🧾 Property Extractor Module Loaded');
 
 
 /**
@@ -113,70 +116,6 @@ function formatProperties(properties) {
   return properties.map((prop, index) => `${index + 1}. ${prop}`).join('\n');
 }
 
-// Example usage with the provided schemas
-const ckscoreSchema = {
-  "$defs": {
-    "Demographic": {
-      "properties": {
-        "mbr_first_name": { "title": "First Name", "type": "string" },
-        "mbr_gender_at_birth": { "title": "Your Gender At Birth", "type": "string" },
-        "mbr_ethnicity": { "title": "Ethnicity", "type": "string" },
-        "mbr_address": {
-          "$ref": "#/$defs/MemberAddress"
-        },
-        "mbr_country_lived_in": {
-          "anyOf": [
-            { "type": "string" },
-            { "items": { "type": "string" }, "type": "array" }
-          ],
-          "title": "Countries lived in"
-        }
-      },
-      "type": "object"
-    },
-    "MemberAddress": {
-      "properties": {
-        "mbr_country": { "title": "Country", "type": "string" },
-        "mbr_state": { "title": "State", "type": "string" }
-      },
-      "type": "object"
-    },
-    "CarcinogenExposure": {
-      "properties": {
-        "mbr_occupation": {
-          "anyOf": [
-            { "type": "string" },
-            { "items": { "type": "string" }, "type": "array" }
-          ],
-          "title": "Occupation"
-        },
-        "mbr_expose_to_UV": {
-          "anyOf": [
-            { "type": "string" },
-            { "items": { "type": "string" }, "type": "array" }
-          ],
-          "title": "Environmental exposure"
-        }
-      },
-      "type": "object"
-    }
-  },
-  "properties": {
-    "demographic": { "$ref": "#/$defs/Demographic" },
-    "carcinogen_exposure": { "$ref": "#/$defs/CarcinogenExposure" }
-  },
-  "type": "object"
-};
-
-// Test the function
-console.log("=== Extracted Properties ===\n");
-const extractedProps = extractNonObjectProperties(ckscoreSchema);
-console.log(formatProperties(extractedProps));
-console.log(`\nTotal: ${extractedProps.length} properties`);
-
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { extractNonObjectProperties, formatProperties };
-}
+export { extractNonObjectProperties, formatProperties };
 
-// ==== END OF FILE ====/
\ No newline at end of file
+// ==== END OF FILE ====/
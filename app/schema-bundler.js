@@ -0,0 +1,340 @@
+// schema-bundler.js - Resolves external and cross-file $refs into one schema
+// @ts-check
+//
+// The rest of the app resolves $refs synchronously with local "#/..." pointers
+// (resolveRef in file-validation.js / data-builder.js). Instead of teaching
+// every caller about other files, a schema is bundled once at load time:
+//
+//   "$ref": "common/address.json#/$defs/Address"
+//        → "$ref": "#/$defs/common_address.json/$defs/Address"
+//
+// Referenced documents are embedded under the root $defs, their own local refs
+// are re-pointed to the embedded copy, and $id / $anchor references are turned
+// into plain JSON pointers. Documents come from a multi-file upload (matched by
+// relative path or file name) or from the server's schemas/ folder. Absolute
+// remote refs that cannot be found there (e.g. the draft meta-schemas at
+// https://json-schema.org/) are left as they are, with a console warning.
+import { getCurrentUser } from './schema-registry.js';
+
+console.log('📦 Schema Bundler Module Loaded');
+
+/** Base used to turn relative file names into absolute URIs for resolution */
+const LOCAL_BASE = 'https://schemas.local/';
+
+/** Fetched / uploaded documents by absolute URI (cleared on library loads and saves, see schema-registry.js) */
+const documentCache = new Map();
+
+/**
+ * Bundles a schema so that every $ref is a local JSON pointer.
+ *
+ * @param {Object} schema - Root schema (not modified)
+ * @param {Object} [options]
+ * @param {string} [options.filename] - Root schema file name, the base for relative refs
+ * @param {File[]|FileList} [options.files] - Extra uploaded schema files
+ * @returns {Promise<Object>} Bundled copy of the schema
+ */
+async function bundleSchema(schema, { filename = 'schema.json', files = [] } = {}) {
+  if (!hasExternalRefs(schema)) return schema;
+
+  const root = JSON.parse(JSON.stringify(schema));
+  const rootUri = stripFragment(resolveUri(typeof root.$id === 'string' ? root.$id : filename, LOCAL_BASE + filename));
+  const uploads = await readUploads(files);
+
+  const context = {
+    root,
+    rootDir: rootUri.slice(0, rootUri.lastIndexOf('/') + 1),
+    uploads,
+    defsKey: root.$defs || !root.definitions ? '$defs' : 'definitions',
+    documents: new Map(),   // document URI → pointer of its copy inside the bundle (null: remote, not available)
+    anchors: new Map(),     // "uri#anchor" → pointer
+    embedded: new WeakSet(), // embedded document objects (rewritten from their own base URI)
+    pending: [],
+    count: 0
+  };
+
+  context.documents.set(rootUri, '');
+  indexDocument(root, rootUri, '', context);
+  await rewriteRefs(root, rootUri, '', context);
+
+  // Documents embedded while rewriting may reference further documents
+  while (context.pending.length > 0) {
+    const { node, baseUri, pointer } = context.pending.shift();
+    await rewriteRefs(node, baseUri, pointer, context);
+  }
+
+  if (context.count > 0) {
+    console.log(`📦 Bundled ${context.count} external schema document(s) into ${filename}`);
+  }
+  return root;
+}
+
+/**
+ * Checks whether a schema contains $refs that are not plain local pointers
+ * (other files, $id-relative URIs or $anchor names)
+ * @param {*} node - Schema node
+ * @returns {boolean}
+ */
+function hasExternalRefs(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(hasExternalRefs);
+  if (typeof node.$ref === 'string' && node.$ref !== '#' && !node.$ref.startsWith('#/')) return true;
+  return Object.entries(node).some(([key, value]) => key !== 'enum' && key !== 'const' && hasExternalRefs(value));
+}
+
+/**
+ * Drops all cached documents (e.g. after files in schemas/ were replaced)
+ */
+function clearSchemaCache() {
+  documentCache.clear();
+  console.log('🗑️ Schema document cache cleared');
+}
+
+// ==================== INDEXING ($id / $anchor) ====================
+
+/**
+ * Records every $id (embedded documents) and $anchor under a document, so
+ * refs to them can be rewritten to pointers.
+ */
+function indexDocument(node, baseUri, pointer, context) {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    node.forEach((item, i) => indexDocument(item, baseUri, `${pointer}/${i}`, context));
+    return;
+  }
+
+  let uri = baseUri;
+  if (typeof node.$id === 'string' && pointer !== '') {
+    uri = stripFragment(resolveUri(node.$id, baseUri));
+    if (!context.documents.has(uri)) context.documents.set(uri, pointer);
+  }
+  if (typeof node.$anchor === 'string') {
+    context.anchors.set(`${uri}#${node.$anchor}`, pointer);
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'enum' || key === 'const' || key === 'default' || key === 'examples') continue;
+    indexDocument(value, uri, `${pointer}/${key}`, context);
+  }
+}
+
+// ==================== REWRITING ====================
+
+/**
+ * Rewrites every $ref below `node` into a pointer into the bundle.
+ * @param {*} node - Schema node (modified in place)
+ * @param {string} baseUri - URI the node's relative refs resolve against
+ * @param {string} pointer - Pointer of the node inside the bundle
+ * @param {Object} context - Bundling context
+ */
+async function rewriteRefs(node, baseUri, pointer, context) {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    for (let i = 0; i < node.length; i++) {
+      await rewriteRefs(node[i], baseUri, `${pointer}/${i}`, context);
+    }
+    return;
+  }
+
+  const uri = typeof node.$id === 'string' && pointer !== '' ? stripFragment(resolveUri(node.$id, baseUri)) : baseUri;
+
+  if (typeof node.$ref === 'string') {
+    node.$ref = await rewriteRef(node.$ref, uri, context);
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'enum' || key === 'const' || key === 'default' || key === 'examples') continue;
+    // Embedded documents are queued separately, against their own base URI
+    if (context.embedded.has(value)) continue;
+    await rewriteRefs(value, uri, `${pointer}/${key}`, context);
+  }
+}
+
+/**
+ * Turns one $ref into a local pointer, loading and embedding its document if needed
+ * @returns {Promise<string>} Rewritten $ref
+ */
+async function rewriteRef(ref, baseUri, context) {
+  const absolute = resolveUri(ref, baseUri);
+  const hashIndex = absolute.indexOf('#');
+  const docUri = hashIndex >= 0 ? absolute.slice(0, hashIndex) : absolute;
+  const fragment = hashIndex >= 0 ? absolute.slice(hashIndex + 1) : '';
+
+  let docPointer = context.documents.get(docUri);
+  if (docPointer === undefined) {
+    docPointer = await embedDocument(docUri, ref, context);
+  }
+  // Remote document that is not available: keep the ref, made absolute
+  if (docPointer === null) return absolute;
+
+  // JSON pointer fragment ("#/$defs/X") or whole document ("")
+  if (fragment === '' || fragment.startsWith('/')) {
+    const target = docPointer + decodeURIComponent(fragment);
+    return target === '' ? '#' : `#${target}`;
+  }
+
+  // $anchor fragment ("#address")
+  const anchorPointer = context.anchors.get(`${docUri}#${fragment}`);
+  if (anchorPointer === undefined) {
+    throw new Error(`$anchor "${fragment}" not found (referenced as "${ref}")`);
+  }
+  return anchorPointer === '' ? '#' : `#${anchorPointer}`;
+}
+
+/**
+ * Loads an external document and embeds it under the root $defs
+ * @returns {Promise<string|null>} Pointer of the embedded copy, null for a
+ *   remote document that could not be loaded
+ */
+async function embedDocument(docUri, ref, context) {
+  const relativePath = docUri.startsWith(context.rootDir)
+    ? docUri.slice(context.rootDir.length)
+    : docUri.slice(docUri.lastIndexOf('/') + 1);
+
+  const document = await loadDocument(docUri, relativePath, context.uploads);
+  if (!document && !docUri.startsWith(LOCAL_BASE) && !docUri.startsWith(context.rootDir)) {
+    console.warn(`⚠️ Remote schema ${docUri} not available, $ref "${ref}" left un-bundled`);
+    context.documents.set(docUri, null);
+    return null;
+  }
+  if (!document) {
+    throw new Error(`Could not load referenced schema "${relativePath}" (from $ref "${ref}")`);
+  }
+
+  const defs = context.root[context.defsKey] = context.root[context.defsKey] || {};
+  let key = relativePath.replace(/[^A-Za-z0-9_.-]/g, '_');
+  while (defs[key] !== undefined) key = `_${key}`;
+  defs[key] = document;
+  context.embedded.add(document);
+  context.count++;
+
+  const pointer = `/${context.defsKey}/${key}`;
+  context.documents.set(docUri, pointer);
+
+  // The document's own $id becomes an alias; relative refs inside it resolve
+  // against the location it was loaded from
+  if (typeof document.$id === 'string') {
+    const idUri = stripFragment(resolveUri(document.$id, docUri));
+    if (!context.documents.has(idUri)) context.documents.set(idUri, pointer);
+    delete document.$id;
+  }
+  indexDocument(document, docUri, pointer, context);
+  context.pending.push({ node: document, baseUri: docUri, pointer });
+
+  console.log(`🔗 Embedded ${relativePath} as #${pointer}`);
+  return pointer;
+}
+
+// ==================== LOADING ====================
+
+/**
+ * Finds a document in the cache, the uploaded files or the server
+ * @returns {Promise<Object|null>} A fresh copy of the document
+ */
+async function loadDocument(docUri, relativePath, uploads) {
+  const fileName = relativePath.slice(relativePath.lastIndexOf('/') + 1);
+  let document = uploads.get(relativePath) || uploads.get(fileName) || uploads.get(docUri) || null;
+
+  // Uploaded files win over the cache so a re-upload picks up edits
+  if (!document && documentCache.has(docUri)) {
+    return JSON.parse(JSON.stringify(documentCache.get(docUri)));
+  }
+  if (!document) {
+    document = await fetchJson(`/schemas/${relativePath.split('/').map(encodeURIComponent).join('/')}`);
+  }
+  if (!document) {
+    document = await fetchJson(`/api/schemas?file=${encodeURIComponent(fileName)}`, {
+      headers: { 'x-username': getCurrentUser() || '' }
+    });
+  }
+  if (!document) return null;
+
+  documentCache.set(docUri, document);
+  return JSON.parse(JSON.stringify(document));
+}
+
+/**
+ * NEW: Loads a JSON document by a path relative to another file, the same way
+ * schema refs are loaded (uploads, cache, schemas/ folder, registry). Used for
+ * options file imports.
+ * @param {string} path - Path as written, e.g. "common/lists.options.json"
+ * @param {string} fromPath - Path of the file that refers to it
+ * @param {Map<string, Object>} uploads - From readUploads()
+ * @returns {Promise<{path: string, document: Object|null}>} Path relative to
+ *   the schemas root, and a fresh copy of the document (null if not found)
+ */
+async function loadRelativeDocument(path, fromPath, uploads) {
+  const docUri = stripFragment(resolveUri(path, LOCAL_BASE + fromPath));
+  const relativePath = docUri.startsWith(LOCAL_BASE) ? decodeURI(docUri.slice(LOCAL_BASE.length)) : docUri;
+  const document = await loadDocument(docUri, relativePath, uploads);
+  return { path: relativePath, document };
+}
+
+/**
+ * Fetches and parses a JSON document, returning null on any failure
+ */
+async function fetchJson(url, init = {}) {
+  try {
+    const res = await fetch(url, init);
+    if (!res.ok) return null;
+    const data = await res.json();
+    return data && typeof data === 'object' && !Array.isArray(data) && !data.error ? data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parses uploaded files into a lookup by relative path, file name and $id
+ * @param {File[]|FileList} files
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function readUploads(files) {
+  const uploads = new Map();
+  for (const file of Array.from(files || [])) {
+    try {
+      const document = JSON.parse(await file.text());
+      uploads.set(file.name, document);
+      if (file.webkitRelativePath) {
+        // "folder/common/address.json" → also "common/address.json"
+        const parts = file.webkitRelativePath.split('/');
+        uploads.set(parts.slice(1).join('/'), document);
+      }
+      if (typeof document.$id === 'string') {
+        uploads.set(stripFragment(resolveUri(document.$id, LOCAL_BASE + file.name)), document);
+      }
+    } catch (e) {
+      console.warn(`⚠️ Skipping ${file.name}: not valid JSON`);
+    }
+  }
+  return uploads;
+}
+
+/**
+ * Resolves a (possibly relative) reference against a base URI
+ */
+function resolveUri(ref, baseUri) {
+  try {
+    return new URL(ref, baseUri).href;
+  } catch (e) {
+    return baseUri.split('#')[0] + (ref.startsWith('#') ? ref : `#${ref}`);
+  }
+}
+
+/**
+ * Removes the fragment from a URI ("http://x/a.json#" → "http://x/a.json")
+ */
+function stripFragment(uri) {
+  const hashIndex = uri.indexOf('#');
+  return hashIndex >= 0 ? uri.slice(0, hashIndex) : uri;
+}
+
+export { bundleSchema,
+         hasExternalRefs,
+         clearSchemaCache,
+         loadRelativeDocument,
+         readUploads
+};
+
+// ==== END OF FILE ====/
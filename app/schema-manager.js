@@ -5,11 +5,24 @@ import {resolveRef} from './file-validation.js'
 /**
  * Normalizes schema structure to handle variations
  * Some schemas have properties nested in unusual locations
+ * NEW: allOf compositions are merged first (everywhere in the schema), so a
+ * property defined as allOf: [{$ref: Base}, {properties: {...}}] renders,
+ * converts and validates as one combined object schema.
  * 
  * @param {Object} schema - Original JSON schema
  * @returns {Object} Normalized schema with properties at root level
  */
 function normalizeSchema(schema) {
+  const merged = mergeAllOfDeep(schema, schema);
+  return normalizeSchemaLayout(merged);
+}
+
+/**
+ * Moves properties found in non-standard locations ($Defs, definitions, $defs) to the root
+ * @param {Object} schema - JSON schema (allOf already merged)
+ * @returns {Object} Schema with properties at root level
+ */
+function normalizeSchemaLayout(schema) {
   // Standard case: properties already at root
   if (schema.properties) {
     return schema;
@@ -103,7 +116,9 @@ function shouldUseTabNavigation(schema) {
   
   for (const [key, prop] of Object.entries(properties)) {
     // Check for polymorphic types (oneOf/anyOf/allOf)
-    if (prop.oneOf || prop.anyOf || prop.allOf) {
+    // allOf that normalizeSchema already merged into properties is a plain object, not polymorphic
+    // anyOf: [X, {type: "null"}] is a nullable field, not polymorphic
+    if (((prop.oneOf || prop.anyOf) && !isNullableSchema(prop)) || (prop.allOf && !prop.properties)) {
       polymorphicCount++;
       primitiveCount++; // Treat as primitive for tab decision
       continue;
@@ -434,13 +449,749 @@ function hasPolymorphicPatterns(schema) {
   
   if (schema.properties) {
     for (const prop of Object.values(schema.properties)) {
-      if (prop.oneOf || prop.anyOf) return true;
+      if ((prop.oneOf || prop.anyOf) && !isNullableSchema(prop)) return true;
     }
   }
   
   return false;
 }
 
+//=====================
+// allOf MERGING
+//=====================
+
+const MIN_KEYWORDS = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties', 'minContains'];
+const MAX_KEYWORDS = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties', 'maxContains'];
+
+/**
+ * Resolves a subschema's $ref (keeping sibling keywords) and merges its own allOf
+ * @param {Object} part - Subschema, possibly { $ref, ...siblings }
+ * @param {Object} rootSchema - Root schema for $ref resolution
+ * @param {Set<string>} seenRefs - Refs already being expanded (cycle guard)
+ * @returns {Object|null} Expanded subschema, or null for an unresolvable / cyclic ref
+ */
+function expandAllOfPart(part, rootSchema, seenRefs) {
+  if (!part || typeof part !== 'object') return null;
+
+  if (part.$ref) {
+    if (seenRefs.has(part.$ref)) {
+      console.warn(`⚠️ allOf: circular $ref ${part.$ref} skipped`);
+      return null;
+    }
+    const resolved = resolveRef(part.$ref, rootSchema);
+    if (!resolved) {
+      console.warn(`⚠️ allOf: could not resolve ${part.$ref}`);
+      return null;
+    }
+    const { $ref, ...siblings } = part;
+    const nextSeen = new Set(seenRefs).add($ref);
+    return mergeAllOf({ ...resolved, ...siblings }, rootSchema, nextSeen);
+  }
+
+  return mergeAllOf(part, rootSchema, seenRefs);
+}
+
+/**
+ * Combines two subschemas the way allOf requires (both must hold):
+ * - properties: merged per key (same key → combined recursively)
+ * - required: union
+ * - min* keywords: the larger bound wins; max* keywords: the smaller bound wins
+ * - enum / type: intersection
+ * - anything else (title, description, format, pattern...): the later schema wins
+ *
+ * @param {Object} a - Schema merged so far
+ * @param {Object} b - Next schema
+ * @param {Object} rootSchema - Root schema for $ref resolution of clashing properties
+ * @returns {Object} Combined schema
+ */
+function combineSchemas(a, b, rootSchema) {
+  const result = { ...a };
+
+  for (const [keyword, value] of Object.entries(b)) {
+    if (!(keyword in result)) {
+      result[keyword] = value;
+      continue;
+    }
+
+    if (keyword === 'properties') {
+      const props = { ...result.properties };
+      for (const [key, propSchema] of Object.entries(value || {})) {
+        if (props[key] && typeof props[key] === 'object' && typeof propSchema === 'object') {
+          // Both sides define the key — expand $ref so its constraints are not dropped
+          const left = expandAllOfPart(props[key], rootSchema, new Set()) || props[key];
+          const right = expandAllOfPart(propSchema, rootSchema, new Set()) || propSchema;
+          props[key] = combineSchemas(left, right, rootSchema);
+        } else {
+          props[key] = propSchema;
+        }
+      }
+      result.properties = props;
+    } else if (keyword === 'required') {
+      result.required = [...new Set([...(result.required || []), ...(value || [])])];
+    } else if (MIN_KEYWORDS.includes(keyword) && typeof value === 'number') {
+      result[keyword] = Math.max(result[keyword], value);
+    } else if (MAX_KEYWORDS.includes(keyword) && typeof value === 'number') {
+      result[keyword] = Math.min(result[keyword], value);
+    } else if (keyword === 'enum' && Array.isArray(value) && Array.isArray(result.enum)) {
+      const right = value.map(v => JSON.stringify(v));
+      result.enum = result.enum.filter(v => right.includes(JSON.stringify(v)));
+    } else if (keyword === 'type') {
+      const left = Array.isArray(result.type) ? result.type : [result.type];
+      const right = Array.isArray(value) ? value : [value];
+      const common = left.filter(t => right.includes(t) || (t === 'integer' && right.includes('number')));
+      const fromRight = right.filter(t => t === 'integer' && left.includes('number'));
+      const types = [...new Set([...common, ...fromRight])];
+      if (types.length === 0) {
+        console.warn(`⚠️ allOf: incompatible types ${JSON.stringify(result.type)} / ${JSON.stringify(value)} — using the latter`);
+        result.type = value;
+      } else {
+        result.type = types.length === 1 ? types[0] : types;
+      }
+    } else if (keyword === 'allOf') {
+      result.allOf = [...(result.allOf || []), ...value];
+    } else {
+      result[keyword] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Merges the allOf of a single schema node into one flat schema.
+ * Entries carrying if/then/else are kept in allOf so getEffectiveSchema()
+ * can still evaluate them against live data.
+ *
+ * @param {Object} schema - Schema node that may contain allOf
+ * @param {Object} rootSchema - Root schema for $ref resolution
+ * @param {Set<string>} [seenRefs] - Cycle guard for nested $ref expansion
+ * @returns {Object} Merged schema (the input itself when there is nothing to merge)
+ */
+function mergeAllOf(schema, rootSchema, seenRefs = new Set()) {
+  if (!schema || typeof schema !== 'object' || !Array.isArray(schema.allOf)) return schema;
+
+  const { allOf, ...own } = schema;
+  const conditionalParts = [];
+  let merged = {};
+
+  allOf.forEach(part => {
+    if (part && typeof part === 'object' && part.if !== undefined) {
+      conditionalParts.push(part);
+      return;
+    }
+    const expanded = expandAllOfPart(part, rootSchema, seenRefs);
+    if (expanded) merged = combineSchemas(merged, expanded, rootSchema);
+  });
+
+  // The schema's own keywords apply last (own title/description win)
+  merged = combineSchemas(merged, own, rootSchema);
+
+  if (conditionalParts.length > 0) {
+    merged.allOf = [...(merged.allOf || []), ...conditionalParts];
+  } else if (merged.allOf && merged.allOf.length === 0) {
+    delete merged.allOf;
+  }
+
+  if (!merged.type && merged.properties) {
+    merged.type = 'object';
+  }
+
+  return merged;
+}
+
+/**
+ * Walks the whole schema and merges every allOf it finds (properties, items,
+ * $defs/definitions, branches, polymorphic options...). $refs outside allOf are
+ * left in place — they resolve to the already-merged definitions.
+ *
+ * @param {*} node - Schema node
+ * @param {Object} rootSchema - Root schema for $ref resolution
+ * @returns {*} New schema tree with allOf merged
+ */
+function mergeAllOfDeep(node, rootSchema) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return node;
+
+  const merged = mergeAllOf(node, rootSchema);
+  const result = { ...merged };
+
+  // Keyword maps of subschemas
+  ['properties', 'patternProperties', '$defs', 'definitions', '$Defs', 'dependentSchemas'].forEach(keyword => {
+    const map = result[keyword];
+    if (map && typeof map === 'object' && !Array.isArray(map)) {
+      const walked = {};
+      for (const [key, sub] of Object.entries(map)) {
+        walked[key] = mergeAllOfDeep(sub, rootSchema);
+      }
+      result[keyword] = walked;
+    }
+  });
+
+  // Single subschemas
+  ['items', 'additionalItems', 'additionalProperties', 'unevaluatedProperties',
+   'contains', 'propertyNames', 'not', 'if', 'then', 'else'].forEach(keyword => {
+    if (result[keyword] && typeof result[keyword] === 'object') {
+      result[keyword] = Array.isArray(result[keyword])
+        ? result[keyword].map(sub => mergeAllOfDeep(sub, rootSchema))
+        : mergeAllOfDeep(result[keyword], rootSchema);
+    }
+  });
+
+  // Arrays of subschemas (remaining conditional allOf entries included)
+  ['oneOf', 'anyOf', 'allOf', 'prefixItems'].forEach(keyword => {
+    if (Array.isArray(result[keyword])) {
+      result[keyword] = result[keyword].map(sub => mergeAllOfDeep(sub, rootSchema));
+    }
+  });
+
+  return result;
+}
+
+//=====================
+// MAP OBJECTS (additionalProperties / patternProperties)
+//=====================
+
+/**
+ * Checks whether an object schema accepts free-form keys that need a map editor:
+ * patternProperties, an additionalProperties subschema, or additionalProperties: true
+ * on an object that declares no fixed properties.
+ * @param {Object} schema - Object schema
+ * @returns {boolean}
+ */
+function isMapSchema(schema) {
+  if (!schema || typeof schema !== 'object') return false;
+  if (schema.patternProperties && Object.keys(schema.patternProperties).length > 0) return true;
+  const additional = schema.additionalProperties;
+  if (additional && typeof additional === 'object') return true;
+  return additional === true && !schema.properties;
+}
+
+/**
+ * Returns the schema for the value stored under a free-form map key.
+ * Every matching patternProperties schema applies (merged as allOf); when no
+ * pattern matches, additionalProperties is used; a plain string otherwise.
+ *
+ * @param {Object} schema - Map object schema
+ * @param {string} key - Map key
+ * @param {Object} rootSchema - Root schema for $ref resolution
+ * @returns {Object} Value schema
+ */
+function getMapValueSchema(schema, key, rootSchema) {
+  const matches = Object.entries(schema.patternProperties || {})
+    .filter(([pattern]) => safeRegexTest(pattern, key))
+    .map(([, valueSchema]) => valueSchema);
+
+  let valueSchema;
+  if (matches.length === 1) {
+    valueSchema = matches[0];
+  } else if (matches.length > 1) {
+    valueSchema = mergeAllOf({ allOf: matches }, rootSchema);
+  } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    valueSchema = schema.additionalProperties;
+  } else {
+    valueSchema = { type: 'string' };
+  }
+
+  if (valueSchema.$ref) {
+    valueSchema = resolveRef(valueSchema.$ref, rootSchema) || { type: 'string' };
+  }
+  return valueSchema;
+}
+
+/**
+ * Checks a free-form map key against propertyNames and, when
+ * additionalProperties is false, against the patternProperties patterns.
+ *
+ * @param {string} key - Map key
+ * @param {Object} schema - Map object schema
+ * @param {Object} rootSchema - Root schema for $ref resolution
+ * @returns {string|null} Error message, or null if the key is allowed
+ */
+function getMapKeyError(key, schema, rootSchema) {
+  if (schema.propertyNames !== undefined && !matchesSchema(key, schema.propertyNames, rootSchema)) {
+    const names = schema.propertyNames || {};
+    if (names.pattern) return `Key "${key}" must match pattern ${names.pattern}`;
+    if (Array.isArray(names.enum)) return `Key "${key}" must be one of: ${names.enum.join(', ')}`;
+    return `Key "${key}" is not an allowed property name`;
+  }
+
+  if (schema.additionalProperties === false) {
+    const patterns = Object.keys(schema.patternProperties || {});
+    if (!patterns.some(pattern => safeRegexTest(pattern, key))) {
+      return `Key "${key}" must match one of: ${patterns.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Tests a schema pattern without throwing on an invalid regex
+ */
+function safeRegexTest(pattern, value) {
+  try {
+    return new RegExp(pattern, 'u').test(value);
+  } catch (e) {
+    console.warn(`⚠️ Invalid pattern in schema: ${pattern}`);
+    return false;
+  }
+}
+
+//=====================
+// NULLABLE TYPES (type: [X, "null"] / anyOf: [X, {type: "null"}])
+//=====================
+
+/**
+ * Checks whether a schema allows null next to a real type:
+ * `type: ["integer", "null"]`, or anyOf / oneOf with exactly one
+ * `{type: "null"}` branch and one other branch.
+ * @param {Object} schema - Field schema
+ * @returns {boolean}
+ */
+function isNullableSchema(schema) {
+  if (!schema || typeof schema !== 'object') return false;
+  if (Array.isArray(schema.type)) {
+    return schema.type.includes('null') && schema.type.length > 1;
+  }
+  const options = schema.anyOf || schema.oneOf;
+  return Array.isArray(options) && options.length === 2 &&
+         options.filter(isNullOnlySchema).length === 1;
+}
+
+/**
+ * True for a branch that only accepts null ({type: "null"} / {type: ["null"]})
+ */
+function isNullOnlySchema(schema) {
+  if (!schema || typeof schema !== 'object') return false;
+  return schema.type === 'null' ||
+         (Array.isArray(schema.type) && schema.type.length === 1 && schema.type[0] === 'null');
+}
+
+/**
+ * Returns the schema without its null alternative, so controls, type
+ * conversion and validation see a single real type. For the anyOf / oneOf
+ * form the non-null branch is resolved and the outer keywords (title,
+ * description...) are kept on top of it.
+ *
+ * @param {Object} schema - Field schema
+ * @param {Object} rootSchema - Root schema for $ref resolution
+ * @returns {Object} Non-null schema (the input itself if it is not nullable)
+ */
+function getNonNullSchema(schema, rootSchema) {
+  if (!isNullableSchema(schema)) return schema;
+
+  if (Array.isArray(schema.type)) {
+    const types = schema.type.filter(t => t !== 'null');
+    return { ...schema, type: types.length === 1 ? types[0] : types };
+  }
+
+  const keyword = schema.anyOf ? 'anyOf' : 'oneOf';
+  let branch = schema[keyword].find(option => !isNullOnlySchema(option)) || {};
+  if (branch.$ref) {
+    branch = resolveRef(branch.$ref, rootSchema) || branch;
+  }
+  if (branch.allOf) {
+    branch = mergeAllOf(branch, rootSchema);
+  }
+  const { [keyword]: _omit, ...outer } = schema;
+  return getNonNullSchema({ ...branch, ...outer }, rootSchema);
+}
+
+/**
+ * The type a control should be built for: the first non-null type of a
+ * union, or the schema's own type
+ * @param {Object} schema - Field schema
+ * @param {Object} [rootSchema] - Root schema for $ref resolution
+ * @returns {string|undefined}
+ */
+function getPrimaryType(schema, rootSchema) {
+  const type = getNonNullSchema(schema, rootSchema)?.type;
+  return Array.isArray(type) ? type.find(t => t !== 'null') : type;
+}
+
+//=====================
+// TUPLE ARRAYS (prefixItems / array-form items)
+//=====================
+
+/**
+ * Checks whether an array schema is a tuple: 2020-12 `prefixItems` or the
+ * draft-7 array form of `items`
+ * @param {Object} schema - Array schema
+ * @returns {boolean}
+ */
+function isTupleSchema(schema) {
+  if (!schema || typeof schema !== 'object') return false;
+  return Array.isArray(schema.prefixItems) || Array.isArray(schema.items);
+}
+
+/**
+ * Splits a tuple schema into its positional schemas and the schema for
+ * trailing elements. 2020-12: prefixItems + items. Draft 7: items[] + additionalItems.
+ * `rest` is false when no trailing elements are allowed, otherwise the
+ * trailing schema (true / undefined mean "anything").
+ *
+ * @param {Object} schema - Tuple array schema
+ * @returns {{ positions: Array<Object>, rest: Object|boolean|undefined }}
+ */
+function getTupleLayout(schema) {
+  if (Array.isArray(schema.prefixItems)) {
+    return { positions: schema.prefixItems, rest: schema.items };
+  }
+  return { positions: Array.isArray(schema.items) ? schema.items : [], rest: schema.additionalItems };
+}
+
+/**
+ * Schema for one element of a tuple, with $ref resolved and allOf merged.
+ * Trailing elements without a schema fall back to a plain string.
+ *
+ * @param {Object} schema - Tuple array schema
+ * @param {number} index - Element index
+ * @param {Object} rootSchema - Root schema for $ref resolution
+ * @returns {Object|null} Element schema, or null if the position is not allowed
+ */
+function getTuplePositionSchema(schema, index, rootSchema) {
+  const { positions, rest } = getTupleLayout(schema);
+  let itemSchema;
+  if (index < positions.length) {
+    itemSchema = positions[index];
+  } else if (rest === false) {
+    return null;
+  } else {
+    itemSchema = rest;
+  }
+
+  if (!itemSchema || typeof itemSchema !== 'object') {
+    return { type: 'string' };
+  }
+  if (itemSchema.$ref) {
+    itemSchema = resolveRef(itemSchema.$ref, rootSchema) || { type: 'string' };
+  }
+  if (itemSchema.allOf) {
+    itemSchema = mergeAllOf(itemSchema, rootSchema);
+  }
+  return itemSchema;
+}
+
+//=====================
+// CONDITIONAL SUBSCHEMAS (if / then / else)
+//=====================
+
+/**
+ * Reads a value out of a data object by path segments.
+ * Numeric segments index into arrays, matching setNestedValue() in data-builder.js.
+ *
+ * @param {Object} data - Data object (usually state.formData)
+ * @param {Array<string|number>} pathKeys - Path segments, e.g. ['demographic', 'mbr_address']
+ * @returns {*} The value at that path, or undefined
+ */
+function getDataAtPath(data, pathKeys) {
+  let current = data;
+  for (const key of pathKeys) {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * Lightweight JSON Schema matcher used to evaluate `if` subschemas.
+ * Only answers "does this value satisfy the subschema?" — it produces no
+ * error messages. Follows spec semantics: `properties` only applies to keys
+ * that are present and `required` only applies when the value is an object.
+ *
+ * @param {*} value - Data to test
+ * @param {Object|boolean} subschema - The subschema (typically the `if` block)
+ * @param {Object} rootSchema - Root schema for $ref resolution
+ * @returns {boolean} True if value satisfies the subschema
+ */
+function matchesSchema(value, subschema, rootSchema) {
+  if (subschema === true || subschema === undefined || subschema === null) return true;
+  if (subschema === false) return false;
+  if (typeof subschema !== 'object') return true;
+
+  if (subschema.$ref) {
+    const resolved = resolveRef(subschema.$ref, rootSchema);
+    if (resolved && !matchesSchema(value, resolved, rootSchema)) return false;
+  }
+
+  if ('const' in subschema && JSON.stringify(value) !== JSON.stringify(subschema.const)) {
+    return false;
+  }
+  if (Array.isArray(subschema.enum) &&
+      !subschema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+    return false;
+  }
+
+  if (subschema.type) {
+    const types = Array.isArray(subschema.type) ? subschema.type : [subschema.type];
+    if (!types.some(t => matchesType(value, t))) return false;
+  }
+
+  if (typeof value === 'string') {
+    if (subschema.minLength !== undefined && value.length < subschema.minLength) return false;
+    if (subschema.maxLength !== undefined && value.length > subschema.maxLength) return false;
+    if (subschema.pattern && !new RegExp(subschema.pattern).test(value)) return false;
+  }
+
+  if (typeof value === 'number') {
+    if (subschema.minimum !== undefined && value < subschema.minimum) return false;
+    if (subschema.maximum !== undefined && value > subschema.maximum) return false;
+    if (subschema.exclusiveMinimum !== undefined && value <= subschema.exclusiveMinimum) return false;
+    if (subschema.exclusiveMaximum !== undefined && value >= subschema.exclusiveMaximum) return false;
+  }
+
+  if (Array.isArray(value)) {
+    if (subschema.minItems !== undefined && value.length < subschema.minItems) return false;
+    if (subschema.maxItems !== undefined && value.length > subschema.maxItems) return false;
+    if (subschema.contains && !value.some(item => matchesSchema(item, subschema.contains, rootSchema))) {
+      return false;
+    }
+    if (isTupleSchema(subschema)) {
+      const { positions, rest } = getTupleLayout(subschema);
+      if (rest === false && value.length > positions.length) return false;
+      const tupleMatches = value.every((item, index) => index < positions.length
+        ? matchesSchema(item, positions[index], rootSchema)
+        : matchesSchema(item, rest, rootSchema));
+      if (!tupleMatches) return false;
+    }
+  }
+
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    if (Array.isArray(subschema.required)) {
+      // collectFormData() writes null / '' for empty inputs — count those as missing
+      const missing = subschema.required.some(key =>
+        value[key] === undefined || value[key] === null || value[key] === ''
+      );
+      if (missing) return false;
+    }
+    const dependentRequired = getDependentRequired(subschema, value);
+    if (Object.keys(dependentRequired).some(key => !isPresentValue(value[key]))) return false;
+    if (subschema.properties) {
+      for (const [key, propSchema] of Object.entries(subschema.properties)) {
+        if (value[key] === undefined) continue;
+        if (!matchesSchema(value[key], propSchema, rootSchema)) return false;
+      }
+    }
+  }
+
+  if (subschema.not && matchesSchema(value, subschema.not, rootSchema)) return false;
+  if (Array.isArray(subschema.allOf) && !subschema.allOf.every(s => matchesSchema(value, s, rootSchema))) {
+    return false;
+  }
+  if (Array.isArray(subschema.anyOf) && !subschema.anyOf.some(s => matchesSchema(value, s, rootSchema))) {
+    return false;
+  }
+  if (Array.isArray(subschema.oneOf) &&
+      subschema.oneOf.filter(s => matchesSchema(value, s, rootSchema)).length !== 1) {
+    return false;
+  }
+
+  // Nested conditionals inside the if block itself
+  if (subschema.if !== undefined) {
+    const branch = matchesSchema(value, subschema.if, rootSchema) ? subschema.then : subschema.else;
+    if (branch !== undefined && !matchesSchema(value, branch, rootSchema)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Checks a value against a single JSON Schema type name
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':  return typeof value === 'string';
+    case 'number':  return typeof value === 'number' && !isNaN(value);
+    case 'integer': return typeof value === 'number' && Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array':   return Array.isArray(value);
+    case 'object':  return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null':    return value === null;
+    default:        return true;
+  }
+}
+
+/**
+ * Checks whether a schema carries data-dependent subschemas: if/then/else
+ * (directly or inside allOf), dependentRequired, dependentSchemas or the
+ * draft-7 `dependencies` keyword
+ * @param {Object} schema - Object schema
+ * @returns {boolean}
+ */
+function hasConditionalSubschemas(schema) {
+  if (!schema || typeof schema !== 'object') return false;
+  if (schema.if !== undefined) return true;
+  if (schema.dependentRequired || schema.dependentSchemas || schema.dependencies) return true;
+  return Array.isArray(schema.allOf) && schema.allOf.some(sub => sub && sub.if !== undefined);
+}
+
+/**
+ * A property counts as "present" for dependentRequired / dependentSchemas when
+ * it holds a real value. collectFormData() emits null, '' or [] for untouched
+ * inputs, so those are treated as absent.
+ */
+function isPresentValue(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (Array.isArray(value) && value.length === 0) return false;
+  return true;
+}
+
+/**
+ * Lists the properties that become required because another property is present.
+ * Reads draft 2019-09 `dependentRequired` and the array form of draft-7 `dependencies`.
+ *
+ * @param {Object} schema - Object schema
+ * @param {Object} data - Data for that object
+ * @returns {Object} Map of requiredKey → [trigger keys that require it]
+ */
+function getDependentRequired(schema, data) {
+  const result = {};
+  if (!schema || !data || typeof data !== 'object') return result;
+
+  const sources = [schema.dependentRequired || {}];
+  if (schema.dependencies) {
+    const arrayDeps = {};
+    Object.entries(schema.dependencies).forEach(([trigger, dep]) => {
+      if (Array.isArray(dep)) arrayDeps[trigger] = dep;
+    });
+    sources.push(arrayDeps);
+  }
+
+  sources.forEach(source => {
+    Object.entries(source).forEach(([trigger, requiredKeys]) => {
+      if (!isPresentValue(data[trigger]) || !Array.isArray(requiredKeys)) return;
+      requiredKeys.forEach(key => {
+        result[key] = result[key] || [];
+        if (!result[key].includes(trigger)) result[key].push(trigger);
+      });
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Merges an active then/else branch into a base object schema.
+ * - properties: merged per key; branch constraints overlay the base property
+ *   (base $ref is resolved first so sibling constraints are not lost)
+ * - required: union of both lists
+ * - any other keyword: branch value wins
+ *
+ * @param {Object} base - Base object schema (without its own if/then/else)
+ * @param {Object} branch - Active then/else subschema
+ * @param {Object} rootSchema - Root schema for $ref resolution
+ * @returns {Object} New merged schema (inputs are not mutated)
+ */
+function mergeSchemaBranch(base, branch, rootSchema) {
+  if (!branch || typeof branch !== 'object') return base;
+  if (branch.$ref) {
+    const { $ref, ...rest } = branch;
+    branch = { ...(resolveRef($ref, rootSchema) || {}), ...rest };
+  }
+
+  const { properties, required, allOf, ...keywords } = branch;
+  const merged = { ...base, ...keywords };
+
+  if (properties) {
+    merged.properties = { ...(base.properties || {}) };
+    for (const [key, branchProp] of Object.entries(properties)) {
+      let baseProp = merged.properties[key];
+      if (baseProp && baseProp.$ref) {
+        const { $ref, ...rest } = baseProp;
+        baseProp = { ...(resolveRef($ref, rootSchema) || {}), ...rest };
+      }
+      merged.properties[key] = baseProp ? { ...baseProp, ...branchProp } : branchProp;
+    }
+  }
+
+  if (required) {
+    merged.required = [...new Set([...(base.required || []), ...required])];
+  }
+
+  if (allOf) {
+    merged.allOf = [...(base.allOf || []), ...allOf];
+  }
+
+  return merged;
+}
+
+/**
+ * Computes the effective schema of an object for the given data by evaluating
+ * every if/then/else (at the schema itself and inside allOf) and merging the
+ * active branch. Branches may carry their own if/then/else — those are
+ * evaluated recursively.
+ * NEW: dependentRequired adds to `required`, and dependentSchemas (or the draft-7
+ * `dependencies` equivalents) are merged like a branch for every present trigger.
+ *
+ * @param {Object} schema - Object schema that may contain if/then/else / dependent*
+ * @param {*} data - Current data for that object (from collectFormData / state.formData)
+ * @param {Object} rootSchema - Root schema for $ref resolution
+ * @returns {Object} Effective schema; the original object if no conditionals apply
+ */
+function getEffectiveSchema(schema, data, rootSchema) {
+  if (!hasConditionalSubschemas(schema)) return schema;
+
+  const conditionals = [];
+  if (schema.if !== undefined) {
+    conditionals.push({ if: schema.if, then: schema.then, else: schema.else });
+  }
+
+  const { if: _if, then: _then, else: _else,
+          dependentRequired, dependentSchemas, dependencies, ...base } = schema;
+  let effective = base;
+
+  if (Array.isArray(schema.allOf)) {
+    const plainAllOf = [];
+    schema.allOf.forEach(sub => {
+      if (sub && sub.if !== undefined) {
+        conditionals.push(sub);
+      } else {
+        plainAllOf.push(sub);
+      }
+    });
+    effective = { ...effective };
+    if (plainAllOf.length > 0) {
+      effective.allOf = plainAllOf;
+    } else {
+      delete effective.allOf;
+    }
+  }
+
+  const value = data === undefined ? {} : data;
+
+  // dependentRequired / dependencies (array form)
+  const dependentKeys = Object.keys(getDependentRequired(schema, value));
+  if (dependentKeys.length > 0) {
+    effective = {
+      ...effective,
+      required: [...new Set([...(effective.required || []), ...dependentKeys])]
+    };
+  }
+
+  // dependentSchemas / dependencies (schema form)
+  const schemaDeps = { ...(dependentSchemas || {}) };
+  Object.entries(dependencies || {}).forEach(([trigger, dep]) => {
+    if (dep && typeof dep === 'object' && !Array.isArray(dep)) schemaDeps[trigger] = dep;
+  });
+  if (value && typeof value === 'object') {
+    Object.entries(schemaDeps).forEach(([trigger, depSchema]) => {
+      if (isPresentValue(value[trigger]) && depSchema && typeof depSchema === 'object') {
+        effective = getEffectiveSchema(mergeSchemaBranch(effective, depSchema, rootSchema), data, rootSchema);
+      }
+    });
+  }
+
+  conditionals.forEach(cond => {
+    const branch = matchesSchema(value, cond.if, rootSchema) ? cond.then : cond.else;
+    if (branch && typeof branch === 'object') {
+      effective = getEffectiveSchema(mergeSchemaBranch(effective, branch, rootSchema), data, rootSchema);
+    }
+  });
+
+  return effective;
+}
+
 //=====================
 
 
@@ -671,7 +1422,22 @@ function analyzePropertyComplexity(properties, schema) {
 
 export { analyzeSchemaStructure,
          detectSchemaPattern,
-         normalizeSchema
+         normalizeSchema,
+         mergeAllOf,
+         getEffectiveSchema,
+         hasConditionalSubschemas,
+         getDependentRequired,
+         matchesSchema,
+         isMapSchema,
+         getMapValueSchema,
+         getMapKeyError,
+         isNullableSchema,
+         getNonNullSchema,
+         getPrimaryType,
+         isTupleSchema,
+         getTupleLayout,
+         getTuplePositionSchema,
+         getDataAtPath
 };
 
 // ==== END OF FILE ====/
\ No newline at end of file
@@ -1,6 +1,8 @@
 // schema-registry.js (Vercel + GitHub backed, per-user isolation)
 // Drop-in replacement — all function signatures unchanged.
 
+import { clearSchemaCache } from './schema-bundler.js';
+
 const API = '/api/schemas';
 
 // ── User helpers (used by data-builder.js) ────────────────────────────────────
@@ -54,10 +56,15 @@ export async function saveToRegistry(schemaFile, optionsFile, description) {
     })
   });
   if (!res.ok) throw new Error('Failed to save schema');
+  // Referenced schemas / imported options files may have changed
+  clearSchemaCache();
   return await res.json();
 }
 
 export async function loadSchemaEntry(entry) {
+  // Fetch referenced schemas and options imports again, not from an earlier load
+  clearSchemaCache();
+
   const schemaData = await fetch(
     `${API}?file=${entry.schema}`,
     { headers: userHeaders() }
@@ -214,10 +214,16 @@ app.delete('/api/registry/remove', (req, res) => {
 // Serves individual schema / options files from schemas/.
 // (express.static already handles this, but an explicit route gives
 //  better 404 messages.)
-app.get('/schemas/:filename', (req, res) => {
-  const filePath = path.join(SCHEMAS_DIR, path.basename(req.params.filename));
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ ok: false, error: `File not found: ${req.params.filename}` });
+// Sub-folders are allowed so cross-file $refs such as
+// "common/address.json" resolve; paths may not leave schemas/.
+app.get('/schemas/*', (req, res) => {
+  const requested = req.params[0] || '';
+  const filePath  = path.resolve(SCHEMAS_DIR, requested);
+  if (!filePath.startsWith(SCHEMAS_DIR + path.sep)) {
+    return res.status(400).json({ ok: false, error: `Invalid path: ${requested}` });
+  }
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return res.status(404).json({ ok: false, error: `File not found: ${requested}` });
   }
   res.sendFile(filePath);
 });
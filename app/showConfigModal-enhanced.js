@@ -9,14 +9,22 @@
 // Exports:
 //   showConfigModal()          – open the config / library modal
 //   initSchemaPickerBanner()   – show quick-load banner on page load
+//
+// Step 2 can also download a skeleton options file generated from the chosen
+// (or selected library) schema - see options-generator.js.
 // ──────────────────────────────────────────────────────────────────────────────
 // @ts-check
 
 import { state, updateState }                                         from './state.js';
 import { validateOptionsAgainstSchema, showValidationErrorsDialog }   from './file-validation.js';
-import { ashAlert, ashConfirm }                                       from './utils.js';
+import { ashAlert, ashConfirm, saveJsonWithDialog }                   from './utils.js';
 import { renderForm, updateFileStatusDisplay }                        from './form-renderer.js';
 import { resolveReferences }                                          from './file-operations.js';
+import { bundleSchema }                                               from './schema-bundler.js';
+import { composeOptions }                                             from './options-composer.js';
+import { buildTriggersToAffected }                                    from './conditional-rules.js';
+import { registerFormatsFromOptions }                                 from './format-registry.js';
+import { generateOptionsFile }                                        from './options-generator.js';
 import {
   getAllSchemas,
   saveToRegistry,
@@ -99,6 +107,8 @@ import {
                                cursor:pointer; font-size:12px; color:#0033ff;
                                font-weight:600; transition:all .2s; }
     .jb-file-label:hover    { background:#0033ff; color:#fff; }
+    .jb-file-label:disabled { opacity:.45; cursor:not-allowed;
+                               background:#fff; color:#0033ff; }
     .jb-chosen-name         { display:none; margin-top:5px; font-size:11px;
                                color:#444; padding:4px 10px; background:#f0f4ff;
                                border-left:3px solid #0033ff; border-radius:3px; }
@@ -226,16 +236,35 @@ function buildModalHTML(entries) {
             </div>
           </div>
 
+          <!-- Step 1b – Referenced schema files -->
+          <div class="jb-step">
+            <div class="jb-step-num">+</div>
+            <div class="jb-step-body">
+              <h4>Referenced Schemas <span style="color:#999; font-weight:400;">(optional)</span></h4>
+              <p>Files used by external $refs (e.g. common/address.json) or by the options file's imports. Files not found here are loaded from /schemas/</p>
+              <input type="file" accept=".json" id="jbRefsInput" multiple style="display:none">
+              <label for="jbRefsInput" class="jb-file-label">
+                🔗 Choose Files
+              </label>
+              <div class="jb-chosen-name" id="jbRefsName"></div>
+            </div>
+          </div>
+
           <!-- Step 2 – Options -->
           <div class="jb-step">
             <div class="jb-step-num">2</div>
             <div class="jb-step-body">
               <h4>Options File <span style="color:#999; font-weight:400;">(optional)</span></h4>
-              <p>Custom dropdowns, dependent fields and conditional rules</p>
+              <p>Custom dropdowns, dependent fields and conditional rules.
+                 No options file yet? Generate a starting point from the schema.</p>
               <input type="file" accept=".json" id="jbOptionsInput" style="display:none">
               <label for="jbOptionsInput" class="jb-file-label">
                 ⚙️ Choose Options
               </label>
+              <button type="button" class="jb-file-label" id="jbGenerateBtn" disabled
+                      title="Download a skeleton options file for the chosen schema">
+                ✨ Generate from Schema
+              </button>
               <div class="jb-chosen-name" id="jbOptionsName"></div>
             </div>
           </div>
@@ -302,6 +331,11 @@ function setConfirmEnabled(on) {
   if (btn) btn.disabled = !on;
 }
 
+function setGenerateEnabled(on) {
+  const btn = document.getElementById('jbGenerateBtn');
+  if (btn) btn.disabled = !on;
+}
+
 // ─── showConfigModal ──────────────────────────────────────────────────────────
 
 /**
@@ -327,6 +361,7 @@ export async function showConfigModal() {
   // ── Session-local state ──────────────────────────────────────────────────
   let newSchemaFile  = null;   // File chosen in step 1
   let newOptionsFile = null;   // File chosen in step 2
+  let newRefFiles    = [];     // Files for external $refs / options imports (step 1b)
   let libIndex       = -1;     // selected library row (-1 = none)
 
   // ── Helpers ──────────────────────────────────────────────────────────────
@@ -339,6 +374,7 @@ export async function showConfigModal() {
     const entry = registry.entries[idx];
     setStatus('✅', `Ready — "${entry.description || entry.schema}"`, 'ok');
     setConfirmEnabled(true);
+    setGenerateEnabled(true);
     // Clear "new file" selections so modes don't mix
     newSchemaFile  = null;
     newOptionsFile = null;
@@ -391,6 +427,7 @@ export async function showConfigModal() {
           libIndex = -1;
           setStatus('⏳', 'Entry removed. Select from library or load new files.');
           setConfirmEnabled(false);
+          setGenerateEnabled(false);
         }
       });
     });
@@ -457,6 +494,7 @@ export async function showConfigModal() {
 
     setStatus('✅', 'Schema ready — add options or confirm to load.', 'ok');
     setConfirmEnabled(true);
+    setGenerateEnabled(true);
   });
 
   document.getElementById('jbOptionsInput').addEventListener('change', async e => {
@@ -477,6 +515,28 @@ export async function showConfigModal() {
     nameEl.classList.add('show');
   });
 
+  document.getElementById('jbRefsInput').addEventListener('change', e => {
+    newRefFiles = Array.from(e.target.files || []);
+    const nameEl = document.getElementById('jbRefsName');
+    nameEl.textContent = newRefFiles.map(f => `🔗 ${f.name}`).join('  ');
+    nameEl.classList.toggle('show', newRefFiles.length > 0);
+  });
+
+  // ── Generate options skeleton ─────────────────────────────────────────────
+
+  document.getElementById('jbGenerateBtn').addEventListener('click', async () => {
+    try {
+      if (libIndex >= 0) {
+        await doGenerateOptions(registry.entries[libIndex], null, []);
+      } else if (newSchemaFile) {
+        await doGenerateOptions(null, newSchemaFile, newRefFiles);
+      }
+    } catch (err) {
+      console.error('Options generation error:', err);
+      setStatus('❌', `Error: ${err.message}`, 'err');
+    }
+  });
+
   // ── Cancel / backdrop ─────────────────────────────────────────────────────
 
   document.getElementById('jbCancelBtn').addEventListener('click', () => {
@@ -502,7 +562,7 @@ export async function showConfigModal() {
         // ── Mode B: load new files ──────────────────────────────────────────
         const description   = document.getElementById('jbDesc').value.trim();
         const saveToLib     = document.getElementById('jbSaveChk').checked;
-        await doLoadNewFiles(newSchemaFile, newOptionsFile, description, saveToLib, modal);
+        await doLoadNewFiles(newSchemaFile, newOptionsFile, description, saveToLib, modal, newRefFiles);
 
       } else {
         setStatus('⚠️', 'Please select a library entry or choose a schema file.', 'warn');
@@ -574,9 +634,12 @@ async function refreshBannerDropdown(activeSchema) {
 
 /** Mode A – load from saved library entry */
 async function doLoadFromLibrary(entry, modal) {
-  const { schemaData, optionsData, schemaFile, optionsFile } =
+  const { schemaData: rawSchema, optionsData, schemaFile, optionsFile } =
     await loadSchemaEntry(entry);
 
+  // Pull in documents referenced by external $refs (from /schemas/)
+  const schemaData = await bundleSchema(rawSchema, { filename: entry.schema });
+
   updateState({
     currentSchema:      schemaData,
     definitions:        schemaData.definitions || schemaData.$defs || {},
@@ -588,7 +651,8 @@ async function doLoadFromLibrary(entry, modal) {
   if (optionsData) {
     // resolveReferences must run on raw data before applying —
     // it expands $ref pointers and ##listName shortcuts in the options file.
-    const resolvedOptions = resolveReferences(optionsData, optionsData);
+    const composed = await composeOptions(optionsData, { filename: entry.options });
+    const resolvedOptions = resolveReferences(composed, composed);
     await applyOptions(resolvedOptions, optionsFile);
     console.log(`✅ Options applied: ${entry.options}`);
   } else {
@@ -605,9 +669,12 @@ async function doLoadFromLibrary(entry, modal) {
 }
 
 /** Mode B – load freshly chosen files, optionally save to library */
-async function doLoadNewFiles(schemaFile, optionsFile, description, saveToLib, modal) {
+async function doLoadNewFiles(schemaFile, optionsFile, description, saveToLib, modal, refFiles = []) {
   const schemaText = await schemaFile.text();
-  const schema     = JSON.parse(schemaText);
+  const rawSchema  = JSON.parse(schemaText);
+
+  // Resolve external $refs against the uploaded files, then /schemas/
+  const schema     = await bundleSchema(rawSchema, { filename: schemaFile.name, files: refFiles });
 
   updateState({
     currentSchema:      schema,
@@ -616,13 +683,20 @@ async function doLoadNewFiles(schemaFile, optionsFile, description, saveToLib, m
     dataFilename:       null
   });
 
+  let libraryOptionsFile = optionsFile;
+
   if (optionsFile) {
     const rawOpts  = JSON.parse(await optionsFile.text());
-    const resolved = resolveReferences(rawOpts, rawOpts);
+    // Imports come from the uploaded files first, then the library / schemas/
+    const composed = await composeOptions(rawOpts, { filename: optionsFile.name, files: refFiles });
+    const resolved = resolveReferences(composed, composed);
+    if (refFiles.length > 0 && composed !== rawOpts) {
+      libraryOptionsFile = new File([JSON.stringify(composed, null, 2)], optionsFile.name, { type: 'application/json' });
+    }
 
-    const validation = validateOptionsAgainstSchema(resolved, schema);
+    const validation = validateOptionsAgainstSchema(resolved, schema, composed);
     if (!validation.isValid) {
-      const proceed = await showValidationErrorsDialog(validation.missingKeys);
+      const proceed = await showValidationErrorsDialog(validation.missingKeys, validation.structureErrors, validation.lintIssues);
       if (!proceed) {
         clearOptions();
         updateState({ selectedOptionsFile: null });
@@ -640,7 +714,13 @@ async function doLoadNewFiles(schemaFile, optionsFile, description, saveToLib, m
   // Save to server if requested
   if (saveToLib) {
     try {
-      await saveToRegistry(schemaFile, optionsFile, description);
+      // Referenced files were only uploaded, not saved — store the bundled
+      // schema (and composed options) so the library entry loads on its own
+      // next time
+      const libraryFile = refFiles.length > 0 && schema !== rawSchema
+        ? new File([JSON.stringify(schema, null, 2)], schemaFile.name, { type: 'application/json' })
+        : schemaFile;
+      await saveToRegistry(libraryFile, libraryOptionsFile, description);
       console.log('✅ Schema saved to server library');
     } catch (err) {
       // Non-fatal — file still loads, just warn
@@ -658,6 +738,30 @@ async function doLoadNewFiles(schemaFile, optionsFile, description, saveToLib, m
   console.log(`✅ Loaded new files: ${schemaFile.name}`);
 }
 
+/**
+ * Generates a skeleton options file for a library entry or a chosen schema
+ * file and offers it as a download ("<schema>.options.json")
+ */
+async function doGenerateOptions(entry, schemaFile, refFiles = []) {
+  setStatus('⏳', 'Generating options…');
+
+  const filename  = entry ? entry.schema : schemaFile.name;
+  const rawSchema = entry
+    ? (await loadSchemaEntry(entry)).schemaData
+    : JSON.parse(await schemaFile.text());
+  const schema    = await bundleSchema(rawSchema, { filename, files: refFiles });
+
+  const options     = generateOptionsFile(schema);
+  const optionsName = `${filename.replace(/\.json$/i, '')}.options.json`;
+
+  if (await saveJsonWithDialog(options, optionsName, '')) {
+    setStatus('✅', `${optionsName} saved with ${Object.keys(options).length} field(s) — fill it in, then choose it as the options file.`, 'ok');
+    console.log(`✅ Generated options skeleton: ${optionsName}`);
+  } else {
+    setStatus('⏳', 'Options file not saved.');
+  }
+}
+
 // ─── Shared utilities ─────────────────────────────────────────────────────────
 
 /** Applies resolved options object to global app state */
@@ -665,27 +769,10 @@ async function applyOptions(resolvedOptions, optionsFile) {
   updateState({
     customOptions:       resolvedOptions,
     conditionalRules:    resolvedOptions.conditional_rules || {},
-    triggersToAffected:  {},
+    triggersToAffected:  buildTriggersToAffected(resolvedOptions),
     selectedOptionsFile: optionsFile
   });
-
-  Object.entries(state.customOptions).forEach(([field, config]) => {
-    if (config.dependent_values) {
-      const depField = Object.keys(config.dependent_values)[0];
-      if (depField) {
-        state.triggersToAffected[depField] = state.triggersToAffected[depField] || [];
-        state.triggersToAffected[depField].push({
-          affected:       field,
-          optionsMap:     config.dependent_values[depField],
-          defaultValues:  config.values || [],
-          responseType:   config.response_type,
-          inputControl:   config.input_control || 'drop-down',
-          disable_values: config.disable_values || [],
-          exclusive_values: config.exclusive_values || [] 
-        });
-      }
-    }
-  });
+  registerFormatsFromOptions(resolvedOptions);
 }
 
 /** Clears all options-related state */
@@ -696,6 +783,7 @@ function clearOptions() {
     triggersToAffected:  {},
     exclusiveOptionsMap: {}
   });
+  registerFormatsFromOptions({});
 }
 
 /** Closes the modal and renders the form */
@@ -791,8 +879,9 @@ function buildPickerBanner(entries) {
 
     try {
       const entry = entries[idx];
-      const { schemaData, optionsData, schemaFile, optionsFile } =
+      const { schemaData: rawSchema, optionsData, schemaFile, optionsFile } =
         await loadSchemaEntry(entry);
+      const schemaData = await bundleSchema(rawSchema, { filename: entry.schema });
 
       updateState({
         currentSchema:       schemaData,
@@ -804,7 +893,8 @@ function buildPickerBanner(entries) {
 
       if (optionsData) {
         // resolveReferences must run on raw data before applying.
-        const resolvedOptions = resolveReferences(optionsData, optionsData);
+        const composed = await composeOptions(optionsData, { filename: entry.options });
+        const resolvedOptions = resolveReferences(composed, composed);
         await applyOptions(resolvedOptions, optionsFile);
         console.log(`✅ Options applied: ${entry.options}`);
       } else {
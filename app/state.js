@@ -6,6 +6,8 @@ const initialState = {
   definitions: {},
   customOptions: {},
   conditionalRules: {},
+  conditionalRequired: {},             // fieldPath → true / false while require_fields / optional_fields rules match
+  conditionalHidden: {},               // fieldPath → true while a hide_fields rule matches
   triggersToAffected: {},
   exclusiveOptionsMap: {},
   currentTab: null,
@@ -20,6 +22,8 @@ const initialState = {
   polymorphicOptions: null,
   selectedPolymorphicType: null,
   disableOptionsMap: {},
+  conditionalSchemas: {},              // objectPath ('' = root) → { schema, effective } for if/then/else
+  loadedData: null,                    // last data file populated (deprecated fields it contains stay in the output)
   schemaFileStatus: 'not-loaded',      // 'not-loaded', 'loaded', 'loaded-warning'
   optionsFileStatus: 'not-loaded',     // 'not-loaded', 'loaded', 'loaded-warning'
   dataFileStatus: 'not-loaded'         // 'not-loaded', 'loaded', 'loaded-warning'
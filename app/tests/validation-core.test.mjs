@@ -0,0 +1,94 @@
+// validation-core.test.mjs - Runs validation-core.js against JSON-Schema-Test-Suite fixtures
+//
+// The fixtures in tests/fixtures/ (same layout and file format as the suite's
+// tests/ folder) always run, with formats asserted through format-registry.js.
+// To run the official suite as well, point
+// JSON_SCHEMA_TEST_SUITE at a checkout of
+// https://github.com/json-schema-org/JSON-Schema-Test-Suite:
+//
+//   JSON_SCHEMA_TEST_SUITE=../JSON-Schema-Test-Suite npm test
+//
+// Only the draft folders below are run, without their optional/ tests.
+// The suite's remotes/ folder is served to $ref as http://localhost:1234/.
+// The draft meta-schemas are not bundled, so cases that $ref them fail.
+// Formats stay annotations there, as the suite's required tests expect.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync, existsSync, statSync } from 'node:fs';
+import { join, relative, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateSchema } from '../validation-core.js';
+import { validateFormat } from '../format-registry.js';
+
+/** Suite draft folder → validateSchema dialect */
+const DRAFTS = {
+  draft7: 'draft7',
+  'draft2019-09': '2019-09',
+  'draft2020-12': '2020-12'
+};
+
+const REMOTES_BASE = 'http://localhost:1234/';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const suiteDir = process.env.JSON_SCHEMA_TEST_SUITE;
+
+runSuite('fixtures', fixturesDir, { formats: validateFormat });
+
+if (suiteDir) {
+  runSuite('JSON-Schema-Test-Suite', join(suiteDir, 'tests'), { remotes: loadRemotes(join(suiteDir, 'remotes')) });
+}
+
+/**
+ * One describe block per draft and file, one test per case
+ * @param {string} name - Label of the fixture set
+ * @param {string} testsDir - Folder holding the draft folders
+ * @param {Object} options - validateSchema options shared by every case (remotes, formats)
+ */
+function runSuite(name, testsDir, options) {
+  for (const [draft, dialect] of Object.entries(DRAFTS)) {
+    const draftDir = join(testsDir, draft);
+    if (!existsSync(draftDir)) continue;
+
+    const files = readdirSync(draftDir).filter(file => file.endsWith('.json')).sort();
+    for (const file of files) {
+      const groups = JSON.parse(readFileSync(join(draftDir, file), 'utf8'));
+
+      describe(`${name} ${draft}/${file}`, () => {
+        for (const group of groups) {
+          for (const testCase of group.tests) {
+            test(`${group.description}: ${testCase.description}`, () => {
+              const { valid, errors } = validateSchema(testCase.data, group.schema, { ...options, dialect });
+              assert.equal(valid, testCase.valid,
+                valid ? 'expected errors, got none' : `unexpected errors: ${JSON.stringify(errors)}`);
+            });
+          }
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Reads every JSON file under the suite's remotes/ folder
+ * @param {string} remotesDir
+ * @returns {Object<string, Object|boolean>} Schemas by their localhost:1234 URI
+ */
+function loadRemotes(remotesDir) {
+  const remotes = {};
+  if (!existsSync(remotesDir)) return remotes;
+
+  const walk = dir => {
+    for (const entry of readdirSync(dir)) {
+      const path = join(dir, entry);
+      if (statSync(path).isDirectory()) {
+        walk(path);
+      } else if (entry.endsWith('.json')) {
+        remotes[REMOTES_BASE + relative(remotesDir, path).split('\\').join('/')] = JSON.parse(readFileSync(path, 'utf8'));
+      }
+    }
+  };
+  walk(remotesDir);
+
+  return remotes;
+}
@@ -11,7 +11,6 @@
  */
 async function saveJsonWithDialog(data, dataFilename, dataFilePath) {
   const jsonString = JSON.stringify(data, null, 2);
-  const blob = new Blob([jsonString], { type: 'application/json' });
   
   // Ensure filename has .json extension
   let suggestedName = dataFilePath ? (dataFilePath + '/' + (dataFilename || 'form-data.json')) : (dataFilename || 'form-data.json');
@@ -22,19 +21,37 @@ async function saveJsonWithDialog(data, dataFilename, dataFilePath) {
   // Note: dataFilePath can't prefill dialog location due to browser security; used for logging only
   console.log(`Suggested save: ${dataFilePath ? dataFilePath + '/' : ''}${suggestedName}`);
   
+  return saveTextWithDialog(jsonString, suggestedName, {
+    description: 'JSON Files',
+    mimeType: 'application/json',
+    extension: '.json'
+  });
+}
+
+/**
+ * NEW: Saves text content (CSV, HTML, JSON...) with a save file dialog if
+ * available, falling back to anchor download
+ * @param {string} content - File content
+ * @param {string} suggestedName - Suggested file name
+ * @param {Object} fileType - { description: 'CSV Files', mimeType: 'text/csv', extension: '.csv' }
+ * @returns {Promise<boolean>} True if saved, false if cancelled or error
+ */
+async function saveTextWithDialog(content, suggestedName, { description, mimeType, extension }) {
+  const blob = new Blob([content], { type: mimeType });
+  
   if ('showSaveFilePicker' in window) {
     try {
       const handle = await window.showSaveFilePicker({
         suggestedName: suggestedName,
         types: [{
-          description: 'JSON Files',
-          accept: { 'application/json': ['.json'] },
+          description: description,
+          accept: { [mimeType]: [extension] },
         }],
       });
       const writable = await handle.createWritable();
       await writable.write(blob);
       await writable.close();
-      console.log('✔ JSON saved to file');
+      console.log(`✔ ${description} saved to file`);
       return true;
     } catch (error) {
       if (error.name === 'AbortError') {
@@ -57,7 +74,7 @@ async function saveJsonWithDialog(data, dataFilename, dataFilePath) {
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
-    console.log('✔ JSON saved to file (fallback)');
+    console.log(`✔ ${description} saved to file (fallback)`);
     return true;
   }
 }
@@ -430,6 +447,7 @@ function escapeHtml(str) {
 }
 
 export { saveJsonWithDialog, 
+         saveTextWithDialog,
          exportJsonToClipboard,
          addTooltip,
          ashAlert,
@@ -0,0 +1,903 @@
+// validation-core.js - Standalone JSON Schema validator (draft 7 through 2020-12)
+// @ts-check
+//
+// No DOM access and no app state: a value and a schema go in, structured error
+// records come out. The same module runs in the browser and in Node, e.g.
+// against the JSON-Schema-Test-Suite fixtures:
+//
+//   import { validateSchema } from './app/validation-core.js';
+//   const { valid, errors } = validateSchema(test.data, testCase.schema, { remotes });
+//
+// Every error is a record in the ajv / JSON Schema output style:
+//
+//   { instancePath: '/medications/2/dose',        // JSON Pointer into the value
+//     schemaPath: '#/properties/medications/items/properties/dose/minimum',
+//     keyword: 'minimum', params: { limit: 1 }, message: 'Must be at least 1' }
+//
+// schemaPath is the evaluation path, so it runs through "$ref" when one was
+// followed. Formats are annotations unless a `formats` checker is passed in.
+
+console.log('🧪 Validation Core Module Loaded');
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} instancePath - JSON Pointer to the failing value ('' = root)
+ * @property {string} schemaPath - Evaluation path of the failing keyword ('#/...')
+ * @property {string} keyword - Failing keyword ('minimum', 'required', ...)
+ * @property {Object} params - Keyword details ({ limit }, { missingProperty }, ...)
+ * @property {string} message - Human-readable message
+ */
+
+/**
+ * @typedef {Object} ValidateOptions
+ * @property {Object|boolean} [rootSchema] - Document that `schema` is part of (for $ref)
+ * @property {Object<string, Object|boolean>} [remotes] - Schemas for remote $refs, by URI
+ * @property {function(string, string): (string|null)} [formats] - Format checker
+ *           (value, format) => message or null. Without it, format is not asserted.
+ * @property {Object<string, function>} [keywords] - Extra keywords:
+ *           (keywordValue, value, { schema, instancePath }) => message(s) or null
+ * @property {string} [basePath] - JSON Pointer prefix for reported instance paths
+ * @property {'draft7'|'2019-09'|'2020-12'} [dialect] - Overrides $schema detection
+ */
+
+const DEFAULT_BASE_URI = 'https://schema.local/root.json';
+const MAX_DEPTH = 512;
+
+// Keywords whose values are (maps / lists of) subschemas - walked when indexing
+// $id / $anchor, so identifiers inside enum / const / examples are never picked up
+const SUBSCHEMA_KEYWORDS = ['additionalItems', 'additionalProperties', 'contains', 'contentSchema',
+  'else', 'if', 'items', 'not', 'propertyNames', 'then', 'unevaluatedItems', 'unevaluatedProperties'];
+const SUBSCHEMA_MAP_KEYWORDS = ['$defs', 'definitions', 'dependencies', 'dependentSchemas',
+  'patternProperties', 'properties'];
+const SUBSCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'items', 'oneOf', 'prefixItems'];
+
+const registryCache = new WeakMap();
+const regexCache = new Map();
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Validates a value against a JSON schema
+ * @param {*} value - Value to validate
+ * @param {Object|boolean} schema - Schema (or a subschema of options.rootSchema)
+ * @param {ValidateOptions} [options]
+ * @returns {{ valid: boolean, errors: ValidationError[], warnings: ValidationError[] }}
+ */
+function validateSchema(value, schema, options = {}) {
+  const root = options.rootSchema ?? schema;
+  const dialect = options.dialect || detectDialect(root);
+  const registry = getRegistry(root, dialect, options.remotes);
+
+  const ctx = {
+    registry,
+    dialect,
+    remotes: options.remotes || null,
+    formats: options.formats || null,
+    keywords: options.keywords || {},
+    depth: 0
+  };
+
+  const base = (schema && typeof schema === 'object' && registry.baseOf.get(schema)) || registry.rootUri;
+  const result = evaluate(value, schema, ctx, options.basePath || '', '#', base, [registry.rootUri]);
+
+  return { valid: result.valid, errors: result.errors, warnings: dedupeByPath(result.warnings) };
+}
+
+/**
+ * Escapes one JSON Pointer segment (~ and /)
+ * @param {string|number} segment
+ * @returns {string}
+ */
+function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Converts a JSON Pointer to the field path notation used by the form:
+ * "/medications/2/dose" → "medications[2].dose"
+ * @param {string} pointer
+ * @returns {string}
+ */
+function pointerToPath(pointer) {
+  if (!pointer) return '';
+  return pointer.slice(1).split('/')
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((path, segment) => (/^\d+$/.test(segment) && path
+      ? `${path}[${segment}]`
+      : (path ? `${path}.${segment}` : segment)), '');
+}
+
+/**
+ * Converts a field path ("medications[2].dose" or "medications.2.dose") to a
+ * JSON Pointer ("/medications/2/dose")
+ * @param {string} path
+ * @returns {string}
+ */
+function pathToPointer(path) {
+  if (!path) return '';
+  return '/' + path.replace(/\[(\d+)\]/g, '.$1').split('.').map(escapePointerSegment).join('/');
+}
+
+/**
+ * Short description of a schema for messages ("one of: A, B", "an integer >= 10")
+ * @param {Object|boolean} schema
+ * @returns {string}
+ */
+function describeSchema(schema) {
+  if (!schema || typeof schema !== 'object') return 'valid';
+  if (schema.title) return `"${schema.title}"`;
+  if ('const' in schema) return JSON.stringify(schema.const);
+  if (Array.isArray(schema.enum)) return `one of: ${schema.enum.map(formatValue).join(', ')}`;
+
+  const type = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+  const bounds = [];
+  if (schema.minimum !== undefined) bounds.push(`>= ${schema.minimum}`);
+  if (schema.maximum !== undefined) bounds.push(`<= ${schema.maximum}`);
+  if (schema.pattern) bounds.push(`matching ${schema.pattern}`);
+  if (Array.isArray(schema.required)) bounds.push(`with ${schema.required.join(', ')}`);
+  if (!type && bounds.length === 0) return 'matching the "contains" schema';
+  return [type ? `a${/^[aeiou]/.test(type) ? 'n' : ''} ${type}` : 'a value', ...bounds].join(' ');
+}
+
+// ==================== SCHEMA REGISTRY ($id / $anchor / $ref) ====================
+
+/**
+ * Works out the dialect from $schema (2020-12 when absent)
+ * @param {*} schema
+ * @returns {'draft7'|'2019-09'|'2020-12'}
+ */
+function detectDialect(schema) {
+  const uri = schema && typeof schema === 'object' && typeof schema.$schema === 'string' ? schema.$schema : '';
+  if (/draft-0[4-7]/.test(uri)) return 'draft7';
+  if (uri.includes('2019-09')) return '2019-09';
+  return '2020-12';
+}
+
+/**
+ * Returns the (cached) registry of resources and anchors for a root schema.
+ * Registries with remotes are built per call, remotes are indexed lazily.
+ */
+function getRegistry(root, dialect, remotes) {
+  const cacheable = root && typeof root === 'object' && !remotes;
+  if (cacheable && registryCache.has(root) && registryCache.get(root).dialect === dialect) {
+    return registryCache.get(root);
+  }
+
+  const registry = {
+    dialect,
+    rootUri: DEFAULT_BASE_URI,
+    resources: new Map(),
+    anchors: new Map(),
+    dynamicAnchors: new Map(),
+    baseOf: new WeakMap()
+  };
+  registry.rootUri = indexSchema(registry, root, DEFAULT_BASE_URI);
+
+  if (cacheable) registryCache.set(root, registry);
+  return registry;
+}
+
+/**
+ * Registers every schema resource ($id) and anchor ($anchor, $dynamicAnchor,
+ * draft 7 "#name" ids) of a document
+ * @returns {string} Base URI of the document root
+ */
+function indexSchema(registry, document, retrievalUri) {
+  registry.resources.set(retrievalUri, document);
+  let rootUri = retrievalUri;
+
+  const visit = (node, base, isRoot) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+
+    const { resourceUri, anchor } = readId(node, base, registry.dialect);
+    if (resourceUri) {
+      base = resourceUri;
+      if (!registry.resources.has(base)) registry.resources.set(base, node);
+      if (isRoot) rootUri = base;
+    }
+    if (anchor) registry.anchors.set(`${base}#${anchor}`, node);
+    if (registry.dialect !== 'draft7') {
+      if (typeof node.$anchor === 'string') registry.anchors.set(`${base}#${node.$anchor}`, node);
+      if (typeof node.$dynamicAnchor === 'string') {
+        registry.anchors.set(`${base}#${node.$dynamicAnchor}`, node);
+        registry.dynamicAnchors.set(`${base}#${node.$dynamicAnchor}`, node);
+      }
+    }
+    if (!registry.baseOf.has(node)) registry.baseOf.set(node, base);
+
+    SUBSCHEMA_KEYWORDS.forEach(keyword => visit(node[keyword], base, false));
+    SUBSCHEMA_MAP_KEYWORDS.forEach(keyword => {
+      const map = node[keyword];
+      if (map && typeof map === 'object' && !Array.isArray(map)) {
+        Object.values(map).forEach(child => visit(child, base, false));
+      }
+    });
+    SUBSCHEMA_LIST_KEYWORDS.forEach(keyword => {
+      if (Array.isArray(node[keyword])) node[keyword].forEach(child => visit(child, base, false));
+    });
+  };
+
+  visit(document, retrievalUri, true);
+  return rootUri;
+}
+
+/**
+ * Reads the $id of a schema node
+ * @returns {{ resourceUri: string|null, anchor: string|null }}
+ */
+function readId(node, base, dialect) {
+  const none = { resourceUri: null, anchor: null };
+  if (typeof node.$id !== 'string') return none;
+  // Draft 7: $ref replaces the whole schema object, $id included
+  if (dialect === 'draft7' && node.$ref !== undefined) return none;
+
+  const uri = resolveUri(node.$id, base);
+  if (!uri) return none;
+  const [resourceUri, fragment = ''] = uri.split('#');
+
+  if (node.$id.startsWith('#')) {
+    // Draft 7 location-independent identifier ("$id": "#foo")
+    return dialect === 'draft7' && fragment ? { resourceUri: null, anchor: fragment } : none;
+  }
+  return { resourceUri, anchor: dialect === 'draft7' && fragment && !fragment.startsWith('/') ? fragment : null };
+}
+
+/**
+ * Resolves a reference against a base URI
+ * @returns {string|null} Absolute URI, or null when it cannot be resolved
+ */
+function resolveUri(ref, base) {
+  try {
+    return new URL(ref, base).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Finds the schema a $ref / $dynamicRef / $recursiveRef points to
+ * @returns {{ schema: *, base: string, fragment: string }|null}
+ */
+function resolveReference(ref, base, ctx) {
+  const uri = resolveUri(ref, base);
+  if (!uri) return null;
+
+  const hashAt = uri.indexOf('#');
+  const resourceUri = hashAt < 0 ? uri : uri.slice(0, hashAt);
+  const fragment = hashAt < 0 ? '' : safeDecode(uri.slice(hashAt + 1));
+  const { registry } = ctx;
+
+  if (!registry.resources.has(resourceUri) && ctx.remotes &&
+      Object.prototype.hasOwnProperty.call(ctx.remotes, resourceUri)) {
+    indexSchema(registry, ctx.remotes[resourceUri], resourceUri);
+  }
+  const resource = registry.resources.get(resourceUri);
+  if (resource === undefined) return null;
+
+  let target;
+  if (fragment === '') {
+    target = resource;
+  } else if (fragment.startsWith('/')) {
+    target = resolvePointer(resource, fragment);
+  } else {
+    target = registry.anchors.get(`${resourceUri}#${fragment}`);
+  }
+  if (target === undefined) return null;
+
+  const targetBase = (target && typeof target === 'object' && registry.baseOf.get(target)) || resourceUri;
+  return { schema: target, base: targetBase, fragment };
+}
+
+/**
+ * Follows a JSON Pointer inside a document (definitions / $defs are aliases)
+ * @returns {*} Target, or undefined when not found
+ */
+function resolvePointer(document, pointer) {
+  let node = document;
+  for (const raw of pointer.slice(1).split('/')) {
+    const key = raw.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (node === null || typeof node !== 'object') return undefined;
+    if (Object.prototype.hasOwnProperty.call(node, key)) {
+      node = node[key];
+    } else if (key === 'definitions' && node.$defs) {
+      node = node.$defs;
+    } else if (key === '$defs' && node.definitions) {
+      node = node.definitions;
+    } else {
+      return undefined;
+    }
+  }
+  return node;
+}
+
+function safeDecode(fragment) {
+  try {
+    return decodeURIComponent(fragment);
+  } catch (e) {
+    return fragment;
+  }
+}
+
+// ==================== EVALUATION ====================
+
+/**
+ * Evaluates one schema against one value.
+ *
+ * Besides validity and errors, a result carries the annotations that
+ * unevaluatedProperties / unevaluatedItems need: the property names and item
+ * indexes this schema (and its passing in-place subschemas) evaluated.
+ *
+ * @param {*} value
+ * @param {*} schema
+ * @param {Object} ctx - Registry, dialect, options and recursion depth
+ * @param {string} instancePath - JSON Pointer of value
+ * @param {string} schemaPath - Evaluation path of schema
+ * @param {string} base - Base URI in effect
+ * @param {string[]} scope - Dynamic scope: base URIs of the resources entered, outermost first
+ */
+function evaluate(value, schema, ctx, instancePath, schemaPath, base, scope) {
+  const result = { valid: true, errors: [], warnings: [], props: new Set(), items: new Set() };
+  const fail = (keyword, params, message, path = instancePath) => {
+    result.valid = false;
+    result.errors.push({ instancePath: path, schemaPath: `${schemaPath}/${keyword}`, keyword, params, message });
+  };
+
+  if (schema === true || schema === undefined) return result;
+  if (schema === false) {
+    result.valid = false;
+    result.errors.push({ instancePath, schemaPath, keyword: 'false schema', params: {}, message: 'No value is allowed here' });
+    return result;
+  }
+  if (!schema || typeof schema !== 'object') return result;
+
+  if (ctx.depth >= MAX_DEPTH) {
+    fail('$ref', { depth: ctx.depth }, 'Schema references are nested too deeply (circular $ref?)');
+    return result;
+  }
+  ctx.depth++;
+
+  try {
+    const { dialect } = ctx;
+    const { resourceUri } = readId(schema, base, dialect);
+    if (resourceUri && resourceUri !== base) {
+      base = resourceUri;
+      scope = [...scope, base];
+    }
+
+    /** Evaluates a subschema against the same value (in-place applicator) */
+    const inPlace = (subschema, keywordPath, subBase = base) =>
+      evaluate(value, subschema, ctx, instancePath, `${schemaPath}/${keywordPath}`, subBase, scope);
+    /** Evaluates a subschema against a child value (property / item) */
+    const child = (childValue, segment, subschema, keywordPath) =>
+      evaluate(childValue, subschema, ctx, `${instancePath}/${escapePointerSegment(segment)}`,
+        `${schemaPath}/${keywordPath}`, base, scope);
+    /** Evaluates a property name against propertyNames */
+    const checkKey = (key, subschema) =>
+      evaluate(key, subschema, ctx, instancePath, `${schemaPath}/propertyNames`, base, scope);
+
+    // ---------- References ----------
+    if (typeof schema.$ref === 'string') {
+      const target = resolveReference(schema.$ref, base, ctx);
+      if (!target) {
+        fail('$ref', { ref: schema.$ref }, `Could not resolve schema reference ${schema.$ref}`);
+      } else {
+        mergeInPlace(result, inPlace(target.schema, '$ref', target.base));
+      }
+      // Draft 7: $ref replaces every sibling keyword
+      if (dialect === 'draft7') return result;
+    }
+
+    if (dialect === '2020-12' && typeof schema.$dynamicRef === 'string') {
+      const target = resolveDynamicRef(schema.$dynamicRef, base, scope, ctx);
+      if (!target) {
+        fail('$dynamicRef', { ref: schema.$dynamicRef }, `Could not resolve schema reference ${schema.$dynamicRef}`);
+      } else {
+        mergeInPlace(result, inPlace(target.schema, '$dynamicRef', target.base));
+      }
+    }
+
+    if (dialect === '2019-09' && typeof schema.$recursiveRef === 'string') {
+      const target = resolveRecursiveRef(schema.$recursiveRef, base, scope, ctx);
+      if (!target) {
+        fail('$recursiveRef', { ref: schema.$recursiveRef }, `Could not resolve schema reference ${schema.$recursiveRef}`);
+      } else {
+        mergeInPlace(result, inPlace(target.schema, '$recursiveRef', target.base));
+      }
+    }
+
+    // ---------- Any type ----------
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        fail('type', { type: schema.type },
+          types.length === 1 && types[0] === 'integer' && typeof value === 'number'
+            ? 'Must be a whole number'
+            : `Expected ${types.join(' or ')}, got ${getJsonType(value)}`);
+      }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => deepEqual(option, value))) {
+      fail('enum', { allowedValues: schema.enum }, `Must be one of: ${schema.enum.map(formatValue).join(', ')}`);
+    }
+
+    if ('const' in schema && !deepEqual(schema.const, value)) {
+      fail('const', { allowedValue: schema.const }, `Must be ${JSON.stringify(schema.const)}`);
+    }
+
+    // ---------- Numbers ----------
+    if (typeof value === 'number') {
+      checkNumber(value, schema, fail);
+    }
+
+    // ---------- Strings ----------
+    if (typeof value === 'string') {
+      const length = [...value].length;
+      if (typeof schema.minLength === 'number' && length < schema.minLength) {
+        fail('minLength', { limit: schema.minLength }, `Must be at least ${schema.minLength} characters`);
+      }
+      if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+        fail('maxLength', { limit: schema.maxLength }, `Must be at most ${schema.maxLength} characters`);
+      }
+      if (typeof schema.pattern === 'string') {
+        const regex = getRegExp(schema.pattern);
+        if (regex && !regex.test(value)) {
+          fail('pattern', { pattern: schema.pattern }, 'Does not match required pattern');
+        }
+      }
+      if (typeof schema.format === 'string' && ctx.formats) {
+        const message = ctx.formats(value, schema.format);
+        if (message) fail('format', { format: schema.format }, message);
+      }
+    }
+
+    // ---------- Extra keywords ----------
+    Object.entries(ctx.keywords).forEach(([keyword, check]) => {
+      if (!(keyword in schema)) return;
+      const messages = check(schema[keyword], value, { schema, instancePath });
+      [].concat(messages || []).forEach(message => fail(keyword, {}, message));
+    });
+
+    // ---------- Arrays ----------
+    if (Array.isArray(value)) {
+      checkArray(value, schema, ctx, result, fail, child);
+    }
+
+    // ---------- Objects ----------
+    if (isPlainObject(value)) {
+      checkObject(value, schema, result, fail, child, inPlace, checkKey);
+    }
+
+    // ---------- In-place applicators ----------
+    if (Array.isArray(schema.allOf)) {
+      schema.allOf.forEach((subschema, index) => mergeInPlace(result, inPlace(subschema, `allOf/${index}`)));
+    }
+
+    if (Array.isArray(schema.anyOf)) {
+      const branches = schema.anyOf.map((subschema, index) => inPlace(subschema, `anyOf/${index}`));
+      const passing = branches.filter(branch => branch.valid);
+      if (passing.length > 0) {
+        passing.forEach(branch => mergeInPlace(result, branch));
+      } else {
+        result.valid = false;
+        result.errors.push(...summarizeBranches(branches, instancePath, `${schemaPath}/anyOf`, 'anyOf'));
+      }
+    }
+
+    if (Array.isArray(schema.oneOf)) {
+      const branches = schema.oneOf.map((subschema, index) => inPlace(subschema, `oneOf/${index}`));
+      const passing = branches.map((branch, index) => (branch.valid ? index : -1)).filter(index => index >= 0);
+      if (passing.length === 1) {
+        mergeInPlace(result, branches[passing[0]]);
+      } else if (passing.length > 1) {
+        fail('oneOf', { passingSchemas: passing }, `Must match exactly one option (matches ${passing.length})`);
+      } else {
+        result.valid = false;
+        result.errors.push(...summarizeBranches(branches, instancePath, `${schemaPath}/oneOf`, 'oneOf'));
+      }
+    }
+
+    if (schema.not !== undefined && inPlace(schema.not, 'not').valid) {
+      fail('not', {}, 'Must not match the excluded schema');
+    }
+
+    if (schema.if !== undefined) {
+      const condition = inPlace(schema.if, 'if');
+      if (condition.valid) {
+        mergeInPlace(result, condition);
+        if (schema.then !== undefined) mergeInPlace(result, inPlace(schema.then, 'then'));
+      } else if (schema.else !== undefined) {
+        mergeInPlace(result, inPlace(schema.else, 'else'));
+      }
+    }
+
+    // ---------- Unevaluated (after every other applicator) ----------
+    if (dialect !== 'draft7') {
+      if (isPlainObject(value) && schema.unevaluatedProperties !== undefined) {
+        Object.keys(value).forEach(key => {
+          if (result.props.has(key)) return;
+          if (schema.unevaluatedProperties === false) {
+            fail('unevaluatedProperties', { unevaluatedProperty: key },
+              `Property "${key}" is not allowed (unevaluatedProperties)`);
+          } else {
+            mergeChild(result, child(value[key], key, schema.unevaluatedProperties, 'unevaluatedProperties'));
+          }
+          result.props.add(key);
+        });
+      }
+
+      if (Array.isArray(value) && schema.unevaluatedItems !== undefined) {
+        value.forEach((item, index) => {
+          if (result.items.has(index)) return;
+          if (schema.unevaluatedItems === false) {
+            fail('unevaluatedItems', { index }, `Item ${index} is not allowed (unevaluatedItems)`);
+          } else {
+            mergeChild(result, child(item, index, schema.unevaluatedItems, 'unevaluatedItems'));
+          }
+          result.items.add(index);
+        });
+      }
+    }
+
+    // ---------- Annotations ----------
+    if (schema.deprecated === true) {
+      result.warnings.push({ instancePath, schemaPath: `${schemaPath}/deprecated`, keyword: 'deprecated',
+        params: {}, message: 'This field is deprecated' });
+    }
+
+    return result;
+  } finally {
+    ctx.depth--;
+  }
+}
+
+/**
+ * $dynamicRef: when the initial target carries a matching $dynamicAnchor, the
+ * outermost resource in the dynamic scope with that $dynamicAnchor wins
+ */
+function resolveDynamicRef(ref, base, scope, ctx) {
+  const initial = resolveReference(ref, base, ctx);
+  if (!initial) return null;
+
+  const name = initial.fragment;
+  if (!name || name.startsWith('/') || initial.schema?.$dynamicAnchor !== name) return initial;
+
+  for (const uri of scope) {
+    const schema = ctx.registry.dynamicAnchors.get(`${uri}#${name}`);
+    if (schema) return { schema, base: ctx.registry.baseOf.get(schema) || uri, fragment: name };
+  }
+  return initial;
+}
+
+/**
+ * $recursiveRef (2019-09): when the initial target has $recursiveAnchor: true,
+ * the outermost resource in the dynamic scope with $recursiveAnchor: true wins
+ */
+function resolveRecursiveRef(ref, base, scope, ctx) {
+  const initial = resolveReference(ref, base, ctx);
+  if (!initial || initial.schema?.$recursiveAnchor !== true) return initial;
+
+  for (const uri of scope) {
+    const schema = ctx.registry.resources.get(uri);
+    if (schema && schema.$recursiveAnchor === true) return { schema, base: uri, fragment: '' };
+  }
+  return initial;
+}
+
+/**
+ * minimum / maximum / exclusive bounds (draft 4 boolean form too) / multipleOf
+ */
+function checkNumber(value, schema, fail) {
+  const exclusiveMin = schema.exclusiveMinimum === true;
+  const exclusiveMax = schema.exclusiveMaximum === true;
+
+  if (typeof schema.minimum === 'number') {
+    if (exclusiveMin ? value <= schema.minimum : value < schema.minimum) {
+      fail(exclusiveMin ? 'exclusiveMinimum' : 'minimum', { limit: schema.minimum },
+        exclusiveMin ? `Must be greater than ${schema.minimum}` : `Must be at least ${schema.minimum}`);
+    }
+  }
+  if (typeof schema.maximum === 'number') {
+    if (exclusiveMax ? value >= schema.maximum : value > schema.maximum) {
+      fail(exclusiveMax ? 'exclusiveMaximum' : 'maximum', { limit: schema.maximum },
+        exclusiveMax ? `Must be less than ${schema.maximum}` : `Must be at most ${schema.maximum}`);
+    }
+  }
+  if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+    fail('exclusiveMinimum', { limit: schema.exclusiveMinimum }, `Must be greater than ${schema.exclusiveMinimum}`);
+  }
+  if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+    fail('exclusiveMaximum', { limit: schema.exclusiveMaximum }, `Must be less than ${schema.exclusiveMaximum}`);
+  }
+  if (typeof schema.multipleOf === 'number' && !isMultipleOf(value, schema.multipleOf)) {
+    fail('multipleOf', { multipleOf: schema.multipleOf }, `Must be a multiple of ${schema.multipleOf}`);
+  }
+}
+
+/**
+ * minItems / maxItems / uniqueItems / prefixItems / items / additionalItems /
+ * contains / minContains / maxContains
+ */
+function checkArray(value, schema, ctx, result, fail, child) {
+  if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+    fail('minItems', { limit: schema.minItems }, `Must have at least ${schema.minItems} items`);
+  }
+  if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+    fail('maxItems', { limit: schema.maxItems }, `Must have at most ${schema.maxItems} items`);
+  }
+  if (schema.uniqueItems === true) {
+    const duplicate = findDuplicate(value);
+    if (duplicate) fail('uniqueItems', duplicate, 'All items must be unique');
+  }
+
+  // Tuples: prefixItems (2020-12), or array-form items (draft 7 / 2019-09 and
+  // older schemas) with additionalItems for the rest
+  const usesPrefixItems = Array.isArray(schema.prefixItems) && ctx.dialect === '2020-12';
+  const positions = usesPrefixItems ? schema.prefixItems : (Array.isArray(schema.items) ? schema.items : []);
+  const positionKeyword = usesPrefixItems ? 'prefixItems' : 'items';
+  const restKeyword = !usesPrefixItems && Array.isArray(schema.items) ? 'additionalItems' : 'items';
+  const rest = restKeyword === 'items' ? schema.items : schema.additionalItems;
+
+  value.forEach((item, index) => {
+    if (index < positions.length) {
+      mergeChild(result, child(item, index, positions[index], `${positionKeyword}/${index}`));
+      result.items.add(index);
+    } else if (rest !== undefined && !Array.isArray(rest)) {
+      if (rest === false) {
+        if (index === positions.length) {
+          fail(restKeyword, { limit: positions.length }, `Must have at most ${positions.length} items`);
+        }
+      } else {
+        mergeChild(result, child(item, index, rest, restKeyword));
+      }
+      result.items.add(index);
+    }
+  });
+
+  if (schema.contains === undefined) return;
+
+  const matched = [];
+  value.forEach((item, index) => {
+    if (child(item, index, schema.contains, 'contains').valid) matched.push(index);
+  });
+  // 2020-12: items matching "contains" count as evaluated
+  if (ctx.dialect === '2020-12') matched.forEach(index => result.items.add(index));
+
+  const explicitMin = ctx.dialect !== 'draft7' && typeof schema.minContains === 'number';
+  const minContains = explicitMin ? schema.minContains : 1;
+  const maxContains = ctx.dialect !== 'draft7' && typeof schema.maxContains === 'number' ? schema.maxContains : undefined;
+  const description = describeSchema(schema.contains);
+
+  if (matched.length < minContains) {
+    fail(explicitMin ? 'minContains' : 'contains', { minContains, found: matched.length },
+      minContains === 1
+        ? `Must contain at least one item that is ${description}`
+        : `Must contain at least ${minContains} items that are ${description} (found ${matched.length})`);
+  }
+  if (maxContains !== undefined && matched.length > maxContains) {
+    fail('maxContains', { maxContains, found: matched.length },
+      `Must contain at most ${maxContains} items that are ${description} (found ${matched.length})`);
+  }
+}
+
+/**
+ * minProperties / maxProperties / required / dependentRequired / dependencies /
+ * dependentSchemas / properties / patternProperties / additionalProperties /
+ * propertyNames
+ */
+function checkObject(value, schema, result, fail, child, inPlace, checkKey) {
+  const keys = Object.keys(value);
+  const has = key => Object.prototype.hasOwnProperty.call(value, key);
+
+  if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+    fail('minProperties', { limit: schema.minProperties }, `Must have at least ${schema.minProperties} properties`);
+  }
+  if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+    fail('maxProperties', { limit: schema.maxProperties }, `Must have at most ${schema.maxProperties} properties`);
+  }
+
+  if (Array.isArray(schema.required)) {
+    schema.required.forEach(key => {
+      if (!has(key)) fail('required', { missingProperty: key }, 'This field is required');
+    });
+  }
+
+  // dependentRequired / dependentSchemas, and draft 7 "dependencies" (either form)
+  const dependencies = [
+    ['dependentRequired', schema.dependentRequired],
+    ['dependentSchemas', schema.dependentSchemas],
+    ['dependencies', schema.dependencies]
+  ];
+  dependencies.forEach(([keyword, map]) => {
+    if (!map || typeof map !== 'object') return;
+    Object.entries(map).forEach(([property, dependency]) => {
+      if (!has(property)) return;
+      if (Array.isArray(dependency)) {
+        if (keyword === 'dependentSchemas') return;
+        dependency.forEach(missing => {
+          if (!has(missing)) {
+            fail(keyword, { property, missingProperty: missing, deps: dependency },
+              `This field is required when "${property}" is filled in`);
+          }
+        });
+      } else if (keyword !== 'dependentRequired') {
+        mergeInPlace(result, inPlace(dependency, `${keyword}/${escapePointerSegment(property)}`));
+      }
+    });
+  });
+
+  const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+  const patterns = Object.entries(schema.patternProperties || {})
+    .map(([pattern, subschema]) => ({ pattern, subschema, regex: getRegExp(pattern) }))
+    .filter(entry => entry.regex);
+
+  keys.forEach(key => {
+    let evaluated = false;
+
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      mergeChild(result, child(value[key], key, properties[key], `properties/${escapePointerSegment(key)}`));
+      evaluated = true;
+    }
+
+    patterns.forEach(({ pattern, subschema, regex }) => {
+      if (!regex.test(key)) return;
+      mergeChild(result, child(value[key], key, subschema, `patternProperties/${escapePointerSegment(pattern)}`));
+      evaluated = true;
+    });
+
+    if (!evaluated && schema.additionalProperties !== undefined) {
+      if (schema.additionalProperties === false) {
+        fail('additionalProperties', { additionalProperty: key }, `Property "${key}" is not allowed`);
+      } else {
+        mergeChild(result, child(value[key], key, schema.additionalProperties, 'additionalProperties'));
+      }
+      evaluated = true;
+    }
+
+    if (evaluated) result.props.add(key);
+
+    if (schema.propertyNames !== undefined && !checkKey(key, schema.propertyNames).valid) {
+      fail('propertyNames', { propertyName: key }, describeKeyError(key, schema.propertyNames));
+    }
+  });
+}
+
+/** Message for a key rejected by propertyNames */
+function describeKeyError(key, names) {
+  if (names && typeof names === 'object') {
+    if (names.pattern) return `Key "${key}" must match pattern ${names.pattern}`;
+    if (Array.isArray(names.enum)) return `Key "${key}" must be one of: ${names.enum.join(', ')}`;
+  }
+  return `Key "${key}" is not an allowed property name`;
+}
+
+/**
+ * Errors for a failed anyOf / oneOf: when exactly one branch accepts the type
+ * of the value and fails only on its constraints, its errors are the useful
+ * ones ("Must be at most 3 characters" rather than "matches no option")
+ */
+function summarizeBranches(branches, instancePath, schemaPath, keyword) {
+  const shapeKeywords = ['type', 'const', 'enum', 'false schema'];
+  const close = branches.filter(branch => !branch.errors.some(error =>
+    error.instancePath === instancePath && shapeKeywords.includes(error.keyword)));
+
+  if (close.length === 1) return close[0].errors;
+  return [{ instancePath, schemaPath, keyword, params: {}, message: 'Does not match any of the allowed options' }];
+}
+
+/** Adds an in-place subschema result: errors always, annotations only when it passed */
+function mergeInPlace(result, sub) {
+  if (!sub.valid) {
+    result.valid = false;
+    result.errors.push(...sub.errors);
+    return;
+  }
+  result.warnings.push(...sub.warnings);
+  sub.props.forEach(key => result.props.add(key));
+  sub.items.forEach(index => result.items.add(index));
+}
+
+/** Adds a property / item result (its annotations belong to the child value) */
+function mergeChild(result, sub) {
+  if (!sub.valid) {
+    result.valid = false;
+    result.errors.push(...sub.errors);
+  }
+  result.warnings.push(...sub.warnings);
+}
+
+// ==================== VALUE HELPERS ====================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'boolean': return typeof value === 'boolean';
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    default: return false;
+  }
+}
+
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/** JSON equality: key order does not matter, 1 and 1.0 are equal, false and 0 are not */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+         keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+/** @returns {{ i: number, j: number }|null} Indexes of the first duplicate pair */
+function findDuplicate(items) {
+  for (let j = 1; j < items.length; j++) {
+    for (let i = 0; i < j; i++) {
+      if (deepEqual(items[i], items[j])) return { i, j };
+    }
+  }
+  return null;
+}
+
+/** multipleOf with a tolerance for binary floating point (0.0075 / 0.0001) */
+function isMultipleOf(value, divisor) {
+  if (divisor <= 0) return true;
+  const quotient = value / divisor;
+  if (!Number.isFinite(quotient)) return false;
+  return Math.abs(quotient - Math.round(quotient)) < 1e-9 * Math.max(1, Math.abs(quotient));
+}
+
+/** Compiles a schema pattern (Unicode mode, falling back to plain); null if invalid */
+function getRegExp(pattern) {
+  if (!regexCache.has(pattern)) {
+    let regex = null;
+    try {
+      regex = new RegExp(pattern, 'u');
+    } catch (e) {
+      try {
+        regex = new RegExp(pattern);
+      } catch (err) {
+        console.warn(`⚠️ Invalid pattern in schema: ${pattern}`);
+      }
+    }
+    regexCache.set(pattern, regex);
+  }
+  return regexCache.get(pattern);
+}
+
+/** Keeps one warning per instance path */
+function dedupeByPath(warnings) {
+  const seen = new Set();
+  return warnings.filter(warning => {
+    const key = `${warning.instancePath} ${warning.keyword}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export { validateSchema,
+         escapePointerSegment,
+         pointerToPath,
+         pathToPointer,
+         describeSchema
+};
+
+// ==== END OF FILE ====/
@@ -0,0 +1,262 @@
+// validation-report.js - Downloadable validation reports (JSON / CSV / HTML)
+// @ts-check
+//
+// Turns a validateFormData result into a document for QA review: one entry per
+// message (path, tab, message, value, severity), grouped by tab the same way
+// as the on-screen summaries, with the schema / options file names and a
+// timestamp. The HTML page is self-contained and printable.
+
+import { state } from './state.js';
+import { saveTextWithDialog, ashAlert, escapeHtml } from './utils.js';
+import { validateFormData, groupErrorsByTab, getErrorFieldPath, toDotPath } from './input-validation.js';
+import { getDataAtPath } from './schema-manager.js';
+
+console.log('📑 Validation Report Module Loaded');
+
+/** Column order of the CSV export */
+const CSV_COLUMNS = ['tab', 'path', 'severity', 'message', 'value', 'keyword', 'schemaPath'];
+
+// ==================== BUILDING ====================
+
+/**
+ * Builds the structured report of a validation result.
+ *
+ * @param {Object} data - Validated form data (for the value column)
+ * @param {Object} validation - validateFormData result
+ * @returns {Object} { generated, schema_file, options_file, data_file, summary, tabs: [{ key, title, entries }] }
+ */
+function buildValidationReport(data, validation) {
+  const records = [
+    ...validation.details.map(record => ({ record, severity: 'error' })),
+    ...(validation.warningDetails || []).map(record => ({ record, severity: 'warning' }))
+  ];
+
+  // { fieldPath: [entries] } - grouped by tab like the summary panels
+  const entriesByPath = {};
+  records.forEach(({ record, severity }) => {
+    const path = getErrorFieldPath(record);
+    entriesByPath[path] = entriesByPath[path] || [];
+    entriesByPath[path].push({
+      path,
+      tab: null,
+      message: record.message,
+      value: path === '(root)' ? null : (getDataAtPath(data, toDotPath(path).split('.')) ?? null),
+      severity,
+      keyword: record.keyword,
+      schemaPath: record.schemaPath
+    });
+  });
+
+  const tabs = Object.entries(groupErrorsByTab(entriesByPath)).map(([tabKey, paths]) => {
+    const title = getTabTitle(tabKey);
+    const entries = Object.values(paths).flat();
+    entries.forEach(entry => { entry.tab = title; });
+    return { key: tabKey, title, entries };
+  });
+
+  return {
+    generated: new Date().toISOString(),
+    schema_file: state.selectedSchemaFile?.name || null,
+    options_file: state.selectedOptionsFile?.name || null,
+    data_file: state.dataFilename || null,
+    summary: {
+      valid: validation.isValid,
+      errors: validation.details.length,
+      warnings: (validation.warningDetails || []).length
+    },
+    tabs
+  };
+}
+
+/**
+ * Display name of a tab ('_single' is the whole form)
+ * @param {string} tabKey
+ * @returns {string}
+ */
+function getTabTitle(tabKey) {
+  if (tabKey === '_single') return 'Form';
+  return state.currentSchema?.properties?.[tabKey]?.title || tabKey;
+}
+
+/**
+ * Value as shown in CSV / HTML cells
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// ==================== FORMATS ====================
+
+/**
+ * CSV export: a header row, then one row per entry (RFC 4180 quoting)
+ * @param {Object} report - buildValidationReport result
+ * @returns {string}
+ */
+function reportToCsv(report) {
+  const quote = text => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  const rows = report.tabs.flatMap(tab => tab.entries).map(entry =>
+    CSV_COLUMNS.map(column => quote(column === 'value' ? formatValue(entry.value) : String(entry[column] ?? ''))).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * HTML export: a standalone page with one table per tab, styled for printing
+ * @param {Object} report - buildValidationReport result
+ * @returns {string}
+ */
+function reportToHtml(report) {
+  const info = [
+    ['Schema', report.schema_file],
+    ['Options', report.options_file],
+    ['Data', report.data_file],
+    ['Generated', new Date(report.generated).toLocaleString()]
+  ];
+
+  const sections = report.tabs.map(tab => `
+  <h2>${escapeHtml(tab.title)} <span class="count">(${tab.entries.length})</span></h2>
+  <table>
+    <thead><tr><th>Field</th><th>Severity</th><th>Message</th><th>Value</th></tr></thead>
+    <tbody>
+      ${tab.entries.map(entry => `
+      <tr class="${entry.severity}">
+        <td><code>${escapeHtml(entry.path)}</code></td>
+        <td>${entry.severity === 'error' ? '❌ Error' : '⚠️ Warning'}</td>
+        <td>${escapeHtml(entry.message)}</td>
+        <td><code>${escapeHtml(formatValue(entry.value))}</code></td>
+      </tr>`).join('')}
+    </tbody>
+  </table>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Validation Report${report.data_file ? ` - ${escapeHtml(report.data_file)}` : ''}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 24px; color: #333; }
+    h1 { font-size: 22px; margin-bottom: 8px; }
+    h2 { font-size: 17px; margin: 24px 0 8px; border-bottom: 2px solid #ddd; padding-bottom: 4px; }
+    .count { color: #777; font-weight: normal; }
+    .info td { padding: 2px 16px 2px 0; border: none; }
+    .result { margin: 12px 0; font-weight: bold; }
+    .result.valid { color: #2e7d32; }
+    .result.invalid { color: #c62828; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
+    tr.error td:nth-child(2) { color: #c62828; }
+    tr.warning td:nth-child(2) { color: #e65100; }
+    code { word-break: break-all; }
+    @media print {
+      body { margin: 0; }
+      h2 { page-break-after: avoid; }
+      tr { page-break-inside: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <h1>Validation Report</h1>
+  <table class="info">
+    ${info.map(([label, value]) => `<tr><td><strong>${label}:</strong></td><td>${escapeHtml(value || '-')}</td></tr>`).join('')}
+  </table>
+  <p class="result ${report.summary.valid ? 'valid' : 'invalid'}">
+    ${report.summary.valid ? '✅ Valid' : '❌ Invalid'} - ${report.summary.errors} error(s), ${report.summary.warnings} warning(s)
+  </p>
+  ${sections || '<p>No validation messages.</p>'}
+</body>
+</html>
+`;
+}
+
+// ==================== EXPORT ====================
+
+/** format → file type for saveTextWithDialog */
+const REPORT_FORMATS = {
+  json: { description: 'JSON Files', mimeType: 'application/json', extension: '.json',
+          render: report => JSON.stringify(report, null, 2) },
+  csv: { description: 'CSV Files', mimeType: 'text/csv', extension: '.csv', render: reportToCsv },
+  html: { description: 'HTML Files', mimeType: 'text/html', extension: '.html', render: reportToHtml }
+};
+
+/**
+ * Validates the data and saves the report in the given format
+ * ("name.validation.csv" next to the data file name).
+ *
+ * @param {Object} data - Form data
+ * @param {'json'|'csv'|'html'} format
+ * @returns {Promise<boolean>} True if saved
+ */
+async function exportValidationReport(data, format) {
+  const fileType = REPORT_FORMATS[format];
+  if (!fileType) throw new Error(`Unknown report format: ${format}`);
+
+  const report = buildValidationReport(data, validateFormData(data, state.currentSchema));
+  const baseName = (state.dataFilename || 'form-data.json').replace(/\.json$/i, '');
+
+  return saveTextWithDialog(fileType.render(report), `${baseName}.validation${fileType.extension}`, fileType);
+}
+
+/**
+ * Opens the printable HTML report in a new window and starts printing
+ * @param {Object} data - Form data
+ */
+async function printValidationReport(data) {
+  const report = buildValidationReport(data, validateFormData(data, state.currentSchema));
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    await ashAlert('The report window was blocked. Please allow pop-ups for this page, or export the HTML report.');
+    return;
+  }
+  printWindow.document.write(reportToHtml(report));
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+}
+
+/**
+ * Shows the "Export validation report" dialog (report-modal in index.html)
+ * @param {Object} data - Form data to report on
+ */
+function showValidationReportModal(data) {
+  const modal = document.getElementById('report-modal');
+  const validation = validateFormData(data, state.currentSchema);
+
+  document.getElementById('report-summary').textContent =
+    `${validation.details.length} error(s), ${(validation.warningDetails || []).length} warning(s)` +
+    `${state.selectedSchemaFile ? ` against ${state.selectedSchemaFile.name}` : ''}.`;
+
+  modal.querySelectorAll('[data-report-format]').forEach(button => {
+    /** @type {HTMLElement} */ (button).onclick = async () => {
+      const format = /** @type {HTMLElement} */ (button).dataset.reportFormat;
+      try {
+        if (format === 'print') {
+          await printValidationReport(data);
+        } else if (await exportValidationReport(data, /** @type {'json'|'csv'|'html'} */ (format))) {
+          modal.style.display = 'none';
+        }
+      } catch (error) {
+        console.error('Error exporting validation report:', error);
+        await ashAlert('Error exporting validation report: ' + error.message);
+      }
+    };
+  });
+
+  document.getElementById('closeReportBtn').onclick = () => {
+    modal.style.display = 'none';
+  };
+
+  modal.style.display = 'flex';
+}
+
+export { buildValidationReport,
+         reportToCsv,
+         reportToHtml,
+         exportValidationReport,
+         showValidationReportModal
+};
+
+// ==== END OF FILE ====/